@@ -123,7 +123,11 @@ var makeModule = function ( inputs, output ) {
 
     module += sortByDependencies( jsData ).join( '\n\n' );
 
-    fs.writeFile( output, module );
+    // Export the namespace when loaded as a CommonJS module (e.g. in Node).
+    module += '\n\nif ( typeof module === \'object\' && module.exports ) {\n' +
+        '    module.exports = JMAP;\n}\n';
+
+    fs.writeFileSync( output, module );
 };
 
 var args = process.argv.slice( 2 ),
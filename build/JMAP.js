@@ -38,9 +38,409 @@ var JMAP = {};
 
 
 // -------------------------------------------------------------------------- \\
-// File: Auth.js                                                              \\
+// File: errors.js                                                            \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+/**
+    Class: JMAP.RequestError
+
+    An error that occurred while talking to the server. The type property
+    says which kind of error it is:
+
+    - transport: the request could not be completed, or the response could
+      not be understood.
+    - httpStatus: the server responded with an HTTP error status.
+    - method: the server returned an error for a method call, and there was
+      no handler for it.
+    - set: the server rejected a create, update or destroy of a record.
+
+    Every error has a `request` property, the array of method calls in the
+    request that caused it (this may be null if the request was not a method
+    call, e.g. fetching the session). The other properties depend on the type:
+
+    transport  - `status`, `data` (the response body, if any).
+    httpStatus - `status`, `willRetry`.
+    method     - `method`, `arguments`, `error` (the error object returned by
+                 the server).
+    set        - `method`, `arguments`, `error` (the SetError returned by the
+                 server), `action` ('create', 'update' or 'destroy'), `Type`
+                 and `id` (the store key for a create).
+
+    Most also have a `connection` and a human readable `description`.
+*/
+var RequestError = O.Class({
+
+    type: '',
+    description: '',
+    connection: null,
+    request: null,
+
+    init: function ( type, mixin ) {
+        this.type = type;
+        O.extend( this, mixin );
+    },
+
+    toString: function () {
+        return 'JMAP.RequestError(' + this.type + '): ' + this.description;
+    }
+});
+
+RequestError.TRANSPORT = 'transport';
+RequestError.HTTP_STATUS = 'httpStatus';
+RequestError.METHOD = 'method';
+RequestError.SET = 'set';
+
+var logError = function ( error ) {
+    O.RunLoop.didError({
+        name: 'JMAP.errors',
+        message: error.toString(),
+        details: error.request ?
+            'Request:\n' + JSON.stringify( error.request, null, 2 ) : ''
+    });
+};
+
+/**
+    Object: JMAP.errors
+
+    The channel through which all errors talking to the server are reported.
+    Each error is a <JMAP.RequestError>. When one is reported:
+
+    1. The `lastError` property is set to it, so you can observe this.
+    2. An event with the same name as the error type (e.g. "httpStatus") is
+       fired on this object, with the error in the `error` property. Call
+       `event.preventDefault()` to stop the default handler running.
+    3. Otherwise, the default handler for the type in `defaultHandlers` is
+       called with the error, if there is one. You can replace or remove
+       these to change the default behaviour.
+*/
+JMAP.errors = new O.Object({
+
+    /**
+        Property: JMAP.errors#lastError
+        Type: (JMAP.RequestError|null)
+
+        The most recently reported error.
+    */
+    lastError: null,
+
+    /**
+        Property: JMAP.errors#defaultHandlers
+        Type: String[Function]
+
+        A map of error type to a function to call with the error if the
+        event was not cancelled. By default, transport and HTTP status errors
+        and calls to unknown methods or with invalid arguments are passed to
+        `O.RunLoop.didError`; method errors of other types (which have been
+        reported to the callback for the method anyway) and set errors (which
+        the store handles) are ignored.
+    */
+    defaultHandlers: {
+        transport: logError,
+        httpStatus: logError,
+        method: function ( error ) {
+            var type = error.error.type;
+            if ( type === 'unknownMethod' || type === 'invalidArguments' ) {
+                logError( error );
+            }
+        },
+        set: null
+    },
+
+    /**
+        Method: JMAP.errors#report
+
+        Reports an error to the app.
+
+        Parameters:
+            error - {JMAP.RequestError} The error.
+
+        Returns:
+            {JMAP.errors} Returns self.
+    */
+    report: function ( error ) {
+        var type = error.type,
+            event = new O.Event( type, this, {
+                error: error
+            }),
+            handler;
+        this.set( 'lastError', error )
+            .fire( type, event );
+        if ( !event.defaultPrevented ) {
+            handler = this.defaultHandlers[ type ];
+            if ( handler ) {
+                handler.call( this, error );
+            }
+        }
+        return this;
+    }
+});
+
+JMAP.RequestError = RequestError;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: HttpRequest.js                                                       \\
 // Module: API                                                                \\
 // Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, require, process, Buffer, URL, XMLHttpRequest */
+
+( function ( JMAP ) {
+
+var isNode = typeof XMLHttpRequest === 'undefined' &&
+    typeof process === 'object' && !!process.versions &&
+    !!process.versions.node;
+
+var hasHeader = function ( headers, name ) {
+    name = name.toLowerCase();
+    return Object.keys( headers ).some( function ( header ) {
+        return header.toLowerCase() === name;
+    });
+};
+
+/**
+    Class: JMAP.NodeFile
+
+    A file to upload from Node, to give to <JMAP.LocalFile> in place of
+    a DOM File:
+
+        var file = new JMAP.LocalFile( new JMAP.NodeFile(
+            fs.createReadStream( path ), 'report.pdf', 'application/pdf',
+            fs.statSync( path ).size
+        ));
+        file.upload();
+*/
+var NodeFile = O.Class({
+
+    /**
+        Constructor: JMAP.NodeFile
+
+        Parameters:
+            data - {(Buffer|stream.Readable)} The contents of the file.
+            name - {String} The name of the file.
+            type - {String} (optional) The MIME type of the file. Defaults
+                   to "application/octet-stream".
+            size - {Number} (optional) The size of the file in bytes. This
+                   is required for upload progress from a stream; for a
+                   Buffer it defaults to the Buffer's length.
+    */
+    init: function ( data, name, type, size ) {
+        this.data = data;
+        this.name = name || '';
+        this.type = type || 'application/octet-stream';
+        this.size = size !== undefined ? size :
+            data instanceof Buffer ? data.length : 0;
+    }
+});
+
+/**
+    Class: JMAP.NodeHttpRequest
+
+    Extends: O.Object
+
+    Makes an HTTP request using Node's http/https modules, with the same
+    interface as O.HttpRequest: it takes the `method`, `url`, `headers`,
+    `data` and `timeout` properties and fires the same "io:" events (with
+    the `status`, response `headers` and `data`). The data may be
+    a string, a Buffer, a readable stream or a <JMAP.NodeFile>. A request
+    that times out is aborted. The response data is decoded as UTF-8 unless
+    <#responseType> is "buffer".
+
+    This is used in place of O.HttpRequest when running in Node; see
+    <JMAP.HttpRequest>.
+*/
+var NodeHttpRequest = O.Class({
+
+    Extends: O.Object,
+
+    timeout: 0,
+    method: 'GET',
+    url: '',
+    headers: {},
+    data: null,
+
+    /**
+        Property: JMAP.NodeHttpRequest#responseType
+        Type: String
+        Default: ''
+
+        If "buffer", the response data is given as a Buffer of the bytes
+        received, unchanged, rather than decoded as a UTF-8 string. Use this
+        for binary responses, such as downloads.
+    */
+    responseType: '',
+
+    /**
+        Property: JMAP.NodeHttpRequest#uploadProgress
+        Type: Number
+
+        The percentage of the data sent so far.
+    */
+    uploadProgress: 0,
+
+    init: function ( mixin ) {
+        this._request = null;
+        this._timer = null;
+        NodeHttpRequest.parent.init.call( this, mixin );
+    },
+
+    send: function () {
+        var url = new URL( this.get( 'url' ) ),
+            headers = O.extend( {}, this.get( 'headers' ) ),
+            data = this.get( 'data' ),
+            size = 0,
+            timeout = this.get( 'timeout' ),
+            httpRequest = this,
+            request;
+
+        if ( data instanceof NodeFile ) {
+            if ( !hasHeader( headers, 'Content-Type' ) ) {
+                headers[ 'Content-Type' ] = data.type;
+            }
+            size = data.size;
+            data = data.data;
+        } else if ( typeof data === 'string' ) {
+            data = Buffer.from( data, 'utf8' );
+        }
+        if ( data instanceof Buffer ) {
+            size = data.length;
+        }
+        if ( size ) {
+            headers[ 'Content-Length' ] = size;
+        }
+
+        request = this._request = require(
+            url.protocol === 'https:' ? 'https' : 'http'
+        ).request( url, {
+            method: this.get( 'method' ),
+            headers: headers
+        }, function ( response ) {
+            var chunks = [];
+            response.on( 'data', function ( chunk ) {
+                chunks.push( chunk );
+            });
+            response.on( 'end', function () {
+                O.RunLoop.invoke( function () {
+                    var status = response.statusCode,
+                        body = Buffer.concat( chunks );
+                    httpRequest.didFinish( request,
+                        200 <= status && status < 300 ?
+                            'io:success' : 'io:failure',
+                        status, httpRequest.get( 'responseType' ) === 'buffer' ?
+                            body : body.toString( 'utf8' ),
+                        response.headers );
+                });
+            });
+        });
+        request.on( 'error', function () {
+            O.RunLoop.invoke( function () {
+                httpRequest.didFinish( request, 'io:failure', 0, '' );
+            });
+        });
+        request.on( 'finish', function () {
+            O.RunLoop.invoke( function () {
+                httpRequest.didUploadProgress( request, 100 );
+            });
+        });
+
+        if ( timeout ) {
+            this._timer = O.RunLoop.invokeAfterDelay(
+                this.abort, timeout, this );
+        }
+        if ( data && typeof data.pipe === 'function' ) {
+            if ( size ) {
+                var sent = 0;
+                data.on( 'data', function ( chunk ) {
+                    sent += chunk.length;
+                    O.RunLoop.invoke( function () {
+                        httpRequest.didUploadProgress( request,
+                            Math.min( 99, Math.floor( 100 * sent / size ) ) );
+                    });
+                });
+            }
+            data.pipe( request );
+        } else {
+            request.end( data || undefined );
+        }
+        return this;
+    },
+
+    abort: function () {
+        var request = this._request;
+        if ( request ) {
+            request.destroy();
+            this.didFinish( request, 'io:abort', 0, '' );
+        }
+        return this;
+    },
+
+    didUploadProgress: function ( request, progress ) {
+        if ( this._request === request &&
+                this.get( 'uploadProgress' ) !== progress ) {
+            this.set( 'uploadProgress', progress )
+                .fire( 'io:uploadProgress' );
+        }
+    },
+
+    didFinish: function ( request, type, status, data, headers ) {
+        if ( this._request !== request ) {
+            return;
+        }
+        this._request = null;
+        if ( this._timer ) {
+            O.RunLoop.cancel( this._timer );
+            this._timer = null;
+        }
+        this.fire( type, {
+            status: status,
+            headers: headers || {},
+            data: data
+        }).fire( 'io:end', {
+            status: status
+        });
+    }
+});
+
+JMAP.NodeFile = NodeFile;
+JMAP.NodeHttpRequest = NodeHttpRequest;
+
+/**
+    Property: JMAP.HttpRequest
+    Type: O.Class
+
+    The class used for every HTTP request the library makes: O.HttpRequest
+    in a browser, or <JMAP.NodeHttpRequest> when running in Node. Set this
+    to another class with the same interface to change how requests are
+    made.
+*/
+JMAP.HttpRequest = isNode ? NodeHttpRequest : O.HttpRequest;
+
+/**
+    Property: JMAP.isNode
+    Type: Boolean
+
+    True if running in Node rather than a browser.
+*/
+JMAP.isNode = isNode;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: Auth.js                                                              \\
+// Module: API                                                                \\
+// Requires: errors.js, HttpRequest.js                                        \\
 // Author: Neil Jenkins                                                       \\
 // License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
@@ -49,6 +449,17 @@ var JMAP = {};
 
 ( function ( JMAP ) {
 
+var MAIL = 'urn:ietf:params:jmap:mail';
+var CONTACTS = 'urn:ietf:params:jmap:contacts';
+var CALENDARS = 'urn:ietf:params:jmap:calendars';
+
+var fillTemplate = function ( template, values ) {
+    return template.replace( /\{(\w+)\}/g, function ( match, key ) {
+        return values.hasOwnProperty( key ) ?
+            encodeURIComponent( values[ key ] ) : match;
+    });
+};
+
 JMAP.auth = new O.Object({
 
     isAuthenticated: false,
@@ -56,31 +467,122 @@ JMAP.auth = new O.Object({
     username: '',
     accessToken: '',
 
+    /**
+        Property: JMAP.auth#tokenProvider
+        Type: Object|null
+
+        An object that can get a new access token when the current one
+        expires, such as a <JMAP.OAuthTokenProvider>. It must have a boolean
+        `canRefresh` property and a `refresh` method, which should
+        asynchronously get a new token then call either
+        <JMAP.auth#didRefreshToken> or <JMAP.auth#didFailToRefreshToken>. It
+        may also refresh by itself before the token expires, calling
+        <JMAP.auth#didRefreshToken> when it does.
+
+        If null (the default), the app must call <JMAP.auth#didAuthenticate>
+        again if authentication is lost.
+    */
+    tokenProvider: null,
+
     authenticationUrl: '',
+    sessionUrl: '',
     apiUrl: '',
     eventSourceUrl: '',
     uploadUrl: '',
     downloadUrl: '',
 
-    _isFetchingEndPoints: false,
+    // --- Session (RFC 8620) ---
+
+    /**
+        Property: JMAP.auth#sessionState
+        Type: String
+
+        The state of the session object last fetched from the sessionUrl.
+    */
+    sessionState: '',
+
+    /**
+        Property: JMAP.auth#capabilities
+        Type: Object
+
+        Map of capability URI to the server's limits/options for that
+        capability, from the session object.
+    */
+    capabilities: {},
+
+    /**
+        Property: JMAP.auth#accounts
+        Type: Object
+
+        Map of account id to account data, from the session object.
+    */
+    accounts: {},
+
+    /**
+        Property: JMAP.auth#primaryAccounts
+        Type: Object
+
+        Map of capability URI to the id of the account to use by default for
+        data of that type, from the session object.
+    */
+    primaryAccounts: {},
+
+    // The request fetching the session or endpoints, if in progress.
+    _endPointsRequest: null,
+    _isRefreshingToken: false,
 
     // ---
 
-    getUrlForBlob: function ( blobId, name ) {
-        return this.get( 'downloadUrl' )
-            .replace( '{blobId}', encodeURIComponent( blobId ) )
-            .replace( '{name}', encodeURIComponent( name ) );
+    getUrlForBlob: function ( blobId, name, type, accountId ) {
+        return fillTemplate( this.get( 'downloadUrl' ), {
+            accountId: accountId || this.get( 'primaryAccounts' )[ MAIL ] || '',
+            blobId: blobId,
+            name: name,
+            type: type || 'application/octet-stream'
+        });
+    },
+
+    getUploadUrl: function ( accountId ) {
+        return fillTemplate( this.get( 'uploadUrl' ), {
+            accountId: accountId || this.get( 'primaryAccounts' )[ MAIL ] || ''
+        });
     },
 
     // ---
 
+    /**
+        Method: JMAP.auth#didAuthenticate
+
+        Call this once the user has authenticated. The urls object may either
+        contain each of the endpoint URLs, or just a `sessionUrl` (e.g.
+        "https://example.com/.well-known/jmap"), in which case the session
+        object is fetched to find the endpoints and accounts before any
+        requests are sent.
+
+        Parameters:
+            username    - {String} The username logged in with.
+            accessToken - {String} The token to authenticate requests with.
+            urls        - {Object} The URLs to use.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
     didAuthenticate: function ( username, accessToken, urls ) {
         for ( var service in urls ) {
             this.set( service, urls[ service ] );
         }
         this.set( 'username', username )
-            .set( 'accessToken', accessToken )
-            .set( 'isAuthenticated', true );
+            .set( 'accessToken', accessToken );
+        this._isRefreshingToken = false;
+
+        if ( !this.get( 'apiUrl' ) && this.get( 'sessionUrl' ) ) {
+            return this.fetchSession();
+        }
+        return this._didBecomeAuthenticated();
+    },
+
+    _didBecomeAuthenticated: function () {
+        this.set( 'isAuthenticated', true );
 
         this._awaitingAuthentication.forEach( function ( connection ) {
             connection.send();
@@ -90,95 +592,444 @@ JMAP.auth = new O.Object({
         return this;
     },
 
-    refindEndpoints: function () {
-        if ( this._isFetchingEndPoints || !this.get( 'isAuthenticated' ) ) {
+    /**
+        Method: JMAP.auth#fetchSession
+
+        Fetches the session object from the sessionUrl, then calls
+        <JMAP.auth#didFetchSession> with it, or
+        <JMAP.auth#didNotFetchSession> if it cannot be fetched. Connection
+        failures and server errors are retried after 30 seconds. If the
+        session is already being fetched, this does nothing.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    fetchSession: function () {
+        if ( this._endPointsRequest ) {
             return this;
         }
-        this._isFetchingEndPoints = true;
-
+        if ( !this.get( 'sessionUrl' ) ) {
+            return this.didNotFetchSession();
+        }
         var auth = this;
-        new O.HttpRequest({
+        this._endPointsRequest = new JMAP.HttpRequest({
             timeout: 45000,
             method: 'GET',
-            url: this.get( 'authenticationUrl' ),
+            url: this.get( 'sessionUrl' ),
             headers: {
+                'Accept': 'application/json',
                 'Authorization': this.get( 'accessToken' )
             },
             success: function ( event ) {
-                var urls, service;
+                var session;
                 try {
-                    urls = JSON.parse( event.data );
-                }
-                catch ( error ) {}
+                    session = JSON.parse( event.data );
+                } catch ( error ) {}
 
-                if ( urls ) {
-                    for ( service in urls ) {
-                        this.set( service + 'Url', urls[ service ] );
-                    }
+                if ( session && session.apiUrl ) {
+                    auth.didFetchSession( session );
+                } else {
+                    JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                        description: 'Session from server is not valid.',
+                        status: event.status,
+                        data: event.data
+                    }) );
+                    auth.didNotFetchSession();
                 }
             }.on( 'io:success' ),
             failure: function ( event ) {
                 switch ( event.status ) {
                 case 401: // Unauthorized
-                    auth.didLoseAuthentication();
+                case 403: // Forbidden
+                    auth.didNotFetchSession()
+                        .didLoseAuthentication();
                     break;
                 case 404: // Not Found
                     // Notify user?
+                    auth.didNotFetchSession();
                     break;
-                case 500: // Internal Server Error
-                    // Notify user?
-                    break;
-                case 503: // Service Unavailable
+                default: // Connection failed or 5xx error
                     this.retry();
                 }
             }.on( 'io:failure' ),
             retry: function () {
-                O.RunLoop.invokeAfterDelay( auth.refindEndpoints, 30000, auth );
+                // Not if aborted by logout.
+                if ( auth._endPointsRequest === this ) {
+                    O.RunLoop.invokeAfterDelay( auth.fetchSession, 30000, auth );
+                }
             }.on( 'io:abort' ),
             cleanup: function () {
                 this.destroy();
-                auth._isFetchingEndPoints = false;
+                if ( auth._endPointsRequest === this ) {
+                    auth._endPointsRequest = null;
+                }
             }.on( 'io:end' )
-        }).send();
+        });
+        this._endPointsRequest.send();
 
         return this;
     },
 
-    didLoseAuthentication: function () {
-        return this.set( 'isAuthenticated', false );
-    },
-
-    // ---
+    /**
+        Method: JMAP.auth#didFetchSession
 
-    isDisconnected: false,
-    timeToReconnect: 0,
+        Updates the endpoints, capabilities and accounts from a session
+        object, fills the <JMAP.Account> records in the store and points each
+        connection at the primary account for its capability. If not already
+        authenticated, any connections waiting to send will now do so.
 
-    _awaitingAuthentication: [],
-    _failedConnections: [],
+        Parameters:
+            session - {Object} The session object returned by the server.
 
-    _timeToWait: 1,
-    _timer: null,
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didFetchSession: function ( session ) {
+        var primaryAccounts = session.primaryAccounts || {},
+            accounts = session.accounts || {},
+            primaryAccountIds = Object.keys( primaryAccounts )
+                .map( function ( capability ) {
+                    return primaryAccounts[ capability ];
+                }),
+            list = Object.keys( accounts ).map( function ( accountId ) {
+                var account = accounts[ accountId ],
+                    capabilities = account.accountCapabilities || {};
+                return {
+                    id: accountId,
+                    name: account.name,
+                    isPrimary: primaryAccountIds.indexOf( accountId ) > -1,
+                    isPersonal: !!account.isPersonal,
+                    isReadOnly: !!account.isReadOnly,
+                    hasMail: MAIL in capabilities,
+                    hasContacts: CONTACTS in capabilities,
+                    hasCalendars: CALENDARS in capabilities,
+                    capabilities: capabilities
+                };
+            }),
+            store = JMAP.store,
+            sources = JMAP.source ? JMAP.source.get( 'sources' ) : [];
+
+        this.beginPropertyChanges()
+            .set( 'username', session.username || this.get( 'username' ) )
+            .set( 'apiUrl', session.apiUrl )
+            .set( 'uploadUrl', session.uploadUrl || '' )
+            .set( 'downloadUrl', session.downloadUrl || '' )
+            .set( 'eventSourceUrl', session.eventSourceUrl ?
+                fillTemplate( session.eventSourceUrl, {
+                    types: '*',
+                    closeafter: 'no',
+                    ping: 300
+                }) : '' )
+            .set( 'capabilities', session.capabilities || {} )
+            .set( 'accounts', accounts )
+            .set( 'primaryAccounts', primaryAccounts )
+            .set( 'sessionState', session.state || '' )
+            .endPropertyChanges();
+
+        sources.forEach( function ( connection ) {
+            var capability = connection.get( 'capability' );
+            connection.set( 'protocol', 'rfc8620' );
+            if ( capability && primaryAccounts[ capability ] ) {
+                connection.set( 'accountId', primaryAccounts[ capability ] );
+            }
+        });
 
-    connectionWillSend: function ( connection ) {
-        var isAuthenticated = this.get( 'isAuthenticated' );
-        if ( isAuthenticated &&
-                !this._failedConnections.contains( connection ) ) {
-            return true;
+        if ( store && JMAP.Account ) {
+            store.sourceDidFetchRecords(
+                JMAP.Account, list, session.state, true );
         }
-        if ( !isAuthenticated ) {
-            this._awaitingAuthentication.include( connection );
+
+        if ( !this.get( 'isAuthenticated' ) ) {
+            this._didBecomeAuthenticated();
         }
-        return false;
+        return this;
     },
 
-    connectionFailed: function ( connection, timeToWait ) {
-        this._failedConnections.include( connection );
-        // If we're not already ticking down...
-        if ( !this.get( 'timeToReconnect' ) ) {
-            // Is this a reconnection attempt already? Exponentially back off.
-            timeToWait = this.get( 'isDisconnected' ) ?
-                Math.min( this._timeToWait * 2, 300 ) :
-                timeToWait || 1;
+    /**
+        Method: JMAP.auth#didNotFetchSession
+
+        Called if the session object could not be fetched (other than for a
+        failure that will be retried). Any fetch of the <JMAP.Account>
+        records in the store is finished with the accounts it already has,
+        so it is not left loading.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didNotFetchSession: function () {
+        var store = JMAP.store,
+            Account = JMAP.Account;
+        if ( store && Account ) {
+            store.sourceDidFetchRecords( Account,
+                store.findAll( Account ).map( function ( storeKey ) {
+                    return store.getData( storeKey );
+                }), store.getTypeState( Account ), true );
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#sessionStateDidChange
+
+        Called with the session state returned with each API response. If it
+        differs from the state of the session object we have, the session is
+        refetched.
+
+        Parameters:
+            sessionState - {String} The current session state on the server.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    sessionStateDidChange: function ( sessionState ) {
+        if ( sessionState && sessionState !== this.get( 'sessionState' ) ) {
+            this.fetchSession();
+        }
+        return this;
+    },
+
+    refindEndpoints: function () {
+        if ( this._endPointsRequest || !this.get( 'isAuthenticated' ) ) {
+            return this;
+        }
+        if ( this.get( 'sessionUrl' ) ) {
+            return this.fetchSession();
+        }
+        var auth = this;
+        this._endPointsRequest = new JMAP.HttpRequest({
+            timeout: 45000,
+            method: 'GET',
+            url: this.get( 'authenticationUrl' ),
+            headers: {
+                'Authorization': this.get( 'accessToken' )
+            },
+            success: function ( event ) {
+                var urls, service;
+                try {
+                    urls = JSON.parse( event.data );
+                }
+                catch ( error ) {}
+
+                if ( urls ) {
+                    for ( service in urls ) {
+                        this.set( service + 'Url', urls[ service ] );
+                    }
+                }
+            }.on( 'io:success' ),
+            failure: function ( event ) {
+                switch ( event.status ) {
+                case 401: // Unauthorized
+                    auth.didLoseAuthentication();
+                    break;
+                case 404: // Not Found
+                    // Notify user?
+                    break;
+                case 500: // Internal Server Error
+                    // Notify user?
+                    break;
+                case 503: // Service Unavailable
+                    this.retry();
+                }
+            }.on( 'io:failure' ),
+            retry: function () {
+                // Not if aborted by logout.
+                if ( auth._endPointsRequest === this ) {
+                    O.RunLoop.invokeAfterDelay( auth.refindEndpoints, 30000, auth );
+                }
+            }.on( 'io:abort' ),
+            cleanup: function () {
+                this.destroy();
+                if ( auth._endPointsRequest === this ) {
+                    auth._endPointsRequest = null;
+                }
+            }.on( 'io:end' )
+        });
+        this._endPointsRequest.send();
+
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didLoseAuthentication
+
+        Called when the server rejects the access token. Connections will
+        wait to send until authenticated again. If the <#tokenProvider> can
+        refresh the token, it is asked to; once it has, everything waiting is
+        sent again with the new token, so the failure is invisible to the
+        app.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didLoseAuthentication: function () {
+        var tokenProvider = this.get( 'tokenProvider' );
+        this.set( 'isAuthenticated', false );
+        if ( tokenProvider && tokenProvider.get( 'canRefresh' ) &&
+                !this._isRefreshingToken ) {
+            this._isRefreshingToken = true;
+            tokenProvider.refresh();
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didRefreshToken
+
+        Called by the <#tokenProvider> whenever it has a new access token. If
+        authentication was lost, this resumes sending.
+
+        Parameters:
+            accessToken - {String} The new value for the Authorization header.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didRefreshToken: function ( accessToken ) {
+        this.set( 'accessToken', accessToken );
+        if ( this._isRefreshingToken ) {
+            this._isRefreshingToken = false;
+            if ( !this.get( 'apiUrl' ) && this.get( 'sessionUrl' ) ) {
+                return this.fetchSession();
+            }
+            return this._didBecomeAuthenticated();
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didFailToRefreshToken
+
+        Called by the <#tokenProvider> if it could not get a new token (for
+        example because the refresh token has been revoked). Fires
+        a "tokenRefreshFailed" event on <JMAP.auth>; the app must then get
+        the user to log in again and call <JMAP.auth#didAuthenticate>.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didFailToRefreshToken: function () {
+        this._isRefreshingToken = false;
+        this.set( 'isAuthenticated', false );
+        return this.fire( 'tokenRefreshFailed' );
+    },
+
+    /**
+        Method: JMAP.auth#logout
+
+        Logs the user out. The access token is revoked on the server (with
+        a DELETE to the authenticationUrl, and by the <#tokenProvider>, if it
+        has a `revoke` method), then everything belonging to the session is
+        torn down: each connection's requests and queues, the contents of
+        <JMAP.store>, any uploads, the endpoints, accounts and reconnection
+        timer. Finally, a "logout" event is fired on <JMAP.auth>, so the
+        models can clear their own state (indexes, undo stacks etc.). Another
+        user may then log in on the same page without seeing anything from
+        the first.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    logout: function () {
+        var accessToken = this.get( 'accessToken' ),
+            authenticationUrl = this.get( 'authenticationUrl' ),
+            tokenProvider = this.get( 'tokenProvider' ),
+            request = this._endPointsRequest,
+            sources = JMAP.source ? JMAP.source.get( 'sources' ) : [],
+            store = JMAP.store;
+
+        if ( accessToken && authenticationUrl ) {
+            new JMAP.HttpRequest({
+                timeout: 45000,
+                method: 'DELETE',
+                url: authenticationUrl,
+                headers: {
+                    'Authorization': accessToken
+                },
+                cleanup: function () {
+                    this.destroy();
+                }.on( 'io:end' )
+            }).send();
+        }
+        if ( tokenProvider && tokenProvider.revoke ) {
+            tokenProvider.revoke();
+        }
+
+        if ( request ) {
+            this._endPointsRequest = null;
+            request.abort();
+        }
+        this._isRefreshingToken = false;
+
+        O.RunLoop.cancel( this._timer );
+        this._timer = null;
+        this._timeToWait = 1;
+        this._failedConnections = [];
+        this._awaitingAuthentication = [];
+
+        this.beginPropertyChanges()
+            .set( 'isAuthenticated', false )
+            .set( 'isDisconnected', false )
+            .set( 'timeToReconnect', 0 )
+            .set( 'tokenProvider', null )
+            .set( 'username', '' )
+            .set( 'accessToken', '' )
+            .set( 'authenticationUrl', '' )
+            .set( 'sessionUrl', '' )
+            .set( 'apiUrl', '' )
+            .set( 'eventSourceUrl', '' )
+            .set( 'uploadUrl', '' )
+            .set( 'downloadUrl', '' )
+            .set( 'sessionState', '' )
+            .set( 'capabilities', {} )
+            .set( 'accounts', {} )
+            .set( 'primaryAccounts', {} )
+            .endPropertyChanges();
+
+        sources.forEach( function ( connection ) {
+            var transport = connection.get( 'transport' );
+            connection.reset();
+            if ( transport && transport.close ) {
+                transport.close();
+            }
+        });
+        if ( store ) {
+            store.reset();
+        }
+
+        return this.fire( 'logout' );
+    },
+
+    // ---
+
+    isDisconnected: false,
+    timeToReconnect: 0,
+
+    _awaitingAuthentication: [],
+    _failedConnections: [],
+
+    _timeToWait: 1,
+    _timer: null,
+
+    connectionWillSend: function ( connection ) {
+        var isAuthenticated = this.get( 'isAuthenticated' );
+        if ( isAuthenticated &&
+                !this._failedConnections.contains( connection ) ) {
+            return true;
+        }
+        if ( !isAuthenticated ) {
+            this._awaitingAuthentication.include( connection );
+        }
+        return false;
+    },
+
+    connectionFailed: function ( connection, timeToWait ) {
+        this._failedConnections.include( connection );
+        // If we're not already ticking down...
+        if ( !this.get( 'timeToReconnect' ) ) {
+            // Is this a reconnection attempt already? Exponentially back off.
+            timeToWait = this.get( 'isDisconnected' ) ?
+                Math.min( this._timeToWait * 2, 300 ) :
+                timeToWait || 1;
 
             this.set( 'isDisconnected', true )
                 .set( 'timeToReconnect', timeToWait + 1 );
@@ -221,1273 +1072,8539 @@ JMAP.auth = new O.Object({
 
 
 // -------------------------------------------------------------------------- \\
-// File: Connection.js                                                        \\
+// File: protocols.js                                                         \\
 // Module: API                                                                \\
-// Requires: Auth.js                                                          \\
-// Author: Neil Jenkins                                                       \\
-// License: © 2010-2014 FastMail Pty Ltd. MIT Licensed.                       \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, JMAP, console, alert */
+/*global O, JMAP */
 
 ( function ( JMAP ) {
 
-var delta = function ( update ) {
-    var records = update.records,
-        changes = update.changes,
-        i, l = records.length,
-        delta = new Array( l );
+/*
+    A protocol converts between the method calls and responses used
+    internally by <JMAP.Connection> (the original JMAP draft format: an array
+    of `[ name, args, tag ]` triples) and what is actually sent over the wire.
 
-    for ( i = 0; i < l; i += 1 ) {
-        delta[i] = Object.filter( records[i], changes[i] );
+    Each protocol is an object with a `supportsResultReferences` property
+    (see <JMAP.Connection#supportsResultReferences>) and two methods:
+
+    encodeRequest( remoteCalls, connection )
+        Returns the object to serialise as the body of the request.
+
+    decodeResponse( data, remoteCalls )
+        Takes the parsed response body and returns an array of
+        `[ name, args, tag ]` triples in the draft format, or null if the
+        data is not a valid response.
+*/
+
+var draft = {
+    supportsResultReferences: false,
+    encodeRequest: function ( remoteCalls ) {
+        return remoteCalls;
+    },
+    decodeResponse: function ( data ) {
+        return data instanceof Array ? data : null;
     }
-    return delta;
 };
 
-var toPrimaryKey = function ( primaryKey, record ) {
-    return record[ primaryKey ];
-};
+// --- RFC 8620/8621 ---
 
-var handleProps = {
-    precedence: 'commitPrecedence',
-    fetch: 'recordFetchers',
-    refresh: 'recordRefreshers',
-    commit: 'recordCommitters',
-    create: 'recordCreators',
-    update: 'recordUpdaters',
-    destroy: 'recordDestroyers',
-    query: 'queryFetchers'
+var CORE = 'urn:ietf:params:jmap:core';
+var MAIL = 'urn:ietf:params:jmap:mail';
+var CONTACTS = 'urn:ietf:params:jmap:contacts';
+var CALENDARS = 'urn:ietf:params:jmap:calendars';
+
+var KEYWORDS = {
+    isUnread: '$seen',
+    isFlagged: '$flagged',
+    isAnswered: '$answered',
+    isDraft: '$draft'
 };
 
-/**
-    Class: O.Connection
+var identity = function ( value ) {
+    return value;
+};
 
-    Extends: O.Source
+// Copies the named arguments, along with any result references for them.
+var copyArgs = function ( args, keys, newArgs ) {
+    keys.forEach( function ( key ) {
+        if ( args[ key ] !== undefined ) {
+            newArgs[ key ] = args[ key ];
+        }
+        if ( args[ '#' + key ] !== undefined ) {
+            newArgs[ '#' + key ] = args[ '#' + key ];
+        }
+    });
+    return newArgs;
+};
 
-    An Connection communicates with a server using a JSON protocol conformant
-    with the [JMAP](http://jmap.io) standard, allowing multiple fetches and
-    commits to be batched into a single HTTP request for efficiency, with
-    requests for the same type of object grouped together.
+var toMap = function ( array ) {
+    var map = {},
+        i, l;
+    for ( i = 0, l = array ? array.length : 0; i < l; i += 1 ) {
+        map[ array[i] ] = true;
+    }
+    return map;
+};
 
-    A request consists of a JSON array, with each element in the array being
-    itself an array of three elements, the first a method name, the second an
-    object consisting of named arguments, and the third a tag used to associate
-    the request with the response:
+// --- Mailbox ---
 
-        [
-            [ 'method', {
-                arg1: 'foo',
-                arg2: 'bar'
-            }, '#1' ],
-            [ 'method2', {
-                foo: [ 'an', 'array' ],
-                bar: 42
-            }, '#2' ]
-        ]
+var mailboxRights = [
+    'mayReadItems', 'mayAddItems', 'mayRemoveItems',
+    'mayCreateChild', 'mayRename', 'mayDelete'
+];
 
-    The response is expected to be in the same format, with methods from
-    <O.Connection#response> available to the server to call.
-*/
-var Connection = O.Class({
+var mailboxProperties = {
+    totalMessages: 'totalEmails',
+    unreadMessages: 'unreadEmails'
+};
 
-    Extends: O.Source,
+var mailboxFromServer = function ( mailbox ) {
+    var myRights = mailbox.myRights;
+    if ( 'totalEmails' in mailbox ) {
+        mailbox.totalMessages = mailbox.totalEmails;
+        delete mailbox.totalEmails;
+    }
+    if ( 'unreadEmails' in mailbox ) {
+        mailbox.unreadMessages = mailbox.unreadEmails;
+        delete mailbox.unreadEmails;
+    }
+    if ( myRights ) {
+        mailboxRights.forEach( function ( right ) {
+            if ( right in myRights ) {
+                mailbox[ right ] = myRights[ right ];
+            }
+        });
+        delete mailbox.myRights;
+    }
+    return mailbox;
+};
 
-    /**
-        Constructor: O.Connection
+var mailboxPropertiesToServer = function ( properties ) {
+    var hasRights = false;
+    return properties.reduce( function ( result, property ) {
+        if ( mailboxRights.indexOf( property ) > -1 ) {
+            if ( !hasRights ) {
+                hasRights = true;
+                result.push( 'myRights' );
+            }
+        } else {
+            result.push( mailboxProperties[ property ] || property );
+        }
+        return result;
+    }, [] );
+};
 
-        Parameters:
-            mixin - {Object} (optional) Any properties in this object will be
-                    added to the new O.Object instance before initialisation (so
-                    you can pass it getter/setter functions or observing
-                    methods). If you don't specify this, your source isn't going
-                    to do much!
-    */
-    init: function ( mixin ) {
-        // List of method/args queued for sending in the next request.
-        this._sendQueue = [];
-        // List of callback functions to be executed after the next request.
-        this._callbackQueue = [];
+// --- Email ---
 
-        // Map of id -> RemoteQuery for all queries to be fetched.
-        this._queriesToFetch = {};
-        // Map of guid( Type ) -> state
-        this._typesToRefresh = {};
-        // Map of guid( Type ) -> Id -> true
-        this._recordsToRefresh = {};
-        // Map of guid( Type ) -> null
-        this._typesToFetch = {};
-        // Map of guid( Type ) -> Id -> true
-        this._recordsToFetch = {};
+var emailPropertiesToServer = function ( properties ) {
+    var result = [],
+        add = function ( property ) {
+            if ( result.indexOf( property ) < 0 ) {
+                result.push( property );
+            }
+        };
+    properties.forEach( function ( property ) {
+        var headerName = /^headers\.(.*)$/.exec( property );
+        if ( KEYWORDS[ property ] ) {
+            add( 'keywords' );
+        } else if ( headerName ) {
+            add( 'header:' + headerName[1] + ':asText' );
+        } else if ( property === 'date' ) {
+            add( 'receivedAt' );
+        } else if ( property === 'body' ) {
+            add( 'textBody' );
+            add( 'htmlBody' );
+            add( 'bodyValues' );
+        } else if ( property !== 'inReplyToMessageId' &&
+                property !== 'attachedMessages' &&
+                property !== 'attachedInvites' ) {
+            add( property );
+        }
+    });
+    return result;
+};
 
-        this._inFlightRemoteCalls = null;
-        this._inFlightCallbacks = null;
+var getBodyValue = function ( parts, bodyValues ) {
+    return parts.map( function ( part ) {
+        var value = bodyValues[ part.partId ];
+        return value ? value.value : '';
+    }).join( '' );
+};
+
+var emailFromServer = function ( email ) {
+    var keywords = email.keywords,
+        bodyValues = email.bodyValues,
+        property, headerName, headers;
+    if ( keywords ) {
+        for ( property in KEYWORDS ) {
+            email[ property ] = !!keywords[ KEYWORDS[ property ] ];
+        }
+        email.isUnread = !email.isUnread;
+        delete email.keywords;
+    }
+    if ( email.mailboxIds && !( email.mailboxIds instanceof Array ) ) {
+        email.mailboxIds = Object.keys( email.mailboxIds );
+    }
+    if ( 'receivedAt' in email ) {
+        email.date = email.receivedAt;
+        delete email.receivedAt;
+    }
+    if ( email.from !== undefined ) {
+        email.from = email.from && email.from[0] || null;
+    }
+    if ( email.replyTo !== undefined ) {
+        email.replyTo = email.replyTo && email.replyTo[0] || null;
+    }
+    if ( bodyValues ) {
+        email.textBody = getBodyValue( email.textBody || [], bodyValues );
+        email.htmlBody = getBodyValue( email.htmlBody || [], bodyValues );
+        delete email.bodyValues;
+    }
+    for ( property in email ) {
+        headerName = /^header:(.*):asText$/.exec( property );
+        if ( headerName ) {
+            headers = email.headers || ( email.headers = {} );
+            headers[ headerName[1] ] = email[ property ];
+            delete email[ property ];
+        }
+    }
+    return email;
+};
+
+var emailToServer = function ( email ) {
+    var result = {},
+        keywords = null,
+        property, value;
+    for ( property in email ) {
+        value = email[ property ];
+        if ( KEYWORDS[ property ] ) {
+            if ( !keywords ) {
+                keywords = result.keywords = {};
+            }
+            if ( property === 'isUnread' ? !value : value ) {
+                keywords[ KEYWORDS[ property ] ] = true;
+            }
+        } else if ( property === 'mailboxIds' ) {
+            result.mailboxIds = toMap( value );
+        } else if ( property === 'date' ) {
+            result.receivedAt = value;
+        } else if ( property === 'from' || property === 'replyTo' ) {
+            result[ property ] = value ? [ value ] : null;
+        } else if ( property === 'textBody' || property === 'htmlBody' ) {
+            if ( value ) {
+                result.bodyValues = result.bodyValues || {};
+                result.bodyValues[ property ] = { value: value };
+                result[ property ] = [{
+                    partId: property,
+                    type: property === 'textBody' ? 'text/plain' : 'text/html'
+                }];
+            }
+        } else if ( property !== 'inReplyToMessageId' &&
+                property !== 'headers' && property !== 'id' ) {
+            result[ property ] = value;
+        }
+    }
+    return result;
+};
+
+var emailPatchToServer = function ( email ) {
+    var result = {},
+        property, value;
+    for ( property in email ) {
+        value = email[ property ];
+        if ( KEYWORDS[ property ] ) {
+            result[ 'keywords/' + KEYWORDS[ property ] ] =
+                ( property === 'isUnread' ? !value : value ) || null;
+        } else if ( property === 'mailboxIds' ) {
+            result.mailboxIds = toMap( value );
+        } else if ( property !== 'id' ) {
+            O.extend( result,
+                emailToServer( Object.zip( [ property ], [ value ] ) ) );
+        }
+    }
+    return result;
+};
+
+var conditionToServer = function ( filter ) {
+    var result, property, value, mailboxIds;
+    if ( filter.operator ) {
+        return {
+            operator: filter.operator,
+            conditions: filter.conditions.map( conditionToServer )
+        };
+    }
+    result = {};
+    for ( property in filter ) {
+        value = filter[ property ];
+        if ( KEYWORDS[ property ] ) {
+            result[ ( property === 'isUnread' ? !value : value ) ?
+                'hasKeyword' : 'notKeyword' ] = KEYWORDS[ property ];
+        } else if ( property === 'inMailboxes' ) {
+            mailboxIds = value;
+        } else if ( property === 'notInMailboxes' ) {
+            result.inMailboxOtherThan = value;
+        } else {
+            result[ property ] = value;
+        }
+    }
+    if ( mailboxIds ) {
+        if ( mailboxIds.length === 1 ) {
+            result.inMailbox = mailboxIds[0];
+        } else {
+            return {
+                operator: 'AND',
+                conditions: [ result, {
+                    operator: 'OR',
+                    conditions: mailboxIds.map( function ( id ) {
+                        return { inMailbox: id };
+                    })
+                }]
+            };
+        }
+    }
+    return result;
+};
+
+var sortToServer = function ( sort ) {
+    return sort && sort.map( function ( item ) {
+        var parts = item.split( ' ' ),
+            property = parts[0],
+            isAscending = parts[1] === 'asc',
+            comparator = {};
+        if ( KEYWORDS[ property ] ) {
+            comparator.property = 'hasKeyword';
+            comparator.keyword = KEYWORDS[ property ];
+            if ( property === 'isUnread' ) {
+                isAscending = !isAscending;
+            }
+        } else {
+            comparator.property = property === 'date' ? 'receivedAt' : property;
+        }
+        comparator.isAscending = isAscending;
+        return comparator;
+    });
+};
+
+// --- Thread ---
+
+var threadFromServer = function ( thread ) {
+    if ( thread.emailIds ) {
+        thread.messageIds = thread.emailIds;
+        delete thread.emailIds;
+    }
+    return thread;
+};
+
+// --- Types ---
+
+/*
+    Map of RFC type name to an object with the draft method and response
+    names for the type, its capability and the functions to translate its
+    records and property lists. See <addType>.
+*/
+var types = {};
+
+var getRecords = function ( type, args ) {
+    args.list = args.list && args.list.map( type.fromServer );
+    return [ type.list, args ];
+};
+
+var getArgs = function ( type, args, accountId, properties ) {
+    var newArgs = copyArgs( args, [ 'ids' ], { accountId: accountId } );
+    if ( properties ) {
+        newArgs.properties = type.propertiesToServer( properties );
+        if ( newArgs.properties.indexOf( 'bodyValues' ) > -1 ) {
+            newArgs.properties.splice(
+                newArgs.properties.indexOf( 'bodyValues' ), 1 );
+            newArgs.fetchTextBodyValues = true;
+            newArgs.fetchHTMLBodyValues = true;
+        }
+    }
+    return newArgs;
+};
+
+var reference = function ( tag, name, path ) {
+    return {
+        resultOf: tag,
+        name: name,
+        path: path
+    };
+};
+
+var comparatorToServer = function ( item ) {
+    var parts = item.split( ' ' );
+    return {
+        property: parts[0],
+        isAscending: parts[1] === 'asc'
+    };
+};
+
+/*
+    Map of draft method name to an object with:
+
+    family - The capability needed to call this method.
+    encode - Takes the draft arguments, the tag and the account id, and
+             returns an array of RFC method calls.
+    decode - Takes the RFC responses with this tag and the draft arguments,
+             and returns an array of `[ name, args ]` draft responses.
+*/
+var methods = {};
+
+/*
+    Map of draft response names to RFC method names, used to translate
+    result references.
+*/
+var responseNames = {
+    searchSnippets: 'SearchSnippet/get'
+};
+
+/*
+    Map of draft response names to a map of the draft paths in that response
+    to the RFC paths, used to translate result references.
+*/
+var referencePaths = {
+    threads: {
+        '/list/*/messageIds': '/list/*/emailIds'
+    }
+};
+
+/*
+    Adds a type: its draft method and response names, its RFC type name,
+    the capability required and (optionally) functions to translate records
+    and property lists. The get, updates, set, list and list updates methods
+    for it are then translated.
+*/
+var addType = function ( name, plural, serverName, capability,
+        fromServer, toServer, patchToServer, propertiesToServer ) {
+    var camelPlural = plural.charAt( 0 ).toLowerCase() + plural.slice( 1 ),
+        camelName = name.charAt( 0 ).toLowerCase() + name.slice( 1 ),
+        type = types[ serverName ] = {
+            get: 'get' + plural,
+            list: camelPlural,
+            changes: 'get' + name + 'Updates',
+            updates: camelName + 'Updates',
+            set: 'set' + plural,
+            setResponse: camelPlural + 'Set',
+            query: 'get' + name + 'List',
+            queryResponse: camelName + 'List',
+            queryChanges: 'get' + name + 'ListUpdates',
+            queryUpdates: camelName + 'ListUpdates',
+            idProperty: camelName + 'Id',
+            upto: 'upto' + name + 'Id',
+            fetchRecords: 'fetch' + plural,
+            fetchProperties: 'fetch' + name + 'Properties',
+            name: serverName,
+            capability: capability,
+            fromServer: fromServer || identity,
+            toServer: toServer || identity,
+            patchToServer: patchToServer || identity,
+            propertiesToServer: propertiesToServer || identity
+        };
+
+    responseNames[ type.list ] = serverName + '/get';
+    responseNames[ type.updates ] = serverName + '/changes';
+    responseNames[ type.setResponse ] = serverName + '/set';
+    responseNames[ type.queryResponse ] = serverName + '/query';
+    responseNames[ type.queryUpdates ] = serverName + '/queryChanges';
+    referencePaths[ type.queryResponse ] = {};
+    referencePaths[ type.queryResponse ][ '/' + type.idProperty + 's' ] =
+        '/ids';
+
+    methods[ type.get ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            return [[ type.name + '/get',
+                getArgs( type, args, accountId, args.properties ), tag ]];
+        },
+        decode: function ( responses ) {
+            return [ getRecords( type, responses[0][1] ) ];
+        }
+    };
+
+    methods[ type.changes ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            var calls = [[ type.name + '/changes', {
+                accountId: accountId,
+                sinceState: args.sinceState,
+                maxChanges: args.maxChanges
+            }, tag ]];
+            if ( args.fetchRecords ) {
+                [ '/created', '/updated' ].forEach( function ( path ) {
+                    calls.push([ type.name + '/get', getArgs( type, {
+                        '#ids': reference( tag, type.name + '/changes', path )
+                    }, accountId, args.fetchRecordProperties ), tag ]);
+                });
+            }
+            return calls;
+        },
+        decode: function ( responses ) {
+            var args = responses[0][1];
+            return [[ type.updates, {
+                accountId: args.accountId,
+                oldState: args.oldState,
+                newState: args.newState,
+                hasMoreUpdates: args.hasMoreChanges,
+                changed: args.created.concat( args.updated ),
+                removed: args.destroyed
+            }]].concat( responses.slice( 1 ).map( function ( response ) {
+                return getRecords( type, response[1] );
+            }) );
+        }
+    };
+
+    methods[ type.set ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            var newArgs = {
+                    accountId: accountId
+                },
+                create = args.create,
+                update = args.update,
+                id;
+            if ( args.state ) {
+                newArgs.ifInState = args.state;
+            }
+            if ( create ) {
+                newArgs.create = {};
+                for ( id in create ) {
+                    newArgs.create[ id ] = type.toServer( create[ id ] );
+                }
+            }
+            if ( update ) {
+                newArgs.update = {};
+                for ( id in update ) {
+                    newArgs.update[ id ] = type.patchToServer( update[ id ] );
+                }
+            }
+            if ( args.destroy ) {
+                newArgs.destroy = args.destroy;
+            }
+            return [[ type.name + '/set', newArgs, tag ]];
+        },
+        decode: function ( responses ) {
+            var args = responses[0][1],
+                created = args.created,
+                id;
+            if ( created ) {
+                for ( id in created ) {
+                    created[ id ] = type.fromServer( created[ id ] );
+                }
+            }
+            args.updated = args.updated ? Object.keys( args.updated ) : [];
+            args.destroyed = args.destroyed || [];
+            return [[ type.setResponse, args ]];
+        }
+    };
+
+    methods[ type.query ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            var calls = [[ type.name + '/query', copyArgs( args, [
+                'position', 'anchor', 'anchorOffset', 'limit'
+            ], {
+                accountId: accountId,
+                filter: args.filter,
+                sort: args.sort && args.sort.map( comparatorToServer ),
+                calculateTotal: true
+            }), tag ]];
+            if ( args[ type.fetchRecords ] ) {
+                calls.push([ type.name + '/get', getArgs( type, {
+                    '#ids': reference( tag, type.name + '/query', '/ids' )
+                }, accountId, args[ type.fetchProperties ] ), tag ]);
+            }
+            return calls;
+        },
+        decode: function ( responses, reqArgs ) {
+            var args = responses[0][1],
+                list = {
+                    accountId: args.accountId,
+                    filter: reqArgs.filter,
+                    sort: reqArgs.sort,
+                    state: args.queryState,
+                    canCalculateUpdates: args.canCalculateChanges,
+                    position: args.position,
+                    total: args.total
+                };
+            list[ type.idProperty + 's' ] = args.ids;
+            return [[ type.queryResponse, list ]].concat(
+                responses.slice( 1 ).map( function ( response ) {
+                    return getRecords( type, response[1] );
+                })
+            );
+        }
+    };
+
+    methods[ type.queryChanges ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            return [[ type.name + '/queryChanges', {
+                accountId: accountId,
+                filter: args.filter,
+                sort: args.sort && args.sort.map( comparatorToServer ),
+                sinceQueryState: args.sinceState,
+                upToId: args[ type.upto ],
+                maxChanges: args.maxChanges,
+                calculateTotal: true
+            }, tag ]];
+        },
+        decode: function ( responses, reqArgs ) {
+            var args = responses[0][1],
+                idProperty = type.idProperty,
+                updates = {
+                    accountId: args.accountId,
+                    filter: reqArgs.filter,
+                    sort: reqArgs.sort,
+                    oldState: args.oldQueryState,
+                    newState: args.newQueryState,
+                    total: args.total,
+                    removed: args.removed.map( function ( id ) {
+                        var item = {};
+                        item[ idProperty ] = id;
+                        return item;
+                    }),
+                    added: args.added.map( function ( added ) {
+                        var item = {
+                            index: added.index
+                        };
+                        item[ idProperty ] = added.id;
+                        return item;
+                    })
+                };
+            updates[ type.upto ] = reqArgs[ type.upto ];
+            return [[ type.queryUpdates, updates ]];
+        }
+    };
+
+    return type;
+};
+
+[
+    [ 'Mailbox', 'Mailboxes', 'Mailbox', MAIL,
+        mailboxFromServer, identity, identity, mailboxPropertiesToServer ],
+    [ 'Message', 'Messages', 'Email', MAIL,
+        emailFromServer, emailToServer, emailPatchToServer,
+        emailPropertiesToServer ],
+    [ 'Thread', 'Threads', 'Thread', MAIL,
+        threadFromServer, identity, identity, identity ],
+    [ 'Contact', 'Contacts', 'Contact', CONTACTS ],
+    [ 'ContactGroup', 'ContactGroups', 'ContactGroup', CONTACTS ],
+    [ 'Calendar', 'Calendars', 'Calendar', CALENDARS ],
+    [ 'CalendarEvent', 'CalendarEvents', 'CalendarEvent', CALENDARS ]
+].forEach( function ( type ) {
+    addType.apply( null, type );
+});
+
+var getThreads = methods.getThreads;
+methods.getThreads = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        var calls = getThreads.encode( args, tag, accountId );
+        if ( args.fetchMessages ) {
+            calls.push([ 'Email/get', getArgs( types.Email, {
+                '#ids': reference( tag, 'Thread/get', '/list/*/emailIds' )
+            }, accountId, args.fetchMessageProperties ), tag ]);
+        }
+        return calls;
+    },
+    decode: function ( responses ) {
+        return [
+            getRecords( types.Thread, responses[0][1] )
+        ].concat( responses.slice( 1 ).map( function ( response ) {
+            return getRecords( types.Email, response[1] );
+        }) );
+    }
+};
+methods.getMessageList = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        var fetchMessages = args.fetchMessages,
+            calls = [[ 'Email/query', copyArgs( args, [
+                'position', 'anchor', 'anchorOffset', 'limit',
+                'collapseThreads'
+            ], {
+                accountId: accountId,
+                filter: args.filter && conditionToServer( args.filter ),
+                sort: sortToServer( args.sort ),
+                calculateTotal: true
+            }), tag ]];
+        // We always need the thread ids.
+        calls.push([ 'Email/get', getArgs( types.Email, {
+            '#ids': reference( tag, 'Email/query', '/ids' )
+        }, accountId, fetchMessages ?
+            [ 'threadId' ].concat( args.fetchMessageProperties || [] ) :
+            [ 'threadId' ]
+        ), tag ]);
+        if ( args.fetchThreads ) {
+            calls.push([ 'Thread/get', {
+                accountId: accountId,
+                '#ids': reference( tag, 'Email/get', '/list/*/threadId' )
+            }, tag ]);
+            if ( fetchMessages ) {
+                calls.push([ 'Email/get', getArgs( types.Email, {
+                    '#ids': reference( tag, 'Thread/get', '/list/*/emailIds' )
+                }, accountId, args.fetchMessageProperties ), tag ]);
+            }
+        }
+        return calls;
+    },
+    decode: function ( responses, reqArgs ) {
+        var query = responses[0][1],
+            emails = responses[1] ? responses[1][1].list : [],
+            threadIdFor = emails.reduce( function ( map, email ) {
+                map[ email.id ] = email.threadId;
+                return map;
+            }, {} ),
+            result = [[ 'messageList', {
+                accountId: query.accountId,
+                filter: reqArgs.filter,
+                sort: reqArgs.sort,
+                collapseThreads: reqArgs.collapseThreads,
+                state: query.queryState,
+                canCalculateUpdates: query.canCalculateChanges,
+                position: query.position,
+                total: query.total,
+                messageIds: query.ids,
+                threadIds: query.ids.map( function ( id ) {
+                    return threadIdFor[ id ];
+                })
+            }]];
+        if ( reqArgs.fetchMessages ) {
+            result.push( getRecords( types.Email, responses[1][1] ) );
+        }
+        responses.slice( 2 ).forEach( function ( response ) {
+            result.push( getRecords( types[ response[0].split( '/' )[0] ],
+                response[1] ) );
+        });
+        return result;
+    }
+};
+
+methods.getMessageListUpdates = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        return [[ 'Email/queryChanges', {
+            accountId: accountId,
+            filter: args.filter && conditionToServer( args.filter ),
+            sort: sortToServer( args.sort ),
+            collapseThreads: args.collapseThreads,
+            sinceQueryState: args.sinceState,
+            upToId: args.uptoMessageId,
+            maxChanges: args.maxChanges,
+            calculateTotal: true
+        }, tag ], [ 'Email/get', {
+            accountId: accountId,
+            '#ids': reference( tag, 'Email/queryChanges', '/added/*/id' ),
+            properties: [ 'threadId' ]
+        }, tag ]];
+    },
+    decode: function ( responses, reqArgs ) {
+        var args = responses[0][1],
+            emails = responses[1] ? responses[1][1].list : [],
+            threadIdFor = emails.reduce( function ( map, email ) {
+                map[ email.id ] = email.threadId;
+                return map;
+            }, {} );
+        return [[ 'messageListUpdates', {
+            accountId: args.accountId,
+            filter: reqArgs.filter,
+            sort: reqArgs.sort,
+            collapseThreads: reqArgs.collapseThreads,
+            oldState: args.oldQueryState,
+            newState: args.newQueryState,
+            uptoMessageId: reqArgs.uptoMessageId,
+            total: args.total,
+            removed: args.removed.map( function ( id ) {
+                return {
+                    messageId: id
+                };
+            }),
+            added: args.added.map( function ( item ) {
+                return {
+                    index: item.index,
+                    messageId: item.id,
+                    threadId: threadIdFor[ item.id ]
+                };
+            })
+        }]];
+    }
+};
+
+methods.getSearchSnippets = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        return [[ 'SearchSnippet/get', copyArgs( args, [], {
+            accountId: accountId,
+            filter: args.filter && conditionToServer( args.filter ),
+            emailIds: args.messageIds
+        }), tag ]];
+    },
+    decode: function ( responses, reqArgs ) {
+        var args = responses[0][1];
+        return [[ 'searchSnippets', {
+            accountId: args.accountId,
+            filter: reqArgs.filter,
+            collapseThreads: reqArgs.collapseThreads,
+            list: args.list.map( function ( snippet ) {
+                return {
+                    messageId: snippet.emailId,
+                    subject: snippet.subject,
+                    preview: snippet.preview,
+                    body: snippet.preview
+                };
+            })
+        }]];
+    }
+};
+
+var referenceToServer = function ( reference ) {
+    var name = reference.name,
+        paths = name && referencePaths[ name ];
+    return {
+        resultOf: reference.resultOf,
+        name: name && responseNames[ name ] || name,
+        path: paths && paths[ reference.path ] || reference.path
+    };
+};
+
+/*
+    A server only looks at the first response with the call id a result
+    reference names, so each RFC call made for a draft call needs its own
+    id: the draft tag for the first, and the tag plus ".1", ".2" etc. for
+    the rest. The responses are grouped back together by the draft tag.
+*/
+var getCallId = function ( tag, index ) {
+    return index ? tag + '.' + index : tag;
+};
+
+var getTag = function ( callId ) {
+    return callId.split( '.' )[0];
+};
+
+/*
+    Points a reference at the id of the call it is to, given a map of draft
+    tag to RFC method name to the id of the first call with that name made
+    for the draft call.
+*/
+var resolveReference = function ( reference, callIds ) {
+    var ids = callIds[ reference.resultOf ],
+        callId = ids && ids[ reference.name ];
+    if ( callId ) {
+        reference.resultOf = callId;
+    }
+    return reference;
+};
+
+var ERROR_FOR_FAMILY = {};
+ERROR_FOR_FAMILY[ MAIL ] = 'accountNoMail';
+ERROR_FOR_FAMILY[ CONTACTS ] = 'accountNoContacts';
+ERROR_FOR_FAMILY[ CALENDARS ] = 'accountNoCalendars';
+
+var rfc8620 = {
+
+    supportsResultReferences: true,
+
+    /*
+        Adds a record type, so its get, updates, set, list and list updates
+        methods are translated. Takes the draft type name (e.g. "Mailbox"),
+        its plural (e.g. "Mailboxes"), the RFC type name (e.g. "Mailbox"),
+        the capability required and (optionally) functions to translate
+        records from and to the server, patches to the server and property
+        lists to the server. Returns the type.
+    */
+    addType: addType,
+
+    encodeRequest: function ( remoteCalls, connection ) {
+        var using = [ CORE ],
+            methodCalls = [],
+            callIds = {},
+            defaultAccountId = connection.get( 'accountId' );
+        remoteCalls.forEach( function ( call ) {
+            var name = call[0],
+                args = call[1],
+                tag = call[2],
+                method = methods[ name ],
+                accountId = args.accountId || defaultAccountId,
+                ids = callIds[ tag ] = {},
+                calls, key;
+            if ( !method ) {
+                ids[ name ] = tag;
+                methodCalls.push( call );
+                return;
+            }
+            using.include( method.family );
+            calls = method.encode( args, tag, accountId );
+            // Translate any result references to other calls.
+            for ( key in args ) {
+                if ( key.charAt( 0 ) === '#' ) {
+                    calls[0][1][ key ] = referenceToServer( args[ key ] );
+                    delete calls[0][1][ key.slice( 1 ) ];
+                }
+            }
+            calls.forEach( function ( call, index ) {
+                call[2] = getCallId( tag, index );
+                if ( !ids[ call[0] ] ) {
+                    ids[ call[0] ] = call[2];
+                }
+            });
+            calls.forEach( function ( call ) {
+                var args = call[1],
+                    key;
+                if ( !args.accountId ) {
+                    delete args.accountId;
+                }
+                for ( key in args ) {
+                    if ( key.charAt( 0 ) === '#' ) {
+                        resolveReference( args[ key ], callIds );
+                    }
+                }
+            });
+            methodCalls.push.apply( methodCalls, calls );
+        });
+        return {
+            using: using,
+            methodCalls: methodCalls
+        };
+    },
+
+    decodeResponse: function ( data, remoteCalls ) {
+        var methodResponses = data && data.methodResponses,
+            responsesForTag = {},
+            result = [];
+        if ( !( methodResponses instanceof Array ) ) {
+            return null;
+        }
+        methodResponses.forEach( function ( response ) {
+            var tag = getTag( response[2] );
+            ( responsesForTag[ tag ] ||
+                ( responsesForTag[ tag ] = [] ) ).push( response );
+        });
+        remoteCalls.forEach( function ( call ) {
+            var tag = call[2],
+                responses = responsesForTag[ tag ],
+                method = methods[ call[0] ],
+                error;
+            if ( !responses ) {
+                return;
+            }
+            error = responses.filter( function ( response ) {
+                return response[0] === 'error';
+            })[0];
+            if ( error ) {
+                if ( method &&
+                        error[1].type === 'accountNotSupportedByMethod' ) {
+                    error[1].type = ERROR_FOR_FAMILY[ method.family ] ||
+                        error[1].type;
+                }
+                result.push([ 'error', error[1], tag ]);
+            } else if ( method ) {
+                method.decode( responses, call[1] ).forEach(
+                function ( response ) {
+                    result.push([ response[0], response[1], tag ]);
+                });
+            } else {
+                result.push.apply( result, responses );
+            }
+        });
+        return result;
+    }
+};
+
+JMAP.protocols = {
+    draft: draft,
+    rfc8620: rfc8620
+};
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: transports.js                                                        \\
+// Module: API                                                                \\
+// Requires: Auth.js, errors.js, protocols.js                                 \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, WebSocket */
+
+( function ( JMAP ) {
+
+/*
+    A transport sends the requests for a <JMAP.Connection> to the server. It
+    must implement one method:
+
+    send( connection, remoteCalls )
+        Sends a request with the given method calls (in the draft format;
+        see <JMAP.protocols>) and returns an object representing the
+        request in flight, with an `abort` and a `destroy` method. Events
+        must then be fired on that object, and passed on to the connection
+        (e.g. by making the connection its `nextEventTarget`): first either
+        "io:success", with the response body as the `data` property, or
+        "io:failure" or "io:abort", with the HTTP `status` (or 0 if the
+        server could not be reached), then "io:end".
+*/
+
+/**
+    Class: JMAP.HttpTransport
+
+    The default transport, which POSTs each request to the apiUrl.
+*/
+var HttpTransport = O.Class({
+
+    Extends: O.Object,
+
+    send: function ( connection, remoteCalls ) {
+        return new JMAP.HttpRequest({
+            nextEventTarget: connection,
+            timeout: connection.get( 'timeout' ),
+            method: 'POST',
+            url: JMAP.auth.get( 'apiUrl' ),
+            headers: connection.get( 'headers' ),
+            data: connection.encodeRequest( remoteCalls )
+        }).send();
+    }
+});
+
+// ---
+
+var WEBSOCKET = 'urn:ietf:params:jmap:websocket';
+
+var OPEN = 1;
+
+/*
+    A request sent over a WebSocket, waiting for its response.
+*/
+var WebSocketRequest = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( transport, connection, id ) {
+        this.transport = transport;
+        this.nextEventTarget = connection;
+        this.id = id;
+        this._timer = null;
+        WebSocketRequest.parent.init.call( this );
+    },
+
+    abort: function () {
+        this.transport.didFinish( this, 'io:abort', {
+            status: 0
+        });
+    }
+});
+
+/**
+    Class: JMAP.WebSocketTransport
+
+    Sends requests over a WebSocket, as defined in RFC 8887, so there is no
+    per-request HTTP overhead. Requests are multiplexed over the one socket
+    by id, so the same transport may be shared by all the connections; it
+    opens the socket when there is something to send, and queues requests
+    until it is open. This only works with servers using the 'rfc8620'
+    protocol.
+
+    If the server supports it, push is also enabled on the socket, and
+    state changes are passed to <JMAP.push>. You will probably then want to
+    set `JMAP.push.isEnabled` to false, so an EventSource is not opened as
+    well.
+
+    Browsers do not allow headers to be set on the request that opens a
+    WebSocket, so the server must authenticate it some other way, such as
+    with a cookie.
+*/
+var WebSocketTransport = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.WebSocketTransport#url
+        Type: String
+
+        The URL of the WebSocket. Defaults to the one given in the
+        websocket capability in the session.
+    */
+    url: function () {
+        var capability = JMAP.auth.get( 'capabilities' )[ WEBSOCKET ];
+        return capability && capability.url || '';
+    }.property().nocache(),
+
+    /**
+        Property: JMAP.WebSocketTransport#enablePush
+        Type: Boolean
+        Default: true
+
+        Whether to ask the server to push state changes over the socket, if
+        it supports this.
+    */
+    enablePush: true,
+
+    init: function ( mixin ) {
+        this._socket = null;
+        // Map of request id -> WebSocketRequest waiting for a response.
+        this._requests = {};
+        // Messages waiting for the socket to open.
+        this._queue = [];
+        this._nextId = 1;
+        WebSocketTransport.parent.init.call( this, mixin );
+    },
+
+    send: function ( connection, remoteCalls ) {
+        var id = 'r' + this._nextId++,
+            request = new WebSocketRequest( this, connection, id ),
+            timeout = connection.get( 'timeout' ),
+            message = JSON.stringify( O.extend({
+                '@type': 'Request',
+                id: id
+            }, JMAP.protocols[ connection.get( 'protocol' ) ]
+                .encodeRequest( remoteCalls, connection ) ),
+                null, connection.get( 'prettyPrint' ) ? 2 : 0 );
+
+        this._requests[ id ] = request;
+        if ( timeout ) {
+            request._timer = O.RunLoop.invokeAfterDelay( function () {
+                this.didFinish( request, 'io:failure', {
+                    status: 0
+                });
+            }, timeout, this );
+        }
+        this.sendMessage( message );
+        return request;
+    },
+
+    sendMessage: function ( message ) {
+        var socket = this.open();
+        if ( socket.readyState === OPEN ) {
+            socket.send( message );
+        } else {
+            this._queue.push( message );
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.WebSocketTransport#open
+
+        Opens the socket, if it is not already open or opening.
+
+        Returns:
+            {WebSocket} The socket.
+    */
+    open: function () {
+        var socket = this._socket,
+            transport = this;
+        if ( !socket ) {
+            socket = this._socket = new WebSocket( this.get( 'url' ), 'jmap' );
+            socket.onopen = function () {
+                O.RunLoop.invoke( transport.socketDidOpen, transport );
+            };
+            socket.onmessage = function ( event ) {
+                O.RunLoop.invoke( function () {
+                    transport.didReceiveMessage( event.data );
+                });
+            };
+            socket.onclose = function () {
+                O.RunLoop.invoke( function () {
+                    transport.socketDidClose( socket );
+                });
+            };
+        }
+        return socket;
+    },
+
+    /**
+        Method: JMAP.WebSocketTransport#close
+
+        Closes the socket. Any requests still waiting for a response fail,
+        so their connections will retry them.
+
+        Returns:
+            {JMAP.WebSocketTransport} Returns self.
+    */
+    close: function () {
+        var socket = this._socket;
+        if ( socket ) {
+            socket.close();
+            this.socketDidClose( socket );
+        }
+        return this;
+    },
+
+    // ---
+
+    socketDidOpen: function () {
+        var socket = this._socket,
+            capability = JMAP.auth.get( 'capabilities' )[ WEBSOCKET ];
+        if ( this.get( 'enablePush' ) && capability &&
+                capability.supportsPush ) {
+            socket.send( JSON.stringify({
+                '@type': 'WebSocketPushEnable',
+                dataTypes: null
+            }) );
+        }
+        this._queue.forEach( function ( message ) {
+            socket.send( message );
+        });
+        this._queue = [];
+    },
+
+    socketDidClose: function ( socket ) {
+        var requests = this._requests,
+            id;
+        if ( socket !== this._socket ) {
+            return;
+        }
+        this._socket = null;
+        this._queue = [];
+        for ( id in requests ) {
+            this.didFinish( requests[ id ], 'io:failure', {
+                status: 0
+            });
+        }
+    },
+
+    didReceiveMessage: function ( data ) {
+        var message, request;
+        try {
+            message = JSON.parse( data );
+        } catch ( error ) {}
+
+        if ( !message ) {
+            JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                description: 'WebSocket data from server is not JSON.',
+                data: data
+            }) );
+            return;
+        }
+        switch ( message[ '@type' ] ) {
+        case 'Response':
+            request = this._requests[ message.requestId ];
+            if ( request ) {
+                this.didFinish( request, 'io:success', {
+                    status: 200,
+                    data: message
+                });
+            }
+            break;
+        case 'RequestError':
+            request = this._requests[ message.requestId ];
+            if ( request ) {
+                this.didFinish( request, 'io:failure', {
+                    status: message.status || 400,
+                    data: message
+                });
+            }
+            break;
+        case 'StateChange':
+            if ( JMAP.push ) {
+                JMAP.push.didReceiveStateChange( message );
+            }
+            break;
+        }
+    },
+
+    didFinish: function ( request, type, event ) {
+        var id = request.id;
+        if ( this._requests[ id ] !== request ) {
+            return this;
+        }
+        delete this._requests[ id ];
+        if ( request._timer ) {
+            O.RunLoop.cancel( request._timer );
+        }
+        request.fire( type, event )
+               .fire( 'io:end' );
+        return this;
+    }
+});
+
+JMAP.HttpTransport = HttpTransport;
+JMAP.WebSocketTransport = WebSocketTransport;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: Connection.js                                                        \\
+// Module: API                                                                \\
+// Requires: Auth.js, errors.js, protocols.js, transports.js                  \\
+// Author: Neil Jenkins                                                       \\
+// License: © 2010-2014 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, Promise */
+
+( function ( JMAP ) {
+
+var delta = function ( update ) {
+    var records = update.records,
+        changes = update.changes,
+        i, l = records.length,
+        delta = new Array( l );
+
+    for ( i = 0; i < l; i += 1 ) {
+        delta[i] = Object.filter( records[i], changes[i] );
+    }
+    return delta;
+};
+
+var toPrimaryKey = function ( primaryKey, record ) {
+    return record[ primaryKey ];
+};
+
+var isResultReference = function ( value ) {
+    return !!value && typeof value === 'object' &&
+        typeof value.resultOf === 'string' && typeof value.path === 'string';
+};
+
+// Background calls are only given a tag when they are moved into the send
+// queue, so until then a result reference to one uses this prefix and its
+// index in the background queue instead.
+var BACKGROUND_TAG = 'background:';
+
+var resolveBackgroundTags = function ( args, tags ) {
+    var resolved = args,
+        key, value;
+    for ( key in args ) {
+        value = args[ key ];
+        if ( isResultReference( value ) &&
+                tags.hasOwnProperty( value.resultOf ) ) {
+            if ( resolved === args ) {
+                resolved = O.extend( {}, args );
+            }
+            resolved[ key ] = O.extend( O.extend( {}, value ), {
+                resultOf: tags[ value.resultOf ]
+            });
+        }
+    }
+    return resolved;
+};
+
+var hasResultReference = function ( call ) {
+    var args = call[1],
+        key;
+    for ( key in args ) {
+        if ( key.charAt( 0 ) === '#' ) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/*
+    Evaluates a JSON pointer (RFC 6901) against an object, with the JMAP
+    extension that a "*" path component maps over every item in an array
+    (flattening the result if the items are themselves arrays).
+*/
+var evaluatePointer = function ( value, parts, index ) {
+    var part, result;
+    if ( index === parts.length ) {
+        return value;
+    }
+    if ( !value || typeof value !== 'object' ) {
+        return undefined;
+    }
+    part = parts[ index ].replace( /~1/g, '/' ).replace( /~0/g, '~' );
+    if ( part === '*' && value instanceof Array ) {
+        result = [];
+        value.forEach( function ( item ) {
+            var itemValue = evaluatePointer( item, parts, index + 1 );
+            if ( itemValue instanceof Array ) {
+                result.push.apply( result, itemValue );
+            } else if ( itemValue !== undefined ) {
+                result.push( itemValue );
+            }
+        });
+        return result;
+    }
+    return value.hasOwnProperty( part ) ?
+        evaluatePointer( value[ part ], parts, index + 1 ) : undefined;
+};
+
+var resolveResultReference = function ( reference, responses ) {
+    var resultOf = reference.resultOf,
+        name = reference.name,
+        i, l, response;
+    for ( i = 0, l = responses.length; i < l; i += 1 ) {
+        response = responses[i];
+        if ( response[2] === resultOf && response[0] !== 'error' &&
+                ( !name || response[0] === name ) ) {
+            return evaluatePointer( response[1],
+                reference.path.split( '/' ), reference.path ? 1 : 0 );
+        }
+    }
+    return undefined;
+};
+
+/*
+    Finds the type registered on the connection whose fetch or commit handler
+    is the given method name, so a failed call can be matched to the records
+    it was for.
+*/
+var getTypeForMethod = function ( connection, method ) {
+    var types = connection.handledTypes,
+        l = types.length,
+        typeId;
+    while ( l-- ) {
+        typeId = O.guid( types[l] );
+        if ( connection.recordFetchers[ typeId ] === method ||
+                connection.recordCommitters[ typeId ] === method ) {
+            return types[l];
+        }
+    }
+    return null;
+};
+
+var CORE = 'urn:ietf:params:jmap:core';
+
+var chunk = function ( list, size ) {
+    var chunks = [],
+        i, l;
+    for ( i = 0, l = list.length; i < l; i += size ) {
+        chunks.push( list.slice( i, i + size ) );
+    }
+    return chunks;
+};
+
+/*
+    Splits the arguments for a set call into several, each with no more than
+    max creates, updates and destroys between them. Only the first keeps the
+    state, as the others will be applied after it has changed.
+*/
+var splitSet = function ( args, max ) {
+    var create = args.create || {},
+        update = args.update || {},
+        destroy = args.destroy || [],
+        items = [];
+    Object.keys( create ).forEach( function ( id ) {
+        items.push([ 'create', id ]);
+    });
+    Object.keys( update ).forEach( function ( id ) {
+        items.push([ 'update', id ]);
+    });
+    destroy.forEach( function ( id ) {
+        items.push([ 'destroy', id ]);
+    });
+    if ( items.length <= max ) {
+        return [ args ];
+    }
+    return chunk( items, max ).map( function ( items, i ) {
+        var chunkArgs = O.extend( O.extend( {}, args ), {
+            create: {},
+            update: {},
+            destroy: []
+        });
+        if ( i && 'state' in args ) {
+            chunkArgs.state = null;
+        }
+        items.forEach( function ( item ) {
+            var action = item[0],
+                id = item[1];
+            if ( action === 'destroy' ) {
+                chunkArgs.destroy.push( id );
+            } else {
+                chunkArgs[ action ][ id ] = args[ action ][ id ];
+            }
+        });
+        return chunkArgs;
+    });
+};
+
+/*
+    If any of the arguments for a method call are result references to a
+    call that was split into several, returns the arguments for a call to
+    make for each part, each referring to its matching part, so together they
+    cover every part. Otherwise, just returns the arguments.
+*/
+var splitOnReferences = function ( args, splitCalls ) {
+    var count = 0,
+        calls = [],
+        i, key, value, parts, callArgs;
+    for ( key in args ) {
+        value = args[ key ];
+        parts = isResultReference( value ) &&
+            splitCalls[ value.resultOf ];
+        if ( parts ) {
+            count = Math.max( count, parts.length );
+        }
+    }
+    if ( !count ) {
+        return [ args ];
+    }
+    for ( i = 0; i < count; i += 1 ) {
+        callArgs = O.extend( {}, args );
+        for ( key in args ) {
+            value = args[ key ];
+            parts = isResultReference( value ) &&
+                splitCalls[ value.resultOf ];
+            if ( parts ) {
+                callArgs[ key ] = O.extend( O.extend( {}, value ), {
+                    resultOf: parts[ Math.min( i, parts.length - 1 ) ]
+                });
+            }
+        }
+        calls.push( callArgs );
+    }
+    return calls;
+};
+
+/*
+    Returns a callback to pass to each of the calls a method call was split
+    into, which calls the original callback with all of their responses once
+    the last one has returned.
+*/
+var joinCallbacks = function ( name, args, count, callback ) {
+    var responses = [],
+        tag = null;
+    return function ( response, request ) {
+        responses.push.apply( responses, response );
+        if ( tag === null ) {
+            tag = request[2];
+        }
+        count -= 1;
+        if ( !count ) {
+            callback( responses, [ name, args, tag ] );
+        }
+    };
+};
+
+// The length in bytes of the string when encoded as UTF-8.
+var utf8Length = function ( string ) {
+    var length = string.length,
+        i, l, code;
+    for ( i = 0, l = length; i < l; i += 1 ) {
+        code = string.charCodeAt( i );
+        if ( code >= 0x80 ) {
+            // Each half of a surrogate pair makes 2 of the 4 bytes.
+            length += ( code < 0x800 || ( 0xd800 <= code && code < 0xe000 ) ) ?
+                1 : 2;
+        }
+    }
+    return length;
+};
+
+var mapTo = function ( ids, value ) {
+    return Object.zip( ids, ids.map( function () {
+        return value;
+    }) );
+};
+
+/*
+    Handler for an error that means the account can no longer be used (at
+    least for this connection's data). The accounts are refetched to find out
+    what changed, the failed call is rejected and, if the account has lost
+    access to the data, everything this connection fetched is thrown away.
+    Finally an event named after the error type is fired on the connection.
+*/
+var accountError = function ( isDataGone ) {
+    return function ( args, requestName, requestArgs ) {
+        var accountId = requestArgs.accountId || this.get( 'accountId' );
+        this.get( 'store' ).fetchAll( JMAP.Account, true );
+        this.rejectCall( args, requestName, requestArgs );
+        if ( isDataGone ) {
+            this.purgeData( accountId );
+        }
+        this.fire( args.type, {
+            accountId: accountId,
+            method: requestName,
+            error: args
+        });
+    };
+};
+
+var reportSetErrors = function ( connection, Type, action, errors ) {
+    var call = connection._processingCall,
+        id, error;
+    for ( id in errors ) {
+        error = errors[ id ];
+        JMAP.errors.report( new JMAP.RequestError( 'set', {
+            description: 'Could not ' + action + ' ' + id + ': ' +
+                error.type + ( error.description ?
+                    ' (' + error.description + ')' : '' ),
+            connection: connection,
+            request: connection._processingRemoteCalls,
+            method: call ? call[0] : '',
+            arguments: call ? call[1] : null,
+            error: error,
+            action: action,
+            Type: Type,
+            id: id
+        }) );
+    }
+};
+
+/*
+    Sets the commitError property on each record that failed to commit (or
+    clears it if errors is null), so the app can show what went wrong. Only
+    records with an error already set are cleared, so committing does not
+    make a record object for every record committed.
+*/
+var setCommitErrors = function ( connection, Type, storeKeys, errors ) {
+    var store = connection.get( 'store' ),
+        hasError = connection._hasCommitError;
+    storeKeys.forEach( function ( storeKey, i ) {
+        var error = errors && errors[i];
+        if ( error ) {
+            hasError[ storeKey ] = true;
+        } else if ( hasError[ storeKey ] ) {
+            delete hasError[ storeKey ];
+        } else {
+            return;
+        }
+        store.materialiseRecord( storeKey, Type )
+            .set( 'commitError', error ? {
+                type: error.type,
+                description: error.description || '',
+                properties: error.properties || []
+            } : null );
+    });
+};
+
+// Adds the accountId to the arguments for a method call, unless it is for the
+// default account.
+var withAccountId = function ( args, accountId ) {
+    if ( accountId ) {
+        args.accountId = accountId;
+    }
+    return args;
+};
+
+var withoutAccountId = function ( data ) {
+    if ( 'accountId' in data ) {
+        data = O.extend( {}, data );
+        delete data.accountId;
+    }
+    return data;
+};
+
+var getAccountQueue = function ( queue, typeId, accountId ) {
+    var accounts = queue[ typeId ] || ( queue[ typeId ] = {} );
+    return accounts[ accountId ] || ( accounts[ accountId ] = {} );
+};
+
+var handleProps = {
+    precedence: 'commitPrecedence',
+    fetch: 'recordFetchers',
+    refresh: 'recordRefreshers',
+    commit: 'recordCommitters',
+    create: 'recordCreators',
+    update: 'recordUpdaters',
+    destroy: 'recordDestroyers',
+    query: 'queryFetchers'
+};
+
+/**
+    Class: O.Connection
+
+    Extends: O.Source
+
+    An Connection communicates with a server using a JSON protocol conformant
+    with the [JMAP](http://jmap.io) standard, allowing multiple fetches and
+    commits to be batched into a single HTTP request for efficiency, with
+    requests for the same type of object grouped together.
+
+    A request consists of a JSON array, with each element in the array being
+    itself an array of three elements, the first a method name, the second an
+    object consisting of named arguments, and the third a tag used to associate
+    the request with the response:
+
+        [
+            [ 'method', {
+                arg1: 'foo',
+                arg2: 'bar'
+            }, '#1' ],
+            [ 'method2', {
+                foo: [ 'an', 'array' ],
+                bar: 42
+            }, '#2' ]
+        ]
+
+    The response is expected to be in the same format, with methods from
+    <O.Connection#response> available to the server to call.
+
+    A method call may use the result of an earlier call in the same request
+    by passing a result reference as an argument instead of a value. This is
+    an object with a `resultOf` property, the tag of the earlier call (see
+    <O.Connection#getPreviousMethodId>), a `path` property, a JSON pointer to
+    the value in that call's response, and optionally a `name` property, the
+    name of the response to use. For example:
+
+        connection.callMethod( 'getMessageList', {
+            filter: filter,
+            limit: 10
+        });
+        connection.callMethod( 'getMessages', {
+            ids: {
+                resultOf: connection.getPreviousMethodId(),
+                name: 'messageList',
+                path: '/messageIds'
+            }
+        });
+
+    These are sent to the server as `'#ids': { ... }`. If the server does not
+    support result references (see
+    <O.Connection#supportsResultReferences>), the request is split before
+    the first call with a reference, and the rest is sent in a follow-up
+    request once the references can be resolved by the client.
+
+    The connection also keeps within the limits the server advertises (see
+    <O.Connection#getLimit>). A get call with more ids than maxObjectsInGet,
+    or a set call with more creates, updates and destroys than
+    maxObjectsInSet, is split into several calls; a request with more calls
+    than maxCallsInRequest or bigger than maxSizeRequest is split into
+    several requests, sent one after the other. Either way, callbacks are
+    only called once all the parts have returned. A result reference to a
+    call that was split refers to all of its parts: the call using it is
+    split too, with one part for each.
+*/
+var Connection = O.Class({
+
+    Extends: O.Source,
+
+    /**
+        Constructor: O.Connection
+
+        Parameters:
+            mixin - {Object} (optional) Any properties in this object will be
+                    added to the new O.Object instance before initialisation (so
+                    you can pass it getter/setter functions or observing
+                    methods). If you don't specify this, your source isn't going
+                    to do much!
+    */
+    init: function ( mixin ) {
+        // List of method/args queued for sending in the next request.
+        this._sendQueue = [];
+        // List of callback functions to be executed after the next request.
+        this._callbackQueue = [];
+        // Map of tag -> tags of every part, for the last part of each call
+        // in the send queue that was split into several (see
+        // <O.Connection#splitCall>).
+        this._splitCalls = {};
+
+        // List of [ method, args, callbacks ] for background calls waiting
+        // to be added to a request.
+        this._backgroundQueue = [];
+        // List of callback functions to be executed after the background
+        // calls have been sent and returned.
+        this._backgroundCallbacks = [];
+        // True while the record refreshers are being called, so any method
+        // calls they make go in the background queue.
+        this._isBackground = false;
+        // The index in the background queue of the call most recently made,
+        // or -1 if it was not a background call.
+        this._previousBackgroundCall = -1;
+        // True while the fetchers are being called to make a request, so the
+        // calls they make do not count as user activity.
+        this._isFetching = false;
+        // The time of the last call made by the app or user interaction.
+        this._lastInteraction = 0;
+        this._backgroundTimer = null;
+
+        // Map of id -> RemoteQuery for all queries to be fetched.
+        this._queriesToFetch = {};
+        // In the following, the accountId is '' for the default account.
+        // Map of guid( Type ) -> accountId -> state
+        this._typesToRefresh = {};
+        // Map of guid( Type ) -> accountId -> Id -> true
+        this._recordsToRefresh = {};
+        // Map of guid( Type ) -> accountId -> null
+        this._typesToFetch = {};
+        // Map of guid( Type ) -> accountId -> Id -> true
+        this._recordsToFetch = {};
+
+        // The store keeps the type states for the default account. For any
+        // other account, this is a map of accountId -> guid( Type ) -> state
+        this._accountStates = {};
+        // Map of guid( Type ) -> Id -> accountId for records that are not in
+        // the default account.
+        this._accountIdForId = {};
+
+        // Map of guid( Type ) -> Id -> { committed, local } for records with
+        // an update in flight: the data they were changed from and to, so
+        // a stateMismatch can be resolved.
+        this._updatesInFlight = {};
+        // Map of set method name + ':' + accountId -> number of times in a
+        // row the call has been rebased after a stateMismatch.
+        this._rebaseAttempts = {};
+        // Map of store key -> true for records with their commitError set.
+        this._hasCommitError = {};
+
+        // The requests in flight. Each is an object with the `request`
+        // returned by the transport, the `remoteCalls` and `callbacks` in it,
+        // and `deferred`, a tuple of method calls and callbacks split off
+        // from the request, waiting for it to return so result references
+        // can be resolved (or null). If the request is being traced,
+        // `exchange` is the object the tracer returned for it.
+        this._inFlight = [];
+        // Requests that failed and are waiting to be sent again, in the same
+        // format.
+        this._toRetry = [];
 
         this.inFlightRequest = null;
 
-        Connection.parent.init.call( this, mixin );
+        // The request and method call whose response is being processed by
+        // <O.Connection#receive>, so errors can be reported against them.
+        this._processingRemoteCalls = null;
+        this._processingCall = null;
+
+        // Each connection has its own transport unless one is passed in.
+        this.transport = new JMAP.HttpTransport();
+
+        Connection.parent.init.call( this, mixin );
+    },
+
+    prettyPrint: false,
+
+    /**
+        Property: O.Connection#willRetry
+        Type: Boolean
+
+        If true, retry the request if the connection fails or times out.
+    */
+    willRetry: true,
+
+    /**
+        Property: O.Connection#timeout
+        Type: Number
+
+        Time in milliseconds at which to time out the request. Set to 0 for no
+        timeout.
+    */
+    timeout: 30000,
+
+    /**
+        Property: O.Connection#protocol
+        Type: String
+        Default: 'draft'
+
+        The name of the protocol in <JMAP.protocols> to use to talk to the
+        server: 'draft' for servers implementing the original JMAP draft, or
+        'rfc8620' for servers implementing RFC 8620/8621. The method calls
+        and response handlers always use the draft method names; the protocol
+        translates these as needed.
+    */
+    protocol: 'draft',
+
+    /**
+        Property: O.Connection#accountId
+        Type: (String|null)
+
+        The account to use for calls that do not specify one. Servers using
+        the 'rfc8620' protocol require an account id on every call.
+    */
+    accountId: null,
+
+    /**
+        Property: O.Connection#capability
+        Type: (String|null)
+
+        The capability URI of the data this connection handles. When the
+        session object is fetched, the connection's account id is set to the
+        primary account for this capability.
+    */
+    capability: null,
+
+    /**
+        Property: O.Connection#supportsResultReferences
+        Type: Boolean
+
+        If true, result references in method arguments are sent to the server
+        to resolve. If false, they are resolved by the client, which means
+        any calls using them are sent in a separate request after the calls
+        they reference have returned. Defaults to whether the protocol in use
+        supports them.
+    */
+    supportsResultReferences: function ( value ) {
+        if ( value !== undefined ) {
+            return value;
+        }
+        return JMAP.protocols[ this.get( 'protocol' ) ]
+            .supportsResultReferences;
+    }.property( 'protocol' ),
+
+    /**
+        Property: O.Connection#transport
+        Type: Object
+
+        The transport used to send requests to the server; see
+        transports.js for the interface this must implement. Defaults to a
+        new <JMAP.HttpTransport> for each connection, which POSTs each
+        request to the apiUrl. Set it to a <JMAP.WebSocketTransport> to use a
+        WebSocket instead.
+    */
+    transport: null,
+
+    /**
+        Property: O.Connection#maxConcurrentRequests
+        Type: Number
+        Default: 1
+
+        The maximum number of requests to have in flight at once. With more
+        than one, a slow request (such as a search) does not hold up other
+        calls queued after it, but the responses to requests may then be
+        processed in a different order to the one they were sent in.
+    */
+    maxConcurrentRequests: 1,
+
+    /**
+        Property: O.Connection#tracer
+        Type: (Object|null)
+
+        An object to tell about each request sent and its response, such as
+        a <JMAP.Tracer>; see Tracer.js for the interface this must
+        implement. Null (the default) to not trace requests.
+    */
+    tracer: null,
+
+    /**
+        Property: O.Connection#inFlightRequest
+        Type: (Object|null)
+
+        The request most recently sent that is still in flight, as returned
+        by the transport, or null if there are no requests in flight.
+    */
+    inFlightRequest: null,
+
+    /**
+        Method: O.Connection#didFinishRequest
+
+        Removes a request from the list of those in flight.
+
+        Parameters:
+            request - {Object} The request, as returned by the transport.
+
+        Returns:
+            {(Object|null)} The object tracking the request in flight, or
+            null if it was not found.
+    */
+    didFinishRequest: function ( request ) {
+        var inFlight = this._inFlight,
+            l = inFlight.length;
+        while ( l-- ) {
+            if ( inFlight[l].request === request ) {
+                return inFlight.splice( l, 1 )[0];
+            }
+        }
+        return null;
+    },
+
+    /**
+        Method: O.Connection#ioDidSucceed
+
+        Callback when the IO succeeds. Parses the JSON, decodes it according to
+        the protocol in use and passes it on to <O.Connection#receive>.
+
+        Parameters:
+            event - {IOEvent}
+    */
+    ioDidSucceed: function ( event ) {
+        var inFlight = this.didFinishRequest( event.target ),
+            data = event.data,
+            tracer = this.get( 'tracer' );
+        if ( !inFlight ) {
+            return;
+        }
+        if ( tracer && inFlight.exchange ) {
+            tracer.connectionDidReceive( inFlight.exchange, event );
+        }
+        // Parse data (unless the transport already has)
+        if ( typeof data === 'string' ) {
+            try {
+                data = JSON.parse( data );
+            } catch ( error ) {
+                data = null;
+            }
+        }
+
+        if ( data && data.sessionState ) {
+            JMAP.auth.sessionStateDidChange( data.sessionState );
+        }
+
+        // Check it's in the correct format
+        data = data && JMAP.protocols[ this.get( 'protocol' ) ]
+            .decodeResponse( data, inFlight.remoteCalls );
+        if ( !data ) {
+            JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                description: 'Data from server is not JSON.',
+                connection: this,
+                request: inFlight.remoteCalls,
+                status: event.status,
+                data: event.data
+            }) );
+            data = [];
+        }
+
+        JMAP.auth.connectionSucceeded( this );
+
+        this.receive( data, inFlight.callbacks, inFlight.remoteCalls,
+            inFlight.exchange );
+
+        if ( inFlight.deferred ) {
+            this.queueDeferredCalls( inFlight.deferred, data );
+        }
+    }.on( 'io:success' ),
+
+    /**
+        Method: O.Connection#ioDidFail
+
+        Callback when the IO fails. If the request will be retried, it is
+        sent again (before any new requests) once the connection is allowed
+        to send again; otherwise the callbacks for it are called.
+
+        Parameters:
+            event - {IOEvent}
+    */
+    ioDidFail: function ( event ) {
+        var inFlight = this.didFinishRequest( event.target ),
+            status = event.status,
+            serverFailed = ( 500 <= status && status < 600 ),
+            isAuthFailure = ( status === 401 || status === 403 ),
+            willRetry = isAuthFailure || status === 503 ||
+                ( !serverFailed && this.get( 'willRetry' ) ),
+            tracer = this.get( 'tracer' ),
+            deferred, remoteCalls, callbacks;
+        if ( !inFlight ) {
+            return;
+        }
+        if ( tracer && inFlight.exchange ) {
+            tracer.connectionDidReceive( inFlight.exchange, event );
+        }
+        deferred = inFlight.deferred;
+        JMAP.errors.report( new JMAP.RequestError(
+                status ? 'httpStatus' : 'transport', {
+            description: status ?
+                'Server responded with status ' + status + '.' :
+                'Could not connect to server.',
+            connection: this,
+            request: inFlight.remoteCalls,
+            status: status,
+            willRetry: willRetry
+        }) );
+        if ( willRetry ) {
+            this._toRetry.push( inFlight );
+        }
+        if ( isAuthFailure ) {
+            JMAP.auth.didLoseAuthentication()
+                     .connectionWillSend( this );
+        } else if ( !serverFailed && this.get( 'willRetry' ) ) {
+            JMAP.auth.connectionFailed( this );
+        } else if ( status === 503 ) {
+            JMAP.auth.connectionFailed( this, 30 );
+        } else {
+            remoteCalls = inFlight.remoteCalls;
+            callbacks = inFlight.callbacks;
+            // The deferred calls can never be resolved now.
+            if ( deferred ) {
+                remoteCalls = remoteCalls.concat( deferred[0] );
+                callbacks = callbacks.concat( deferred[1] );
+            }
+            this.receive( [], callbacks, remoteCalls );
+        }
+    }.on( 'io:failure', 'io:abort' ),
+
+    /**
+        Method: O.Connection#ioDidEnd
+
+        Callback when the IO ends.
+
+        Parameters:
+            event - {IOEvent}
+    */
+    ioDidEnd: function ( event ) {
+        var inFlight = this._inFlight;
+        // Send any waiting requests
+        this.set( 'inFlightRequest', inFlight.length ?
+                inFlight[ inFlight.length - 1 ].request : null )
+            .send();
+        // Destroy old HttpRequest object.
+        event.target.destroy();
+    }.on( 'io:end' ),
+
+    /**
+        Method: O.Connection#callMethod
+
+        Add a method call to be sent on the next request and trigger a request
+        to be sent at the end of the current run loop.
+
+        Any argument may be given as a result reference to an earlier call in
+        the same request; see the class description.
+
+        Parameters:
+            name     - {String} The name of the method to call.
+            args     - {Object} The arguments for the method.
+            callback - {Function} (optional) A callback to execute after the
+                       request completes successfully.
+    */
+    callMethod: function ( name, args, callback ) {
+        if ( this._isBackground ) {
+            return this.callMethodInBackground( name, args, callback );
+        }
+        if ( !this._isFetching ) {
+            this._lastInteraction = Date.now();
+        }
+        return this.queueMethod( name, args, callback );
+    },
+
+    /**
+        Method: O.Connection#callMethodAsync
+
+        As <O.Connection#callMethod>, but returns a promise rather than taking
+        a callback.
+
+        Parameters:
+            name - {String} The name of the method to call.
+            args - {Object} The arguments for the method.
+
+        Returns:
+            {Promise} A promise which resolves with the responses to the call
+            (an array of `[ name, args, tag ]` triples) once the request has
+            returned. It is rejected with a <JMAP.RequestError> if the server
+            returned an error for the call, or the request failed.
+    */
+    callMethodAsync: function ( name, args ) {
+        var connection = this;
+        return new Promise( function ( resolve, reject ) {
+            connection.callMethod( name, args, function ( responses ) {
+                var response = responses[0],
+                    error = response && response[0] === 'error' ?
+                        response[1] : null;
+                if ( !response ) {
+                    reject( new JMAP.RequestError( 'transport', {
+                        description: 'No response to ' + name + '.',
+                        connection: connection,
+                        method: name,
+                        arguments: args
+                    }) );
+                } else if ( error ) {
+                    reject( new JMAP.RequestError( 'method', {
+                        description: 'API call to ' + name + ' failed: ' +
+                            error.type + ( error.description ?
+                                ' (' + error.description + ')' : '' ),
+                        connection: connection,
+                        method: name,
+                        arguments: args,
+                        error: error
+                    }) );
+                } else {
+                    resolve( responses );
+                }
+            });
+        });
+    },
+
+    /**
+        Method: O.Connection#callMethodInBackground
+
+        Add a method call which the user is not waiting for, such as a
+        refresh. Background calls are only sent once there are no other calls
+        waiting to be sent and the user has not been active for
+        <O.Connection#backgroundDelay> ms. A call identical to one already
+        waiting is not added again; the callbacks for both are called when
+        it returns.
+
+        Calls made by the record refreshers (e.g. to fetch the updates for a
+        type) are always made in the background.
+
+        Parameters:
+            name     - {String} The name of the method to call.
+            args     - {Object} The arguments for the method.
+            callback - {Function} (optional) A callback to execute after the
+                       request completes successfully.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    callMethodInBackground: function ( name, args, callback ) {
+        var queue = this._backgroundQueue,
+            key = name + JSON.stringify( args || {} ),
+            l = queue.length,
+            call;
+        while ( l-- ) {
+            if ( queue[l][3] === key ) {
+                call = queue[l];
+                break;
+            }
+        }
+        if ( !call ) {
+            l = queue.length;
+            queue.push( call = [ name, args || {}, [], key ] );
+        }
+        if ( callback ) {
+            call[2].push( callback );
+        }
+        this._previousBackgroundCall = l;
+        this.send();
+        return this;
+    },
+
+    /**
+        Property: O.Connection#backgroundDelay
+        Type: Number
+        Default: 2000
+
+        The time in milliseconds since the last interactive call (or call to
+        <O.Connection#userDidInteract>) before background calls are sent.
+    */
+    backgroundDelay: 2000,
+
+    /**
+        Property: O.Connection#isUserActive
+        Type: Boolean
+
+        True if there has been an interactive call or user interaction in the
+        last <O.Connection#backgroundDelay> ms.
+    */
+    isUserActive: function () {
+        return Date.now() - this._lastInteraction <
+            this.get( 'backgroundDelay' );
+    }.property().nocache(),
+
+    /**
+        Method: O.Connection#userDidInteract
+
+        Call this when the user does something that doesn't make any calls
+        (e.g. scrolling), to hold back background calls a little longer.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    userDidInteract: function () {
+        this._lastInteraction = Date.now();
+        return this;
+    },
+
+    /**
+        Method: O.Connection#queueBackgroundCalls
+
+        Moves any background calls into the send queue if the user is not
+        active and there is nothing else to send; otherwise, makes sure the
+        connection will check again later.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    queueBackgroundCalls: function () {
+        var queue = this._backgroundQueue,
+            callbacks = this._backgroundCallbacks,
+            tags = {},
+            delay;
+        if ( !queue.length && !callbacks.length ) {
+            return this;
+        }
+        if ( !this._sendQueue.length && !this.get( 'isUserActive' ) ) {
+            this._backgroundQueue = [];
+            this._backgroundCallbacks = [];
+            queue.forEach( function ( call, i ) {
+                var callbacks = call[2];
+                this.queueMethod( call[0],
+                    resolveBackgroundTags( call[1], tags ), callbacks.length ?
+                    function ( response, request ) {
+                        callbacks.forEach( function ( callback ) {
+                            callback( response, request );
+                        });
+                    } : null );
+                // After queueing, as it may have been split.
+                tags[ BACKGROUND_TAG + i ] = this.getPreviousMethodId();
+            }, this );
+            callbacks.forEach( function ( callback ) {
+                this._callbackQueue.push([ '', callback ]);
+            }, this );
+        } else if ( !this._backgroundTimer ) {
+            delay = this._lastInteraction + this.get( 'backgroundDelay' ) -
+                Date.now();
+            this._backgroundTimer = O.RunLoop.invokeAfterDelay( function () {
+                this._backgroundTimer = null;
+                this.send();
+            }, Math.max( delay, 0 ), this );
+        }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#queueMethod
+
+        Adds a method call to the send queue, splitting it if necessary (see
+        <O.Connection#splitCall>). A call with a result reference to a call
+        that was split is split the same way, each part referring to the
+        matching part, so the references cover every part. This is called by
+        <O.Connection#callMethod> for interactive calls, and for background
+        calls when it is their turn to be sent.
+
+        Parameters:
+            name     - {String} The name of the method to call.
+            args     - {Object} The arguments for the method.
+            callback - {Function} (optional) A callback to execute after the
+                       request completes successfully.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    queueMethod: function ( name, args, callback ) {
+        var id = this._sendQueue.length + '',
+            calls, tags, key, value;
+        this._previousBackgroundCall = -1;
+        args = args || {};
+        calls = splitOnReferences( args, this._splitCalls );
+        if ( calls.length === 1 ) {
+            calls = this.splitCall( name, args );
+        }
+        if ( calls.length > 1 ) {
+            callback = callback &&
+                joinCallbacks( name, args, calls.length, callback );
+            tags = calls.map( function ( args ) {
+                this.queueMethod( name, args, callback );
+                return this.getPreviousMethodId();
+            }, this );
+            // A reference to the last part is to all of them.
+            this._splitCalls[ tags[ tags.length - 1 ] ] = tags;
+            return this;
+        }
+        for ( key in args ) {
+            value = args[ key ];
+            if ( key.charAt( 0 ) !== '#' && isResultReference( value ) ) {
+                args = O.clone( args );
+                for ( key in args ) {
+                    value = args[ key ];
+                    if ( key.charAt( 0 ) !== '#' &&
+                            isResultReference( value ) ) {
+                        delete args[ key ];
+                        args[ '#' + key ] = value;
+                    }
+                }
+                break;
+            }
+        }
+        this._sendQueue.push([ name, args, id ]);
+        if ( callback ) {
+            this._callbackQueue.push([ id, callback ]);
+        }
+        this.send();
+        return this;
+    },
+
+    /**
+        Method: O.Connection#splitCall
+
+        Splits the arguments for a method call into several calls if there
+        are more objects in it than the server allows: get calls with more
+        ids than maxObjectsInGet, and set calls with more creates, updates
+        and destroys than maxObjectsInSet.
+
+        Parameters:
+            name - {String} The name of the method to call.
+            args - {Object} The arguments for the method.
+
+        Returns:
+            {Object[]} The arguments for each call to make.
+    */
+    splitCall: function ( name, args ) {
+        var ids = args.ids,
+            max;
+        if ( /^get/.test( name ) && ids instanceof Array ) {
+            max = this.getLimit( 'maxObjectsInGet', args.accountId );
+            if ( max && ids.length > max ) {
+                return chunk( ids, max ).map( function ( ids ) {
+                    return O.extend( O.extend( {}, args ), {
+                        ids: ids
+                    });
+                });
+            }
+        } else if ( /^set/.test( name ) ) {
+            max = this.getLimit( 'maxObjectsInSet', args.accountId );
+            if ( max ) {
+                return splitSet( args, max );
+            }
+        }
+        return [ args ];
+    },
+
+    /**
+        Method: O.Connection#getLimit
+
+        Gets one of the limits the server places on requests, e.g.
+        "maxObjectsInGet". The capabilities of the account for this
+        connection's capability are checked first, then the core capability
+        in the session.
+
+        Parameters:
+            name      - {String} The name of the limit.
+            accountId - {String} (optional) The account the call is for.
+                        Defaults to the connection's account.
+
+        Returns:
+            {Number} The limit, or 0 if the server does not set one.
+    */
+    getLimit: function ( name, accountId ) {
+        var auth = JMAP.auth,
+            account = auth.get( 'accounts' )[
+                accountId || this.get( 'accountId' ) ],
+            capabilities = account && account.accountCapabilities &&
+                account.accountCapabilities[ this.get( 'capability' ) ],
+            limit = capabilities && capabilities[ name ];
+        if ( !limit ) {
+            capabilities = auth.get( 'capabilities' )[ CORE ];
+            limit = capabilities && capabilities[ name ];
+        }
+        return limit || 0;
+    },
+
+    /**
+        Method: O.Connection#getPreviousMethodId
+
+        Returns:
+            {String} The tag of the method call most recently made, for use
+            in a result reference. If it was a background call (see
+            <O.Connection#callMethodInBackground>), this is a placeholder
+            replaced with its tag once it is sent, so it may only be used by
+            another background call. If the call was split into several, a
+            reference to this tag is to all of them (see
+            <O.Connection#queueMethod>).
+    */
+    getPreviousMethodId: function () {
+        var index = this._previousBackgroundCall;
+        return index > -1 ?
+            BACKGROUND_TAG + index :
+            ( this._sendQueue.length - 1 ) + '';
+    },
+
+    addCallback: function ( callback ) {
+        this._callbackQueue.push([ '', callback ]);
+        return this;
+    },
+
+    hasRequests: function () {
+        var id;
+        if ( this._inFlight.length || this._toRetry.length ||
+                this._sendQueue.length || this._backgroundQueue.length ) {
+            return true;
+        }
+        for ( id in this._queriesToFetch ) {
+            return true;
+        }
+        for ( id in this._recordsToFetch ) {
+            return true;
+        }
+        for ( id in this._recordsToRefresh ) {
+            return true;
+        }
+        return false;
+    },
+
+    /**
+        Method: O.Connection#reset
+
+        Aborts any requests in flight and throws away everything queued,
+        along with the states and other data kept for each account, without
+        calling any callbacks. Used on logout, so nothing from one user's
+        session leaks into the next.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    reset: function () {
+        var inFlight = this._inFlight;
+        // Forget the requests first, so aborting them does not queue them
+        // to be retried or call their callbacks.
+        this._inFlight = [];
+        this._toRetry = [];
+        inFlight.forEach( function ( item ) {
+            item.request.abort();
+        });
+
+        if ( this._backgroundTimer ) {
+            O.RunLoop.cancel( this._backgroundTimer );
+            this._backgroundTimer = null;
+        }
+        this._sendQueue = [];
+        this._callbackQueue = [];
+        this._splitCalls = {};
+        this._backgroundQueue = [];
+        this._backgroundCallbacks = [];
+        this._lastInteraction = 0;
+        this._previousBackgroundCall = -1;
+
+        this._queriesToFetch = {};
+        this._typesToRefresh = {};
+        this._recordsToRefresh = {};
+        this._typesToFetch = {};
+        this._recordsToFetch = {};
+
+        this._accountStates = {};
+        this._accountIdForId = {};
+        this._updatesInFlight = {};
+        this._rebaseAttempts = {};
+        this._hasCommitError = {};
+
+        return this.set( 'inFlightRequest', null );
+    },
+
+    headers: function () {
+        return {
+            'Content-type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': JMAP.auth.get( 'accessToken' )
+        };
+    }.property().nocache(),
+
+    /**
+        Method: O.Connection#send
+
+        Send any queued method calls at the end of the current run loop.
+    */
+    send: function () {
+        var max = this.get( 'maxConcurrentRequests' ),
+            inFlight = this._inFlight,
+            toRetry = this._toRetry,
+            request, remoteCalls, split, deferred;
+
+        if ( inFlight.length >= max ||
+                !JMAP.auth.connectionWillSend( this ) ) {
+            return;
+        }
+
+        // Requests that failed go first.
+        while ( toRetry.length && inFlight.length < max ) {
+            this.sendRequest( toRetry.shift() );
+        }
+        if ( toRetry.length || inFlight.length >= max ) {
+            return;
+        }
+
+        request = this.makeRequest();
+        remoteCalls = request[0];
+        if ( !remoteCalls.length ) { return; }
+        deferred = request[2];
+        split = this.splitToFit( remoteCalls, request[1] );
+        if ( split && deferred ) {
+            deferred = [
+                split[0].concat( deferred[0] ),
+                split[1].concat( deferred[1] )
+            ];
+        }
+        this.sendRequest({
+            request: null,
+            remoteCalls: remoteCalls,
+            callbacks: request[1],
+            deferred: deferred || split
+        });
+    }.queue( 'after' ),
+
+    /**
+        Method: O.Connection#sendRequest
+
+        Sends a request using the transport and adds it to the list of
+        requests in flight.
+
+        Parameters:
+            inFlight - {Object} The object to track the request with: the
+                       `remoteCalls` to send, the `callbacks` to call when
+                       it returns and any `deferred` calls.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    sendRequest: function ( inFlight ) {
+        var tracer = this.get( 'tracer' );
+        inFlight.exchange = tracer ?
+            tracer.connectionWillSend( this, inFlight.remoteCalls ) : null;
+        inFlight.request =
+            this.get( 'transport' ).send( this, inFlight.remoteCalls );
+        this._inFlight.push( inFlight );
+        return this.set( 'inFlightRequest', inFlight.request );
+    },
+
+    /**
+        Method: O.Connection#encodeRequest
+
+        Parameters:
+            remoteCalls - {Array} The method calls to send.
+
+        Returns:
+            {String} The body of the request to send to the server.
+    */
+    encodeRequest: function ( remoteCalls ) {
+        return JSON.stringify( JMAP.protocols[ this.get( 'protocol' ) ]
+                .encodeRequest( remoteCalls, this ),
+            null, this.get( 'prettyPrint' ) ? 2 : 0 );
+    },
+
+    /**
+        Method: O.Connection#receive
+
+        After completing a request, this method is called to process the
+        response returned by the server.
+
+        Parameters:
+            data        - {Array} The array of method calls to execute in
+                          response to the request.
+            callbacks   - {Array} The array of callbacks to execute after the
+                          data has been processed.
+            remoteCalls - {Array} The array of method calls that was executed on
+                          the server.
+            exchange    - {*} (optional) The object returned by the
+                          <O.Connection#tracer> for the request, if it is
+                          being traced.
+    */
+    receive: function ( data, callbacks, remoteCalls, exchange ) {
+        var handlers = this.response,
+            tracer = exchange ? this.get( 'tracer' ) : null,
+            i, l, response, handler, start,
+            remoteCallsLength,
+            tuple, id, callback, request;
+        this._processingRemoteCalls = remoteCalls;
+        for ( i = 0, l = data.length; i < l; i += 1 ) {
+            response = data[i];
+            handler = handlers[ response[0] ];
+            if ( handler ) {
+                id = response[2];
+                request = remoteCalls[+id];
+                this._processingCall = request;
+                start = tracer ? Date.now() : 0;
+                try {
+                    // If we didn't know the account id, we've now found out
+                    // which account the server uses by default.
+                    if ( !this.get( 'accountId' ) && response[1].accountId &&
+                            !request[1].accountId ) {
+                        this.set( 'accountId', response[1].accountId );
+                    }
+                    handler.call( this, response[1], request[0], request[1] );
+                } catch ( error ) {
+                    O.RunLoop.didError( error );
+                }
+                if ( tracer ) {
+                    tracer.connectionDidHandle(
+                        exchange, response, Date.now() - start );
+                }
+            }
+        }
+        this._processingRemoteCalls = this._processingCall = null;
+        // Invoke after bindings to ensure all data has propagated through.
+        if ( l = callbacks.length ) {
+            remoteCallsLength = remoteCalls.length;
+            for ( i = 0; i < l; i += 1 ) {
+                tuple = callbacks[i];
+                id = tuple[0];
+                callback = tuple[1];
+                if ( id ) {
+                    request = remoteCalls[+id];
+                    /* jshint ignore:start */
+                    response = data.filter( function ( call ) {
+                        return call[2] === id;
+                    });
+                    /* jshint ignore:end */
+                    callback = callback.bind( null, response, request );
+                }
+                O.RunLoop.queueFn( 'middle', callback );
+            }
+        }
+    },
+
+    /**
+        Method: O.Connection#makeRequest
+
+        This will make calls to O.Connection#(record|query)(Fetchers|Refreshers)
+        to add any final API calls to the send queue, then return a tuple of the
+        queue of method calls and the list of callbacks.
+
+        If the server does not support result references, the queue is split
+        before the first call using one. The method calls and callbacks from
+        that point on are returned as a tuple in the third element, to be sent
+        once the first part has returned.
+
+        Returns:
+            {Array} Tuple of method calls, callbacks and deferred calls.
+    */
+    makeRequest: function () {
+        var sendQueue = this._sendQueue,
+            callbacks = this._callbackQueue,
+            recordRefreshers = this.recordRefreshers,
+            recordFetchers = this.recordFetchers,
+            _queriesToFetch = this._queriesToFetch,
+            _typesToRefresh = this._typesToRefresh,
+            _recordsToRefresh = this._recordsToRefresh,
+            _typesToFetch = this._typesToFetch,
+            _recordsToFetch = this._recordsToFetch,
+            typeId, accountId, accounts, id, req, state, ids, handler;
+
+        // Calls made by the fetchers aren't user activity.
+        this._isFetching = true;
+
+        // Query Fetches
+        for ( id in _queriesToFetch ) {
+            req = _queriesToFetch[ id ];
+            handler = this.queryFetchers[ O.guid( req.constructor ) ];
+            if ( handler ) {
+                handler.call( this, req );
+            }
+        }
+
+        // Record Refreshers (in the background)
+        this._isBackground = true;
+        for ( typeId in _typesToRefresh ) {
+            handler = recordRefreshers[ typeId ];
+            accounts = _typesToRefresh[ typeId ];
+            for ( accountId in accounts ) {
+                state = accounts[ accountId ];
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId({
+                        sinceState: state
+                    }, accountId ) );
+                } else {
+                    handler.call( this, null, state, accountId || null );
+                }
+            }
+        }
+        for ( typeId in _recordsToRefresh ) {
+            handler = recordRefreshers[ typeId ];
+            accounts = _recordsToRefresh[ typeId ];
+            for ( accountId in accounts ) {
+                ids = Object.keys( accounts[ accountId ] );
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId({
+                        ids: ids
+                    }, accountId ) );
+                } else {
+                    handler.call( this, ids, undefined, accountId || null );
+                }
+            }
+        }
+        this._isBackground = false;
+
+        // Record fetches
+        for ( typeId in _typesToFetch ) {
+            handler = recordFetchers[ typeId ];
+            accounts = _typesToFetch[ typeId ];
+            for ( accountId in accounts ) {
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId( {}, accountId ) );
+                } else {
+                    handler.call( this, null, accountId || null );
+                }
+            }
+        }
+        for ( typeId in _recordsToFetch ) {
+            handler = recordFetchers[ typeId ];
+            accounts = _recordsToFetch[ typeId ];
+            for ( accountId in accounts ) {
+                ids = Object.keys( accounts[ accountId ] );
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId({
+                        ids: ids
+                    }, accountId ) );
+                } else {
+                    handler.call( this, ids, accountId || null );
+                }
+            }
+        }
+        this._isFetching = false;
+
+        this.queueBackgroundCalls();
+
+        // Any future requests will be added to a new queue.
+        this._sendQueue = [];
+        this._callbackQueue = [];
+        this._splitCalls = {};
+
+        this._queriesToFetch = {};
+        this._typesToRefresh = {};
+        this._recordsToRefresh = {};
+        this._typesToFetch = {};
+        this._recordsToFetch = {};
+
+        return [
+            sendQueue,
+            callbacks,
+            this.get( 'supportsResultReferences' ) ? null :
+                this.splitAtResultReference( sendQueue, callbacks )
+        ];
+    },
+
+    /**
+        Method: O.Connection#splitAtResultReference
+
+        Removes any method calls from the first one with a result reference
+        onwards from the given queue, along with their callbacks and any
+        callbacks that are not tied to a particular method call.
+
+        Parameters:
+            sendQueue - {Array} The method calls. This is modified.
+            callbacks - {Array} The callbacks. This is modified.
+
+        Returns:
+            {(Array|null)} A tuple of the method calls and callbacks removed,
+            or null if there were none.
+    */
+    splitAtResultReference: function ( sendQueue, callbacks ) {
+        var i, l;
+        for ( i = 1, l = sendQueue.length; i < l; i += 1 ) {
+            if ( hasResultReference( sendQueue[i] ) ) {
+                break;
+            }
+        }
+        return i < l ? this.splitQueue( sendQueue, callbacks, i ) : null;
+    },
+
+    /**
+        Method: O.Connection#splitToFit
+
+        If the method calls would make a request with more calls than the
+        server's maxCallsInRequest limit, or bigger than its maxSizeRequest
+        limit, removes as many from the end of the queue as needed to fit,
+        along with their callbacks and any callbacks that are not tied to a
+        particular method call. At least one call is always left.
+
+        Parameters:
+            sendQueue - {Array} The method calls. This is modified.
+            callbacks - {Array} The callbacks. This is modified.
+
+        Returns:
+            {(Array|null)} A tuple of the method calls and callbacks removed,
+            or null if there were none.
+    */
+    splitToFit: function ( sendQueue, callbacks ) {
+        var maxCalls = this.getLimit( 'maxCallsInRequest' ),
+            maxSize = this.getLimit( 'maxSizeRequest' ),
+            protocol = JMAP.protocols[ this.get( 'protocol' ) ],
+            connection = this,
+            fits = function ( length ) {
+                var calls = sendQueue.slice( 0, length ),
+                    encoded = protocol.encodeRequest( calls, connection );
+                return ( !maxCalls ||
+                    ( encoded.methodCalls || encoded ).length <= maxCalls ) &&
+                    ( !maxSize ||
+                        utf8Length( connection.encodeRequest( calls ) ) <=
+                            maxSize );
+            },
+            min = 1,
+            max = sendQueue.length - 1,
+            mid;
+        if ( ( !maxCalls && !maxSize ) || fits( sendQueue.length ) ) {
+            return null;
+        }
+        // Find the longest prefix of the queue that fits.
+        while ( min < max ) {
+            mid = Math.ceil( ( min + max ) / 2 );
+            if ( fits( mid ) ) {
+                min = mid;
+            } else {
+                max = mid - 1;
+            }
+        }
+        return this.splitQueue( sendQueue, callbacks, min );
+    },
+
+    /**
+        Method: O.Connection#splitQueue
+
+        Removes the method calls from the given index onwards from the queue,
+        along with their callbacks and any callbacks that are not tied to a
+        particular method call.
+
+        Parameters:
+            sendQueue - {Array} The method calls. This is modified.
+            callbacks - {Array} The callbacks. This is modified.
+            split     - {Number} The index of the first call to remove.
+
+        Returns:
+            {Array} A tuple of the method calls and callbacks removed.
+    */
+    splitQueue: function ( sendQueue, callbacks, split ) {
+        var deferredCallbacks = [],
+            i, l, tuple;
+        for ( i = 0, l = callbacks.length; i < l; i += 1 ) {
+            tuple = callbacks[i];
+            if ( !tuple[0] || +tuple[0] >= split ) {
+                deferredCallbacks.push( tuple );
+                callbacks.splice( i, 1 );
+                i -= 1;
+                l -= 1;
+            }
+        }
+        return [ sendQueue.splice( split ), deferredCallbacks ];
+    },
+
+    /**
+        Method: O.Connection#queueDeferredCalls
+
+        Resolves the result references in method calls previously split off
+        by <O.Connection#splitAtResultReference> or
+        <O.Connection#splitToFit> against the response to the request they
+        were split from, then adds them to the send queue. Any references to
+        other deferred calls are rewritten to their new tags.
+
+        Parameters:
+            deferred - {Array} Tuple of method calls and callbacks.
+            data     - {Array} The response to the first part of the request.
+    */
+    queueDeferredCalls: function ( deferred, data ) {
+        var calls = deferred[0],
+            callbacks = deferred[1],
+            sendQueue = this._sendQueue,
+            callbackQueue = this._callbackQueue,
+            resolved = [],
+            callsById = {},
+            newIds = {},
+            i, l, call, id, args, newArgs, key, reference, value, tuple;
+
+        // Resolve references to the calls already made, and work out the new
+        // tag for each call that can still be made.
+        for ( i = 0, l = calls.length; i < l; i += 1 ) {
+            call = calls[i];
+            id = call[2];
+            args = call[1];
+            newArgs = {};
+            callsById[ id ] = call;
+            for ( key in args ) {
+                reference = args[ key ];
+                if ( key.charAt( 0 ) !== '#' ) {
+                    newArgs[ key ] = reference;
+                } else if ( callsById.hasOwnProperty( reference.resultOf ) ) {
+                    if ( !newIds[ reference.resultOf ] ) {
+                        newArgs = null;
+                        break;
+                    }
+                    newArgs[ key ] = O.extend( O.clone( reference ), {
+                        resultOf: newIds[ reference.resultOf ]
+                    });
+                } else {
+                    value = resolveResultReference( reference, data );
+                    if ( value === undefined ) {
+                        newArgs = null;
+                        break;
+                    }
+                    newArgs[ key.slice( 1 ) ] = value;
+                }
+            }
+            if ( newArgs ) {
+                newIds[ id ] = ( sendQueue.length + resolved.length ) + '';
+                resolved.push([ call[0], newArgs, newIds[ id ] ]);
+            }
+        }
+        sendQueue.push.apply( sendQueue, resolved );
+
+        for ( i = 0, l = callbacks.length; i < l; i += 1 ) {
+            tuple = callbacks[i];
+            id = tuple[0];
+            if ( !id ) {
+                callbackQueue.push( tuple );
+            } else if ( newIds[ id ] ) {
+                callbackQueue.push([ newIds[ id ], tuple[1] ]);
+            } else {
+                // The server would have rejected this call, so pass an
+                // error response to the callback.
+                callbackQueue.push([ '', tuple[1].bind( null, [[ 'error', {
+                    type: 'invalidResultReference'
+                }, id ]], callsById[ id ] ) ]);
+            }
+        }
+        this.send();
+    },
+
+    // ---
+
+    /**
+        Method: O.Connection#fetchRecord
+
+        Fetches a particular record from the source. Just passes the call on to
+        <O.Connection#fetchRecords>.
+
+        Parameters:
+            Type     - {O.Class} The record type.
+            id       - {String} The record id.
+            callback - {Function} (optional) A callback to make after the record
+                       fetch completes (successfully or unsuccessfully).
+
+        Returns:
+            {Boolean} Returns true if the source handled the fetch.
+    */
+    fetchRecord: function ( Type, id, callback ) {
+        return this.fetchRecords( Type, [ id ], callback, '', false );
+    },
+
+    /**
+        Method: O.Connection#fetchAllRecords
+
+        Fetches all records of a particular type from the source. Just passes
+        the call on to <O.Connection#fetchRecords>.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            state     - {(String|undefined)} The state to update from.
+            callback  - {Function} (optional) A callback to make after the
+                        fetch completes.
+            accountId - {String} (optional) The account to fetch the records
+                        from. Defaults to the connection's default account.
+
+        Returns:
+            {Boolean} Returns true if the source handled the fetch.
+    */
+    fetchAllRecords: function ( Type, state, callback, accountId ) {
+        return this.fetchRecords(
+            Type, null, callback, state || '', !!state, accountId );
+    },
+
+    /**
+        Method: O.Connection#fetchAllRecordsForAccount
+
+        Fetches all records of a particular type in the given account, or just
+        the changes since the last fetch if it has been fetched before. For
+        the default account, this is the same as calling
+        `store.fetchAll( Type, true )`; the store keeps track of the state.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            accountId - {(String|null)} The account id.
+            callback  - {Function} (optional) A callback to make after the
+                        fetch completes. Not supported for the default account.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    fetchAllRecordsForAccount: function ( Type, accountId, callback ) {
+        var state;
+        if ( this.isDefaultAccount( accountId ) ) {
+            this.get( 'store' ).fetchAll( Type, true );
+        } else {
+            state = this.getTypeState( Type, accountId );
+            this.fetchRecords(
+                Type, null, callback, state || '', !!state, accountId );
+        }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#refreshRecord
+
+        Fetches any new data for a record since the last fetch if a handler for
+        the type is defined in <O.Connection#recordRefreshers>, or refetches the
+        whole record if not.
+
+        Parameters:
+            Type     - {O.Class} The record type.
+            id       - {String} The record id.
+            callback - {Function} (optional) A callback to make after the record
+                       refresh completes (successfully or unsuccessfully).
+
+        Returns:
+            {Boolean} Returns true if the source handled the refresh.
+    */
+    refreshRecord: function ( Type, id, callback ) {
+        return this.fetchRecords( Type, [ id ], callback, '', true );
+    },
+
+    /**
+        Method: O.Connection#fetchRecords
+
+        Fetches a set of records of a particular type from the source.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            ids       - {(String[]|null)} An array of record ids to fetch, or
+                        `null`, indicating that all records of this type should
+                        be fetched.
+            callback  - {Function} (optional) A callback to make after the
+                        record fetch completes (successfully or
+                        unsuccessfully).
+            state     - {String} (optional) The state to refresh from.
+            _refresh  - {Boolean} (optional) Refresh rather than fetch.
+            accountId - {String} (optional) The account to fetch from. If
+                        ids are given, this defaults to the account each record
+                        is known to belong to; otherwise to the connection's
+                        default account.
+
+        Returns:
+            {Boolean} Returns true if the source handled the fetch.
+    */
+    fetchRecords: function ( Type, ids, callback, state, _refresh, accountId ) {
+        var typeId = O.guid( Type ),
+            handler = _refresh ?
+                this.recordRefreshers[ typeId ] :
+                this.recordFetchers[ typeId ],
+            accounts, id;
+        if ( _refresh && !handler ) {
+            _refresh = false;
+            handler = this.recordFetchers[ typeId ];
+        }
+        if ( !handler ) {
+            return false;
+        }
+        if ( this.isDefaultAccount( accountId ) ) {
+            accountId = '';
+        }
+        if ( ids ) {
+            var reqs = _refresh? this._recordsToRefresh : this._recordsToFetch,
+                l = ids.length;
+            while ( l-- ) {
+                id = ids[l];
+                getAccountQueue( reqs, typeId, accountId ||
+                    this.getAccountIdForId( Type, id ) || '' )[ id ] = true;
+            }
+        } else {
+            accounts = _refresh ? this._typesToRefresh : this._typesToFetch;
+            accounts = accounts[ typeId ] || ( accounts[ typeId ] = {} );
+            accounts[ accountId ] = _refresh ? state : null;
+        }
+        if ( callback && _refresh ) {
+            this._backgroundCallbacks.push( callback );
+        } else if ( callback ) {
+            this._callbackQueue.push([ '', callback ]);
+        }
+        this.send();
+        return true;
+    },
+
+    /**
+        Property: O.Connection#commitPrecedence
+        Type: String[Number]|null
+        Default: null
+
+        This is on optional mapping of type guids to a number indicating the
+        order in which they are to be committed. Types with lower numbers will
+        be committed first.
+    */
+    commitPrecedence: null,
+
+    /**
+        Method: O.Connection#commitChanges
+
+        Commits a set of creates/updates/destroys to the source. These are
+        specified in a single object, which has record type guids as keys and an
+        object with create/update/destroy properties as values. Those properties
+        have the following types:
+
+        create  - `[ [ storeKeys... ], [ dataHashes... ] ]`
+        update  - `[ [ storeKeys... ], [ dataHashes... ], [changedMap... ] ]`
+        destroy - `[ [ storeKeys... ], [ ids... ] ]`
+
+        Each subarray inside the 'create' array should be of the same length,
+        with the store key at position 0 in the first array, for example,
+        corresponding to the data object at position 0 in the second. The same
+        applies to the update and destroy arrays.
+
+        A changedMap, is a map of attribute names to a boolean value indicating
+        whether that value has actually changed. Any properties in the data
+        which are not in the changed map are presumed unchanged.
+
+        An example call might look like:
+
+            source.commitChanges({
+                MyType: {
+                    primaryKey: "id",
+                    create: {
+                        storeKeys: [ "sk1", "sk2" ],
+                        records: [{ attr: val, attr2: val2 ...}, {...}]
+                    },
+                    update: {
+                        storeKeys: [ "sk3", "sk4", ... ],
+                        records: [{ id: "id3", attr: val ... }, {...}],
+                        changes: [{ attr: true }, ... ]
+                    },
+                    destroy: {
+                        storeKeys: [ "sk5", "sk6" ],
+                        ids: [ "id5", "id6" ]
+                    },
+                    state: "i425m515233"
+                },
+                MyOtherType: {
+                    ...
+                }
+            });
+
+        Any types that are handled by the source are removed from the changes
+        object (`delete changes[ typeId ]`); any unhandled types are left
+        behind, so the object may be passed to several sources, with each
+        handling their own types.
+
+        In a RPC source, this method considers each type in the changes. If that
+        type has a handler defined in <O.Connection#recordCommitters>, then this
+        will be called with the create/update/destroy object as the sole
+        argument, otherwise it will look for separate handlers in
+        <O.Connection#recordCreators>, <O.Connection#recordUpdaters> and
+        <O.Connection#recordDestroyers>. If handled by one of these, the method
+        will remove the type from the changes object.
+
+        Parameters:
+            changes  - {Object} The creates/updates/destroys to commit.
+            callback - {Function} (optional) A callback to make after the
+                       changes have been committed.
+
+        Returns:
+            {Boolean} Returns true if any of the types were handled. The
+            callback will only be called if the source is handling at least one
+            of the types being committed.
+    */
+    commitChanges: function ( changes, callback ) {
+        var types = Object.keys( changes ),
+            l = types.length,
+            precedence = this.commitPrecedence,
+            handledAny = false,
+            type, handler, handledType,
+            change, create, update, destroy,
+            accounts, accountId, args;
+
+        if ( precedence ) {
+            types.sort( function ( a, b ) {
+                return ( precedence[b] || -1 ) - ( precedence[a] || -1 );
+            });
+        }
+
+        while ( l-- ) {
+            type = types[l];
+            change = changes[ type ];
+            handler = this.recordCommitters[ type ];
+            handledType = false;
+            create = change.create;
+            update = change.update;
+            destroy = change.destroy;
+            if ( handler ) {
+                if ( typeof handler === 'string' ) {
+                    accounts = this.groupByAccount( type, change );
+                    if ( JMAP.outbox ) {
+                        JMAP.outbox.connectionWillCommit( type, change, this );
+                    }
+                    for ( accountId in accounts ) {
+                        args = accounts[ accountId ];
+                        this.callMethod( handler, withAccountId({
+                            state: accountId ?
+                                ( this._accountStates[ accountId ] || {} )[
+                                    type ] || null :
+                                change.state,
+                            create: args.create,
+                            update: args.update,
+                            destroy: args.destroy
+                        }, accountId ) );
+                    }
+                } else {
+                    handler.call( this, change );
+                }
+                handledType = true;
+            } else {
+                handler = this.recordCreators[ type ];
+                if ( handler ) {
+                    handler.call( this, create.storeKeys, create.records );
+                    handledType = true;
+                }
+                handler = this.recordUpdaters[ type ];
+                if ( handler ) {
+                    handler.call( this,
+                        update.storeKeys, update.records, update.changes );
+                    handledType = true;
+                }
+                handler = this.recordDestroyers[ type ];
+                if ( handler ) {
+                    handler.call( this, destroy.storeKeys, destroy.ids );
+                    handledType = true;
+                }
+            }
+            if ( handledType ) {
+                delete changes[ type ];
+            }
+            handledAny = handledAny || handledType;
+        }
+        if ( handledAny && callback ) {
+            this._callbackQueue.push([ '', callback ]);
+        }
+        return handledAny;
+    },
+
+    /**
+        Method: O.Connection#groupByAccount
+
+        Splits a set of changes to commit for a type (as passed to
+        <O.Connection#commitChanges>) into the arguments for a set call for
+        each account the records belong to. The accountId property of the
+        records is not sent to the server.
+
+        Parameters:
+            typeId - {String} The guid of the record type.
+            change - {Object} The creates, updates and destroys for the type.
+
+        Returns:
+            {Object} A map of accountId ('' for the default account) to an
+            object with create, update and destroy properties.
+    */
+    groupByAccount: function ( typeId, change ) {
+        var create = change.create,
+            update = change.update,
+            destroy = change.destroy,
+            updates = delta( update ),
+            committed = update.committed,
+            inFlight = this._updatesInFlight[ typeId ] ||
+                ( this._updatesInFlight[ typeId ] = {} ),
+            accountIdForId = this._accountIdForId[ typeId ] || {},
+            accounts = {},
+            connection = this,
+            getAccount = function ( accountId ) {
+                if ( connection.isDefaultAccount( accountId ) ) {
+                    accountId = '';
+                }
+                return accounts[ accountId ] || ( accounts[ accountId ] = {
+                    create: {},
+                    update: {},
+                    destroy: []
+                });
+            };
+        create.records.forEach( function ( data, i ) {
+            getAccount( data.accountId )
+                .create[ create.storeKeys[i] ] = withoutAccountId( data );
+        });
+        update.records.forEach( function ( data, i ) {
+            var id = toPrimaryKey( change.primaryKey, data );
+            getAccount( data.accountId ).update[ id ] =
+                withoutAccountId( updates[i] );
+            inFlight[ id ] = {
+                committed: committed ? committed[i] : null,
+                local: data
+            };
+        });
+        destroy.ids.forEach( function ( id ) {
+            getAccount( accountIdForId[ id ] ).destroy.push( id );
+        });
+        return accounts;
+    },
+
+    /**
+        Method: O.Connection#fetchQuery
+
+        Fetches the data for a remote query from the source.
+
+        Parameters:
+            query - {O.RemoteQuery} The query to fetch.
+
+        Returns:
+            {Boolean} Returns true if the source handled the fetch.
+    */
+    fetchQuery: function ( query, callback ) {
+        if ( !this.queryFetchers[ O.guid( query.constructor ) ] ) {
+            return false;
+        }
+        var id = query.get( 'id' );
+
+        this._queriesToFetch[ id ] = query;
+
+        if ( callback ) {
+            this._callbackQueue.push([ '', callback ]);
+        }
+        this.send();
+        return true;
+    },
+
+    /**
+        Method: O.Connection#handle
+
+        Helper method to register handlers for a particular type. The handler
+        object may include methods with the following keys:
+
+        - precedence: Add function to `commitPrecedence` handlers.
+        - fetch: Add function to `recordFetchers` handlers.
+        - refresh: Add function to `recordRefreshers` handlers.
+        - commit: Add function to `recordCommitters` handlers.
+        - create: Add function to `recordCreators` handlers.
+        - update: Add function to `recordUpdaters` handlers.
+        - destroy: Add function to `recordDestroyers` handlers.
+        - query: Add function to `queryFetcher` handlers.
+
+        Any other keys are presumed to be a response method name, and added
+        to the `response object.
+
+        Parameters:
+            Type     - {O.Class} The type these handlers are for.
+            handlers - {string[function]} The handlers. These are registered
+                       as described above.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    handle: function ( Type, handlers ) {
+        var typeId = O.guid( Type ),
+            action, propName, isResponse, actionHandlers;
+        if ( !this.hasOwnProperty( 'handledTypes' ) ) {
+            this.handledTypes = this.handledTypes.slice();
+        }
+        if ( Type && this.handledTypes.indexOf( Type ) < 0 ) {
+            this.handledTypes.push( Type );
+        }
+        for ( action in handlers ) {
+            propName = handleProps[ action ];
+            isResponse = !propName;
+            if ( isResponse ) {
+                propName = 'response';
+            }
+            actionHandlers = this[ propName ];
+            if ( !this.hasOwnProperty( propName ) ) {
+                this[ propName ] = actionHandlers =
+                    Object.create( actionHandlers );
+            }
+            actionHandlers[ isResponse ? action : typeId ] = handlers[ action ];
+        }
+        return this;
+    },
+
+    /**
+        Property: O.Connection#handledTypes
+        Type: O.Class[]
+
+        The types that have had handlers registered with this connection via
+        <O.Connection#handle>.
+    */
+    handledTypes: [],
+
+    /**
+        Property: O.Connection#recordFetchers
+        Type: String[Function]
+
+        A map of type guids to functions which will fetch records of that type.
+        The functions will be called with the source as 'this' and a list of ids
+        or an object (passed straight through from your program) as the sole
+        argument.
+    */
+    recordFetchers: {},
+
+    /**
+        Property: O.Connection#recordRefreshers
+        Type: String[Function]
+
+        A map of type guids to functions which will refresh records of that
+        type. The functions will be called with the source as 'this' and a list
+        of ids or an object (passed straight through from your program) as the
+        sole argument.
+    */
+    recordRefreshers: {},
+
+    /**
+        Property: O.Connection#recordCommitters
+        Type: String[Function]
+
+        A map of type guids to functions which will commit all creates, updates
+        and destroys requested for a particular record type.
+    */
+    recordCommitters: {},
+
+    /**
+        Property: O.Connection#recordCreators
+        Type: String[Function]
+
+        A map of type guids to functions which will commit creates for a
+        particular record type. The function will be called with the source as
+        'this' and will get the following arguments:
+
+        storeKeys - {String[]} A list of store keys.
+        data      - {Object[]} A list of the corresponding data object for
+                    each store key.
+
+        Once the request has been made, the following callbacks must be made to
+        the <O.Store> instance as appropriate:
+
+        * <O.Store#sourceDidCommitCreate> if there are any commited creates.
+        * <O.Store#sourceDidNotCreate> if there are any rejected creates.
+    */
+    recordCreators: {},
+
+    /**
+        Property: O.Connection#recordUpdaters
+        Type: String[Function]
+
+        A map of type guids to functions which will commit updates for a
+        particular record type. The function will be called with the source as
+        'this' and will get the following arguments:
+
+        storeKeys - {String[]} A list of store keys.
+        data      - {Object[]} A list of the corresponding data object for
+                    each store key.
+        changed   - {String[Boolean][]} A list of objects mapping attribute
+                    names to a boolean value indicating whether that value has
+                    actually changed. Any properties in the data has not in the
+                    changed map may be presumed unchanged.
+
+        Once the request has been made, the following callbacks must be made to
+        the <O.Store> instance as appropriate:
+
+        * <O.Store#sourceDidCommitUpdate> if there are any commited updates.
+        * <O.Store#sourceDidNotUpdate> if there are any rejected updates.
+    */
+    recordUpdaters: {},
+
+    /**
+        Property: O.Connection#recordDestroyers
+        Type: String[Function]
+
+        A map of type guids to functions which will commit destroys for a
+        particular record type. The function will be called with the source as
+        'this' and will get the following arguments:
+
+        storeKeys - {String[]} A list of store keys.
+        ids       - {String[]} A list of the corresponding record ids.
+
+        Once the request has been made, the following callbacks must be made to
+        the <O.Store> instance as appropriate:
+
+        * <O.Store#sourceDidCommitDestroy> if there are any commited destroys.
+        * <O.Store#sourceDidNotDestroy> if there are any rejected destroys.
+    */
+    recordDestroyers: {},
+
+    /**
+        Property: O.Connection#queryFetchers
+        Type: String[Function]
+
+        A map of query type guids to functions which will fetch the requested
+        contents of that query. The function will be called with the source as
+        'this' and the query as the sole argument.
+    */
+    queryFetchers: {},
+
+    // ---
+
+    /**
+        Method: O.Connection#isDefaultAccount
+
+        Parameters:
+            accountId - {(String|null|undefined)} The account id.
+
+        Returns:
+            {Boolean} True if calls for this account use the connection's
+            default account, the type states for which are kept in the store.
+    */
+    isDefaultAccount: function ( accountId ) {
+        return !accountId || accountId === this.get( 'accountId' );
+    },
+
+    /**
+        Method: O.Connection#getTypeState
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            accountId - {(String|null)} The account id.
+
+        Returns:
+            {(String|null)} The state of the type in the given account, or
+            null if it has not been fetched.
+    */
+    getTypeState: function ( Type, accountId ) {
+        var states;
+        if ( this.isDefaultAccount( accountId ) ) {
+            return this.get( 'store' ).getTypeState( Type );
+        }
+        states = this._accountStates[ accountId ];
+        return ( states && states[ O.guid( Type ) ] ) || null;
+    },
+
+    /**
+        Method: O.Connection#getAccountIdForId
+
+        Parameters:
+            Type - {O.Class} The record type.
+            id   - {String} The record id.
+
+        Returns:
+            {(String|null)} The id of the account the record belongs to, or
+            null if it is in the default account (or not known).
+    */
+    getAccountIdForId: function ( Type, id ) {
+        var accountIds = this._accountIdForId[ O.guid( Type ) ];
+        return ( accountIds && accountIds[ id ] ) || null;
+    },
+
+    /**
+        Method: O.Connection#setAccountIdForIds
+
+        Records which account a set of records belong to, so any future
+        fetches or commits for them are made in the right account. This is
+        called automatically for records fetched by the connection, but
+        should also be called for any ids learnt from other calls (such as a
+        query) if the records are not in the default account.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            ids       - {String[]} The record ids.
+            accountId - {(String|null)} The account id.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    setAccountIdForIds: function ( Type, ids, accountId ) {
+        var typeId = O.guid( Type ),
+            accountIds, l;
+        if ( !this.isDefaultAccount( accountId ) ) {
+            accountIds = this._accountIdForId[ typeId ] ||
+                ( this._accountIdForId[ typeId ] = {} );
+            l = ids.length;
+            while ( l-- ) {
+                accountIds[ ids[l] ] = accountId;
+            }
+        }
+        return this;
+    },
+
+    // ---
+
+    didFetch: function ( Type, args, isAll, accountId ) {
+        var store = this.get( 'store' ),
+            list = args.list,
+            state = args.state,
+            notFound = args.notFound,
+            isDefault = this.isDefaultAccount( accountId ),
+            recordAccountId = isDefault ?
+                args.accountId || this.get( 'accountId' ) : accountId,
+            ids, isFetched, gone;
+        if ( list ) {
+            // Only types with an accountId attribute record their account.
+            if ( Type.prototype.accountId && recordAccountId ) {
+                list.forEach( function ( data ) {
+                    data.accountId = recordAccountId;
+                });
+            }
+            if ( !isDefault ) {
+                ids = list.map( function ( data ) {
+                    return data.id;
+                });
+                this.setAccountIdForIds( Type, ids, accountId );
+                // The store can only work out which records have gone for
+                // the default account; do it ourselves for the others.
+                if ( isAll ) {
+                    isFetched = Object.zip( ids, ids );
+                    gone = [];
+                    store.findAll( Type, function ( data ) {
+                        if ( data.accountId === accountId &&
+                                !isFetched[ data.id ] ) {
+                            gone.push( data.id );
+                        }
+                        return false;
+                    });
+                    if ( gone.length ) {
+                        store.sourceDidDestroyRecords( Type, gone );
+                    }
+                }
+            }
+            store.sourceDidFetchRecords( Type, list,
+                isDefault ? state : null, isDefault && isAll );
+        }
+        if ( notFound ) {
+            store.sourceCouldNotFindRecords( Type, notFound );
+        }
+        if ( !isDefault && state ) {
+            this.didChangeState( Type, accountId, state );
+        }
+    },
+
+    didFetchUpdates: function ( Type, args, reqArgs ) {
+        var hasDataForChanged = reqArgs.fetchRecords,
+            accountId = reqArgs.accountId,
+            store = this.get( 'store' ),
+            changed = hasDataForChanged ? null : args.changed,
+            removed = args.removed;
+        if ( this.isDefaultAccount( accountId ) ) {
+            store.sourceDidFetchUpdates( Type,
+                changed,
+                removed,
+                args.oldState,
+                args.newState
+            );
+            return;
+        }
+        if ( removed && removed.length ) {
+            store.sourceDidDestroyRecords( Type, removed );
+        }
+        // Refetch any changed records we have loaded.
+        if ( changed ) {
+            changed = changed.filter( function ( id ) {
+                return !!( store.getRecordStatus( Type, id ) & O.Status.READY );
+            });
+            if ( changed.length ) {
+                this.fetchRecords( Type, changed, null, '', false, accountId );
+            }
+        }
+        this.didChangeState( Type, accountId, args.newState );
+    },
+
+    /**
+        Method: O.Connection#didChangeState
+
+        Sets the state of a type in an account other than the default.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            accountId - {String} The account id.
+            state     - {String} The new state.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    didChangeState: function ( Type, accountId, state ) {
+        var states = this._accountStates[ accountId ] ||
+                ( this._accountStates[ accountId ] = {} );
+        states[ O.guid( Type ) ] = state;
+        return this;
+    },
+
+    didCommit: function ( Type, args, accountId ) {
+        var store = this.get( 'store' ),
+            toStoreKey = store.getStoreKey.bind( store, Type ),
+            isDefault = this.isDefaultAccount( accountId ),
+            list, object, errors, storeKey;
+
+        if ( JMAP.outbox ) {
+            JMAP.outbox.connectionDidCommit(
+                O.guid( Type ), args, isDefault ? null : accountId );
+        }
+        if ( ( object = args.created ) && Object.keys( object ).length ) {
+            if ( !isDefault ) {
+                for ( storeKey in object ) {
+                    this.setAccountIdForIds(
+                        Type, [ object[ storeKey ].id ], accountId );
+                }
+            }
+            setCommitErrors( this, Type, Object.keys( object ), null );
+            store.sourceDidCommitCreate( object );
+        }
+        if ( ( object = args.notCreated ) ) {
+            list = Object.keys( object );
+            if ( list.length ) {
+                errors = Object.values( object );
+                reportSetErrors( this, Type, 'create', object );
+                setCommitErrors( this, Type, list, errors );
+                store.sourceDidNotCreate( list, true, errors );
+            }
+        }
+        if ( ( list = args.updated ) && list.length ) {
+            this.didFinishUpdates( Type, list );
+            list = list.map( toStoreKey );
+            setCommitErrors( this, Type, list, null );
+            store.sourceDidCommitUpdate( list );
+        }
+        if ( ( object = args.notUpdated ) ) {
+            list = Object.keys( object );
+            if ( list.length ) {
+                this.didFinishUpdates( Type, list );
+                list = list.map( toStoreKey );
+                errors = Object.values( object );
+                reportSetErrors( this, Type, 'update', object );
+                setCommitErrors( this, Type, list, errors );
+                store.sourceDidNotUpdate( list, true, errors );
+            }
+        }
+        if ( ( list = args.destroyed ) && list.length ) {
+            store.sourceDidCommitDestroy( list.map( toStoreKey ) );
+        }
+        if ( ( object = args.notDestroyed ) ) {
+            list = Object.keys( object );
+            if ( list.length ) {
+                list = list.map( toStoreKey );
+                errors = Object.values( object );
+                reportSetErrors( this, Type, 'destroy', object );
+                setCommitErrors( this, Type, list, errors );
+                store.sourceDidNotDestroy( list, true, errors );
+            }
+        }
+        if ( args.newState ) {
+            if ( isDefault ) {
+                store.sourceCommitDidChangeState(
+                    Type, args.oldState, args.newState );
+            } else if ( this.getTypeState( Type, accountId ) ===
+                    args.oldState ) {
+                this.didChangeState( Type, accountId, args.newState );
+            }
+        }
+    },
+
+    didFinishUpdates: function ( Type, ids ) {
+        var inFlight = this._updatesInFlight[ O.guid( Type ) ];
+        if ( inFlight ) {
+            ids.forEach( function ( id ) {
+                delete inFlight[ id ];
+            });
+        }
+        return this;
+    },
+
+    /**
+        Property: O.Connection#maxRebaseAttempts
+        Type: Number
+        Default: 3
+
+        The number of times in a row a set call will be rebased and retried
+        after a stateMismatch error before the commit is rejected.
+    */
+    maxRebaseAttempts: 3,
+
+    /**
+        Method: O.Connection#rebaseCommit
+
+        Called when a set call is rejected with a stateMismatch error, because
+        the records have been changed on the server since we last fetched the
+        state we sent in `ifInState`. The records being updated are fetched
+        again (along with the updates for the type), then each update is
+        compared with the new server version.
+
+        If the server has not changed any of the properties we are changing
+        (or has changed them to the same value), the update is rebased onto
+        the new state and the set call is sent again. Otherwise the update
+        fails with a stateMismatch error (so the record reverts to the server
+        version) and a `conflict` event is fired on the connection, with
+        `Type`, `accountId` and a `conflicts` array. Each conflict has the
+        `id` and `storeKey` of the record, the `properties` in conflict, and
+        both the `local` and `server` versions of the record.
+
+        Parameters:
+            error  - {Object} The error returned by the server.
+            method - {String} The name of the set method that failed.
+            args   - {Object} The arguments the method was called with.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    rebaseCommit: function ( error, method, args ) {
+        var Type = getTypeForMethod( this, method ),
+            accountId = args.accountId || null,
+            key = method + ':' + ( accountId || '' ),
+            attempts = this._rebaseAttempts,
+            ids = Object.keys( args.update || {} ),
+            connection = this;
+
+        attempts[ key ] = ( attempts[ key ] || 0 ) + 1;
+        if ( !Type || this.recordCommitters[ O.guid( Type ) ] !== method ||
+                attempts[ key ] > this.maxRebaseAttempts ) {
+            delete attempts[ key ];
+            return this.rejectCall( error, method, args );
+        }
+        // Bring in anything else that has changed too.
+        this.fetchAllRecordsForAccount( Type, accountId );
+        this.queueMethod( method.replace( /^set/, 'get' ), withAccountId({
+            ids: ids
+        }, accountId ), function ( responses ) {
+            var response = responses[0];
+            if ( !response || response[0] === 'error' ) {
+                delete attempts[ key ];
+                connection.rejectCall( error, method, args );
+            } else {
+                connection.didFetchForRebase(
+                    Type, error, method, args, response[1] );
+            }
+        });
+        return this;
+    },
+
+    didFetchForRebase: function ( Type, error, method, args, result ) {
+        var store = this.get( 'store' ),
+            accountId = args.accountId || null,
+            key = method + ':' + ( accountId || '' ),
+            attempts = this._rebaseAttempts,
+            inFlight = this._updatesInFlight[ O.guid( Type ) ] || {},
+            update = args.update || {},
+            rebased = {},
+            serverVersions = {},
+            conflicts = [],
+            notUpdated = {};
+
+        ( result.list || [] ).forEach( function ( data ) {
+            serverVersions[ data.id ] = data;
+        });
+        Object.keys( update ).forEach( function ( id ) {
+            var changes = update[ id ],
+                server = serverVersions[ id ],
+                committed = inFlight[ id ] ? inFlight[ id ].committed : null,
+                local = inFlight[ id ] ? inFlight[ id ].local : changes,
+                properties, property, value;
+            // If it's gone, the server will tell us so when we retry.
+            if ( !server ) {
+                rebased[ id ] = changes;
+                return;
+            }
+            properties = [];
+            for ( property in changes ) {
+                value = server[ property ];
+                // We only know the server has changed the property if we know
+                // what it was before; if not, assume the worst.
+                if ( !O.isEqual( value, changes[ property ] ) &&
+                        ( !committed ||
+                            !O.isEqual( value, committed[ property ] ) ) ) {
+                    properties.push( property );
+                }
+            }
+            if ( properties.length ) {
+                notUpdated[ id ] = {
+                    type: 'stateMismatch',
+                    description: 'Changed on the server',
+                    properties: properties
+                };
+                conflicts.push({
+                    id: id,
+                    storeKey: store.getStoreKey( Type, id ),
+                    properties: properties,
+                    local: local,
+                    server: server
+                });
+            } else {
+                rebased[ id ] = changes;
+            }
+        });
+
+        if ( conflicts.length ) {
+            this.didCommit( Type, {
+                notUpdated: notUpdated
+            }, accountId );
+            this.fire( 'conflict', {
+                Type: Type,
+                accountId: accountId,
+                conflicts: conflicts
+            });
+        }
+        if ( Object.keys( rebased ).length ||
+                Object.keys( args.create || {} ).length ||
+                ( args.destroy || [] ).length ) {
+            this.queueMethod( method, O.extend( O.extend( {}, args ), {
+                state: result.state,
+                update: rebased
+            }), function ( responses ) {
+                var response = responses[0];
+                if ( !response || response[0] !== 'error' ||
+                        response[1].type !== 'stateMismatch' ) {
+                    delete attempts[ key ];
+                }
+            });
+        } else {
+            delete attempts[ key ];
+        }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#rejectCall
+
+        Tells the store that a fetch or commit method call was rejected in its
+        entirety by the server, so the records it was for do not stay loading
+        or committing forever. Records being fetched are marked as not found;
+        every create, update and destroy in a commit fails with the error.
+
+        Parameters:
+            error  - {Object} The error returned by the server.
+            method - {String} The name of the method that failed.
+            args   - {Object} The arguments the method was called with.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    rejectCall: function ( error, method, args ) {
+        var Type = getTypeForMethod( this, method ),
+            create = args.create,
+            update = args.update,
+            destroy = args.destroy;
+        if ( !Type ) {
+            return this;
+        }
+        if ( this.recordCommitters[ O.guid( Type ) ] === method ) {
+            this.didCommit( Type, {
+                notCreated: create ? mapTo( Object.keys( create ), error ) :
+                    null,
+                notUpdated: update ? mapTo( Object.keys( update ), error ) :
+                    null,
+                notDestroyed: destroy instanceof Array ?
+                    mapTo( destroy, error ) : null
+            }, args.accountId );
+        } else if ( args.ids instanceof Array && args.ids.length ) {
+            this.get( 'store' ).sourceCouldNotFindRecords( Type, args.ids );
+        }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#purgeData
+
+        Throws away all the data fetched by this connection for an account
+        (other than the accounts themselves), for when the account is no
+        longer accessible. Records are unloaded from the store if possible,
+        otherwise marked obsolete, as are any remote queries handled by the
+        connection for that account.
+
+        Parameters:
+            accountId - {(String|null)} The account id.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    purgeData: function ( accountId ) {
+        var store = this.get( 'store' ),
+            isDefault = this.isDefaultAccount( accountId ),
+            connection = this,
+            isInAccount = function ( object ) {
+                var objectAccountId = object.get( 'accountId' );
+                return isDefault ?
+                    connection.isDefaultAccount( objectAccountId ) :
+                    objectAccountId === accountId;
+            },
+            types = this.handledTypes.filter( function ( Type ) {
+                return Type !== JMAP.Account;
+            });
+        types.forEach( function ( Type ) {
+            if ( Type.prototype instanceof O.Record ) {
+                store.getAll( Type ).forEach( function ( record ) {
+                    if ( isInAccount( record ) &&
+                            !store.unloadRecord( record.get( 'storeKey' ) ) ) {
+                        record.setObsolete();
+                    }
+                });
+            }
+        });
+        store.getAllRemoteQueries().forEach( function ( query ) {
+            if ( types.indexOf( query.constructor ) > -1 &&
+                    isInAccount( query ) ) {
+                query.setObsolete();
+            }
+        });
+        return this;
+    },
+
+    /**
+        Property: O.Connection#response
+        Type: String[Function]
+
+        A map of method names to functions which the server can call in a
+        response to return data to the client.
+    */
+    response: {
+        error: function ( args, reqName, reqArgs ) {
+            var type = args.type,
+                method = 'error_' + reqName + '_' + type,
+                response = this.response;
+            if ( !response[ method ] ) {
+                method = 'error_' + type;
+            }
+            if ( response[ method ] ) {
+                response[ method ].call( this, args, reqName, reqArgs );
+            } else {
+                JMAP.errors.report( new JMAP.RequestError( 'method', {
+                    description: 'API call to ' + reqName + ' failed: ' +
+                        type + ( args.description ?
+                            ' (' + args.description + ')' : '' ),
+                    connection: this,
+                    request: this._processingRemoteCalls,
+                    method: reqName,
+                    arguments: reqArgs,
+                    error: args
+                }) );
+            }
+        },
+        error_stateMismatch: function ( args, reqName, reqArgs ) {
+            this.rebaseCommit( args, reqName, reqArgs );
+        },
+        error_accountNotFound: accountError( true ),
+        error_accountReadOnly: accountError( false ),
+        error_accountNoMail: accountError( true ),
+        error_accountNoContacts: accountError( true ),
+        error_accountNoCalendars: accountError( true )
+    }
+});
+
+/**
+    Function: O.Connection.withAccountId
+
+    Adds the accountId to the arguments for a method call, unless it is for
+    the default account (null). Use this in handlers rather than sending a
+    null accountId.
+
+    Parameters:
+        args      - {Object} The arguments for the method. This is modified.
+        accountId - {(String|null)} The account id.
+
+    Returns:
+        {Object} The arguments.
+*/
+Connection.withAccountId = withAccountId;
+
+JMAP.Connection = Connection;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: connections.js                                                       \\
+// Module: API                                                                \\
+// Requires: Connection.js                                                    \\
+// Author: Neil Jenkins                                                       \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+JMAP.upload = new O.IOQueue({
+    maxConnections: 3
+});
+
+JMAP.source = new O.AggregateSource({
+    sources: [
+        JMAP.mail = new JMAP.Connection({
+            id: 'mail',
+            capability: 'urn:ietf:params:jmap:mail'
+        }),
+        JMAP.contacts = new JMAP.Connection({
+            id: 'contacts',
+            capability: 'urn:ietf:params:jmap:contacts'
+        }),
+        JMAP.calendar = new JMAP.Connection({
+            id: 'calendar',
+            capability: 'urn:ietf:params:jmap:calendars'
+        }),
+        JMAP.peripheral = new JMAP.Connection({
+            id: 'peripheral',
+            capability: 'urn:ietf:params:jmap:core'
+        })
+    ]
+});
+
+JMAP.store = new O.Store({
+    source: JMAP.source
+});
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: Account.js                                                           \\
+// Module: API                                                                \\
+// Requires: connections.js                                                   \\
+// Author: Neil Jenkins                                                       \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+var Record = O.Record,
+    attr = Record.attr;
+
+var Account = O.Class({
+
+    Extends: Record,
+
+    name: attr( String ),
+
+    isPrimary: attr( Boolean),
+    isPersonal: attr( Boolean ),
+    isReadOnly: attr( Boolean ),
+
+    hasMail: attr( Boolean ),
+    hasContacts: attr( Boolean ),
+    hasCalendars: attr( Boolean ),
+
+    capabilities: attr( Object )
+});
+
+// With RFC 8620 servers, the accounts come from the session object.
+var fetchAccounts = function () {
+    if ( this.get( 'protocol' ) === 'rfc8620' ) {
+        JMAP.auth.fetchSession();
+    } else {
+        this.callMethod( 'getAccounts' );
+    }
+};
+
+JMAP.peripheral.handle( Account, {
+    fetch: fetchAccounts,
+    refresh: fetchAccounts,
+    // Response handlers
+    accounts: function ( args ) {
+        this.didFetch( Account, args, true );
+    }
+});
+
+JMAP.Account = Account;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: LocalFile.js                                                         \\
+// Module: API                                                                \\
+// Requires: connections.js                                                   \\
+// Author: Neil Jenkins                                                       \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+// The files that have started uploading and have not yet finished.
+var uploading = [];
+
+var LocalFile = O.Class({
+
+    Extends: O.Object,
+
+    nextEventTarget: JMAP.upload,
+
+    constrainImageTo: 0,
+
+    init: function ( file ) {
+        this.file = file;
+        this.blobId = '';
+
+        this.name = file.name ||
+            ( 'image.' + ( /\w+$/.exec( file.type ) || [ 'png' ] )[0] );
+        this.type = file.type;
+        this.size = file.size;
+
+        this.isTooBig = false;
+        this.isUploaded = false;
+        this.progress = 0;
+
+        // The object and key observed to upload again once they change.
+        this._waitingFor = null;
+
+        LocalFile.parent.init.call( this );
+    },
+
+    destroy: function () {
+        var request = this._request;
+        var waitingFor = this._waitingFor;
+        if ( request ) {
+            JMAP.upload.abort( request );
+        }
+        if ( waitingFor ) {
+            waitingFor[0].removeObserverForKey( waitingFor[1], this, 'upload' );
+            this._waitingFor = null;
+        }
+        uploading.erase( this );
+        LocalFile.parent.destroy.call( this );
+    },
+
+    upload: function ( obj, key ) {
+        if ( obj && key ) {
+            obj.removeObserverForKey( key, this, 'upload' );
+            this._waitingFor = null;
+        }
+        if ( !this.isDestroyed ) {
+            uploading.include( this );
+            JMAP.upload.send(
+                this._request = new JMAP.HttpRequest({
+                    nextEventTarget: this,
+                    method: 'POST',
+                    url: JMAP.auth.getUploadUrl(),
+                    headers: {
+                        'Authorization': JMAP.auth.get( 'accessToken' )
+                    },
+                    data: this.file
+                })
+            );
+        }
+        return this;
+    },
+
+    _uploadDidProgress: function () {
+        this.set( 'progress', this._request.get( 'uploadProgress' ) );
+    }.on( 'io:uploadProgress' ),
+
+    _uploadDidSucceed: function ( event ) {
+        var response, property;
+
+        // Parse response.
+        try {
+            response = JSON.parse( event.data );
+        } catch ( error ) {}
+
+        // Was there an error?
+        if ( !response ) {
+            return this.onFailure( event );
+        }
+
+        uploading.erase( this );
+        this.beginPropertyChanges();
+        for ( property in response ) {
+            // blobId, type, size, expires[, width, height]
+            this.set( property, response[ property ] );
+        }
+        this.set( 'progress', 100 )
+            .set( 'isUploaded', true )
+            .endPropertyChanges()
+            .uploadDidSucceed();
+    }.on( 'io:success' ),
+
+    // Uploads again once the key on the object changes. The file stays in
+    // the list of those uploading meanwhile, so it is still aborted if the
+    // user logs out.
+    _waitToUpload: function ( obj, key ) {
+        this._waitingFor = [ obj, key ];
+        obj.addObserverForKey( key, this, 'upload' );
+    },
+
+    _uploadDidFail: function ( event ) {
+        this.set( 'progress', 0 );
+
+        switch ( event.status ) {
+        case 400: // Bad Request
+        case 415: // Unsupported Media Type
+            break;
+        case 401: // Unauthorized
+            // Sent again once authenticated (e.g. after the token has been
+            // refreshed), so this is not a failure the app needs to see.
+            this._waitToUpload(
+                JMAP.auth.didLoseAuthentication(), 'isAuthenticated' );
+            return;
+        case 404: // Not Found
+            this._waitToUpload( JMAP.auth.refindEndpoints(), 'uploadUrl' );
+            break;
+        case 413: // Request Entity Too Large
+            this.set( 'isTooBig', true );
+            break;
+        default:  // Connection failed or 503 Service Unavailable
+            O.RunLoop.invokeAfterDelay( this.upload, 30000, this );
+            return;
+        }
+
+        if ( !this._waitingFor ) {
+            uploading.erase( this );
+        }
+        this.uploadDidFail();
+    }.on( 'io:failure' ),
+
+    _uploadDidEnd: function ( event ) {
+        var request = event.target;
+        request.destroy();
+        if ( this._request === request ) {
+            this._request = null;
+        }
+    }.on( 'io:end' ),
+
+    uploadDidSucceed: function () {},
+    uploadDidFail: function () {}
+});
+
+/**
+    Function: JMAP.LocalFile.abortAll
+
+    Destroys every file that is uploading or waiting to retry its upload.
+    Called on logout, so nothing is uploaded to the next user's account.
+*/
+LocalFile.abortAll = function () {
+    uploading.slice().forEach( function ( file ) {
+        file.destroy();
+    });
+};
+
+JMAP.auth.on( 'logout', LocalFile, 'abortAll' );
+
+JMAP.LocalFile = LocalFile;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: defineType.js                                                        \\
+// Module: API                                                                \\
+// Requires: Connection.js, protocols.js                                      \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+var withAccountId = JMAP.Connection.withAccountId;
+
+var toCamelCase = function ( name ) {
+    return name.charAt( 0 ).toLowerCase() + name.slice( 1 );
+};
+
+var getPlural = function ( name ) {
+    return /(?:s|x|ch|sh)$/.test( name ) ? name + 'es' :
+        /[^aeiou]y$/.test( name ) ? name.slice( 0, -1 ) + 'ies' :
+        name + 's';
+};
+
+/**
+    Function: JMAP.defineType
+
+    Registers the handlers with a connection to fetch, refresh and commit
+    records of a type using the standard methods for it, e.g. for "Mailbox":
+    getMailboxes, getMailboxUpdates and setMailboxes, along with the
+    handlers for their responses.
+
+    * Records are fetched with the get method, and all of them if no ids are
+      given.
+    * A refresh of the whole type fetches the updates since the current
+      state, with the records that changed. A refresh of particular records
+      fetches them again (just the <refreshProperties>, if given).
+    * If the server cannot calculate the changes since the current state,
+      all the records are fetched again.
+
+    Parameters:
+        Type       - {O.Class} The record class.
+        connection - {JMAP.Connection} The connection for the type.
+        typeName   - {String} The name of the type used in the method names,
+                     e.g. "Mailbox".
+        options    - {Object} (optional) Any of:
+
+                     precedence - {Number} The order to commit changes to
+                         this type in, relative to the other types on the
+                         connection; lower numbers go first.
+                     plural - {String} The plural of the type name used in
+                         the method names. Defaults to the type name plus
+                         "s" (or "es" or "ies" as appropriate).
+                     refreshProperties - {String[]} The properties to fetch
+                         when refreshing particular records. Defaults to
+                         all of them.
+                     maxChanges - {Number} The maximum number of changes to
+                         fetch in each updates call.
+                     hasMoreUpdates - {(String|Function)} What to do when an
+                         updates call says there are more updates than were
+                         returned: "wait" (the default) to leave them until
+                         the next refresh, "fetchMore" to fetch the next
+                         batch straight away, "refetch" to fetch all the
+                         records again, or a function to call with the
+                         connection as `this` and the response and request
+                         arguments.
+                     handlers - {Object} Any extra handlers to register, or
+                         ones to replace the generated handlers with, as
+                         passed to <JMAP.Connection#handle>.
+                     capability - {String} For a type the library does not
+                         know about, the capability required for it. This
+                         makes the methods work with the 'rfc8620' protocol
+                         too.
+                     serverName - {String} The name of the type in RFC 8620
+                         if different to the type name, e.g. "Email" for
+                         "Message". Only used with `capability`.
+
+    Returns:
+        {Object} The handlers registered.
+*/
+var defineType = function ( Type, connection, typeName, options ) {
+    var plural, camelPlural, get, getUpdates, set, errorName,
+        refreshProperties, maxChanges, hasMoreUpdates, handlers;
+
+    options = options || {};
+    plural = options.plural || getPlural( typeName );
+    camelPlural = toCamelCase( plural );
+    get = 'get' + plural;
+    getUpdates = 'get' + typeName + 'Updates';
+    set = 'set' + plural;
+    errorName = 'error_' + getUpdates + '_cannotCalculateChanges';
+    refreshProperties = options.refreshProperties || null;
+    maxChanges = options.maxChanges;
+    hasMoreUpdates = options.hasMoreUpdates || 'wait';
+
+    if ( typeof hasMoreUpdates === 'string' ) {
+        hasMoreUpdates = {
+            wait: null,
+            fetchMore: function ( args, reqArgs ) {
+                this.fetchAllRecordsForAccount( Type, reqArgs.accountId );
+            },
+            refetch: function ( args, reqArgs ) {
+                this.response[ errorName ].call( this, args, getUpdates,
+                    reqArgs );
+            }
+        }[ hasMoreUpdates ];
+    }
+
+    handlers = {
+        fetch: get,
+        refresh: function ( ids, state, accountId ) {
+            var args;
+            if ( ids ) {
+                this.callMethod( get, withAccountId({
+                    ids: ids,
+                    properties: refreshProperties
+                }, accountId ) );
+            } else {
+                args = withAccountId({
+                    sinceState: state,
+                    fetchRecords: true
+                }, accountId );
+                if ( maxChanges ) {
+                    args.maxChanges = maxChanges;
+                }
+                this.callMethod( getUpdates, args );
+            }
+        },
+        commit: set
+    };
+    if ( options.precedence !== undefined ) {
+        handlers.precedence = options.precedence;
+    }
+
+    // Response handlers
+
+    handlers[ camelPlural ] = function ( args, reqMethod, reqArgs ) {
+        this.didFetch( Type, args,
+            reqMethod === get && !reqArgs.ids, reqArgs.accountId );
+    };
+    handlers[ toCamelCase( typeName ) + 'Updates' ] =
+            function ( args, _, reqArgs ) {
+        this.didFetchUpdates( Type, args, reqArgs );
+        if ( args.hasMoreUpdates && hasMoreUpdates ) {
+            hasMoreUpdates.call( this, args, reqArgs );
+        }
+    };
+    handlers[ errorName ] = function ( _, __, reqArgs ) {
+        // All our data may be wrong. Refetch everything.
+        this.fetchAllRecords( Type, null, null, reqArgs.accountId );
+    };
+    handlers[ camelPlural + 'Set' ] = function ( args, _, reqArgs ) {
+        this.didCommit( Type, args, reqArgs.accountId );
+    };
+
+    O.extend( handlers, options.handlers || {} );
+
+    if ( options.capability ) {
+        JMAP.protocols.rfc8620.addType( typeName, plural,
+            options.serverName || typeName, options.capability );
+    }
+
+    connection.handle( Type, handlers );
+    return handlers;
+};
+
+/**
+    Function: JMAP.defineType.getPlural
+
+    Parameters:
+        name - {String} A type name, e.g. "Mailbox".
+
+    Returns:
+        {String} The plural used for the type name by default, e.g.
+        "Mailboxes".
+*/
+defineType.getPlural = getPlural;
+
+JMAP.defineType = defineType;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: MockServer.js                                                        \\
+// Module: API                                                                \\
+// Requires: defineType.js, transports.js                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+// Copies the value, as if it had been sent over the wire.
+var clone = function ( value ) {
+    return value === undefined ? null : JSON.parse( JSON.stringify( value ) );
+};
+
+var lowerFirst = function ( string ) {
+    return string.charAt( 0 ).toLowerCase() + string.slice( 1 );
+};
+
+// The record types the server holds, with the plural used in the names of
+// their methods and responses.
+var typePlurals = {
+    Mailbox: 'Mailboxes',
+    Thread: 'Threads',
+    Message: 'Messages',
+    ContactGroup: 'ContactGroups',
+    Contact: 'Contacts',
+    Calendar: 'Calendars',
+    CalendarEvent: 'CalendarEvents'
+};
+
+// Dates are compared as strings in the format of Date#toJSON.
+var toDateString = function ( date ) {
+    return date ? String( date ).slice( 0, 19 ) : '';
+};
+
+// --- Messages ---
+
+var toText = function ( value ) {
+    if ( !value ) {
+        return '';
+    }
+    if ( value instanceof Array ) {
+        return value.map( toText ).join( ' ' );
+    }
+    if ( typeof value === 'object' ) {
+        return ( value.name || '' ) + ' ' + ( value.email || '' );
+    }
+    return String( value ).toLowerCase();
+};
+
+var containsText = function ( value, text ) {
+    return toText( value ).toLowerCase().indexOf( text.toLowerCase() ) > -1;
+};
+
+var isInAll = function ( mailboxIds, ids ) {
+    return ids.every( function ( id ) {
+        return mailboxIds.indexOf( id ) > -1;
+    });
+};
+
+var matchesFilter = function ( message, filter ) {
+    var mailboxIds = message.mailboxIds || [],
+        property, value;
+    if ( !filter ) {
+        return true;
+    }
+    switch ( filter.operator ) {
+    case 'AND':
+        return filter.conditions.every( function ( condition ) {
+            return matchesFilter( message, condition );
+        });
+    case 'OR':
+        return filter.conditions.some( function ( condition ) {
+            return matchesFilter( message, condition );
+        });
+    case 'NOT':
+        return !filter.conditions.some( function ( condition ) {
+            return matchesFilter( message, condition );
+        });
+    }
+    for ( property in filter ) {
+        value = filter[ property ];
+        switch ( property ) {
+        case 'inMailboxes':
+            if ( !isInAll( mailboxIds, value ) ) {
+                return false;
+            }
+            break;
+        case 'notInMailboxes':
+            if ( value.some( function ( id ) {
+                    return mailboxIds.indexOf( id ) > -1;
+                }) ) {
+                return false;
+            }
+            break;
+        case 'before':
+            if ( !( toDateString( message.date ) < toDateString( value ) ) ) {
+                return false;
+            }
+            break;
+        case 'after':
+            if ( toDateString( message.date ) < toDateString( value ) ) {
+                return false;
+            }
+            break;
+        case 'minSize':
+            if ( !( message.size >= value ) ) {
+                return false;
+            }
+            break;
+        case 'maxSize':
+            if ( !( message.size < value ) ) {
+                return false;
+            }
+            break;
+        case 'text':
+            if ( ![ 'from', 'to', 'cc', 'subject', 'preview', 'textBody' ]
+                    .some( function ( key ) {
+                        return containsText( message[ key ], value );
+                    }) ) {
+                return false;
+            }
+            break;
+        case 'body':
+            if ( !containsText( message.textBody, value ) ) {
+                return false;
+            }
+            break;
+        case 'from':
+        case 'to':
+        case 'cc':
+        case 'bcc':
+        case 'subject':
+            if ( !containsText( message[ property ], value ) ) {
+                return false;
+            }
+            break;
+        default:
+            // isUnread, isFlagged, hasAttachment etc.
+            if ( !!message[ property ] !== !!value ) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+var getSortValue = function ( message, property ) {
+    var value = message[ property ];
+    if ( typeof value === 'boolean' ) {
+        return value ? 1 : 0;
+    }
+    if ( typeof value === 'number' ) {
+        return value;
+    }
+    return toText( value );
+};
+
+var sortBy = function ( sort ) {
+    var comparators = ( sort && sort.length ? sort : [ 'date desc' ] )
+        .map( function ( item ) {
+            var parts = item.split( ' ' );
+            return [ parts[0], parts[1] === 'asc' ];
+        });
+    return function ( a, b ) {
+        var i, l, property, x, y;
+        for ( i = 0, l = comparators.length; i < l; i += 1 ) {
+            property = comparators[i][0];
+            x = getSortValue( a, property );
+            y = getSortValue( b, property );
+            if ( x !== y ) {
+                return ( x < y ? -1 : 1 ) * ( comparators[i][1] ? 1 : -1 );
+            }
+        }
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+};
+
+// Returns the messages in a list, in order.
+var queryMessages = function ( records, args ) {
+    var seenThread = {},
+        list = Object.keys( records ).map( function ( id ) {
+            return records[ id ];
+        }).filter( function ( message ) {
+            return matchesFilter( message, args.filter );
+        }).sort( sortBy( args.sort ) );
+    if ( args.collapseThreads ) {
+        list = list.filter( function ( message ) {
+            var threadId = message.threadId;
+            if ( seenThread[ threadId ] ) {
+                return false;
+            }
+            seenThread[ threadId ] = true;
+            return true;
+        });
+    }
+    return list;
+};
+
+/*
+    Works out the removed and added arrays for a getMessageListUpdates
+    response. Messages in both lists that stay in the same order relative to
+    each other are left alone; all others are removed and/or added.
+*/
+var diffLists = function ( oldList, newList ) {
+    var oldIndex = {},
+        isKept = {},
+        last = -1;
+    oldList.forEach( function ( message, index ) {
+        oldIndex[ message.id ] = index;
+    });
+    newList.forEach( function ( message ) {
+        var index = oldIndex[ message.id ];
+        if ( index !== undefined && index > last ) {
+            isKept[ message.id ] = true;
+            last = index;
+        }
+    });
+    return {
+        removed: oldList.filter( function ( message ) {
+            return !isKept[ message.id ];
+        }).map( function ( message ) {
+            return {
+                messageId: message.id,
+                threadId: message.threadId
+            };
+        }),
+        added: newList.reduce( function ( added, message, index ) {
+            if ( !isKept[ message.id ] ) {
+                added.push({
+                    index: index,
+                    messageId: message.id,
+                    threadId: message.threadId
+                });
+            }
+            return added;
+        }, [] )
+    };
+};
+
+var uptoMessage = function ( list, messageId ) {
+    var i, l;
+    if ( messageId ) {
+        for ( i = 0, l = list.length; i < l; i += 1 ) {
+            if ( list[i].id === messageId ) {
+                return list.slice( 0, i + 1 );
+            }
+        }
+    }
+    return list;
+};
+
+var countMessage = function ( counts, message ) {
+    ( message.mailboxIds || [] ).forEach( function ( mailboxId ) {
+        var mailboxCounts = counts[ mailboxId ];
+        if ( mailboxCounts ) {
+            mailboxCounts.totalMessages += 1;
+            mailboxCounts.threads[ message.threadId ] = true;
+            if ( message.isUnread ) {
+                mailboxCounts.unreadMessages += 1;
+                mailboxCounts.unreadThreads[ message.threadId ] = true;
+            }
+        }
+    });
+};
+
+// Returns the properties asked for from a record (or all if null).
+var getProperties = function ( record, properties ) {
+    var result;
+    if ( !properties ) {
+        return record;
+    }
+    result = { id: record.id };
+    properties.forEach( function ( property ) {
+        var headerName = /^headers\.(.*)$/.exec( property ),
+            headers;
+        if ( property === 'body' ) {
+            result.textBody = record.textBody;
+            result.htmlBody = record.htmlBody;
+        } else if ( headerName ) {
+            headers = record.headers || {};
+            result.headers = result.headers || {};
+            if ( headerName[1] in headers ) {
+                result.headers[ headerName[1] ] = headers[ headerName[1] ];
+            }
+        } else if ( property in record ) {
+            result[ property ] = record[ property ];
+        }
+    });
+    return result;
+};
+
+// --- Requests ---
+
+/*
+    A request sent to a <JMAP.MockServer>, waiting for its response.
+*/
+var MockRequest = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( server, connection ) {
+        this.server = server;
+        this.nextEventTarget = connection;
+        this._timer = null;
+        MockRequest.parent.init.call( this );
+    },
+
+    abort: function () {
+        this.server.didFinish( this, 'io:abort', {
+            status: 0
+        });
+    }
+});
+
+// --- Methods ---
+
+var getRecords = function ( typeName ) {
+    var responseName = lowerFirst( typePlurals[ typeName ] );
+    return function ( args ) {
+        return [[ responseName,
+            this.getRecordsResponse( typeName, args.ids, args.properties ) ]];
+    };
+};
+
+var getUpdates = function ( typeName ) {
+    var responseName = lowerFirst( typeName ) + 'Updates',
+        recordsName = lowerFirst( typePlurals[ typeName ] );
+    return function ( args ) {
+        var changes = this.getChanges(
+                typeName, args.sinceState, args.maxChanges ),
+            responses;
+        if ( !changes ) {
+            return [[ 'error', { type: 'cannotCalculateChanges' } ]];
+        }
+        responses = [[ responseName, {
+            accountId: this.get( 'accountId' ),
+            oldState: args.sinceState,
+            newState: changes.newState,
+            hasMoreUpdates: changes.hasMoreUpdates,
+            changed: changes.changed,
+            removed: changes.removed
+        }]];
+        if ( args.fetchRecords && changes.changed.length ) {
+            responses.push([ recordsName, this.getRecordsResponse(
+                typeName, changes.changed, args.fetchRecordProperties ) ]);
+        }
+        return responses;
+    };
+};
+
+var setRecords = function ( typeName ) {
+    var responseName = lowerFirst( typePlurals[ typeName ] ) + 'Set';
+    return function ( args ) {
+        var oldState = this.getState( typeName ),
+            records = this._records[ typeName ],
+            create = args.create || {},
+            update = args.update || {},
+            destroy = args.destroy || [],
+            created = {},
+            updated = [],
+            notUpdated = {},
+            destroyed = [],
+            notDestroyed = {},
+            creationId, id;
+        if ( args.state && args.state !== oldState ) {
+            return [[ 'error', { type: 'stateMismatch' } ]];
+        }
+        for ( creationId in create ) {
+            created[ creationId ] =
+                this.createRecord( typeName, create[ creationId ] );
+        }
+        for ( id in update ) {
+            if ( records[ id ] ) {
+                this.updateRecord( typeName, id, update[ id ] );
+                updated.push( id );
+            } else {
+                notUpdated[ id ] = { type: 'notFound' };
+            }
+        }
+        destroy.forEach( function ( id ) {
+            if ( records[ id ] ) {
+                this.removeRecords( typeName, [ id ] );
+                destroyed.push( id );
+            } else {
+                notDestroyed[ id ] = { type: 'notFound' };
+            }
+        }, this );
+        return [[ responseName, {
+            accountId: this.get( 'accountId' ),
+            oldState: oldState,
+            newState: this.getState( typeName ),
+            created: created,
+            updated: updated,
+            destroyed: destroyed,
+            notCreated: {},
+            notUpdated: notUpdated,
+            notDestroyed: notDestroyed
+        }]];
+    };
+};
+
+var methods = {
+    getAccounts: function () {
+        var accountId = this.get( 'accountId' );
+        return [[ 'accounts', {
+            state: '1',
+            list: [{
+                id: accountId,
+                name: accountId,
+                isPrimary: true,
+                isPersonal: true,
+                isReadOnly: false,
+                hasMail: true,
+                hasContacts: true,
+                hasCalendars: true,
+                capabilities: {}
+            }]
+        }]];
+    },
+
+    getThreads: function ( args ) {
+        var response = this.getRecordsResponse( 'Thread', args.ids, null ),
+            responses = [[ 'threads', response ]];
+        if ( args.fetchMessages ) {
+            responses.push([ 'messages', this.getRecordsResponse( 'Message',
+                response.list.reduce( function ( ids, thread ) {
+                    return ids.concat( thread.messageIds );
+                }, [] ),
+                args.fetchMessageProperties ) ]);
+        }
+        return responses;
+    },
+
+    getMessageList: function ( args ) {
+        var list = queryMessages( this._records.Message, args ),
+            total = list.length,
+            position = args.position || 0,
+            limit = args.limit,
+            threadIds, messageIds, index, responses;
+        if ( args.anchor ) {
+            index = list.map( function ( message ) {
+                return message.id;
+            }).indexOf( args.anchor );
+            if ( index < 0 ) {
+                return [[ 'error', { type: 'anchorNotFound' } ]];
+            }
+            position = Math.max( 0, index - ( args.anchorOffset || 0 ) );
+        }
+        list = list.slice( position,
+            limit || limit === 0 ? position + limit : undefined );
+        threadIds = list.map( function ( message ) {
+            return message.threadId;
+        });
+        messageIds = list.map( function ( message ) {
+            return message.id;
+        });
+        responses = [[ 'messageList', {
+            accountId: this.get( 'accountId' ),
+            filter: args.filter,
+            sort: args.sort,
+            collapseThreads: args.collapseThreads,
+            state: this.getState( 'Message' ),
+            canCalculateUpdates: true,
+            position: position,
+            total: total,
+            threadIds: threadIds,
+            messageIds: messageIds
+        }]];
+        if ( args.fetchThreads ) {
+            responses.push([ 'threads',
+                this.getRecordsResponse( 'Thread', threadIds.filter(
+                    function ( id, i ) {
+                        return threadIds.indexOf( id ) === i;
+                    }), null ) ]);
+        }
+        if ( args.fetchMessages ) {
+            responses.push([ 'messages', this.getRecordsResponse(
+                'Message', messageIds, args.fetchMessageProperties ) ]);
+        }
+        return responses;
+    },
+
+    getMessageListUpdates: function ( args ) {
+        var records = this.getRecordsAtState( 'Message', args.sinceState ),
+            upto = args.uptoMessageId,
+            newList, diff;
+        if ( !records ) {
+            return [[ 'error', { type: 'cannotCalculateChanges' } ]];
+        }
+        newList = queryMessages( this._records.Message, args );
+        diff = diffLists(
+            uptoMessage( queryMessages( records, args ), upto ),
+            uptoMessage( newList, upto )
+        );
+        if ( args.maxChanges &&
+                diff.removed.length + diff.added.length > args.maxChanges ) {
+            return [[ 'error', { type: 'tooManyChanges' } ]];
+        }
+        return [[ 'messageListUpdates', {
+            accountId: this.get( 'accountId' ),
+            filter: args.filter,
+            sort: args.sort,
+            collapseThreads: args.collapseThreads,
+            oldState: args.sinceState,
+            newState: this.getState( 'Message' ),
+            uptoMessageId: upto || null,
+            removed: diff.removed,
+            added: diff.added,
+            total: newList.length
+        }]];
+    },
+
+    getCalendarEventList: function ( args ) {
+        var filter = args.filter || {},
+            after = toDateString( filter.after ),
+            before = toDateString( filter.before ),
+            records = this._records.CalendarEvent,
+            ids = Object.keys( records ).filter( function ( id ) {
+                var event = records[ id ];
+                return ( !before || toDateString( event.start ) < before ) &&
+                    ( !after || !!event.recurrence ||
+                        toDateString( event.end ) > after );
+            }),
+            responses = [[ 'calendarEventList', {
+                accountId: this.get( 'accountId' ),
+                filter: args.filter,
+                state: this.getState( 'CalendarEvent' ),
+                position: 0,
+                total: ids.length,
+                calendarEventIds: ids
+            }]];
+        if ( args.fetchCalendarEvents ) {
+            responses.push([ 'calendarEvents',
+                this.getRecordsResponse( 'CalendarEvent', ids, null ) ]);
+        }
+        return responses;
+    }
+};
+
+// Adds the get, updates and set methods for a type.
+var addMethods = function ( typeName ) {
+    var plural = typePlurals[ typeName ];
+    if ( !methods[ 'get' + plural ] ) {
+        methods[ 'get' + plural ] = getRecords( typeName );
+    }
+    methods[ 'get' + typeName + 'Updates' ] = getUpdates( typeName );
+    // Threads are only changed by changing their messages.
+    if ( typeName !== 'Thread' ) {
+        methods[ 'set' + plural ] = setRecords( typeName );
+    }
+};
+
+Object.keys( typePlurals ).forEach( addMethods );
+
+// ---
+
+/**
+    Class: JMAP.MockServer
+
+    Extends: O.Object
+
+    A transport (see transports.js) that, rather than sending requests to a
+    server, handles them itself using data held in memory, so an app can be
+    tested without a network or a real server. It implements the get,
+    updates and set methods for mailboxes, threads, messages, contacts,
+    contact groups, calendars and calendar events, as well as
+    getMessageList, getMessageListUpdates and getCalendarEventList. It
+    speaks the 'draft' protocol, so only use it with connections using that.
+
+        var server = new JMAP.MockServer({ latency: 50 });
+        server.addRecords( 'Mailbox', [{ name: 'Inbox', role: 'inbox' }] );
+        JMAP.mail.set( 'transport', server );
+
+    The threads, and the message counts of each mailbox, are kept up to
+    date by the server as messages are added, changed and removed. Each
+    change to the data bumps the state of the type, so the updates methods
+    (and getMessageListUpdates) return just what has changed since.
+
+    The data can be changed "on the server" with <#addRecords>,
+    <#updateRecord> and <#removeRecords>, and failures can be injected with
+    <#failNextRequest> and <#failNextCall>. Other record types can be added
+    with <JMAP.MockServer.addType>.
+*/
+var MockServer = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.MockServer#accountId
+        Type: String
+        Default: 'mock'
+
+        The id of the one account on the server. Calls for any other account
+        return an accountNotFound error.
+    */
+    accountId: 'mock',
+
+    /**
+        Property: JMAP.MockServer#latency
+        Type: Number
+        Default: 0
+
+        How long (in ms) to wait before responding to each request.
+    */
+    latency: 0,
+
+    init: function ( mixin ) {
+        var typeName;
+        // Map of type name -> id -> record
+        this._records = {};
+        // Map of type name -> number of changes made
+        this._states = {};
+        // Map of type name -> list of changes made, in order. Each is an
+        // object with the `state` after the change, the `id` of the record
+        // changed and the `previous` data for it (or null if it was
+        // created).
+        this._changes = {};
+        for ( typeName in typePlurals ) {
+            this._records[ typeName ] = {};
+            this._states[ typeName ] = 0;
+            this._changes[ typeName ] = [];
+        }
+        this._nextId = 1;
+        // Statuses to fail the next requests with.
+        this._requestFailures = [];
+        // Map of method name -> list of errors to return for the next calls
+        this._callErrors = {};
+        MockServer.parent.init.call( this, mixin );
+    },
+
+    // --- Transport ---
+
+    send: function ( connection, remoteCalls ) {
+        var request = new MockRequest( this, connection );
+        request._timer = O.RunLoop.invokeAfterDelay( function () {
+            var status = this._requestFailures.shift();
+            if ( status !== undefined ) {
+                this.didFinish( request, 'io:failure', {
+                    status: status
+                });
+            } else {
+                this.didFinish( request, 'io:success', {
+                    status: 200,
+                    data: this.handleCalls( remoteCalls )
+                });
+            }
+        }, this.get( 'latency' ), this );
+        return request;
+    },
+
+    didFinish: function ( request, type, event ) {
+        if ( !request._timer ) {
+            return this;
+        }
+        O.RunLoop.cancel( request._timer );
+        request._timer = null;
+        request.fire( type, event )
+               .fire( 'io:end' );
+        return this;
+    },
+
+    /**
+        Method: JMAP.MockServer#handleCalls
+
+        Parameters:
+            calls - {Array} The method calls, as `[ name, args, tag ]`.
+
+        Returns:
+            {Array} The responses, as `[ name, args, tag ]`.
+    */
+    handleCalls: function ( calls ) {
+        var responses = [];
+        // Copy the calls, as if they had been sent over the wire.
+        clone( calls ).forEach( function ( call ) {
+            var name = call[0],
+                args = call[1] || {},
+                errors = this._callErrors[ name ],
+                error = errors && errors.shift(),
+                method = methods[ name ];
+            if ( !error ) {
+                if ( !method ) {
+                    error = { type: 'unknownMethod' };
+                } else if ( args.accountId &&
+                        args.accountId !== this.get( 'accountId' ) ) {
+                    error = { type: 'accountNotFound' };
+                }
+            }
+            ( error ? [[ 'error', error ]] : method.call( this, args ) )
+                .forEach( function ( response ) {
+                    responses.push([ response[0], response[1], call[2] ]);
+                });
+        }, this );
+        return clone( responses );
+    },
+
+    // --- Injecting failures ---
+
+    /**
+        Method: JMAP.MockServer#failNextRequest
+
+        Makes the next request fail. Call it more than once to fail more
+        than one request.
+
+        Parameters:
+            status - {Number} (optional) The HTTP status to fail with, or
+                     0 (the default) as though the server could not be
+                     reached.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    failNextRequest: function ( status ) {
+        this._requestFailures.push( status || 0 );
+        return this;
+    },
+
+    /**
+        Method: JMAP.MockServer#failNextCall
+
+        Makes the next call to a method return an error.
+
+        Parameters:
+            method      - {String} The name of the method, e.g.
+                          "setMessages".
+            type        - {String} The type of error, e.g. "serverError".
+            description - {String} (optional) A description of the error.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    failNextCall: function ( method, type, description ) {
+        var errors = this._callErrors[ method ] ||
+                ( this._callErrors[ method ] = [] ),
+            error = { type: type };
+        if ( description ) {
+            error.description = description;
+        }
+        errors.push( error );
+        return this;
+    },
+
+    // --- Data ---
+
+    /**
+        Method: JMAP.MockServer#getState
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+
+        Returns:
+            {String} The current state of the type.
+    */
+    getState: function ( typeName ) {
+        return String( this._states[ typeName ] );
+    },
+
+    /**
+        Method: JMAP.MockServer#getRecord
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            id       - {String} The id of the record.
+
+        Returns:
+            {(Object|null)} A copy of the data for the record, or null if
+            there is no such record.
+    */
+    getRecord: function ( typeName, id ) {
+        return clone( this._records[ typeName ][ id ] );
+    },
+
+    /**
+        Method: JMAP.MockServer#addRecords
+
+        Adds records to the server. Any record without an id is given one;
+        messages without a thread id are put in a new thread.
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            records  - {Object[]} The data for the records.
+
+        Returns:
+            {String[]} The ids of the new records.
+    */
+    addRecords: function ( typeName, records ) {
+        return records.map( function ( data ) {
+            return this.createRecord( typeName, data ).id;
+        }, this );
+    },
+
+    /**
+        Method: JMAP.MockServer#updateRecord
+
+        Changes a record on the server.
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            id       - {String} The id of the record.
+            changes  - {Object} The new values of the properties to change.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    updateRecord: function ( typeName, id, changes ) {
+        var data = this._records[ typeName ][ id ];
+        if ( data ) {
+            this.setRecord( typeName, id,
+                O.extend( clone( data ), clone( changes ) ) );
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.MockServer#removeRecords
+
+        Removes records from the server.
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            ids      - {String[]} The ids of the records to remove.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    removeRecords: function ( typeName, ids ) {
+        ids.forEach( function ( id ) {
+            if ( this._records[ typeName ][ id ] ) {
+                this.setRecord( typeName, id, null );
+            }
+        }, this );
+        return this;
+    },
+
+    // ---
+
+    createRecord: function ( typeName, data ) {
+        var id = data.id || this.getNewId( typeName ),
+            record = O.extend( clone( data ), { id: id } ),
+            added = { id: id },
+            key;
+        if ( typeName === 'Message' ) {
+            O.extend( record, {
+                threadId: this.getNewId( 'Thread' ),
+                mailboxIds: [],
+                isUnread: false,
+                isFlagged: false,
+                isAnswered: false,
+                isDraft: false,
+                hasAttachment: false,
+                blobId: 'blob-' + id,
+                date: new Date().toJSON(),
+                size: JSON.stringify( record ).length,
+                preview: ( record.textBody || '' ).slice( 0, 256 )
+            }, true );
+        }
+        // Return any properties set by the server.
+        for ( key in record ) {
+            if ( !( key in data ) ) {
+                added[ key ] = record[ key ];
+            }
+        }
+        this.setRecord( typeName, id, record );
+        return clone( added );
+    },
+
+    getNewId: function ( typeName ) {
+        return typeName.charAt( 0 ) + ( this._nextId++ );
+    },
+
+    /*
+        All changes to the data go through here. Sets (or if the data is
+        null, removes) the record, bumps the state and updates the threads
+        and mailboxes if a message has changed.
+    */
+    setRecord: function ( typeName, id, data ) {
+        var records = this._records[ typeName ],
+            previous = records[ id ] || null;
+        if ( data ) {
+            records[ id ] = data;
+        } else {
+            delete records[ id ];
+        }
+        this._changes[ typeName ].push({
+            state: ( this._states[ typeName ] += 1 ),
+            id: id,
+            previous: previous
+        });
+        if ( typeName === 'Message' ) {
+            this.updateThreads([
+                previous && previous.threadId,
+                data && data.threadId
+            ]);
+            this.updateMailboxCounts();
+        }
+        return this;
+    },
+
+    updateThreads: function ( threadIds ) {
+        var messages = this._records.Message,
+            threads = this._records.Thread;
+        threadIds.forEach( function ( threadId ) {
+            var messageIds, thread;
+            if ( !threadId ) {
+                return;
+            }
+            messageIds = Object.keys( messages ).filter( function ( id ) {
+                return messages[ id ].threadId === threadId;
+            }).sort( function ( a, b ) {
+                a = toDateString( messages[ a ].date );
+                b = toDateString( messages[ b ].date );
+                return a < b ? -1 : a > b ? 1 : 0;
+            });
+            thread = threads[ threadId ];
+            if ( !messageIds.length ) {
+                if ( thread ) {
+                    this.setRecord( 'Thread', threadId, null );
+                }
+            } else if ( !thread ||
+                    !O.isEqual( thread.messageIds, messageIds ) ) {
+                this.setRecord( 'Thread', threadId, {
+                    id: threadId,
+                    messageIds: messageIds
+                });
+            }
+        }, this );
+    },
+
+    updateMailboxCounts: function () {
+        var messages = this._records.Message,
+            mailboxes = this._records.Mailbox,
+            counts = {},
+            id, mailboxId;
+        for ( mailboxId in mailboxes ) {
+            counts[ mailboxId ] = {
+                totalMessages: 0,
+                unreadMessages: 0,
+                threads: {},
+                unreadThreads: {}
+            };
+        }
+        for ( id in messages ) {
+            countMessage( counts, messages[ id ] );
+        }
+        for ( mailboxId in counts ) {
+            this.updateMailbox( mailboxId, {
+                totalMessages: counts[ mailboxId ].totalMessages,
+                unreadMessages: counts[ mailboxId ].unreadMessages,
+                totalThreads:
+                    Object.keys( counts[ mailboxId ].threads ).length,
+                unreadThreads:
+                    Object.keys( counts[ mailboxId ].unreadThreads ).length
+            });
+        }
+    },
+
+    updateMailbox: function ( id, counts ) {
+        var mailbox = this._records.Mailbox[ id ],
+            key;
+        for ( key in counts ) {
+            if ( mailbox[ key ] !== counts[ key ] ) {
+                this.setRecord( 'Mailbox', id,
+                    O.extend( clone( mailbox ), counts ) );
+                return;
+            }
+        }
+    },
+
+    // ---
+
+    getRecordsResponse: function ( typeName, ids, properties ) {
+        var records = this._records[ typeName ],
+            list = [],
+            notFound = [];
+        ( ids || Object.keys( records ) ).forEach( function ( id ) {
+            var record = records[ id ];
+            if ( record ) {
+                list.push( getProperties( record, properties ) );
+            } else {
+                notFound.push( id );
+            }
+        });
+        return {
+            accountId: this.get( 'accountId' ),
+            state: this.getState( typeName ),
+            list: list,
+            notFound: notFound.length ? notFound : null
+        };
+    },
+
+    /*
+        Returns the ids changed and removed since a state (at most
+        maxChanges of them, if given), or null if the state is not valid.
+    */
+    getChanges: function ( typeName, sinceState, maxChanges ) {
+        var since = parseInt( sinceState, 10 ),
+            records = this._records[ typeName ],
+            changes = this._changes[ typeName ],
+            newState = this._states[ typeName ],
+            hasMoreUpdates = false,
+            isSeen = {},
+            ids = [],
+            i, l, change;
+        if ( !( since >= 0 && since <= newState ) ) {
+            return null;
+        }
+        for ( i = since, l = changes.length; i < l; i += 1 ) {
+            change = changes[i];
+            if ( !isSeen[ change.id ] ) {
+                if ( maxChanges && ids.length === maxChanges ) {
+                    newState = changes[ i - 1 ].state;
+                    hasMoreUpdates = true;
+                    break;
+                }
+                isSeen[ change.id ] = true;
+                ids.push( change.id );
+            }
+        }
+        return {
+            newState: String( newState ),
+            hasMoreUpdates: hasMoreUpdates,
+            changed: ids.filter( function ( id ) {
+                return !!records[ id ];
+            }),
+            removed: ids.filter( function ( id ) {
+                return !records[ id ];
+            })
+        };
+    },
+
+    /*
+        Returns the records of a type as they were at a state, or null if the
+        state is not valid.
+    */
+    getRecordsAtState: function ( typeName, state ) {
+        var since = parseInt( state, 10 ),
+            records = O.extend( {}, this._records[ typeName ] ),
+            changes = this._changes[ typeName ],
+            l = changes.length,
+            change;
+        if ( !( since >= 0 && since <= this._states[ typeName ] ) ) {
+            return null;
+        }
+        while ( l-- ) {
+            change = changes[l];
+            if ( change.state <= since ) {
+                break;
+            }
+            if ( change.previous ) {
+                records[ change.id ] = change.previous;
+            } else {
+                delete records[ change.id ];
+            }
+        }
+        return records;
+    }
+});
+
+/**
+    Function: JMAP.MockServer.addType
+
+    Adds a record type, such as one registered with <JMAP.defineType>, so
+    servers created from now on hold records of it and implement its get,
+    updates and set methods.
+
+    Parameters:
+        typeName - {String} The name of the type used in the method names,
+                   e.g. "Identity".
+        plural   - {String} (optional) The plural used in the method names.
+                   Defaults to <JMAP.defineType.getPlural> of the type name.
+*/
+MockServer.addType = function ( typeName, plural ) {
+    typePlurals[ typeName ] = plural || JMAP.defineType.getPlural( typeName );
+    addMethods( typeName );
+};
+
+JMAP.MockServer = MockServer;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: OAuthTokenProvider.js                                                \\
+// Module: API                                                                \\
+// Requires: Auth.js                                                          \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+/**
+    Class: JMAP.OAuthTokenProvider
+
+    Extends: O.Object
+
+    A token provider for <JMAP.auth> using OAuth 2.0 Bearer tokens. Give it
+    the token response from the authorization server when the user logs in,
+    and it will use the refresh token to get a new access token shortly
+    before the current one expires, or whenever the server rejects it.
+
+        var provider = new JMAP.OAuthTokenProvider({
+            tokenUrl: 'https://example.com/oauth/token',
+            clientId: 'my-app'
+        });
+        JMAP.auth.set( 'tokenProvider', provider );
+        provider.didReceiveTokens( tokenResponse );
+        JMAP.auth.didAuthenticate(
+            username, provider.get( 'authorization' ), urls );
+*/
+var OAuthTokenProvider = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.OAuthTokenProvider#tokenUrl
+        Type: String
+
+        The token endpoint of the authorization server.
+    */
+    tokenUrl: '',
+
+    /**
+        Property: JMAP.OAuthTokenProvider#clientId
+        Type: String
+
+        The client id to send with refresh requests.
+    */
+    clientId: '',
+
+    /**
+        Property: JMAP.OAuthTokenProvider#revocationUrl
+        Type: String
+
+        The token revocation endpoint of the authorization server (RFC 7009),
+        if it has one. Used by <JMAP.OAuthTokenProvider#revoke>.
+    */
+    revocationUrl: '',
+
+    accessToken: '',
+    refreshToken: '',
+
+    /**
+        Property: JMAP.OAuthTokenProvider#expiresAt
+        Type: Number
+
+        The time (in ms since the epoch) the access token expires, or 0 if
+        not known.
+    */
+    expiresAt: 0,
+
+    /**
+        Property: JMAP.OAuthTokenProvider#refreshMargin
+        Type: Number
+        Default: 60000
+
+        How long (in ms) before the access token expires to refresh it.
+    */
+    refreshMargin: 60000,
+
+    /**
+        Property: JMAP.OAuthTokenProvider#isRefreshing
+        Type: Boolean
+
+        True while a refresh request is in flight.
+    */
+    isRefreshing: false,
+
+    init: function ( mixin ) {
+        this._timer = null;
+        this._request = null;
+        OAuthTokenProvider.parent.init.call( this, mixin );
+    },
+
+    destroy: function () {
+        this.cancelRefresh();
+        OAuthTokenProvider.parent.destroy.call( this );
+    },
+
+    /**
+        Property: JMAP.OAuthTokenProvider#authorization
+        Type: String
+
+        The value to use for the Authorization header.
+    */
+    authorization: function () {
+        return 'Bearer ' + this.get( 'accessToken' );
+    }.property( 'accessToken' ),
+
+    /**
+        Property: JMAP.OAuthTokenProvider#canRefresh
+        Type: Boolean
+
+        Whether there is a refresh token to get a new access token with.
+    */
+    canRefresh: function () {
+        return !!this.get( 'refreshToken' ) && !!this.get( 'tokenUrl' );
+    }.property( 'refreshToken', 'tokenUrl' ),
+
+    // ---
+
+    /**
+        Method: JMAP.OAuthTokenProvider#didReceiveTokens
+
+        Call this with the token response from the authorization server. It
+        is also called with the response to each refresh. Updates the
+        tokens, schedules the next refresh and passes the new access token
+        to <JMAP.auth>.
+
+        Parameters:
+            response - {Object} The parsed token response, with an
+                       `access_token` and optionally a `refresh_token` and
+                       `expires_in`.
+
+        Returns:
+            {JMAP.OAuthTokenProvider} Returns self.
+    */
+    didReceiveTokens: function ( response ) {
+        var expiresIn = response.expires_in;
+        this.beginPropertyChanges()
+            .set( 'accessToken', response.access_token )
+            .set( 'expiresAt', expiresIn ? Date.now() + expiresIn * 1000 : 0 );
+        // The server may or may not issue a new refresh token.
+        if ( response.refresh_token ) {
+            this.set( 'refreshToken', response.refresh_token );
+        }
+        this.endPropertyChanges();
+
+        this.scheduleRefresh();
+        JMAP.auth.didRefreshToken( this.get( 'authorization' ) );
+        return this;
+    },
+
+    scheduleRefresh: function () {
+        var expiresAt = this.get( 'expiresAt' );
+        this.cancelRefresh();
+        if ( expiresAt && this.get( 'canRefresh' ) ) {
+            this._timer = O.RunLoop.invokeAfterDelay( this.refresh,
+                Math.max( 0,
+                    expiresAt - this.get( 'refreshMargin' ) - Date.now() ),
+                this );
+        }
+        return this;
+    },
+
+    cancelRefresh: function () {
+        if ( this._timer ) {
+            O.RunLoop.cancel( this._timer );
+            this._timer = null;
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.OAuthTokenProvider#refresh
+
+        Uses the refresh token to get a new access token. If the
+        authorization server rejects the refresh token,
+        <JMAP.auth#didFailToRefreshToken> is called; if it cannot be
+        reached, the refresh is retried after 30 seconds.
+
+        Returns:
+            {JMAP.OAuthTokenProvider} Returns self.
+    */
+    refresh: function () {
+        if ( this.get( 'isRefreshing' ) || !this.get( 'canRefresh' ) ) {
+            return this;
+        }
+        this.cancelRefresh()
+            .set( 'isRefreshing', true );
+
+        var provider = this,
+            clientId = this.get( 'clientId' );
+        this._request = new JMAP.HttpRequest({
+            timeout: 45000,
+            method: 'POST',
+            url: this.get( 'tokenUrl' ),
+            headers: {
+                'Accept': 'application/json',
+                'Content-type': 'application/x-www-form-urlencoded'
+            },
+            data: 'grant_type=refresh_token' +
+                '&refresh_token=' +
+                    encodeURIComponent( this.get( 'refreshToken' ) ) +
+                ( clientId ?
+                    '&client_id=' + encodeURIComponent( clientId ) : '' ),
+            success: function ( event ) {
+                var response;
+                try {
+                    response = JSON.parse( event.data );
+                } catch ( error ) {}
+
+                if ( response && response.access_token ) {
+                    provider.didReceiveTokens( response );
+                } else {
+                    JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                        description: 'Token response is not valid.',
+                        status: event.status,
+                        data: event.data
+                    }) );
+                    this.retry();
+                }
+            }.on( 'io:success' ),
+            failure: function ( event ) {
+                switch ( event.status ) {
+                case 400: // Bad Request, e.g. invalid_grant
+                case 401: // Unauthorized
+                    provider.set( 'refreshToken', '' );
+                    JMAP.auth.didFailToRefreshToken();
+                    break;
+                default: // Connection failed or 5xx error
+                    this.retry();
+                }
+            }.on( 'io:failure' ),
+            retry: function () {
+                provider._timer = O.RunLoop.invokeAfterDelay(
+                    provider.refresh, 30000, provider );
+            }.on( 'io:abort' ),
+            cleanup: function () {
+                this.destroy();
+                provider._request = null;
+                provider.set( 'isRefreshing', false );
+            }.on( 'io:end' )
+        });
+        this._request.send();
+
+        return this;
+    },
+
+    /**
+        Method: JMAP.OAuthTokenProvider#revoke
+
+        Stops refreshing and forgets the tokens, asking the authorization
+        server to revoke the refresh token (or the access token, if there is
+        no refresh token) if there is a <#revocationUrl>. Called by
+        <JMAP.auth#logout>.
+
+        Returns:
+            {JMAP.OAuthTokenProvider} Returns self.
+    */
+    revoke: function () {
+        var refreshToken = this.get( 'refreshToken' ),
+            token = refreshToken || this.get( 'accessToken' ),
+            revocationUrl = this.get( 'revocationUrl' ),
+            clientId = this.get( 'clientId' ),
+            request = this._request;
+
+        // Clear the refresh token first, so aborting a refresh in progress
+        // does not schedule another attempt.
+        this.set( 'refreshToken', '' );
+        if ( request ) {
+            request.abort();
+        }
+        this.cancelRefresh()
+            .set( 'accessToken', '' )
+            .set( 'expiresAt', 0 );
+
+        if ( token && revocationUrl ) {
+            new JMAP.HttpRequest({
+                timeout: 45000,
+                method: 'POST',
+                url: revocationUrl,
+                headers: {
+                    'Content-type': 'application/x-www-form-urlencoded'
+                },
+                data: 'token=' + encodeURIComponent( token ) +
+                    '&token_type_hint=' +
+                        ( refreshToken ? 'refresh_token' : 'access_token' ) +
+                    ( clientId ?
+                        '&client_id=' + encodeURIComponent( clientId ) : '' ),
+                cleanup: function () {
+                    this.destroy();
+                }.on( 'io:end' )
+            }).send();
+        }
+        return this;
+    }
+});
+
+JMAP.OAuthTokenProvider = OAuthTokenProvider;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: Push.js                                                              \\
+// Module: API                                                                \\
+// Requires: connections.js, HttpRequest.js                                   \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+/*
+    The server pushes a "state" event whenever the state of one of the types
+    changes. The data is either a map of type name to new state, or (in later
+    versions of the spec) wrapped in a `changed` object keyed by account id.
+    This returns a map of account id to type name to new state, with the
+    former being treated as the default account (with an id of '').
+*/
+var getChangedStates = function ( data ) {
+    return data.changed || { '': data };
+};
+
+var getConnectionForType = function ( Type ) {
+    var typeId = O.guid( Type );
+    return JMAP.source.get( 'sources' ).filter( function ( connection ) {
+        return !!connection.recordFetchers[ typeId ];
+    })[0] || null;
+};
+
+JMAP.push = new O.Object({
+
+    /**
+        Property: JMAP.push#isEnabled
+        Type: Boolean
+
+        Set to false to stop listening for push events. The event source is
+        opened automatically when this is true, the user is authenticated and
+        an eventSourceUrl is known. Defaults to false in Node, which has no
+        EventSource.
+    */
+    isEnabled: !JMAP.isNode,
+
+    /**
+        Property: JMAP.push#typeNames
+        Type: String[]
+
+        The names of the types the push subsystem will refresh when notified
+        of a state change. Each name must be the name of a record type in the
+        JMAP namespace, e.g. "Message" for <JMAP.Message>.
+    */
+    typeNames: [
+        'Mailbox', 'Thread', 'Message',
+        'ContactGroup', 'Contact',
+        'Calendar', 'CalendarEvent'
+    ],
+
+    _eventSource: null,
+    _hasOpened: false,
+
+    // ---
+
+    eventSourceDidChange: function () {
+        var auth = JMAP.auth,
+            url = auth.get( 'eventSourceUrl' ),
+            shouldOpen = this.get( 'isEnabled' ) &&
+                auth.get( 'isAuthenticated' ) && !!url,
+            eventSource = this._eventSource;
+
+        if ( eventSource &&
+                ( !shouldOpen || eventSource.get( 'url' ) !== url ) ) {
+            this.close();
+            eventSource = null;
+        }
+        if ( shouldOpen && !eventSource ) {
+            this.open();
+        }
+    }.queue( 'after' ),
+
+    open: function () {
+        var eventSource = this._eventSource,
+            push = this;
+        if ( !eventSource ) {
+            eventSource = this._eventSource = new O.EventSource({
+                url: JMAP.auth.get( 'eventSourceUrl' ),
+                eventSourceDidOpen: function () {
+                    push.eventSourceDidOpen();
+                }.on( 'open' ),
+                eventSourceDidError: function () {
+                    push.eventSourceDidFail( this );
+                }.on( 'error' ),
+                eventSourceDidReceiveState: function ( event ) {
+                    push.didReceiveState( event.data );
+                }.on( 'state' )
+            });
+        }
+        if ( eventSource.get( 'readyState' ) === O.EventSource.CLOSED ) {
+            eventSource.open();
+        }
+        return this;
+    },
+
+    close: function () {
+        var eventSource = this._eventSource;
+        if ( eventSource ) {
+            eventSource.close().destroy();
+            this._eventSource = null;
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.push#send
+
+        Called by <JMAP.auth> when it is time to retry after a failure.
+    */
+    send: function () {
+        if ( this._eventSource ) {
+            this.open();
+        } else {
+            this.eventSourceDidChange();
+        }
+    },
+
+    didLogout: function () {
+        this.close();
+        this._hasOpened = false;
+    },
+
+    // ---
+
+    eventSourceDidOpen: function () {
+        JMAP.auth.connectionSucceeded( this );
+        // We may have missed some state changes while disconnected.
+        if ( this._hasOpened ) {
+            this.refreshAll();
+        }
+        this._hasOpened = true;
+    },
+
+    eventSourceDidFail: function ( eventSource ) {
+        // Stop the native EventSource reconnecting by itself; we'll retry
+        // along with everything else via JMAP.auth.
+        if ( eventSource === this._eventSource &&
+                eventSource.get( 'readyState' ) !==
+                    O.EventSource.CLOSED ) {
+            eventSource.close();
+        }
+        JMAP.auth.connectionFailed( this );
+    },
+
+    // ---
+
+    didReceiveState: function ( data ) {
+        var json;
+        try {
+            json = JSON.parse( data );
+        } catch ( error ) {}
+
+        if ( !json ) {
+            JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                description: 'Push data from server is not JSON.',
+                data: data
+            }) );
+            return;
+        }
+        this.didReceiveStateChange( json );
+    },
+
+    /**
+        Method: JMAP.push#didReceiveStateChange
+
+        Refreshes any types whose state has changed. This is called for each
+        state event from the event source, and may also be called by
+        anything else the server pushes state changes through (such as
+        a <JMAP.WebSocketTransport>).
+
+        Parameters:
+            data - {Object} The parsed state change.
+    */
+    didReceiveStateChange: function ( data ) {
+        var states = getChangedStates( data );
+        Object.keys( states ).forEach( function ( accountId ) {
+            var typeStates = states[ accountId ];
+            this.typeNames.forEach( function ( typeName ) {
+                if ( typeName in typeStates ) {
+                    this.refreshType(
+                        typeName, typeStates[ typeName ], accountId || null );
+                }
+            }, this );
+        }, this );
+    },
+
+    refreshType: function ( typeName, newState, accountId ) {
+        var Type = JMAP[ typeName ],
+            connection = Type && getConnectionForType( Type ),
+            state;
+        if ( !connection ) {
+            return this;
+        }
+        state = connection.getTypeState( Type, accountId );
+        // If we've never fetched this type, there's nothing to update.
+        if ( state && state !== newState ) {
+            connection.fetchAllRecordsForAccount( Type, accountId );
+            // Message lists may have changed too.
+            if ( Type === JMAP.Message ) {
+                this.refreshMessageLists();
+            }
+        }
+        return this;
+    },
+
+    refreshAll: function () {
+        // The default account (null), then any other accounts we know about.
+        var accountIds = [ null ].concat(
+                JMAP.store.getAll( JMAP.Account ).map( function ( account ) {
+                    return account.get( 'id' );
+                }) );
+        this.typeNames.forEach( function ( typeName ) {
+            var Type = JMAP[ typeName ],
+                connection = Type && getConnectionForType( Type );
+            if ( !connection ) {
+                return;
+            }
+            accountIds.forEach( function ( accountId ) {
+                var isDuplicate = !!accountId &&
+                        connection.isDefaultAccount( accountId );
+                if ( !isDuplicate &&
+                        connection.getTypeState( Type, accountId ) ) {
+                    connection.fetchAllRecordsForAccount( Type, accountId );
+                }
+            });
+        });
+        this.refreshMessageLists();
+        return this;
+    },
+
+    refreshMessageLists: function () {
+        var MessageList = JMAP.MessageList;
+        if ( MessageList ) {
+            JMAP.store.getAllRemoteQueries().forEach( function ( query ) {
+                if ( query instanceof MessageList ) {
+                    query.refresh();
+                }
+            });
+        }
+        return this;
+    }
+});
+
+JMAP.auth.addObserverForKey( 'isAuthenticated',
+    JMAP.push, 'eventSourceDidChange' );
+JMAP.auth.addObserverForKey( 'eventSourceUrl',
+    JMAP.push, 'eventSourceDidChange' );
+JMAP.push.addObserverForKey( 'isEnabled',
+    JMAP.push, 'eventSourceDidChange' );
+JMAP.auth.on( 'logout', JMAP.push, 'didLogout' );
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: storage.js                                                           \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, indexedDB */
+
+( function ( JMAP ) {
+
+/*
+    A storage backend keeps the data for <JMAP.cache>. It must implement
+    three methods:
+
+    read( key, callback )
+        Calls the callback (asynchronously) with the value stored under the
+        key, or null if there is none or it could not be read.
+
+    write( key, value )
+        Stores the value, which will be JSON-compatible, under the key.
+
+    remove( key )
+        Removes any value stored under the key.
+*/
+
+/**
+    Class: JMAP.MemoryStorage
+
+    Keeps the data in memory, so it only lasts until the page is unloaded.
+    Mainly useful for tests. The values are copied on write and read, as if
+    they had been serialised.
+*/
+var MemoryStorage = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( mixin ) {
+        this._data = {};
+        MemoryStorage.parent.init.call( this, mixin );
+    },
+
+    read: function ( key, callback ) {
+        var value = this._data.hasOwnProperty( key ) ?
+                JSON.parse( this._data[ key ] ) : null;
+        O.RunLoop.invokeInNextEventLoop( function () {
+            callback( value );
+        });
+    },
+
+    write: function ( key, value ) {
+        this._data[ key ] = JSON.stringify( value );
+    },
+
+    remove: function ( key ) {
+        delete this._data[ key ];
+    }
+});
+
+// ---
+
+var STORE_NAME = 'cache';
+
+/**
+    Class: JMAP.IndexedDBStorage
+
+    Keeps the data in an IndexedDB database in the browser.
+*/
+var IndexedDBStorage = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.IndexedDBStorage#name
+        Type: String
+        Default: 'jmap'
+
+        The name of the database.
+    */
+    name: 'jmap',
+
+    init: function ( mixin ) {
+        this._db = null;
+        // Functions waiting for the database to open.
+        this._waiting = null;
+        IndexedDBStorage.parent.init.call( this, mixin );
+    },
+
+    /*
+        Calls the function with the object store in a new transaction, or
+        with null if the database could not be opened.
+    */
+    withStore: function ( mode, fn ) {
+        var db = this._db,
+            storage = this,
+            request;
+        if ( db ) {
+            fn( db.transaction( STORE_NAME, mode ).objectStore( STORE_NAME ) );
+            return;
+        }
+        if ( this._waiting ) {
+            this._waiting.push([ mode, fn ]);
+            return;
+        }
+        this._waiting = [[ mode, fn ]];
+        request = indexedDB.open( this.get( 'name' ), 1 );
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore( STORE_NAME );
+        };
+        request.onsuccess = function () {
+            O.RunLoop.invoke( function () {
+                storage.didOpen( request.result );
+            });
+        };
+        request.onerror = function () {
+            O.RunLoop.invoke( function () {
+                storage.didOpen( null );
+            });
+        };
+    },
+
+    didOpen: function ( db ) {
+        var waiting = this._waiting;
+        this._db = db;
+        this._waiting = null;
+        waiting.forEach( function ( item ) {
+            item[1]( db ?
+                db.transaction( STORE_NAME, item[0] )
+                  .objectStore( STORE_NAME ) :
+                null );
+        });
+    },
+
+    read: function ( key, callback ) {
+        this.withStore( 'readonly', function ( store ) {
+            var request;
+            if ( !store ) {
+                callback( null );
+                return;
+            }
+            request = store.get( key );
+            request.onsuccess = function () {
+                O.RunLoop.invoke( function () {
+                    callback( request.result || null );
+                });
+            };
+            request.onerror = function () {
+                O.RunLoop.invoke( function () {
+                    callback( null );
+                });
+            };
+        });
+    },
+
+    write: function ( key, value ) {
+        this.withStore( 'readwrite', function ( store ) {
+            if ( store ) {
+                store.put( value, key );
+            }
+        });
+    },
+
+    remove: function ( key ) {
+        this.withStore( 'readwrite', function ( store ) {
+            if ( store ) {
+                store[ 'delete' ]( key );
+            }
+        });
+    }
+});
+
+JMAP.MemoryStorage = MemoryStorage;
+JMAP.IndexedDBStorage = IndexedDBStorage;
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: cache.js                                                             \\
+// Module: API                                                                \\
+// Requires: connections.js, storage.js                                       \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP ) {
+
+var Status = O.Status,
+    READY = Status.READY,
+    // Records in any of these states may not match the type state.
+    NOT_CLEAN = Status.NEW | Status.DIRTY | Status.COMMITTING |
+        Status.OBSOLETE | Status.LOADING;
+
+var getConnectionForType = function ( Type ) {
+    var typeId = O.guid( Type );
+    return JMAP.source.get( 'sources' ).filter( function ( connection ) {
+        return !!connection.recordFetchers[ typeId ];
+    })[0] || null;
+};
+
+// Returns a set of the ids saved for the type with the queries, e.g. the
+// `messageIds` of each message list for "Message".
+var getQueryIds = function ( queries, typeName ) {
+    var key = typeName.charAt( 0 ).toLowerCase() + typeName.slice( 1 ) +
+            'Ids',
+        ids = {},
+        id;
+    for ( id in queries ) {
+        ( queries[ id ][ key ] || [] ).forEach( function ( recordId ) {
+            ids[ recordId ] = true;
+        });
+    }
+    return ids;
+};
+
+/**
+    Object: JMAP.cache
+
+    Saves the records in <JMAP.store> (for the default account of each
+    connection) and the state of each type to a storage backend, such as
+    a <JMAP.IndexedDBStorage>, so the next time the app starts they can be
+    shown straight away. Once loaded, only the changes since the saved
+    states are fetched from the server.
+
+    Caching is off until a <#storage> backend is set. Records with changes
+    not yet committed are never saved; if a type has any, the last saved
+    version of that type is kept instead. For the <#queryTypeNames>, only
+    the records in the saved queries are kept, so the cache does not grow
+    without bound as the user reads their mail.
+*/
+JMAP.cache = new O.Object({
+
+    /**
+        Property: JMAP.cache#storage
+        Type: Object|null
+
+        The storage backend (see storage.js), or null to disable the cache.
+    */
+    storage: null,
+
+    /**
+        Property: JMAP.cache#typeNames
+        Type: String[]
+
+        The names of the record types to save. Each name must be the name of
+        a record type in the JMAP namespace, e.g. "Message" for
+        <JMAP.Message>.
+    */
+    typeNames: [
+        'Mailbox', 'Thread', 'Message',
+        'ContactGroup', 'Contact',
+        'Calendar'
+    ],
+
+    /**
+        Property: JMAP.cache#queryTypeNames
+        Type: String[]
+
+        The names of the types in <#typeNames> there may be too many records
+        of to save them all. For these, only the records whose ids a query
+        saves (in the `<type>Ids` property of its cache data, e.g.
+        `messageIds` for "Message") are saved.
+    */
+    queryTypeNames: [ 'Thread', 'Message' ],
+
+    /**
+        Property: JMAP.cache#saveDelay
+        Type: Number
+        Default: 5000
+
+        How long (in ms) to wait after a change before saving, so a burst of
+        changes only leads to one save.
+    */
+    saveDelay: 5000,
+
+    /**
+        Property: JMAP.cache#maxQueryLength
+        Type: Number
+        Default: 100
+
+        The maximum number of ids to save for each query (such as
+        a <JMAP.MessageList> or <JMAP.RemoteList>).
+    */
+    maxQueryLength: 100,
+
+    // The username the saved data belongs to.
+    _username: '',
+    // The data last saved or loaded.
+    _snapshot: null,
+    _timer: null,
+    _isObservingStore: false,
+
+    getKey: function ( username ) {
+        return 'jmap:' + username;
     },
 
-    prettyPrint: false,
+    // ---
 
     /**
-        Property: O.Connection#willRetry
-        Type: Boolean
+        Method: JMAP.cache#load
 
-        If true, retry the request if the connection fails or times out.
-    */
-    willRetry: true,
+        Loads the saved data for a user into <JMAP.store>, then fetches the
+        changes since it was saved. Call this at startup, before or along
+        with <JMAP.auth#didAuthenticate>; the fetches are sent once
+        authenticated. Any type that has already been fetched from the
+        server is left alone.
 
-    /**
-        Property: O.Connection#timeout
-        Type: Number
+        Parameters:
+            username - {String} The user to load the data for.
+            callback - {Function} (optional) Called once the data has been
+                       loaded (or if there was none).
 
-        Time in milliseconds at which to time out the request. Set to 0 for no
-        timeout.
+        Returns:
+            {JMAP.cache} Returns self.
     */
-    timeout: 30000,
+    load: function ( username, callback ) {
+        var storage = this.get( 'storage' ),
+            cache = this;
+        this._username = username;
+        if ( !storage ) {
+            if ( callback ) {
+                callback();
+            }
+            return this;
+        }
+        storage.read( this.getKey( username ), function ( snapshot ) {
+            if ( snapshot && cache._username === username ) {
+                cache.restore( snapshot );
+            }
+            if ( callback ) {
+                callback();
+            }
+        });
+        return this;
+    },
+
+    restore: function ( snapshot ) {
+        var store = JMAP.store,
+            types = snapshot.types || {};
+        this._snapshot = snapshot;
+        this.get( 'typeNames' ).forEach( function ( typeName ) {
+            var Type = JMAP[ typeName ],
+                saved = types[ typeName ],
+                connection = Type && getConnectionForType( Type ),
+                accountId = connection && connection.get( 'accountId' );
+            if ( !saved || !connection || store.getTypeState( Type ) ||
+                    ( accountId && saved.accountId &&
+                        accountId !== saved.accountId ) ) {
+                return;
+            }
+            store.sourceDidFetchRecords(
+                Type, saved.records, saved.state, false );
+            // Now just fetch the changes since we saved.
+            store.fetchAll( Type, true );
+        });
+        return this;
+    },
 
     /**
-        Property: O.Connection#inFlightRequest
-        Type: (O.HttpRequest|null)
+        Method: JMAP.cache#getQueryData
+
+        Parameters:
+            id - {String} The id of the query.
 
-        The HttpRequest currently in flight.
+        Returns:
+            {(Object|null)} The data saved for the query by its
+            `getCacheData` method, or null if none was loaded.
     */
-    inFlightRequest: null,
+    getQueryData: function ( id ) {
+        var queries = this._snapshot && this._snapshot.queries;
+        return ( queries && queries[ id ] ) || null;
+    },
+
+    // ---
+
+    storageDidChange: function () {
+        var store = JMAP.store;
+        if ( !this._isObservingStore && this.get( 'storage' ) ) {
+            this._isObservingStore = true;
+            this.get( 'typeNames' ).forEach( function ( typeName ) {
+                var Type = JMAP[ typeName ];
+                if ( Type ) {
+                    store.on( Type, this, 'scheduleSave' );
+                }
+            }, this );
+        }
+    }.observes( 'storage' ),
+
+    scheduleSave: function () {
+        if ( !this._timer && this.get( 'storage' ) ) {
+            this._timer = O.RunLoop.invokeAfterDelay(
+                this.save, this.get( 'saveDelay' ), this );
+        }
+    },
 
     /**
-        Method: O.Connection#ioDidSucceed
+        Method: JMAP.cache#save
 
-        Callback when the IO succeeds. Parses the JSON and passes it on to
-        <O.Connection#receive>.
+        Saves the data now. This normally happens automatically a few
+        seconds after any records change.
 
-        Parameters:
-            event - {IOEvent}
+        Returns:
+            {JMAP.cache} Returns self.
     */
-    ioDidSucceed: function ( event ) {
-        // Parse data
-        var data;
-        try {
-            data = JSON.parse( event.data );
-        } catch ( error ) {}
+    save: function () {
+        var storage = this.get( 'storage' ),
+            username = JMAP.auth.get( 'username' ),
+            store = JMAP.store,
+            snapshot = this._snapshot,
+            previous = snapshot && username === this._username ?
+                snapshot.types || {} : {},
+            queryTypeNames = this.get( 'queryTypeNames' ),
+            types = {},
+            queries = {};
 
-        // Check it's in the correct format
-        if ( !( data instanceof Array ) ) {
-            O.RunLoop.didError({
-                name: 'O.Connection#ioDidSucceed',
-                message: 'Data from server is not JSON.',
-                details: 'Data:\n' + event.data +
-                    '\n\nin reponse to request:\n' +
-                    JSON.stringify( this._inFlightRemoteCalls, null, 2 )
-            });
-            data = [];
+        O.RunLoop.cancel( this._timer );
+        this._timer = null;
+        if ( !storage || !username ) {
+            return this;
         }
 
-        JMAP.auth.connectionSucceeded( this );
+        store.getAllRemoteQueries().forEach( function ( query ) {
+            var data = query.getCacheData && query.getCacheData();
+            if ( data ) {
+                queries[ query.get( 'id' ) ] = data;
+            }
+        });
 
-        this.receive(
-            data, this._inFlightCallbacks, this._inFlightRemoteCalls );
+        this.get( 'typeNames' ).forEach( function ( typeName ) {
+            var Type = JMAP[ typeName ],
+                state = Type && store.getTypeState( Type ),
+                connection, ids, records, isClean;
+            if ( !state ) {
+                return;
+            }
+            connection = getConnectionForType( Type );
+            ids = queryTypeNames.contains( typeName ) ?
+                getQueryIds( queries, typeName ) : null;
+            records = [];
+            isClean = true;
+            store.findAll( Type ).forEach( function ( storeKey ) {
+                var status = store.getStatus( storeKey ),
+                    data;
+                if ( !( status & READY ) ) {
+                    return;
+                }
+                data = store.getData( storeKey );
+                // Only records in the default account are saved, and only
+                // those in a saved query if it's one of the query types.
+                if ( ( connection &&
+                            connection.getAccountIdForId( Type, data.id ) ) ||
+                        ( ids && !ids[ data.id ] ) ) {
+                    return;
+                }
+                if ( status & NOT_CLEAN ) {
+                    isClean = false;
+                    return;
+                }
+                records.push( data );
+            });
+            if ( isClean ) {
+                types[ typeName ] = {
+                    accountId: connection && connection.get( 'accountId' ),
+                    state: state,
+                    records: records
+                };
+            } else if ( previous[ typeName ] ) {
+                types[ typeName ] = previous[ typeName ];
+            }
+        });
 
-        this._inFlightRemoteCalls = this._inFlightCallbacks = null;
-    }.on( 'io:success' ),
+        this._username = username;
+        this._snapshot = snapshot = {
+            types: types,
+            queries: queries
+        };
+        storage.write( this.getKey( username ), snapshot );
+        return this;
+    },
 
     /**
-        Method: O.Connection#ioDidFail
+        Method: JMAP.cache#clear
 
-        Callback when the IO fails.
+        Removes the saved data for the current user. This is called
+        automatically on <JMAP.auth#logout>.
 
-        Parameters:
-            event - {IOEvent}
+        Returns:
+            {JMAP.cache} Returns self.
     */
-    ioDidFail: function ( event ) {
-        var status = event.status,
-            serverFailed = ( 500 <= status && status < 600 );
-        if ( status === 401 || status === 403 ) {
-            JMAP.auth.didLoseAuthentication()
-                     .connectionWillSend( this );
-        } else if ( !serverFailed && this.get( 'willRetry' ) ) {
-            JMAP.auth.connectionFailed( this );
-        } else if ( status === 503 ) {
-            JMAP.auth.connectionFailed( this, 30 );
-        } else {
-            if ( serverFailed ) {
-                alert( O.loc( 'FEEDBACK_SERVER_FAILED' ) );
-            }
-            this.receive(
-                [], this._inFlightCallbacks, this._inFlightRemoteCalls );
-            this._inFlightRemoteCalls = this._inFlightCallbacks = null;
+    clear: function () {
+        var storage = this.get( 'storage' ),
+            username = this._username;
+        O.RunLoop.cancel( this._timer );
+        this._timer = null;
+        this._snapshot = null;
+        this._username = '';
+        if ( storage && username ) {
+            storage.remove( this.getKey( username ) );
         }
-    }.on( 'io:failure', 'io:abort' ),
+        return this;
+    }
+});
+
+JMAP.auth.on( 'logout', JMAP.cache, 'clear' );
+
+}( JMAP ) );
+
+
+// -------------------------------------------------------------------------- \\
+// File: RemoteList.js                                                        \\
+// Module: API                                                                \\
+// Requires: Connection.js, cache.js, defineType.js                           \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+( function ( JMAP, undefined ) {
+
+var Status = O.Status,
+    EMPTY = Status.EMPTY,
+    READY = Status.READY,
+    OBSOLETE = Status.OBSOLETE;
+
+var withAccountId = JMAP.Connection.withAccountId;
+
+var refresh = function ( record ) {
+    if ( record.is( OBSOLETE ) ) {
+        record.refresh();
+    }
+};
+
+var toCamelCase = function ( name ) {
+    return name.charAt( 0 ).toLowerCase() + name.slice( 1 );
+};
+
+var stringifySorted = function ( item ) {
+    if ( !item || ( typeof item !== 'object' ) ) {
+        return JSON.stringify( item );
+    }
+    if ( item instanceof Array ) {
+        return '[' + item.map( stringifySorted ).join( ',' ) + ']';
+    }
+    var keys = Object.keys( item );
+    keys.sort();
+    return '{' + keys.map( function ( key ) {
+        return '"' + key + '":' + stringifySorted( item[ key ] );
+    }).join( ',' ) + '}';
+};
+
+var getId = function ( typeName, args ) {
+    return 'rl:' + typeName + ':' +
+        ( args.accountId ? args.accountId + ':' : '' ) +
+        stringifySorted( args.filter || null ) +
+        stringifySorted( args.sort || null );
+};
+
+/**
+    Class: JMAP.RemoteList
+
+    Extends: O.WindowedRemoteQuery
+
+    A list of the ids of the records of a type matching a filter, in a sort
+    order, fetched from the server a window at a time using the type's list
+    method, e.g. getContactList (Contact/query in RFC 8620). Once fetched, it
+    is kept up to date with the list updates method, e.g.
+    getContactListUpdates, if the server can calculate them, or else fetched
+    again. The ids at the start of the list are saved in <JMAP.cache> along
+    with the records.
+
+    This is the base class; use <JMAP.RemoteList.forType> to make the class
+    for a type, such as <JMAP.ContactList>, and get instances of that from
+    the store (<JMAP.MessageList> is a subclass with its own handlers, as
+    message lists may be collapsed into threads):
+
+        var args = {
+            filter: { text: 'smith' },
+            sort: [ 'lastName asc', 'firstName asc' ]
+        };
+        var contacts = JMAP.store.getQuery(
+            JMAP.ContactList.getId( args ), JMAP.ContactList, args );
+*/
+var RemoteList = O.Class({
+
+    Extends: O.WindowedRemoteQuery,
+
+    optimiseFetching: true,
 
     /**
-        Method: O.Connection#ioDidEnd
+        Property: JMAP.RemoteList#accountId
+        Type: (String|null)
+        Default: null
 
-        Callback when the IO ends.
+        The account to query, or null for the connection's default account.
+    */
+    accountId: null,
 
-        Parameters:
-            event - {IOEvent}
+    /**
+        Property: JMAP.RemoteList#filter
+        Type: (Object|null)
+        Default: null
+
+        The filter to send to the server, in the form its list method takes.
     */
-    ioDidEnd: function ( event ) {
-        // Send any waiting requests
-        this.set( 'inFlightRequest', null )
-            .send();
-        // Destroy old HttpRequest object.
-        event.target.destroy();
-    }.on( 'io:end' ),
+    filter: null,
 
     /**
-        Method: O.Connection#callMethod
+        Property: JMAP.RemoteList#sort
+        Type: (String[]|null)
+        Default: null
 
-        Add a method call to be sent on the next request and trigger a request
-        to be sent at the end of the current run loop.
+        The sort order, as an array of property names, each followed by
+        " asc" or " desc", or null for the server's default order.
+    */
+    sort: null,
 
-        Parameters:
-            name     - {String} The name of the method to call.
-            args     - {Object} The arguments for the method.
-            callback - {Function} (optional) A callback to execute after the
-                       request completes successfully.
+    /**
+        Property: JMAP.RemoteList#fetchProperties
+        Type: (String[]|null)
+        Default: null
+
+        The properties of the records to fetch with each window of ids, or
+        null for all of them.
     */
-    callMethod: function ( name, args, callback ) {
-        var id = this._sendQueue.length + '';
-        this._sendQueue.push([ name, args || {}, id ]);
-        if ( callback ) {
-            this._callbackQueue.push([ id, callback ]);
-        }
-        this.send();
-        return this;
+    fetchProperties: null,
+
+    /**
+        Property: JMAP.RemoteList#maxChanges
+        Type: Number
+        Default: 250
+
+        The maximum number of changes to fetch in a list updates call. If
+        there are more, the list is fetched again instead.
+    */
+    maxChanges: 250,
+
+    /**
+        Property: JMAP.RemoteList#connection
+        Type: JMAP.Connection
+
+        The connection for the type. Set by <JMAP.RemoteList.forType>.
+    */
+    connection: null,
+
+    /**
+        Property: JMAP.RemoteList#typeName
+        Type: String
+
+        The name of the type used in the method names, e.g. "Contact". Set by
+        <JMAP.RemoteList.forType>.
+    */
+    typeName: '',
+
+    /**
+        Property: JMAP.RemoteList#plural
+        Type: String
+
+        The plural of the type name used in the arguments to fetch the
+        records with the ids, e.g. "Contacts" for fetchContacts. Set by
+        <JMAP.RemoteList.forType>.
+    */
+    plural: '',
+
+    /*
+        Returns the arguments that say which list this is, for the list and
+        list updates methods.
+    */
+    getQueryArgs: function () {
+        return withAccountId({
+            filter: this.get( 'filter' ),
+            sort: this.get( 'sort' )
+        }, this.get( 'accountId' ) );
     },
 
-    addCallback: function ( callback ) {
-        this._callbackQueue.push([ '', callback ]);
-        return this;
+    /*
+        Adds the arguments to a list call to say whether to fetch the records
+        along with the ids. Returns the arguments.
+    */
+    addFetchArgs: function ( args, fetchData ) {
+        args[ 'fetch' + this.get( 'plural' ) ] = fetchData;
+        args[ 'fetch' + this.get( 'typeName' ) + 'Properties' ] = fetchData ?
+            this.get( 'fetchProperties' ) : null;
+        return args;
     },
 
-    hasRequests: function () {
-        var id;
-        if ( this._inFlightRemoteCalls || this._sendQueue.length ) {
-            return true;
-        }
-        for ( id in this._queriesToFetch ) {
-            return true;
-        }
-        for ( id in this._recordsToFetch ) {
-            return true;
-        }
-        for ( id in this._recordsToRefresh ) {
-            return true;
-        }
-        return false;
+    /*
+        Refreshes the records for an id in the list if they are obsolete.
+    */
+    refreshRecordsForId: function ( id ) {
+        refresh( this.get( 'store' ).getRecord( this.get( 'Type' ), id ) );
     },
 
-    headers: function () {
-        return {
-            'Content-type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': JMAP.auth.get( 'accessToken' )
-        };
-    }.property().nocache(),
+    sourceWillFetchQuery: function () {
+        var req = RemoteList.parent.sourceWillFetchQuery.call( this );
 
-    /**
-        Method: O.Connection#send
+        // If we have all the ids already, just fetch the records (if not
+        // already fetched) or refresh them (if obsolete).
+        var query = this,
+            list = this._list,
+            length = this.get( 'length' );
 
-        Send any queued method calls at the end of the current run loop.
-    */
-    send: function () {
-        if ( this.get( 'inFlightRequest' ) ||
-                !JMAP.auth.connectionWillSend( this ) ) {
-            return;
-        }
+        req.records = req.records.filter( function ( req ) {
+            var i = req.start,
+                l = i + req.count;
 
-        var remoteCalls = this._inFlightRemoteCalls,
-            request;
-        if ( !remoteCalls ) {
-            request = this.makeRequest();
-            remoteCalls = request[0];
-            if ( !remoteCalls.length ) { return; }
-            this._inFlightRemoteCalls = remoteCalls;
-            this._inFlightCallbacks = request[1];
-        }
-
-        this.set( 'inFlightRequest',
-            new O.HttpRequest({
-                nextEventTarget: this,
-                timeout: this.get( 'timeout' ),
-                method: 'POST',
-                url: JMAP.auth.get( 'apiUrl' ),
-                headers: this.get( 'headers' ),
-                data: JSON.stringify( remoteCalls,
-                    null, this.get( 'prettyPrint' ) ? 2 : 0 )
-            }).send()
-        );
-    }.queue( 'after' ),
+            if ( length ) {
+                l = Math.min( l, length );
+            }
+
+            while ( i < l ) {
+                var id = list[i];
+                if ( id ) {
+                    i += 1;
+                } else {
+                    id = list[ l - 1 ];
+                    if ( !id ) { break; }
+                    l -= 1;
+                }
+                query.refreshRecordsForId( id );
+            }
+            req.start = i;
+            req.count = l - i;
+            return i !== l;
+        });
 
-    /**
-        Method: O.Connection#receive
+        return req;
+    },
 
-        After completing a request, this method is called to process the
-        response returned by the server.
+    // --- Cache ---
 
-        Parameters:
-            data        - {Array} The array of method calls to execute in
-                          response to the request.
-            callbacks   - {Array} The array of callbacks to execute after the
-                          data has been processed.
-            remoteCalls - {Array} The array of method calls that was executed on
-                          the server.
+    /*
+        Returns the data to save in <JMAP.cache>: the state and the ids at
+        the start of the list (as e.g. `contactIds`), or null if the list has
+        not been fetched.
     */
-    receive: function ( data, callbacks, remoteCalls ) {
-        var handlers = this.response,
-            i, l, response, handler,
-            remoteCallsLength,
-            tuple, id, callback, request;
-        for ( i = 0, l = data.length; i < l; i += 1 ) {
-            response = data[i];
-            handler = handlers[ response[0] ];
-            if ( handler ) {
-                id = response[2];
-                request = remoteCalls[+id];
-                try {
-                    handler.call( this, response[1], request[0], request[1] );
-                } catch ( error ) {
-                    O.RunLoop.didError( error );
-                }
-            }
+    getCacheData: function () {
+        var list = this._list,
+            state = this.get( 'state' ),
+            max = JMAP.cache.get( 'maxQueryLength' ),
+            ids = [],
+            data, i, l, id;
+        if ( !state || !( this.get( 'status' ) & READY ) ) {
+            return null;
         }
-        // Invoke after bindings to ensure all data has propagated through.
-        if ( l = callbacks.length ) {
-            remoteCallsLength = remoteCalls.length;
-            for ( i = 0; i < l; i += 1 ) {
-                tuple = callbacks[i];
-                id = tuple[0];
-                callback = tuple[1];
-                if ( id ) {
-                    request = remoteCalls[+id];
-                    /* jshint ignore:start */
-                    response = data.filter( function ( call ) {
-                        return call[2] === id;
-                    });
-                    /* jshint ignore:end */
-                    callback = callback.bind( null, response, request );
-                }
-                O.RunLoop.queueFn( 'middle', callback );
+        for ( i = 0, l = Math.min( list.length, max ); i < l; i += 1 ) {
+            id = list[i];
+            if ( !id ) {
+                break;
             }
+            ids.push( id );
         }
+        data = {
+            state: state,
+            total: this.get( 'length' ),
+            canCalculateUpdates: this.get( 'canGetDeltaUpdates' )
+        };
+        data[ toCamelCase( this.get( 'typeName' ) ) + 'Ids' ] = ids;
+        return data;
     },
 
-    /**
-        Method: O.Connection#makeRequest
+    /*
+        If the list has not been fetched, fills it from the data saved in
+        <JMAP.cache>, if there is any. Returns true if it did.
+    */
+    restoreFromCache: function () {
+        var data = ( this.get( 'status' ) & EMPTY ) &&
+                JMAP.cache.getQueryData( this.get( 'id' ) ),
+            ids;
+        if ( !data ) {
+            return false;
+        }
+        ids = data[ toCamelCase( this.get( 'typeName' ) ) + 'Ids' ];
+        this.get( 'connection' ).setAccountIdForIds(
+            this.get( 'Type' ), ids, this.get( 'accountId' ) );
+        this.set( 'canGetDeltaUpdates', data.canCalculateUpdates );
+        this.sourceDidFetchIdList({
+            state: data.state,
+            total: data.total,
+            position: 0,
+            idList: ids
+        });
+        return true;
+    }
+});
 
-        This will make calls to O.Connection#(record|query)(Fetchers|Refreshers)
-        to add any final API calls to the send queue, then return a tuple of the
-        queue of method calls and the list of callbacks.
+/**
+    Function: JMAP.RemoteList.fetchQuery
 
-        Returns:
-            {Array} Tuple of method calls and callbacks.
-    */
-    makeRequest: function () {
-        var sendQueue = this._sendQueue,
-            callbacks = this._callbackQueue,
-            recordRefreshers = this.recordRefreshers,
-            recordFetchers = this.recordFetchers,
-            _queriesToFetch = this._queriesToFetch,
-            _typesToRefresh = this._typesToRefresh,
-            _recordsToRefresh = this._recordsToRefresh,
-            _typesToFetch = this._typesToFetch,
-            _recordsToFetch = this._recordsToFetch,
-            typeId, id, req, state, ids, handler;
+    The `query` handler for a <JMAP.RemoteList> class, to register with
+    <JMAP.Connection#handle> (<JMAP.RemoteList.forType> does this). Shows the
+    list saved in the cache, if it has not been fetched, then fetches the
+    updates and the windows the list needs with the type's list and list
+    updates methods.
 
-        // Query Fetches
-        for ( id in _queriesToFetch ) {
-            req = _queriesToFetch[ id ];
-            handler = this.queryFetchers[ O.guid( req.constructor ) ];
-            if ( handler ) {
-                handler.call( this, req );
-            }
-        }
+    Parameters:
+        query - {JMAP.RemoteList} The list to fetch.
+*/
+var fetchQuery = function ( query ) {
+    // Show the list saved in the cache straight away, if there is one;
+    // it is then brought up to date like any other.
+    var isFromCache = query.restoreFromCache(),
+        typeName = query.get( 'typeName' ),
+        canGetDeltaUpdates = query.get( 'canGetDeltaUpdates' ),
+        state = query.get( 'state' ),
+        request = query.sourceWillFetchQuery(),
+        hasMadeRequest = false,
+        args;
+
+    if ( canGetDeltaUpdates && state &&
+            ( request.refresh || isFromCache ) ) {
+        var list = query._list,
+            length = list.length;
+        args = O.extend( query.getQueryArgs(), {
+            sinceState: state,
+            maxChanges: query.get( 'maxChanges' )
+        });
+        args[ 'upto' + typeName + 'Id' ] =
+            ( length === query.get( 'length' ) ) ?
+                undefined : list[ length - 1 ];
+        this.callMethod( 'get' + typeName + 'ListUpdates', args );
+    }
 
-        // Record Refreshers
-        for ( typeId in _typesToRefresh ) {
-            state = _typesToRefresh[ typeId ];
-            handler = recordRefreshers[ typeId ];
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler, {
-                    sinceState: state
-                });
-            } else {
-                handler.call( this, null, state );
-            }
-        }
-        for ( typeId in _recordsToRefresh ) {
-            handler = recordRefreshers[ typeId ];
-            ids = Object.keys( _recordsToRefresh[ typeId ] );
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler, {
-                    ids: ids
-                });
-            } else {
-                recordRefreshers[ typeId ].call( this, ids );
-            }
+    if ( request.callback ) {
+        this.addCallback( request.callback );
+    }
+
+    var get = function ( start, count, anchor, offset, fetchData ) {
+        hasMadeRequest = true;
+        this.callMethod( 'get' + typeName + 'List', query.addFetchArgs(
+            O.extend( query.getQueryArgs(), {
+                position: start,
+                anchor: anchor,
+                anchorOffset: offset,
+                limit: count
+            }), fetchData ) );
+    }.bind( this );
+
+    request.ids.forEach( function ( req ) {
+        get( req.start, req.count, undefined, undefined, false );
+    });
+    request.records.forEach( function ( req ) {
+        get( req.start, req.count, undefined, undefined, true );
+    });
+    request.indexOf.forEach( function ( req ) {
+        get( undefined, 5, req[0], 1, false );
+        this.addCallback( req[1] );
+    }, this );
+
+    if ( ( ( query.get( 'status' ) & EMPTY ) &&
+            !request.records.length ) ||
+         ( !canGetDeltaUpdates && !hasMadeRequest &&
+            ( request.refresh || isFromCache ) ) ) {
+        get( 0, query.get( 'windowSize' ), undefined, undefined, true );
+    }
+};
+
+/**
+    Function: JMAP.RemoteList.forType
+
+    Makes a <JMAP.RemoteList> class for a record type, and registers the
+    handlers with the connection for the type to fetch it and process the
+    responses. For "Contact", the list is fetched with getContactList, which
+    returns a contactList response with the `contactIds`, and kept up to date
+    with getContactListUpdates, which returns a contactListUpdates response.
+    These are translated to Contact/query and Contact/queryChanges for the
+    'rfc8620' protocol, as for every type it knows about (including those
+    added with the `capability` option of <JMAP.defineType>).
+
+    Parameters:
+        Type       - {O.Class} The record class.
+        connection - {JMAP.Connection} The connection for the type.
+        typeName   - {String} The name of the type used in the method names,
+                     e.g. "Contact".
+        options    - {Object} (optional) Any of:
+
+                     plural - {String} The plural of the type name used in
+                         the arguments to fetch the records with the ids,
+                         e.g. fetchContacts. Defaults to the type name plus
+                         "s" (or "es" or "ies" as appropriate).
+
+    Returns:
+        {O.Class} The new subclass of <JMAP.RemoteList>. Its `getId` function
+        takes the arguments to create a list with and returns the id to get
+        it from the store with.
+*/
+RemoteList.forType = function ( Type, connection, typeName, options ) {
+    var plural = ( options && options.plural ) ||
+            JMAP.defineType.getPlural( typeName ),
+        camelName = toCamelCase( typeName ),
+        getList = 'get' + typeName + 'List',
+        getListUpdates = 'get' + typeName + 'ListUpdates',
+        idProperty = camelName + 'Id',
+        uptoProperty = 'upto' + typeName + 'Id',
+        handlers = {},
+        List;
+
+    List = O.Class({
+        Extends: RemoteList,
+        Type: Type,
+        connection: connection,
+        typeName: typeName,
+        plural: plural
+    });
+
+    List.getId = function ( args ) {
+        return getId( typeName, args );
+    };
+
+    handlers.query = fetchQuery;
+
+    // ---
+
+    handlers[ camelName + 'List' ] = function ( args, _, reqArgs ) {
+        var query = this.get( 'store' ).getQuery(
+                getId( typeName, reqArgs ) ),
+            ids = args[ idProperty + 's' ];
+
+        // Any records we fetch for these ids must come from the same account.
+        this.setAccountIdForIds( Type, ids, reqArgs.accountId );
+
+        if ( query instanceof List ) {
+            args.idList = ids;
+            query.set( 'canGetDeltaUpdates', args.canCalculateUpdates );
+            query.sourceDidFetchIdList( args );
         }
+    };
 
-        // Record fetches
-        for ( typeId in _typesToFetch ) {
-            handler = recordFetchers[ typeId ];
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler );
-            } else {
-                handler.call( this, null );
-            }
+    handlers[ 'error_' + getList + '_anchorNotFound' ] = function () {
+        // Don't need to do anything; it's only used for doing indexOf,
+        // and it will just check that it doesn't have it.
+    };
+
+    handlers[ camelName + 'ListUpdates' ] = function ( args, _, reqArgs ) {
+        var query = this.get( 'store' ).getQuery(
+                getId( typeName, reqArgs ) ),
+            toId = function ( item ) {
+                return item[ idProperty ];
+            };
+
+        if ( query instanceof List ) {
+            args.upto = args[ uptoProperty ];
+            args.removed = args.removed.map( toId );
+            args.added = args.added.map( function ( item ) {
+                return [ item.index, item[ idProperty ] ];
+            });
+            this.setAccountIdForIds( Type, args.added.map( function ( item ) {
+                return item[1];
+            }), reqArgs.accountId );
+            query.sourceDidFetchUpdate( args );
         }
-        for ( typeId in _recordsToFetch ) {
-            handler = recordFetchers[ typeId ];
-            ids = Object.keys( _recordsToFetch[ typeId ] );
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler, {
-                    ids: ids
-                });
-            } else {
-                recordFetchers[ typeId ].call( this, ids );
-            }
+    };
+
+    handlers[ 'error_' + getListUpdates + '_cannotCalculateChanges' ] =
+            function ( _, __, reqArgs ) {
+        this.response[ 'error_' + getListUpdates + '_tooManyChanges' ]
+            .call( this, _, __, reqArgs );
+    };
+
+    handlers[ 'error_' + getListUpdates + '_tooManyChanges' ] =
+            function ( _, __, reqArgs ) {
+        var query = this.get( 'store' ).getQuery(
+            getId( typeName, reqArgs ) );
+        if ( query instanceof List ) {
+            query.reset();
         }
+    };
 
-        // Any future requests will be added to a new queue.
-        this._sendQueue = [];
-        this._callbackQueue = [];
+    connection.handle( List, handlers );
+    return List;
+};
 
-        this._queriesToFetch = {};
-        this._typesToRefresh = {};
-        this._recordsToRefresh = {};
-        this._typesToFetch = {};
-        this._recordsToFetch = {};
+RemoteList.fetchQuery = fetchQuery;
 
-        return [ sendQueue, callbacks ];
-    },
+JMAP.RemoteList = RemoteList;
 
-    // ---
+}( JMAP ) );
 
-    /**
-        Method: O.Connection#fetchRecord
 
-        Fetches a particular record from the source. Just passes the call on to
-        <O.Connection#fetchRecords>.
+// -------------------------------------------------------------------------- \\
+// File: Sequence.js                                                          \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// Author: Neil Jenkins                                                       \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
 
-        Parameters:
-            Type     - {O.Class} The record type.
-            id       - {String} The record id.
-            callback - {Function} (optional) A callback to make after the record
-                       fetch completes (successfully or unsuccessfully).
+/*global O, JMAP, Promise */
 
-        Returns:
-            {Boolean} Returns true if the source handled the fetch.
-    */
-    fetchRecord: function ( Type, id, callback ) {
-        return this.fetchRecords( Type, [ id ], callback, '', false );
+( function ( JMAP ) {
+
+var noop = function () {};
+
+/**
+    Class: JMAP.Sequence
+
+    Runs a series of steps, each of which may be asynchronous. Each step is
+    called with a function to call to continue to the next step (with the
+    data to pass it), and the data passed on from the previous step.
+    Alternatively, a step may return a promise (and ignore the first
+    argument); the sequence then continues with the value it resolves to, or
+    fails with the reason it is rejected with.
+*/
+var Sequence = O.Class({
+
+    Extends: O.Object,
+
+    init: function () {
+        this.queue = [];
+        this.index = 0;
+        this.length = 0;
+        this.afterwards = noop;
+
+        // Once finished, a tuple of whether it completed and the data passed
+        // on from the last step (or the error if it was cancelled).
+        this._outcome = null;
+        this._promise = null;
+        this._settle = null;
+
+        Sequence.parent.init.call( this );
     },
 
     /**
-        Method: O.Connection#fetchAllRecords
+        Method: JMAP.Sequence#then
 
-        Fetches all records of a particular type from the source. Just passes
-        the call on to <O.Connection#fetchRecords>.
+        Adds a step to the sequence. Note, a sequence is not itself a
+        promise: to wait for it, use <JMAP.Sequence#promise>.
 
         Parameters:
-            Type     - {O.Class} The record type.
-            state    - {(String|undefined)} The state to update from.
-            callback - {Function} (optional) A callback to make after the fetch
-                       completes.
+            fn - {Function} The step to add.
 
         Returns:
-            {Boolean} Returns true if the source handled the fetch.
+            {JMAP.Sequence} Returns self.
     */
-    fetchAllRecords: function ( Type, state, callback ) {
-        return this.fetchRecords( Type, null, callback, state || '', !!state );
+    then: function ( fn ) {
+        this.queue.push( fn );
+        this.increment( 'length', 1 );
+        return this;
+    },
+
+    go: function go ( data ) {
+        var index = this.index,
+            length = this.length,
+            fn = this.queue[ index ],
+            next, result;
+        if ( index < length ) {
+            index += 1;
+            this.set( 'index', index );
+            next = go.bind( this );
+            result = fn( next, data );
+            if ( result && typeof result.then === 'function' ) {
+                result.then( next, this.fail.bind( this ) );
+            }
+            if ( index === length ) {
+                this.afterwards( index, length );
+            }
+        } else if ( !this._outcome ) {
+            this.didFinish( true, data );
+        }
+    },
+
+    cancel: function () {
+        var index = this.index,
+            length = this.length;
+        if ( index < length ) {
+            this.set( 'length', 0 );
+            this.afterwards( index, length );
+            this.didFinish( false, new Error( 'JMAP.Sequence: cancelled' ) );
+        }
     },
 
     /**
-        Method: O.Connection#refreshRecord
+        Method: JMAP.Sequence#fail
 
-        Fetches any new data for a record since the last fetch if a handler for
-        the type is defined in <O.Connection#recordRefreshers>, or refetches the
-        whole record if not.
+        Stops the sequence because a step failed, rejecting the promise
+        returned by <JMAP.Sequence#promise> with the error. This works
+        whichever step failed, including the last.
 
         Parameters:
-            Type     - {O.Class} The record type.
-            id       - {String} The record id.
-            callback - {Function} (optional) A callback to make after the record
-                       refresh completes (successfully or unsuccessfully).
-
-        Returns:
-            {Boolean} Returns true if the source handled the refresh.
+            error - {*} The reason the step failed.
     */
-    refreshRecord: function ( Type, id, callback ) {
-        return this.fetchRecords( Type, [ id ], callback, '', true );
+    fail: function ( error ) {
+        var index = this.index,
+            length = this.length;
+        if ( this._outcome ) {
+            return;
+        }
+        if ( index < length ) {
+            this.set( 'length', 0 );
+            this.afterwards( index, length );
+        }
+        this.didFinish( false, error );
     },
 
-    /**
-        Method: O.Connection#fetchRecords
-
-        Fetches a set of records of a particular type from the source.
+    didFinish: function ( isComplete, value ) {
+        this._outcome = [ isComplete, value ];
+        if ( this._settle ) {
+            this._settle( isComplete, value );
+        }
+    },
 
-        Parameters:
-            Type     - {O.Class} The record type.
-            ids      - {(String[]|null)} An array of record ids to fetch, or
-                       `null`, indicating that all records of this type should
-                       be fetched.
-            callback - {Function} (optional) A callback to make after the record
-                       fetch completes (successfully or unsuccessfully).
+    /**
+        Method: JMAP.Sequence#promise
 
         Returns:
-            {Boolean} Returns true if the source handled the fetch.
+            {Promise} A promise which resolves once the last step continues,
+            with the data it passes on, or is rejected if the sequence is
+            cancelled first (or with the reason a step's promise is rejected
+            with).
     */
-    fetchRecords: function ( Type, ids, callback, state, _refresh ) {
-        var typeId = O.guid( Type ),
-            handler = _refresh ?
-                this.recordRefreshers[ typeId ] :
-                this.recordFetchers[ typeId ];
-        if ( _refresh && !handler ) {
-            _refresh = false;
-            handler = this.recordFetchers[ typeId ];
-        }
-        if ( !handler ) {
-            return false;
-        }
-        if ( ids ) {
-            var reqs = _refresh? this._recordsToRefresh : this._recordsToFetch,
-                set = reqs[ typeId ] || ( reqs[ typeId ] = {} ),
-                l = ids.length;
-            while ( l-- ) {
-                set[ ids[l] ] = true;
+    promise: function () {
+        var sequence = this,
+            outcome = this._outcome;
+        if ( !this._promise ) {
+            this._promise = new Promise( function ( resolve, reject ) {
+                sequence._settle = function ( isComplete, value ) {
+                    ( isComplete ? resolve : reject )( value );
+                };
+            });
+            if ( outcome ) {
+                this._settle( outcome[0], outcome[1] );
             }
-        } else if ( _refresh ) {
-            this._typesToRefresh[ typeId ] = state;
-        } else {
-            this._typesToFetch[ typeId ] = null;
-        }
-        if ( callback ) {
-            this._callbackQueue.push([ '', callback ]);
         }
-        this.send();
-        return true;
+        return this._promise;
     },
 
-    /**
-        Property: O.Connection#commitPrecedence
-        Type: String[Number]|null
-        Default: null
+    progress: function () {
+        var index = this.index,
+            length = this.length;
+        return length ? Math.round( ( index / length ) * 100 ) : 100;
+    }.property( 'index', 'length' )
+});
 
-        This is on optional mapping of type guids to a number indicating the
-        order in which they are to be committed. Types with lower numbers will
-        be committed first.
-    */
-    commitPrecedence: null,
+JMAP.Sequence = Sequence;
 
-    /**
-        Method: O.Connection#commitChanges
+}( JMAP ) );
 
-        Commits a set of creates/updates/destroys to the source. These are
-        specified in a single object, which has record type guids as keys and an
-        object with create/update/destroy properties as values. Those properties
-        have the following types:
 
-        create  - `[ [ storeKeys... ], [ dataHashes... ] ]`
-        update  - `[ [ storeKeys... ], [ dataHashes... ], [changedMap... ] ]`
-        destroy - `[ [ storeKeys... ], [ ids... ] ]`
+// -------------------------------------------------------------------------- \\
+// File: Tracer.js                                                            \\
+// Module: API                                                                \\
+// Requires: connections.js                                                   \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
 
-        Each subarray inside the 'create' array should be of the same length,
-        with the store key at position 0 in the first array, for example,
-        corresponding to the data object at position 0 in the second. The same
-        applies to the update and destroy arrays.
+/*global O, JMAP */
 
-        A changedMap, is a map of attribute names to a boolean value indicating
-        whether that value has actually changed. Any properties in the data
-        which are not in the changed map are presumed unchanged.
+( function ( JMAP ) {
 
-        An example call might look like:
+/*
+    A tracer is told about each request a <JMAP.Connection> sends, if set as
+    its `tracer`. It must implement three methods:
+
+    connectionWillSend( connection, remoteCalls )
+        Called just before a request is sent (or sent again) with the method
+        calls in it. Returns an object to identify the request by, which is
+        passed to the other two methods.
+
+    connectionDidReceive( exchange, event )
+        Called when the request has finished, with the "io:success",
+        "io:failure" or "io:abort" event fired by the transport, before the
+        response is processed.
+
+    connectionDidHandle( exchange, response, time )
+        Called after a response handler has run for one of the method
+        responses (a `[ name, args, tag ]` triple), with the time it took
+        in ms.
+*/
 
-            source.commitChanges({
-                MyType: {
-                    primaryKey: "id",
-                    create: {
-                        storeKeys: [ "sk1", "sk2" ],
-                        records: [{ attr: val, attr2: val2 ...}, {...}]
-                    },
-                    update: {
-                        storeKeys: [ "sk3", "sk4", ... ],
-                        records: [{ id: "id3", attr: val ... }, {...}],
-                        changes: [{ attr: true }, ... ]
-                    },
-                    destroy: {
-                        storeKeys: [ "sk5", "sk6" ],
-                        ids: [ "id5", "id6" ]
-                    },
-                    state: "i425m515233"
-                },
-                MyOtherType: {
-                    ...
-                }
-            });
+var getHeader = function ( headers, name ) {
+    var header;
+    name = name.toLowerCase();
+    for ( header in headers ) {
+        if ( header.toLowerCase() === name ) {
+            return headers[ header ];
+        }
+    }
+    return '';
+};
 
-        Any types that are handled by the source are removed from the changes
-        object (`delete changes[ typeId ]`); any unhandled types are left
-        behind, so the object may be passed to several sources, with each
-        handling their own types.
+var getSize = function ( data ) {
+    return data === undefined || data === null ? 0 :
+        ( typeof data === 'string' ? data : JSON.stringify( data ) ).length;
+};
 
-        In a RPC source, this method considers each type in the changes. If that
-        type has a handler defined in <O.Connection#recordCommitters>, then this
-        will be called with the create/update/destroy object as the sole
-        argument, otherwise it will look for separate handlers in
-        <O.Connection#recordCreators>, <O.Connection#recordUpdaters> and
-        <O.Connection#recordDestroyers>. If handled by one of these, the method
-        will remove the type from the changes object.
+/**
+    Class: JMAP.Tracer
+
+    Extends: O.Object
+
+    Keeps a record of the most recent requests sent by the connections it is
+    the `tracer` for, in a ring buffer of <#maxExchanges>. Each exchange
+    recorded is an object with:
+
+    * id: A number counting up from 1 for each request traced.
+    * connection: The id of the connection, e.g. "mail".
+    * calls: The method calls sent, each an object with the `name`, `tag`
+      and `args`.
+    * sentAt: The time the request was sent, in ms since the epoch.
+    * requestSize: The size of the request body, in characters.
+    * result: "pending" until the request finishes, then "success",
+      "failure" or "abort".
+    * status: The HTTP status of the response (0 if it never arrived).
+    * responseSize: The size of the response body, in characters.
+    * roundTripTime: The time in ms from sending to receiving the response.
+    * serverTime: The time in ms the server says it took, from the
+      Server-Timing header of the response (see <#getServerTime>), or null
+      if not given.
+    * handlers: The response handlers that ran, in order, each an object
+      with the `name` and `tag` of the response and the `time` in ms the
+      handler took.
+
+    Tracing costs nothing when no tracer is set on a connection. The shared
+    <JMAP.tracer> is the easiest way to use this from the console.
+*/
+var Tracer = O.Class({
 
-        Parameters:
-            changes  - {Object} The creates/updates/destroys to commit.
-            callback - {Function} (optional) A callback to make after the
-                       changes have been committed.
+    Extends: O.Object,
 
-        Returns:
-            {Boolean} Returns true if any of the types were handled. The
-            callback will only be called if the source is handling at least one
-            of the types being committed.
-    */
-    commitChanges: function ( changes, callback ) {
-        var types = Object.keys( changes ),
-            l = types.length,
-            precedence = this.commitPrecedence,
-            handledAny = false,
-            type, handler, handledType,
-            change, create, update, destroy;
+    /**
+        Property: JMAP.Tracer#maxExchanges
+        Type: Number
+        Default: 100
 
-        if ( precedence ) {
-            types.sort( function ( a, b ) {
-                return ( precedence[b] || -1 ) - ( precedence[a] || -1 );
-            });
-        }
+        The number of exchanges to keep; once full, the oldest is dropped
+        for each new one.
+    */
+    maxExchanges: 100,
 
-        while ( l-- ) {
-            type = types[l];
-            change = changes[ type ];
-            handler = this.recordCommitters[ type ];
-            handledType = false;
-            create = change.create;
-            update = change.update;
-            destroy = change.destroy;
-            if ( handler ) {
-                if ( typeof handler === 'string' ) {
-                    this.callMethod( handler, {
-                        state: change.state,
-                        create: Object.zip( create.storeKeys, create.records ),
-                        update: Object.zip(
-                            update.records.map(
-                                toPrimaryKey.bind( null, change.primaryKey )
-                            ), delta( update )
-                        ),
-                        destroy: destroy.ids
-                    });
-                } else {
-                    handler.call( this, change );
-                }
-                handledType = true;
-            } else {
-                handler = this.recordCreators[ type ];
-                if ( handler ) {
-                    handler.call( this, create.storeKeys, create.records );
-                    handledType = true;
-                }
-                handler = this.recordUpdaters[ type ];
-                if ( handler ) {
-                    handler.call( this,
-                        update.storeKeys, update.records, update.changes );
-                    handledType = true;
-                }
-                handler = this.recordDestroyers[ type ];
-                if ( handler ) {
-                    handler.call( this, destroy.storeKeys, destroy.ids );
-                    handledType = true;
-                }
-            }
-            if ( handledType ) {
-                delete changes[ type ];
-            }
-            handledAny = handledAny || handledType;
-        }
-        if ( handledAny && callback ) {
-            this._callbackQueue.push([ '', callback ]);
-        }
-        return handledAny;
+    init: function ( mixin ) {
+        this._exchanges = [];
+        // The index in _exchanges the next exchange will be put at once
+        // the buffer is full.
+        this._next = 0;
+        this._nextId = 1;
+        Tracer.parent.init.call( this, mixin );
     },
 
     /**
-        Method: O.Connection#fetchQuery
-
-        Fetches the data for a remote query from the source.
+        Method: JMAP.Tracer#getServerTime
 
         Parameters:
-            query - {O.RemoteQuery} The query to fetch.
+            event - {IOEvent} The event fired when the request finished.
 
         Returns:
-            {Boolean} Returns true if the source handled the fetch.
+            {(Number|null)} The time in ms the server took to handle the
+            request: the duration of the "total" metric in the response's
+            Server-Timing header, or else the sum of the durations given,
+            or null if there are none. Override this if your server reports
+            its time some other way.
     */
-    fetchQuery: function ( query, callback ) {
-        if ( !this.queryFetchers[ O.guid( query.constructor ) ] ) {
-            return false;
-        }
-        var id = query.get( 'id' );
+    getServerTime: function ( event ) {
+        var header = getHeader( event.headers || {}, 'Server-Timing' ),
+            total = null,
+            sum = null;
+        String( header ).split( ',' ).forEach( function ( metric ) {
+            var parts = metric.trim().split( ';' ),
+                duration = /(?:^|;)\s*dur=([0-9.]+)/.exec( metric );
+            if ( duration ) {
+                duration = parseFloat( duration[1] );
+                sum = ( sum || 0 ) + duration;
+                if ( parts[0].trim() === 'total' ) {
+                    total = duration;
+                }
+            }
+        });
+        return total !== null ? total : sum;
+    },
 
-        this._queriesToFetch[ id ] = query;
+    // --- Called by O.Connection ---
 
-        if ( callback ) {
-            this._callbackQueue.push([ '', callback ]);
+    connectionWillSend: function ( connection, remoteCalls ) {
+        var exchange = {
+                id: this._nextId++,
+                connection: connection.get( 'id' ),
+                calls: remoteCalls.map( function ( call ) {
+                    return {
+                        name: call[0],
+                        tag: call[2],
+                        args: call[1]
+                    };
+                }),
+                sentAt: Date.now(),
+                requestSize: getSize( connection.encodeRequest( remoteCalls ) ),
+                result: 'pending',
+                status: 0,
+                responseSize: 0,
+                roundTripTime: null,
+                serverTime: null,
+                handlers: []
+            },
+            exchanges = this._exchanges,
+            max = this.get( 'maxExchanges' );
+        if ( exchanges.length < max ) {
+            exchanges.push( exchange );
+        } else {
+            exchanges[ this._next ] = exchange;
+            this._next = ( this._next + 1 ) % max;
         }
-        this.send();
-        return true;
+        return exchange;
     },
 
-    /**
-        Method: O.Connection#handle
+    connectionDidReceive: function ( exchange, event ) {
+        exchange.result = event.type.replace( 'io:', '' );
+        exchange.status = event.status || 0;
+        exchange.responseSize = getSize( event.data );
+        exchange.roundTripTime = Date.now() - exchange.sentAt;
+        exchange.serverTime = this.getServerTime( event );
+    },
 
-        Helper method to register handlers for a particular type. The handler
-        object may include methods with the following keys:
+    connectionDidHandle: function ( exchange, response, time ) {
+        exchange.handlers.push({
+            name: response[0],
+            tag: response[2],
+            time: time
+        });
+    },
 
-        - precedence: Add function to `commitPrecedence` handlers.
-        - fetch: Add function to `recordFetchers` handlers.
-        - refresh: Add function to `recordRefreshers` handlers.
-        - commit: Add function to `recordCommitters` handlers.
-        - create: Add function to `recordCreators` handlers.
-        - update: Add function to `recordUpdaters` handlers.
-        - destroy: Add function to `recordDestroyers` handlers.
-        - query: Add function to `queryFetcher` handlers.
+    // ---
 
-        Any other keys are presumed to be a response method name, and added
-        to the `response object.
+    /**
+        Method: JMAP.Tracer#getExchanges
 
         Parameters:
-            Type     - {O.Class} The type these handlers are for.
-            handlers - {string[function]} The handlers. These are registered
-                       as described above.
+            filter - {(String|Function)} (optional) Either the name of a
+                     method, to only return the exchanges that called it,
+                     or a function which is given each exchange and returns
+                     true to include it.
 
         Returns:
-            {O.Connection} Returns self.
+            {Object[]} The exchanges kept, oldest first.
     */
-    handle: function ( Type, handlers ) {
-        var typeId = O.guid( Type ),
-            action, propName, isResponse, actionHandlers;
-        for ( action in handlers ) {
-            propName = handleProps[ action ];
-            isResponse = !propName;
-            if ( isResponse ) {
-                propName = 'response';
-            }
-            actionHandlers = this[ propName ];
-            if ( !this.hasOwnProperty( propName ) ) {
-                this[ propName ] = actionHandlers =
-                    Object.create( actionHandlers );
-            }
-            actionHandlers[ isResponse ? action : typeId ] = handlers[ action ];
+    getExchanges: function ( filter ) {
+        var exchanges = this._exchanges,
+            next = this._next,
+            name;
+        exchanges = exchanges.slice( next )
+            .concat( exchanges.slice( 0, next ) );
+        if ( typeof filter === 'string' ) {
+            name = filter;
+            filter = function ( exchange ) {
+                return exchange.calls.some( function ( call ) {
+                    return call.name === name;
+                });
+            };
         }
-        return this;
+        return filter ? exchanges.filter( filter ) : exchanges;
+    },
+
+    /**
+        Method: JMAP.Tracer#getSummary
+
+        Parameters:
+            filter - {(String|Function)} (optional) As for <#getExchanges>.
+
+        Returns:
+            {Object[]} A row for each exchange, with the calls and handlers
+            as strings and the sizes and times, ready to give to
+            `console.table`.
+    */
+    getSummary: function ( filter ) {
+        return this.getExchanges( filter ).map( function ( exchange ) {
+            return {
+                id: exchange.id,
+                connection: exchange.connection,
+                calls: exchange.calls.map( function ( call ) {
+                    return call.name + '#' + call.tag;
+                }).join( ', ' ),
+                result: exchange.result,
+                status: exchange.status,
+                requestSize: exchange.requestSize,
+                responseSize: exchange.responseSize,
+                roundTripTime: exchange.roundTripTime,
+                serverTime: exchange.serverTime,
+                handlers: exchange.handlers.map( function ( handler ) {
+                    return handler.name + '#' + handler.tag +
+                        ' (' + handler.time + 'ms)';
+                }).join( ', ' )
+            };
+        });
     },
 
     /**
-        Property: O.Connection#recordFetchers
-        Type: String[Function]
+        Method: JMAP.Tracer#clear
 
-        A map of type guids to functions which will fetch records of that type.
-        The functions will be called with the source as 'this' and a list of ids
-        or an object (passed straight through from your program) as the sole
-        argument.
+        Throws away all the exchanges kept.
+
+        Returns:
+            {JMAP.Tracer} Returns self.
     */
-    recordFetchers: {},
+    clear: function () {
+        this._exchanges = [];
+        this._next = 0;
+        return this;
+    },
 
     /**
-        Property: O.Connection#recordRefreshers
-        Type: String[Function]
+        Method: JMAP.Tracer#enable
 
-        A map of type guids to functions which will refresh records of that
-        type. The functions will be called with the source as 'this' and a list
-        of ids or an object (passed straight through from your program) as the
-        sole argument.
+        Sets this as the tracer for every connection in <JMAP.source>.
+
+        Returns:
+            {JMAP.Tracer} Returns self.
     */
-    recordRefreshers: {},
+    enable: function () {
+        JMAP.source.get( 'sources' ).forEach( function ( connection ) {
+            connection.set( 'tracer', this );
+        }, this );
+        return this;
+    },
 
     /**
-        Property: O.Connection#recordCommitters
-        Type: String[Function]
+        Method: JMAP.Tracer#disable
 
-        A map of type guids to functions which will commit all creates, updates
-        and destroys requested for a particular record type.
+        Stops tracing the connections in <JMAP.source> that this is the
+        tracer for. The exchanges already kept are left alone.
+
+        Returns:
+            {JMAP.Tracer} Returns self.
     */
-    recordCommitters: {},
+    disable: function () {
+        JMAP.source.get( 'sources' ).forEach( function ( connection ) {
+            if ( connection.get( 'tracer' ) === this ) {
+                connection.set( 'tracer', null );
+            }
+        }, this );
+        return this;
+    }
+});
 
-    /**
-        Property: O.Connection#recordCreators
-        Type: String[Function]
+JMAP.Tracer = Tracer;
 
-        A map of type guids to functions which will commit creates for a
-        particular record type. The function will be called with the source as
-        'this' and will get the following arguments:
+/**
+    Object: JMAP.tracer
 
-        storeKeys - {String[]} A list of store keys.
-        data      - {Object[]} A list of the corresponding data object for
-                    each store key.
+    A shared <JMAP.Tracer>, off until <JMAP.Tracer#enable> is called. From
+    the console:
 
-        Once the request has been made, the following callbacks must be made to
-        the <O.Store> instance as appropriate:
+        JMAP.tracer.enable();
+        // ... use the app ...
+        console.table( JMAP.tracer.getSummary( 'getMessageList' ) );
+*/
+JMAP.tracer = new Tracer();
 
-        * <O.Store#sourceDidCommitCreate> if there are any commited creates.
-        * <O.Store#sourceDidNotCreate> if there are any rejected creates.
-    */
-    recordCreators: {},
+}( JMAP ) );
 
-    /**
-        Property: O.Connection#recordUpdaters
-        Type: String[Function]
 
-        A map of type guids to functions which will commit updates for a
-        particular record type. The function will be called with the source as
-        'this' and will get the following arguments:
+// -------------------------------------------------------------------------- \\
+// File: login.js                                                             \\
+// Module: API                                                                \\
+// Requires: Auth.js                                                          \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
 
-        storeKeys - {String[]} A list of store keys.
-        data      - {Object[]} A list of the corresponding data object for
-                    each store key.
-        changed   - {String[Boolean][]} A list of objects mapping attribute
-                    names to a boolean value indicating whether that value has
-                    actually changed. Any properties in the data has not in the
-                    changed map may be presumed unchanged.
+/*global O, JMAP */
 
-        Once the request has been made, the following callbacks must be made to
-        the <O.Store> instance as appropriate:
+( function ( JMAP ) {
 
-        * <O.Store#sourceDidCommitUpdate> if there are any commited updates.
-        * <O.Store#sourceDidNotUpdate> if there are any rejected updates.
-    */
-    recordUpdaters: {},
+var USERNAME = 'username';
+var METHOD = 'method';
+var LOADING = 'loading';
+var AUTHENTICATED = 'authenticated';
 
-    /**
-        Property: O.Connection#recordDestroyers
-        Type: String[Function]
+/*
+    The methods may be given either as an array of type names, or (in later
+    versions of the spec) as an array of objects with a `type` property.
+*/
+var getMethodTypes = function ( methods ) {
+    return ( methods || [] ).map( function ( method ) {
+        return typeof method === 'string' ? method : method.type;
+    });
+};
 
-        A map of type guids to functions which will commit destroys for a
-        particular record type. The function will be called with the source as
-        'this' and will get the following arguments:
+/**
+    Object: JMAP.auth.login
+
+    Handles logging in with the authentication flow from the JMAP auth spec,
+    posting to the authenticationUrl. Observe the `state` property to update
+    the UI:
+
+    * "username": waiting for <#submitUsername> to be called.
+    * "loading": waiting for the server.
+    * "method": waiting for <#submitMethod> to be called with one of the
+      `methods` the server supports for the next step (e.g. "password",
+      "totp" or "external"). The server may also give a `prompt` to show.
+    * "authenticated": done; <JMAP.auth#didAuthenticate> has been called
+      with the access token and endpoints returned by the server.
+
+    If a step fails, `error` is set to one of "unauthorized" (e.g. the
+    password was wrong; try again), "forbidden" (the user may not log in),
+    "rateLimited", "invalid" or "network". It is cleared on the next
+    submission.
+*/
+JMAP.auth.login = new O.Object({
 
-        storeKeys - {String[]} A list of store keys.
-        ids       - {String[]} A list of the corresponding record ids.
+    state: USERNAME,
 
-        Once the request has been made, the following callbacks must be made to
-        the <O.Store> instance as appropriate:
+    /**
+        Property: JMAP.auth.login#authenticationUrl
+        Type: String
 
-        * <O.Store#sourceDidCommitDestroy> if there are any commited destroys.
-        * <O.Store#sourceDidNotDestroy> if there are any rejected updates.
+        The URL to post the login steps to. Defaults to
+        <JMAP.auth#authenticationUrl>.
     */
-    recordDestroyers: {},
+    authenticationUrl: '',
+
+    clientName: '',
+    clientVersion: '',
+    deviceName: '',
+
+    username: '',
+    loginId: '',
+    methods: [],
+    prompt: '',
+    error: '',
+
+    _request: null,
+
+    // ---
 
     /**
-        Property: O.Connection#queryFetchers
-        Type: String[Function]
+        Method: JMAP.auth.login#reset
 
-        A map of query type guids to functions which will fetch the requested
-        contents of that query. The function will be called with the source as
-        'this' and the query as the sole argument.
-    */
-    queryFetchers: {},
+        Aborts any step in progress and goes back to the "username" state.
 
-    didFetch: function ( Type, args, isAll ) {
-        var store = this.get( 'store' ),
-            list = args.list,
-            state = args.state,
-            notFound = args.notFound;
-        if ( list ) {
-            store.sourceDidFetchRecords( Type, list, state, isAll );
-        }
-        if ( notFound ) {
-            store.sourceCouldNotFindRecords( Type, notFound );
+        Returns:
+            {JMAP.auth.login} Returns self.
+    */
+    reset: function () {
+        var request = this._request;
+        if ( request ) {
+            this._request = null;
+            request.abort();
         }
+        return this.beginPropertyChanges()
+            .set( 'loginId', '' )
+            .set( 'methods', [] )
+            .set( 'prompt', '' )
+            .set( 'error', '' )
+            .set( 'state', USERNAME )
+            .endPropertyChanges();
     },
 
-    didFetchUpdates: function ( Type, args, reqArgs ) {
-        var hasDataForChanged = reqArgs.fetchRecords;
-        this.get( 'store' )
-            .sourceDidFetchUpdates( Type,
-                hasDataForChanged ? null : args.changed,
-                args.removed,
-                args.oldState,
-                args.newState
-            );
+    /**
+        Method: JMAP.auth.login#submitUsername
+
+        Parameters:
+            username - {String} The username to log in as.
+
+        Returns:
+            {JMAP.auth.login} Returns self.
+    */
+    submitUsername: function ( username ) {
+        this.set( 'username', username );
+        return this.post({
+            username: username,
+            clientName: this.get( 'clientName' ),
+            clientVersion: this.get( 'clientVersion' ),
+            deviceName: this.get( 'deviceName' )
+        });
     },
 
-    didCommit: function ( Type, args ) {
-        var store = this.get( 'store' ),
-            toStoreKey = store.getStoreKey.bind( store, Type ),
-            list, object;
+    /**
+        Method: JMAP.auth.login#submitMethod
 
-        if ( ( object = args.created ) && Object.keys( object ).length ) {
-            store.sourceDidCommitCreate( object );
-        }
-        if ( ( object = args.notCreated ) ) {
-            list = Object.keys( object );
-            if ( list.length ) {
-                store.sourceDidNotCreate( list, true, Object.values( object ) );
-            }
-        }
-        if ( ( list = args.updated ) && list.length ) {
-            store.sourceDidCommitUpdate( list.map( toStoreKey ) );
-        }
-        if ( ( object = args.notUpdated ) ) {
-            list = Object.keys( object );
-            if ( list.length ) {
-                store.sourceDidNotUpdate(
-                    list.map( toStoreKey ), Object.values( object ) );
-            }
+        Parameters:
+            type  - {String} One of the methods offered by the server.
+            value - {String} (optional) The password or code entered by the
+                    user. Not needed for the "external" method, which just
+                    checks whether the user has since authenticated some
+                    other way.
+
+        Returns:
+            {JMAP.auth.login} Returns self.
+    */
+    submitMethod: function ( type, value ) {
+        var data = {
+            loginId: this.get( 'loginId' ),
+            type: type
+        };
+        if ( value !== undefined ) {
+            data.value = value;
         }
-        if ( ( list = args.destroyed ) && list.length ) {
-            store.sourceDidCommitDestroy( list.map( toStoreKey ) );
+        return this.post( data );
+    },
+
+    // ---
+
+    post: function ( data ) {
+        if ( this._request ) {
+            return this;
         }
-        if ( ( object = args.notDestroyed ) ) {
-            list = Object.keys( object );
-            if ( list.length ) {
-                store.sourceDidNotUpdate(
-                    list.map( toStoreKey ), Object.values( object ) );
+        var login = this;
+        this.set( 'error', '' )
+            .set( 'state', LOADING );
+        this._request = new JMAP.HttpRequest({
+            timeout: 45000,
+            method: 'POST',
+            url: this.get( 'authenticationUrl' ) ||
+                JMAP.auth.get( 'authenticationUrl' ),
+            headers: {
+                'Accept': 'application/json',
+                'Content-type': 'application/json'
+            },
+            data: JSON.stringify( data ),
+            success: function ( event ) {
+                var response;
+                try {
+                    response = JSON.parse( event.data );
+                } catch ( error ) {}
+
+                if ( !response ) {
+                    login.didFail( 'invalid', METHOD );
+                } else if ( event.status === 201 ) {
+                    login.didSucceed( response );
+                } else {
+                    login.didContinue( response );
+                }
+            }.on( 'io:success' ),
+            failure: function ( event ) {
+                switch ( event.status ) {
+                case 401: // Unauthorized
+                    login.didFail( 'unauthorized', METHOD );
+                    break;
+                case 403: // Forbidden
+                    login.didFail( 'forbidden', USERNAME );
+                    break;
+                case 429: // Rate limited
+                    login.didFail( 'rateLimited', METHOD );
+                    break;
+                case 400: // Bad Request
+                    login.didFail( 'invalid', USERNAME );
+                    break;
+                default: // Connection failed or 5xx error
+                    login.didFail( 'network', METHOD );
+                }
+            }.on( 'io:failure' ),
+            timedOut: function () {
+                // Aborted by a timeout rather than by reset.
+                if ( login._request === this ) {
+                    login.didFail( 'network', METHOD );
+                }
+            }.on( 'io:abort' ),
+            cleanup: function () {
+                this.destroy();
+                if ( login._request === this ) {
+                    login._request = null;
+                }
+            }.on( 'io:end' )
+        }).send();
+        return this;
+    },
+
+    didContinue: function ( response ) {
+        return this.beginPropertyChanges()
+            .set( 'loginId', response.loginId )
+            .set( 'methods', getMethodTypes( response.methods ) )
+            .set( 'prompt', response.prompt || '' )
+            .set( 'state', METHOD )
+            .endPropertyChanges();
+    },
+
+    didSucceed: function ( response ) {
+        var urls = {
+                authenticationUrl: this.get( 'authenticationUrl' ) ||
+                    JMAP.auth.get( 'authenticationUrl' )
+            },
+            key;
+        for ( key in response ) {
+            if ( /Url$/.test( key ) ) {
+                urls[ key ] = response[ key ];
             }
         }
-        if ( args.newState ) {
-            store.sourceCommitDidChangeState(
-                Type, args.oldState, args.newState );
-        }
+        this.beginPropertyChanges()
+            .set( 'loginId', '' )
+            .set( 'methods', [] )
+            .set( 'prompt', '' )
+            .set( 'state', AUTHENTICATED )
+            .endPropertyChanges();
+        JMAP.auth.didAuthenticate(
+            response.username || this.get( 'username' ),
+            response.accessToken,
+            urls
+        );
+        return this;
     },
 
-    /**
-        Property: O.Connection#response
-        Type: String[Function]
+    didLogout: function () {
+        return this.set( 'username', '' )
+                   .reset();
+    },
 
-        A map of method names to functions which the server can call in a
-        response to return data to the client.
-    */
-    response: {
-        error: function ( args, reqName, reqArgs ) {
-            var type = args.type,
-                method = 'error_' + reqName + '_' + type,
-                response = this.response;
-            if ( !response[ method ] ) {
-                method = 'error_' + type;
-            }
-            if ( response[ method ] ) {
-                response[ method ].call( this, args, reqName, reqArgs );
-            }
-        },
-        error_unknownMethod: function ( _, requestName ) {
-            console.log( 'Unknown API call made: ' + requestName );
-        },
-        error_invalidArguments: function ( _, requestName, requestArgs ) {
-            console.log( 'API call to ' + requestName +
-                'made with invalid arguments: ', requestArgs );
-        },
-        error_accountNotFound: function () {
-            // TODO: refetch accounts list.
-        },
-        error_accountReadOnly: function () {
-            // TODO
-        },
-        error_accountNoMail: function () {
-            // TODO: refetch accounts list and clear out any mail data
-        },
-        error_accountNoContacts: function () {
-            // TODO: refetch accounts list and clear out any contacts data
-        },
-        error_accountNoCalendars: function () {
-            // TODO: refetch accounts list and clear out any calendar data
+    didFail: function ( error, state ) {
+        // Can't go back to choosing a method if we never got that far.
+        if ( state === METHOD && !this.get( 'loginId' ) ) {
+            state = USERNAME;
         }
+        return this.beginPropertyChanges()
+            .set( 'error', error )
+            .set( 'state', state )
+            .endPropertyChanges();
     }
 });
-
-JMAP.Connection = Connection;
+JMAP.auth.on( 'logout', JMAP.auth.login, 'didLogout' );
 
 }( JMAP ) );
 
 
 // -------------------------------------------------------------------------- \\
-// File: connections.js                                                       \\
+// File: promises.js                                                          \\
 // Module: API                                                                \\
-// Requires: Connection.js                                                    \\
-// Author: Neil Jenkins                                                       \\
+// Requires: connections.js                                                   \\
 // License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, JMAP */
+/*global O, JMAP, Promise */
 
 ( function ( JMAP ) {
 
-JMAP.upload = new O.IOQueue({
-    maxConnections: 3
-});
+var Status = O.Status,
+    READY = Status.READY,
+    NON_EXISTENT = Status.NON_EXISTENT,
+    NEW = Status.NEW,
+    DIRTY = Status.DIRTY,
+    COMMITTING = Status.COMMITTING;
 
-JMAP.source = new O.AggregateSource({
-    sources: [
-        JMAP.mail = new JMAP.Connection({
-            id: 'mail'
-        }),
-        JMAP.contacts = new JMAP.Connection({
-            id: 'contacts'
-        }),
-        JMAP.calendar = new JMAP.Connection({
-            id: 'calendar'
-        }),
-        JMAP.peripheral = new JMAP.Connection({
-            id: 'peripheral'
-        })
-    ]
-});
+/*
+    Returns a promise which resolves with the record once the test function
+    returns true for its status.
+*/
+var whenStatus = function ( record, isDone ) {
+    return new Promise( function ( resolve ) {
+        var waiter;
+        if ( isDone( record.get( 'status' ) ) ) {
+            resolve( record );
+            return;
+        }
+        waiter = {
+            statusDidChange: function () {
+                if ( isDone( record.get( 'status' ) ) ) {
+                    record.removeObserverForKey(
+                        'status', waiter, 'statusDidChange' );
+                    resolve( record );
+                }
+            }
+        };
+        record.addObserverForKey( 'status', waiter, 'statusDidChange' );
+    });
+};
 
-JMAP.store = new O.Store({
-    source: JMAP.source
-});
+var isLoaded = function ( status ) {
+    return !!( status & ( READY | NON_EXISTENT ) );
+};
 
-}( JMAP ) );
+var isCommitted = function ( status ) {
+    return !( status & ( NEW | DIRTY | COMMITTING ) );
+};
 
+/**
+    Function: JMAP.whenLoaded
 
-// -------------------------------------------------------------------------- \\
-// File: Account.js                                                           \\
-// Module: API                                                                \\
-// Requires: connections.js                                                   \\
-// Author: Neil Jenkins                                                       \\
-// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
-// -------------------------------------------------------------------------- \\
+    Parameters:
+        record - {O.Record} The record.
 
-/*global O, JMAP */
+    Returns:
+        {Promise} A promise which resolves with the record once it is READY or
+        NON_EXISTENT (check the status to see which).
+*/
+var whenLoaded = function ( record ) {
+    return whenStatus( record, isLoaded );
+};
 
-( function ( JMAP ) {
+/**
+    Function: JMAP.getRecord
 
-var Record = O.Record,
-    attr = Record.attr;
+    Gets a record from <JMAP.store>, fetching it if necessary.
 
-var Account = O.Class({
+    Parameters:
+        Type - {O.Class} The record type.
+        id   - {String} The record id.
 
-    Extends: Record,
+    Returns:
+        {Promise} A promise which resolves with the record once it is READY or
+        NON_EXISTENT.
+*/
+var getRecord = function ( Type, id ) {
+    return whenLoaded( JMAP.store.getRecord( Type, id ) );
+};
 
-    name: attr( String ),
+/**
+    Function: JMAP.whenCommitted
 
-    isPrimary: attr( Boolean),
-    isReadOnly: attr( Boolean ),
+    Waits for the changes to a set of records to be committed (or rejected)
+    by the server.
 
-    hasMail: attr( Boolean ),
-    hasContacts: attr( Boolean ),
-    hasCalendars: attr( Boolean ),
+    Parameters:
+        records - {O.Record[]} The records.
 
-    capabilities: attr( Object )
-});
+    Returns:
+        {Promise} A promise which resolves once none of the records have
+        changes waiting to be committed, with an array of outcomes in the
+        same order as the records. Each is an object with the `record` and
+        its `commitError` as `error`: null if the commit succeeded.
+*/
+var whenCommitted = function ( records ) {
+    return Promise.all( records.map( function ( record ) {
+        return whenStatus( record, isCommitted ).then( function ( record ) {
+            return {
+                record: record,
+                error: record.get( 'commitError' ) || null
+            };
+        });
+    }) );
+};
 
-JMAP.peripheral.handle( Account, {
-    fetch: 'getAccounts',
-    refresh: 'getAccounts',
-    // Response handlers
-    accounts: function ( args ) {
-        this.didFetch( Account, args, true );
-    }
-});
+/**
+    Function: JMAP.commitChanges
 
-JMAP.Account = Account;
+    Commits the changes in <JMAP.store>.
+
+    Parameters:
+        records - {O.Record[]} The records to report the outcome for.
+
+    Returns:
+        {Promise} A promise which resolves as for <JMAP.whenCommitted>.
+*/
+var commitChanges = function ( records ) {
+    JMAP.store.commitChanges();
+    return whenCommitted( records );
+};
+
+JMAP.whenLoaded = whenLoaded;
+JMAP.getRecord = getRecord;
+JMAP.whenCommitted = whenCommitted;
+JMAP.commitChanges = commitChanges;
 
 }( JMAP ) );
 
 
 // -------------------------------------------------------------------------- \\
-// File: LocalFile.js                                                         \\
+// File: outbox.js                                                            \\
 // Module: API                                                                \\
-// Requires: connections.js                                                   \\
-// Author: Neil Jenkins                                                       \\
+// Requires: connections.js, storage.js, promises.js                          \\
 // License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, JMAP */
+/*global O, JMAP, Promise */
 
 ( function ( JMAP ) {
 
-var LocalFile = O.Class({
+var WAITING = 'waiting',
+    FAILED = 'failed',
+    CONFLICT = 'conflict',
+    READY = O.Status.READY;
 
-    Extends: O.Object,
+var getConnectionForType = function ( Type ) {
+    var typeId = O.guid( Type );
+    return JMAP.source.get( 'sources' ).filter( function ( connection ) {
+        return !!connection.recordFetchers[ typeId ];
+    })[0] || null;
+};
 
-    nextEventTarget: JMAP.upload,
+/**
+    Object: JMAP.outbox
+
+    Keeps a record of every change committed to the server (the creates,
+    updates and destroys sent in each set call) until the server has
+    confirmed it. Changes made while disconnected therefore wait here, and
+    if a <#storage> backend is set they are saved so they survive the page
+    being closed; call <#load> at startup to replay them.
+
+    Each entry in <#entries> is an object with:
+
+    * typeName: The name of the record type, e.g. "Message".
+    * action: "create", "update" or "destroy".
+    * accountId: The id of the account the record is in, or null for the
+      connection's default account.
+    * recordId: The id of the record (or its store key for a create).
+    * data: For a create, the data for the new record.
+    * state: For a create, the state of the type before it was committed.
+    * changes: For an update, the new values of the properties changed.
+    * committed: For an update, the values those properties had before.
+    * status: "waiting" until the server confirms it, "failed" if the
+      server rejected it (or it could not be replayed), or "conflict" if
+      the server has changed the same properties since, or it could not be
+      told whether a create had already been made (see <#replay>).
+    * error: The error from the server, if it failed.
+
+    Failed entries, and those in conflict, stay in the list until removed
+    with <#remove>.
+*/
+JMAP.outbox = new O.Object({
 
-    constrainImageTo: 0,
+    /**
+        Property: JMAP.outbox#storage
+        Type: Object|null
 
-    init: function ( file ) {
-        this.file = file;
-        this.blobId = '';
+        The storage backend (see storage.js) to save the entries with, or
+        null to only keep them in memory.
+    */
+    storage: null,
 
-        this.name = file.name ||
-            ( 'image.' + ( /\w+$/.exec( file.type ) || [ 'png' ] )[0] );
-        this.type = file.type;
-        this.size = file.size;
+    /**
+        Property: JMAP.outbox#typeNames
+        Type: String[]
 
-        this.isTooBig = false;
-        this.isUploaded = false;
-        this.progress = 0;
+        The names of the record types to keep changes for. Each name must be
+        the name of a record type in the JMAP namespace.
+    */
+    typeNames: [
+        'Mailbox', 'Message',
+        'ContactGroup', 'Contact',
+        'Calendar', 'CalendarEvent'
+    ],
 
-        LocalFile.parent.init.call( this );
-    },
+    /**
+        Property: JMAP.outbox#entries
+        Type: Object[]
 
-    destroy: function () {
-        var request = this._request;
-        if ( request ) {
-            JMAP.upload.abort( request );
+        The changes not yet confirmed, in the order they were made. A new
+        array is set whenever this changes, so it may be observed.
+    */
+    entries: [],
+
+    /**
+        Property: JMAP.outbox#pendingCount
+        Type: Number
+
+        The number of entries still waiting to be confirmed by the server.
+    */
+    pendingCount: function () {
+        return this.get( 'entries' ).filter( function ( entry ) {
+            return entry.status === WAITING;
+        }).length;
+    }.property( 'entries' ),
+
+    _username: '',
+
+    getTypeName: function ( typeId ) {
+        var typeNames = this.get( 'typeNames' ),
+            l = typeNames.length,
+            Type;
+        while ( l-- ) {
+            Type = JMAP[ typeNames[l] ];
+            if ( Type && O.guid( Type ) === typeId ) {
+                return typeNames[l];
+            }
         }
-        LocalFile.parent.destroy.call( this );
+        return '';
     },
 
-    upload: function ( obj, key ) {
-        if ( obj && key ) {
-            obj.removeObserverForKey( key, this, 'upload' );
-        }
-        if ( !this.isDestroyed ) {
-            JMAP.upload.send(
-                this._request = new O.HttpRequest({
-                    nextEventTarget: this,
-                    method: 'POST',
-                    url: JMAP.auth.get( 'uploadUrl' ),
-                    headers: {
-                        'Authorization': JMAP.auth.get( 'accessToken' )
-                    },
-                    data: this.file
-                })
-            );
+    getKey: function ( username ) {
+        return 'jmap-outbox:' + username;
+    },
+
+    setEntries: function ( entries ) {
+        var storage = this.get( 'storage' ),
+            username = this._username || JMAP.auth.get( 'username' );
+        this.set( 'entries', entries );
+        if ( storage && username ) {
+            this._username = username;
+            storage.write( this.getKey( username ), entries );
         }
         return this;
     },
 
-    _uploadDidProgress: function () {
-        this.set( 'progress', this._request.get( 'uploadProgress' ) );
-    }.on( 'io:uploadProgress' ),
+    // --- Called by O.Connection ---
 
-    _uploadDidSucceed: function ( event ) {
-        var response, property;
+    /**
+        Method: JMAP.outbox#connectionWillCommit
 
-        // Parse response.
-        try {
-            response = JSON.parse( event.data );
-        } catch ( error ) {}
+        Adds an entry for each create, update and destroy in a set of
+        changes about to be committed.
 
-        // Was there an error?
-        if ( !response ) {
-            return this.onFailure( event );
+        Parameters:
+            typeId - {String} The guid of the record type.
+            change     - {Object} The changes to commit, as passed to
+                         <O.Connection#commitChanges> for the type.
+            connection - {JMAP.Connection} The connection committing them.
+    */
+    connectionWillCommit: function ( typeId, change, connection ) {
+        var typeName = this.getTypeName( typeId ),
+            Type = JMAP[ typeName ],
+            create = change.create,
+            update = change.update,
+            destroy = change.destroy,
+            committed = update.committed,
+            entries = [],
+            getAccountId = function ( accountId ) {
+                return connection.isDefaultAccount( accountId ) ?
+                    null : accountId;
+            };
+        if ( !typeName ) {
+            return;
         }
-
-        this.beginPropertyChanges();
-        for ( property in response ) {
-            // blobId, type, size, expires[, width, height]
-            this.set( property, response[ property ] );
+        create.records.forEach( function ( data, i ) {
+            var accountId = getAccountId( data.accountId );
+            entries.push({
+                typeName: typeName,
+                action: 'create',
+                accountId: accountId,
+                recordId: create.storeKeys[i],
+                data: data,
+                state: connection.getTypeState( Type, accountId ),
+                status: WAITING,
+                error: null
+            });
+        });
+        update.records.forEach( function ( data, i ) {
+            var changed = update.changes[i];
+            entries.push({
+                typeName: typeName,
+                action: 'update',
+                accountId: getAccountId( data.accountId ),
+                recordId: data[ change.primaryKey ],
+                changes: Object.filter( data, changed ),
+                committed: committed ?
+                    Object.filter( committed[i], changed ) : null,
+                status: WAITING,
+                error: null
+            });
+        });
+        destroy.ids.forEach( function ( id ) {
+            entries.push({
+                typeName: typeName,
+                action: 'destroy',
+                accountId: getAccountId(
+                    connection.getAccountIdForId( Type, id ) ),
+                recordId: id,
+                status: WAITING,
+                error: null
+            });
+        });
+        if ( entries.length ) {
+            this.setEntries( this.get( 'entries' ).concat( entries ) );
         }
-        this.set( 'progress', 100 )
-            .set( 'isUploaded', true )
-            .endPropertyChanges()
-            .uploadDidSucceed();
-    }.on( 'io:success' ),
+    },
 
-    _uploadDidFail: function ( event ) {
-        this.set( 'progress', 0 );
+    /**
+        Method: JMAP.outbox#connectionDidCommit
 
-        switch ( event.status ) {
-        case 400: // Bad Request
-        case 415: // Unsupported Media Type
-            break;
-        case 401: // Unauthorized
-            JMAP.auth.didLoseAuthentication()
-                     .addObserverForKey( 'isAuthenticated', this, 'upload' );
-           break;
-        case 404: // Not Found
-            JMAP.auth.refindEndpoints()
-                     .addObserverForKey( 'uploadUrl', this, 'upload' );
-            break;
-        case 413: // Request Entity Too Large
-            this.set( 'isTooBig', true );
-            break;
-        default:  // Connection failed or 503 Service Unavailable
-            O.RunLoop.invokeAfterDelay( this.upload, 30000, this );
+        Removes the entries the server has confirmed, and marks those it
+        rejected as failed.
+
+        Parameters:
+            typeId    - {String} The guid of the record type.
+            args      - {Object} The response to the set call.
+            accountId - {(String|null)} The account the call was made in, or
+                        null for the connection's default account.
+    */
+    connectionDidCommit: function ( typeId, args, accountId ) {
+        var typeName = this.getTypeName( typeId ),
+            results = {},
+            addResults = function ( action, ids, errors ) {
+                ( ids || [] ).forEach( function ( id ) {
+                    results[ action + ':' + id ] =
+                        errors ? errors[ id ] : null;
+                });
+            },
+            hasChanged = false,
+            entries;
+        if ( !typeName ) {
             return;
         }
+        addResults( 'create', Object.keys( args.created || {} ) );
+        addResults( 'update', args.updated );
+        addResults( 'destroy', args.destroyed );
+        addResults( 'create',
+            Object.keys( args.notCreated || {} ), args.notCreated );
+        addResults( 'update',
+            Object.keys( args.notUpdated || {} ), args.notUpdated );
+        addResults( 'destroy',
+            Object.keys( args.notDestroyed || {} ), args.notDestroyed );
+
+        entries = this.get( 'entries' ).reduce( function ( entries, entry ) {
+            var key = entry.action + ':' + entry.recordId,
+                error;
+            if ( entry.typeName !== typeName || entry.status !== WAITING ||
+                    ( entry.accountId || null ) !== accountId ||
+                    !results.hasOwnProperty( key ) ) {
+                entries.push( entry );
+                return entries;
+            }
+            hasChanged = true;
+            error = results[ key ];
+            // Only the first waiting entry for the record is confirmed.
+            delete results[ key ];
+            if ( error ) {
+                entries.push( O.extend( O.extend( {}, entry ), {
+                    status: error.type === 'stateMismatch' ?
+                        CONFLICT : FAILED,
+                    error: error
+                }) );
+            }
+            return entries;
+        }, [] );
 
-        this.uploadDidFail();
-    }.on( 'io:failure' ),
-
-    _uploadDidEnd: function ( event ) {
-        var request = event.target;
-        request.destroy();
-        if ( this._request === request ) {
-            this._request = null;
+        if ( hasChanged ) {
+            this.setEntries( entries );
         }
-    }.on( 'io:end' ),
+    },
 
-    uploadDidSucceed: function () {},
-    uploadDidFail: function () {}
-});
+    // ---
 
-JMAP.LocalFile = LocalFile;
+    /**
+        Method: JMAP.outbox#load
 
-}( JMAP ) );
+        Loads the entries saved for a user, then replays those still
+        waiting (see <#replay>). Call this at startup, after
+        <JMAP.cache#load> if you are using the cache.
 
+        Parameters:
+            username - {String} The user to load the entries for.
+            callback - {Function} (optional) Called once the entries have
+                       been replayed, even if that failed.
 
-// -------------------------------------------------------------------------- \\
-// File: Sequence.js                                                          \\
-// Module: API                                                                \\
-// Requires: namespace.js                                                     \\
-// Author: Neil Jenkins                                                       \\
-// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
-// -------------------------------------------------------------------------- \\
+        Returns:
+            {JMAP.outbox} Returns self.
+    */
+    load: function ( username, callback ) {
+        var storage = this.get( 'storage' ),
+            outbox = this;
+        this._username = username;
+        if ( !storage ) {
+            if ( callback ) {
+                callback();
+            }
+            return this;
+        }
+        storage.read( this.getKey( username ), function ( entries ) {
+            if ( !entries || outbox._username !== username ) {
+                if ( callback ) {
+                    callback();
+                }
+                return;
+            }
+            outbox.replay( entries ).catch( function ( error ) {
+                O.RunLoop.didError( error );
+            }).then( function () {
+                if ( callback ) {
+                    callback();
+                }
+            });
+        });
+        return this;
+    },
 
-/*global O, JMAP */
+    /**
+        Method: JMAP.outbox#replay
+
+        Makes the waiting changes in a list of entries again, in order, so
+        they are committed as normal (and given new entries). Entries that
+        had failed are kept as they were. Each change is made in the account
+        it was first made in.
+
+        The server may have made a create before the page was closed, even
+        though the response never came back. So before a create is made
+        again, the changes to the type since the state it was committed in
+        are fetched; if one of the records created or updated since has the
+        same value for each property in the entry's data the server has a
+        value for, the create is taken to have been made. If the changes
+        cannot be fetched (for example, because the server can no longer
+        calculate them), the create is not made again; an entry with a
+        "conflict" status (and the `error`) is added instead and a
+        "conflict" event is fired, as below.
+
+        Before an update is made again, the record is fetched. If the server
+        has since changed any of the properties being updated to a value
+        other than the one they had when the change was made, those
+        properties are left alone, an entry with a "conflict" status (with
+        the `properties` in conflict and the `server` version of the record)
+        is added instead and a "conflict" event is fired on the outbox with
+        the entry as its `entry` property. The rest of the update is made as
+        normal.
+
+        If an entry cannot be replayed (for example, because the request to
+        fetch the record failed), an entry with a "failed" status and an
+        `error` of type "replayFailed" is added instead, and the rest are
+        still replayed.
 
-( function ( JMAP ) {
+        Parameters:
+            entries - {Object[]} The entries to replay.
 
-var noop = function () {};
+        Returns:
+            {Promise} Resolves once all the changes have been made.
+    */
+    replay: function ( entries ) {
+        var outbox = this;
+        this.setEntries( this.get( 'entries' ).concat(
+            entries.filter( function ( entry ) {
+                return entry.status !== WAITING;
+            }) ) );
+        return entries.reduce( function ( promise, entry ) {
+            return entry.status === WAITING ?
+                promise.then( function () {
+                    return outbox.replayEntry( entry );
+                }).catch( function ( error ) {
+                    outbox.addEntry( entry, {
+                        status: FAILED,
+                        error: {
+                            type: 'replayFailed',
+                            description: error && error.message ||
+                                String( error )
+                        }
+                    });
+                }) :
+                promise;
+        }, Promise.resolve() ).then( function () {
+            JMAP.store.commitChanges();
+        });
+    },
+
+    // Adds a copy of an entry with the given properties changed; fires a
+    // conflict event if it is now in conflict.
+    addEntry: function ( entry, changes ) {
+        entry = O.extend( O.extend( {}, entry ), changes );
+        this.setEntries( this.get( 'entries' ).concat( entry ) );
+        if ( entry.status === CONFLICT ) {
+            this.fire( 'conflict', {
+                entry: entry
+            });
+        }
+        return this;
+    },
+
+    /*
+        Resolves with true if the server has already made a create entry,
+        looking at the records created or updated since the state the type
+        was in when it was committed (fetching the updates in as many
+        batches as the server needs). Rejects if it cannot be told.
+    */
+    wasCreated: function ( entry, Type, connection ) {
+        var data = entry.data,
+            accountId = entry.accountId || null,
+            getChanged = function ( sinceState, changed ) {
+                return connection.callMethodAsync(
+                    'get' + entry.typeName + 'Updates',
+                    JMAP.Connection.withAccountId({
+                        sinceState: sinceState
+                    }, accountId )
+                ).then( function ( responses ) {
+                    var args = responses[0][1];
+                    changed = changed.concat( args.changed || [] );
+                    if ( !args.hasMoreUpdates ) {
+                        return changed;
+                    }
+                    if ( args.newState === sinceState ) {
+                        throw new Error( 'JMAP.outbox: The server did not ' +
+                            'return the rest of the updates.' );
+                    }
+                    return getChanged( args.newState, changed );
+                });
+            };
+        if ( !entry.state ) {
+            return Promise.reject( new Error(
+                'JMAP.outbox: The state the create was made in is unknown.'
+            ) );
+        }
+        return getChanged( entry.state, [] ).then( function ( ids ) {
+            connection.setAccountIdForIds( Type, ids, accountId );
+            return Promise.all( ids.map( function ( id ) {
+                return JMAP.getRecord( Type, id );
+            }) );
+        }).then( function ( records ) {
+            return records.some( function ( record ) {
+                var server = record.is( READY ) &&
+                        JMAP.store.getData( record.get( 'storeKey' ) );
+                return !!server && Object.keys( data ).every(
+                function ( key ) {
+                    return key === 'accountId' || server[ key ] === undefined ||
+                        O.isEqual( server[ key ], data[ key ] );
+                });
+            });
+        });
+    },
+
+    replayEntry: function ( entry ) {
+        var Type = JMAP[ entry.typeName ],
+            connection = Type && getConnectionForType( Type ),
+            store = JMAP.store,
+            outbox = this;
+        if ( !connection ) {
+            return null;
+        }
+        if ( entry.action === 'create' ) {
+            return this.wasCreated( entry, Type, connection ).then(
+            function ( wasCreated ) {
+                if ( !wasCreated ) {
+                    store.createRecord( store.getStoreKey( Type ), entry.data );
+                }
+            }, function ( error ) {
+                outbox.addEntry( entry, {
+                    status: CONFLICT,
+                    error: {
+                        type: 'unknownIfCreated',
+                        description: error && error.message || String( error )
+                    }
+                });
+            });
+        }
+        connection.setAccountIdForIds(
+            Type, [ entry.recordId ], entry.accountId || null );
+        return JMAP.getRecord( Type, entry.recordId ).then(
+        function ( record ) {
+            var storeKey = record.get( 'storeKey' ),
+                changes = entry.changes,
+                committed = entry.committed,
+                server, apply, conflicts, property, value;
+            // If it has gone, there's nothing to update or destroy.
+            if ( !record.is( READY ) ) {
+                return;
+            }
+            if ( entry.action === 'destroy' ) {
+                record.destroy();
+                return;
+            }
+            server = store.getData( storeKey );
+            apply = {};
+            conflicts = [];
+            for ( property in changes ) {
+                value = server[ property ];
+                if ( !O.isEqual( value, changes[ property ] ) &&
+                        ( !committed ||
+                            !O.isEqual( value, committed[ property ] ) ) ) {
+                    conflicts.push( property );
+                } else {
+                    apply[ property ] = changes[ property ];
+                }
+            }
+            if ( Object.keys( apply ).length ) {
+                store.updateData( storeKey, apply, true );
+            }
+            if ( conflicts.length ) {
+                outbox.addEntry( entry, {
+                    status: CONFLICT,
+                    properties: conflicts,
+                    server: server
+                });
+            }
+        });
+    },
 
-var Sequence = O.Class({
+    /**
+        Method: JMAP.outbox#remove
 
-    Extends: O.Object,
+        Removes an entry, such as one that has failed once the user has
+        been told.
 
-    init: function () {
-        this.queue = [];
-        this.index = 0;
-        this.length = 0;
-        this.afterwards = noop;
+        Parameters:
+            entry - {Object} The entry to remove.
 
-        Sequence.parent.init.call( this );
+        Returns:
+            {JMAP.outbox} Returns self.
+    */
+    remove: function ( entry ) {
+        return this.setEntries( this.get( 'entries' ).filter(
+            function ( item ) {
+                return item !== entry;
+            }) );
     },
 
-    then: function ( fn ) {
-        this.queue.push( fn );
-        this.increment( 'length', 1 );
-        return this;
-    },
+    /**
+        Method: JMAP.outbox#clear
 
-    go: function go ( data ) {
-        var index = this.index,
-            length = this.length,
-            fn = this.queue[ index ];
-        if ( index < length ) {
-            index += 1;
-            this.set( 'index', index );
-            fn( go.bind( this ), data );
-            if ( index === length ) {
-                this.afterwards( index, length );
-            }
-        }
-    },
+        Throws away all the entries, including any saved. This is called
+        automatically on <JMAP.auth#logout>.
 
-    cancel: function () {
-        var index = this.index,
-            length = this.length;
-        if ( index < length ) {
-            this.set( 'length', 0 );
-            this.afterwards( index, length );
+        Returns:
+            {JMAP.outbox} Returns self.
+    */
+    clear: function () {
+        var storage = this.get( 'storage' ),
+            username = this._username;
+        this._username = '';
+        this.set( 'entries', [] );
+        if ( storage && username ) {
+            storage.remove( this.getKey( username ) );
         }
-    },
-
-    progress: function () {
-        var index = this.index,
-            length = this.length;
-        return length ? Math.round( ( index / length ) * 100 ) : 100;
-    }.property( 'index', 'length' )
+        return this;
+    }
 });
 
-JMAP.Sequence = Sequence;
+JMAP.auth.on( 'logout', JMAP.outbox, 'clear' );
 
 }( JMAP ) );
 
@@ -1511,6 +9628,10 @@ var Calendar = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     name: attr( String, {
         defaultValue: '',
         validate: function ( propValue/*, propKey, record*/ ) {
@@ -1614,31 +9735,8 @@ var Calendar = O.Class({
     }.observes( 'status' )
 });
 
-JMAP.calendar.handle( Calendar, {
-    precedence: 1,
-    fetch: 'getCalendars',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getCalendarUpdates', {
-            sinceState: state,
-            fetchRecords: true
-        });
-    },
-    commit: 'setCalendars',
-    // Response handlers
-    calendars: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( Calendar, args,
-            reqMethod === 'getCalendars' && !reqArgs.ids );
-    },
-    calendarUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( Calendar, args, reqArgs );
-    },
-    error_getCalendarUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( Calendar );
-    },
-    calendarsSet: function ( args ) {
-        this.didCommit( Calendar, args );
-    }
+JMAP.defineType( Calendar, JMAP.calendar, 'Calendar', {
+    precedence: 1
 });
 
 JMAP.Calendar = Calendar;
@@ -2256,6 +10354,10 @@ var CalendarEvent = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     isDragging: false,
     isOccurrence: false,
 
@@ -2702,43 +10804,29 @@ var CalendarEvent = O.Class({
 });
 
 JMAP.calendar.replaceEvents = false;
-JMAP.calendar.handle( CalendarEvent, {
+JMAP.defineType( CalendarEvent, JMAP.calendar, 'CalendarEvent', {
     precedence: 2,
-    fetch: 'getCalendarEvents',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getCalendarEventUpdates', {
-            sinceState: state,
-            maxChanges: 100,
-            fetchRecords: true
-        });
-    },
-    commit: 'setCalendarEvents',
-    // Response handlers
-    calendarEvents: function ( args ) {
-        var events = args.list,
-            l = events.length,
-            event, inclusions;
-        while ( l-- ) {
-            event = events[l];
-            inclusions = event.inclusions;
-            if ( inclusions ) {
-                event.inclusions = inclusions.map( Date.fromJSON );
+    maxChanges: 100,
+    hasMoreUpdates: 'fetchMore',
+    handlers: {
+        calendarEvents: function ( args, _, reqArgs ) {
+            var events = args.list,
+                l = events.length,
+                event, inclusions;
+            while ( l-- ) {
+                event = events[l];
+                inclusions = event.inclusions;
+                if ( inclusions ) {
+                    event.inclusions = inclusions.map( Date.fromJSON );
+                }
             }
+            this.didFetch( CalendarEvent, args,
+                this.replaceEvents, reqArgs.accountId );
+            this.replaceEvents = false;
+        },
+        error_getCalendarEventUpdates_cannotCalculateChanges: function () {
+            JMAP.calendar.flushCache();
         }
-        this.didFetch( CalendarEvent, args, this.replaceEvents );
-        this.replaceEvents = false;
-    },
-    calendarEventUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( CalendarEvent, args, reqArgs );
-        if ( args.hasMoreUpdates ) {
-            this.get( 'store' ).fetchAll( CalendarEvent, true );
-        }
-    },
-    error_getCalendarEventUpdates_cannotCalculateChanges: function () {
-        JMAP.calendar.flushCache();
-    },
-    calendarEventsSet: function ( args ) {
-        this.didCommit( CalendarEvent, args );
     }
 });
 
@@ -3324,17 +11412,35 @@ O.extend( JMAP.calendar, {
             },
             fetchCalendarEvents: true
         });
+    },
+
+    didLogout: function () {
+        var now = new Date();
+        this.loadingEventsStart = this.loadingEventsEnd = now;
+        this.set( 'loadedEventsStart', now )
+            .set( 'loadedEventsEnd', now );
+        this.replaceEvents = false;
+        editStore.discardChanges();
+        this.undoManager.reset();
+        this.clearIndexes();
     }
 });
 store.on( Calendar, JMAP.calendar, 'recalculate' )
      .on( CalendarEvent, JMAP.calendar, 'clearIndexes' );
+JMAP.auth.on( 'logout', JMAP.calendar, 'didLogout' );
 
-JMAP.calendar.handle( null, {
-    calendarEventList: function () {
-        // We don't care about the list, we only use it to fetch the
-        // events we want. This may change with search in the future!
-    }
-});
+/**
+    Class: JMAP.CalendarEventList
+
+    Extends: JMAP.RemoteList
+
+    A list of the events matching a filter, e.g. a search, fetched a window
+    at a time with getCalendarEventList. The calls to getCalendarEventList
+    made to load the events around a date are not for a list, so their
+    responses are just used to fetch the events.
+*/
+JMAP.CalendarEventList = JMAP.RemoteList.forType(
+    CalendarEvent, JMAP.calendar, 'CalendarEvent' );
 
 }( JMAP ) );
 
@@ -3487,8 +11593,21 @@ JMAP.calendar.eventUploads = {
             createFolders: true,
             mayRename: true
         });
+    },
+
+    didLogout: function () {
+        var inProgress = this.inProgress,
+            id;
+        for ( id in inProgress ) {
+            inProgress[ id ].forEach( function ( file ) {
+                file.destroy();
+            });
+        }
+        this.inProgress = {};
+        this.awaitingSave = {};
     }
 };
+JMAP.auth.on( 'logout', JMAP.calendar.eventUploads, 'didLogout' );
 
 var CalendarAttachment = O.Class({
 
@@ -3606,6 +11725,10 @@ var Contact = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     isFlagged: attr( Boolean, {
         defaultValue: false
     }),
@@ -3734,39 +11857,25 @@ var Contact = O.Class({
     }.property( 'emailName', 'defaultEmail' )
 });
 
-JMAP.contacts.handle( Contact, {
+JMAP.defineType( Contact, JMAP.contacts, 'Contact', {
     precedence: 0, // Before ContactGroup
-    fetch: 'getContacts',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getContactUpdates', {
-            sinceState: state,
-            maxChanges: 100,
-            fetchRecords: true
-        });
-    },
-    commit: 'setContacts',
-    // Response handlers
-    contacts: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( Contact, args,
-            reqMethod === 'getContacts' && !reqArgs.ids );
-    },
-    contactUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( Contact, args, reqArgs );
-        if ( args.hasMoreUpdates ) {
-            this.get( 'store' ).fetchAll( Contact, true );
-        }
-    },
-    error_getContactUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( Contact );
-    },
-    contactsSet: function ( args ) {
-        this.didCommit( Contact, args );
-    }
+    maxChanges: 100,
+    hasMoreUpdates: 'fetchMore'
 });
 
 JMAP.Contact = Contact;
 
+/**
+    Class: JMAP.ContactList
+
+    Extends: JMAP.RemoteList
+
+    A list of the contacts matching a filter, in a sort order, fetched
+    a window at a time with getContactList, so a large address book can be
+    paged through rather than loaded all at once.
+*/
+JMAP.ContactList = JMAP.RemoteList.forType( Contact, JMAP.contacts, 'Contact' );
+
 }( JMAP ) );
 
 
@@ -3792,6 +11901,10 @@ var ContactGroup = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     name: attr( String, {
         defaultValue: '',
         validate: function ( propValue/*, propKey, record*/ ) {
@@ -3835,31 +11948,8 @@ var ContactGroup = O.Class({
     }
 });
 
-JMAP.contacts.handle( ContactGroup, {
-    precedence: 1, // After Contact
-    fetch: 'getContactGroups',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getContactGroupUpdates', {
-            sinceState: state,
-            fetchRecords: true
-        });
-    },
-    commit: 'setContactGroups',
-    // Response handlers
-    contactGroups: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( ContactGroup, args,
-            reqMethod === 'getContactGroups' && !reqArgs.ids );
-    },
-    contactGroupUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( ContactGroup, args, reqArgs );
-    },
-    error_getContactGroupUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( ContactGroup );
-    },
-    contactGroupsSet: function ( args ) {
-        this.didCommit( ContactGroup, args );
-    }
+JMAP.defineType( ContactGroup, JMAP.contacts, 'ContactGroup', {
+    precedence: 1 // After Contact
 });
 
 JMAP.ContactGroup = ContactGroup;
@@ -3919,8 +12009,15 @@ O.extend( JMAP.contacts, {
     getContactFromEmail: function ( email ) {
         var index = contactsIndex.getIndex();
         return index[ email.toLowerCase() ] || null;
+    },
+
+    didLogout: function () {
+        contactsIndex.clearIndex();
+        editStore.discardChanges();
+        this.undoManager.reset();
     }
 });
+JMAP.auth.on( 'logout', JMAP.contacts, 'didLogout' );
 
 }( JMAP ) );
 
@@ -3948,6 +12045,10 @@ var Mailbox = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     name: attr( String, {
         defaultValue: '',
         validate: function ( propValue/*, propKey, record*/ ) {
@@ -4117,51 +12218,12 @@ var Mailbox = O.Class({
 
 Mailbox.prototype.parent.Type = Mailbox;
 
-JMAP.mail.handle( Mailbox, {
+JMAP.defineType( Mailbox, JMAP.mail, 'Mailbox', {
     precedence: 0,
-    fetch: function ( ids ) {
-        this.callMethod( 'getMailboxes', {
-            ids: ids || null,
-            properties: null
-        });
-    },
-    refresh: function ( ids, state ) {
-        if ( ids ) {
-            this.callMethod( 'getMailboxes', {
-                ids: ids,
-                properties: [
-                    'totalMessages', 'unreadMessages',
-                    'totalThreads', 'unreadThreads'
-                ]
-            });
-        } else {
-            this.callMethod( 'getMailboxUpdates', {
-                sinceState: state,
-                fetchRecords: true,
-                fetchRecordProperties: null
-            });
-        }
-    },
-    commit: 'setMailboxes',
-
-    // ---
-
-    mailboxes: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( Mailbox, args,
-            reqMethod === 'getMailboxes' && !reqArgs.ids );
-    },
-
-    mailboxUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( Mailbox, args, reqArgs );
-    },
-    error_getMailboxUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( Mailbox );
-    },
-
-    mailboxesSet: function ( args ) {
-        this.didCommit( Mailbox, args );
-    }
+    refreshProperties: [
+        'totalMessages', 'unreadMessages',
+        'totalThreads', 'unreadThreads'
+    ]
 });
 
 JMAP.Mailbox = Mailbox;
@@ -4189,12 +12251,18 @@ var Status = O.Status,
 var Record = O.Record,
     attr = Record.attr;
 
+var withAccountId = JMAP.Connection.withAccountId;
+
 var MessageDetails = O.Class({ Extends: Record });
 
 var Message = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     threadId: attr( String ),
 
     thread: function () {
@@ -4325,26 +12393,26 @@ var Message = O.Class({
 });
 
 JMAP.mail.handle( MessageDetails, {
-    fetch: function ( ids ) {
-        this.callMethod( 'getMessages', {
+    fetch: function ( ids, accountId ) {
+        this.callMethod( 'getMessages', withAccountId({
             ids: ids,
             properties: Message.detailsProperties
-        });
+        }, accountId ) );
     }
 });
 
 JMAP.mail.messageUpdateFetchRecords = true;
 JMAP.mail.messageUpdateMaxChanges = 50;
 JMAP.mail.handle( Message, {
-    fetch: function ( ids ) {
-        this.callMethod( 'getMessages', {
+    fetch: function ( ids, accountId ) {
+        this.callMethod( 'getMessages', withAccountId({
             ids: ids,
             properties: Message.headerProperties
-        });
+        }, accountId ) );
     },
-    refresh: function ( ids, state ) {
+    refresh: function ( ids, state, accountId ) {
         if ( ids ) {
-            this.callMethod( 'getMessages', {
+            this.callMethod( 'getMessages', withAccountId({
                 ids: ids,
                 properties: [
                     'mailboxIds',
@@ -4354,27 +12422,33 @@ JMAP.mail.handle( Message, {
                     'isDraft',
                     'hasAttachment'
                 ]
-            });
+            }, accountId ) );
         } else {
             var messageUpdateFetchRecords = this.messageUpdateFetchRecords;
-            this.callMethod( 'getMessageUpdates', {
+            this.callMethod( 'getMessageUpdates', withAccountId({
                 sinceState: state,
                 maxChanges: this.messageUpdateMaxChanges,
                 fetchRecords: messageUpdateFetchRecords,
                 fetchRecordProperties: messageUpdateFetchRecords ?
                     Message.headerProperties : null
-            });
+            }, accountId ) );
         }
     },
     commit: 'setMessages',
 
     // ---
 
-    messages: function ( args ) {
-        var first = args.list[0],
+    messages: function ( args, _, reqArgs ) {
+        var accountId = reqArgs.accountId,
+            first = args.list[0],
             updates;
+        // The details are fetched from the same account as the message.
+        this.setAccountIdForIds( MessageDetails,
+            args.list.map( function ( message ) {
+                return message.id;
+            }), accountId );
         if ( first && first.date ) {
-            this.didFetch( Message, args );
+            this.didFetch( Message, args, false, accountId );
         } else {
             updates = args.list.reduce( function ( updates, message ) {
                 updates[ message.id ] = message;
@@ -4399,35 +12473,39 @@ JMAP.mail.handle( Message, {
                 } else {
                     this.messageUpdateMaxChanges = 150;
                 }
-                this.get( 'store' ).fetchAll( Message, true );
+                this.fetchAllRecordsForAccount( Message, reqArgs.accountId );
                 return;
             } else {
                 // We've fetched 300 updates and there's still more. Let's give
                 // up and reset.
                 this.response
                     .error_getMessageUpdates_cannotCalculateChanges
-                    .call( this, args );
+                    .call( this, args, _, reqArgs );
             }
         }
         this.messageUpdateFetchRecords = true;
         this.messageUpdateMaxChanges = 50;
     },
-    error_getMessageUpdates_cannotCalculateChanges: function ( args ) {
-        var store = this.get( 'store' );
+    error_getMessageUpdates_cannotCalculateChanges: function (
+            args, _, reqArgs ) {
+        var accountId = reqArgs.accountId;
         // All our data may be wrong. Mark all messages as obsolete.
         // The garbage collector will eventually clean up any messages that
         // no longer exist
-        store.getAll( Message ).forEach( function ( message ) {
+        this.get( 'store' ).getAll( Message ).forEach( function ( message ) {
             message.setObsolete();
         });
         this.recalculateAllFetchedWindows();
         // Tell the store we're now in the new state.
-        store.sourceDidFetchUpdates(
-            Message, null, null, store.getTypeState( Message ), args.newState );
-
-    },
-    messagesSet: function ( args ) {
-        this.didCommit( Message, args );
+        this.didFetchUpdates( Message, {
+            changed: null,
+            removed: null,
+            oldState: this.getTypeState( Message, accountId ),
+            newState: args.newState
+        }, reqArgs );
+    },
+    messagesSet: function ( args, _, reqArgs ) {
+        this.didCommit( Message, args, reqArgs.accountId );
     }
 });
 
@@ -4450,6 +12528,8 @@ JMAP.Message = Message;
 
 var Record = O.Record;
 
+var withAccountId = JMAP.Connection.withAccountId;
+
 var aggregateBoolean = function ( _, key ) {
     return this.get( 'messages' ).reduce( function ( isProperty, message ) {
         return isProperty || ( !message.isIn( 'trash' ) && message.get( key ) );
@@ -4468,6 +12548,10 @@ var Thread = O.Class({
 
     isEditable: false,
 
+    accountId: Record.attr( String, {
+        defaultValue: null
+    }),
+
     messages: Record.toMany({
         recordType: JMAP.Message,
         key: 'messageIds'
@@ -4551,27 +12635,27 @@ var Thread = O.Class({
 JMAP.mail.threadUpdateFetchRecords = true;
 JMAP.mail.threadUpdateMaxChanges = 30;
 JMAP.mail.handle( Thread, {
-    fetch: function ( ids ) {
-        this.callMethod( 'getThreads', {
+    fetch: function ( ids, accountId ) {
+        this.callMethod( 'getThreads', withAccountId({
             ids: ids,
             fetchMessages: true,
             fetchMessageProperties: JMAP.Message.headerProperties
-        });
+        }, accountId ) );
     },
-    refresh: function ( ids, state ) {
+    refresh: function ( ids, state, accountId ) {
         if ( ids ) {
-            this.fetchRecords( Thread, ids );
+            this.fetchRecords( Thread, ids, null, '', false, accountId );
         } else {
-            this.callMethod( 'getThreadUpdates', {
+            this.callMethod( 'getThreadUpdates', withAccountId({
                 sinceState: state,
                 maxChanges: this.threadUpdateMaxChanges,
                 fetchRecords: this.threadUpdateFetchRecords
-            });
+            }, accountId ) );
         }
     },
     // Response handler
-    threads: function ( args ) {
-        this.didFetch( Thread, args );
+    threads: function ( args, _, reqArgs ) {
+        this.didFetch( Thread, args, false, reqArgs.accountId );
     },
     threadUpdates: function ( args, _, reqArgs ) {
         this.didFetchUpdates( Thread, args, reqArgs );
@@ -4588,20 +12672,21 @@ JMAP.mail.handle( Thread, {
                 } else {
                     this.threadUpdateMaxChanges = 120;
                 }
-                this.get( 'store' ).fetchAll( Thread, true );
+                this.fetchAllRecordsForAccount( Thread, reqArgs.accountId );
                 return;
             } else {
                 // We've fetched 250 updates and there's still more. Let's give
                 // up and reset.
                 this.response
                     .error_getThreadUpdates_cannotCalculateChanges
-                    .call( this, args );
+                    .call( this, args, _, reqArgs );
             }
         }
         this.threadUpdateFetchRecords = true;
         this.threadUpdateMaxChanges = 30;
     },
-    error_getThreadUpdates_cannotCalculateChanges: function ( args ) {
+    error_getThreadUpdates_cannotCalculateChanges: function (
+            args, _, reqArgs ) {
         var store = this.get( 'store' );
         // All our data may be wrong. Unload if possible, otherwise mark
         // obsolete.
@@ -4612,8 +12697,12 @@ JMAP.mail.handle( Thread, {
         });
         this.recalculateAllFetchedWindows();
         // Tell the store we're now in the new state.
-        store.sourceDidFetchUpdates(
-            Thread, null, null, store.getTypeState( Thread ), args.newState );
+        this.didFetchUpdates( Thread, {
+            changed: null,
+            removed: null,
+            oldState: this.getTypeState( Thread, reqArgs.accountId ),
+            newState: args.newState
+        }, reqArgs );
     }
 });
 
@@ -4666,20 +12755,22 @@ var stringifySorted = function ( item ) {
 };
 
 var getId = function ( args ) {
-    return 'ml:' + stringifySorted( args.filter ) +
+    return 'ml:' + ( args.accountId ? args.accountId + ':' : '' ) +
+        stringifySorted( args.filter ) +
         ( args.collapseThreads ? '+' : '-' );
 };
 
 var MessageList = O.Class({
 
-    Extends: O.WindowedRemoteQuery,
-
-    optimiseFetching: true,
+    Extends: JMAP.RemoteList,
 
     sort: [ 'date desc' ],
     collapseThreads: true,
 
     Type: JMAP.Message,
+    connection: JMAP.mail,
+    typeName: 'Message',
+    plural: 'Messages',
 
     init: function ( options ) {
         this._snippets = {};
@@ -4721,54 +12812,68 @@ var MessageList = O.Class({
         return true;
     },
 
-    sourceWillFetchQuery: function () {
-        var req = MessageList.parent.sourceWillFetchQuery.call( this );
+    getQueryArgs: function () {
+        var args = MessageList.parent.getQueryArgs.call( this );
+        args.collapseThreads = this.get( 'collapseThreads' );
+        return args;
+    },
+
+    addFetchArgs: function ( args, fetchData ) {
+        args.fetchThreads = this.get( 'collapseThreads' ) && fetchData;
+        args.fetchMessages = fetchData;
+        args.fetchMessageProperties = fetchData ?
+            JMAP.Message.headerProperties : null;
+        args.fetchSearchSnippets = false;
+        return args;
+    },
 
-        // If we have all the ids already, optimise the loading of the records.
+    refreshRecordsForId: function ( id ) {
         var store = this.get( 'store' ),
-            list = this._list,
-            length = this.get( 'length' ),
-            collapseThreads = this.get( 'collapseThreads' ),
-            messageToThreadId = this.messageToThreadId,
-            threadId;
+            thread;
+        // For a collapsed list, the thread and all its messages.
+        if ( this.get( 'collapseThreads' ) ) {
+            thread = store.getRecord(
+                JMAP.Thread, this.messageToThreadId[ id ] );
+            refresh( thread );
+            thread.get( 'messages' ).forEach( refresh );
+        } else {
+            refresh( store.getRecord( JMAP.Message, id ) );
+        }
+    },
 
-        req.records = req.records.filter( function ( req ) {
-            var i = req.start,
-                l = i + req.count,
-                message, thread;
+    // --- Cache ---
 
-            if ( length ) {
-                l = Math.min( l, length );
-            }
+    /*
+        As for <JMAP.RemoteList>, but with the `threadIds` of the messages
+        too.
+    */
+    getCacheData: function () {
+        var data = MessageList.parent.getCacheData.call( this ),
+            messageToThreadId = this.messageToThreadId;
+        if ( data ) {
+            data.threadIds = data.messageIds.map( function ( messageId ) {
+                return messageToThreadId[ messageId ];
+            });
+        }
+        return data;
+    },
 
-            while ( i < l ) {
-                var id = list[i];
-                if ( id ) {
-                    i += 1;
-                } else {
-                    id = list[ l - 1 ];
-                    if ( !id ) { break; }
-                    l -= 1;
-                }
-                // Fetch the Message objects (if not already fetched).
-                // If already fetched, fetch the updates
-                if ( collapseThreads ) {
-                    threadId = messageToThreadId[ id ];
-                    thread = store.getRecord( JMAP.Thread, threadId );
-                    // If already fetched, fetch the updates
-                    refresh( thread );
-                    thread.get( 'messages' ).forEach( refresh );
-                } else {
-                    message = store.getRecord( JMAP.Message, id );
-                    refresh( message );
-                }
+    restoreFromCache: function () {
+        var data = ( this.get( 'status' ) & EMPTY ) &&
+                JMAP.cache.getQueryData( this.get( 'id' ) ),
+            messageToThreadId = this.messageToThreadId,
+            messageIds, threadIds, l;
+        if ( data ) {
+            messageIds = data.messageIds;
+            threadIds = data.threadIds;
+            l = messageIds.length;
+            while ( l-- ) {
+                messageToThreadId[ messageIds[l] ] = threadIds[l];
             }
-            req.start = i;
-            req.count = l - i;
-            return i !== l;
-        });
-
-        return req;
+            JMAP.mail.setAccountIdForIds(
+                JMAP.Thread, threadIds, this.get( 'accountId' ) );
+        }
+        return MessageList.parent.restoreFromCache.call( this );
     },
 
     // --- Snippets ---
@@ -4803,7 +12908,8 @@ var MessageList = O.Class({
     },
 
     fetchSnippets: function () {
-        JMAP.mail.callMethod( 'getSearchSnippets', {
+        JMAP.mail.callMethodInBackground( 'getSearchSnippets', {
+            accountId: this.get( 'accountId' ),
             messageIds: this._snippetsNeeded,
             filter: this.get( 'filter' ),
             // Not part of the getSearchSnippets call, but needed to identify
@@ -4815,77 +12921,21 @@ var MessageList = O.Class({
 });
 
 JMAP.mail.handle( MessageList, {
-    query: function ( query ) {
-        var filter = query.get( 'filter' ),
-            sort = query.get( 'sort' ),
-            collapseThreads = query.get( 'collapseThreads' ),
-            canGetDeltaUpdates = query.get( 'canGetDeltaUpdates' ),
-            state = query.get( 'state' ),
-            request = query.sourceWillFetchQuery(),
-            hasMadeRequest = false;
-
-        if ( canGetDeltaUpdates && state && request.refresh ) {
-            var list = query._list,
-                length = list.length,
-                upto = ( length === query.get( 'length' ) ) ?
-                    undefined : list[ length - 1 ];
-            this.callMethod( 'getMessageListUpdates', {
-                filter: filter,
-                sort: sort,
-                collapseThreads: collapseThreads,
-                sinceState: state,
-                uptoMessageId: upto,
-                maxChanges: 250
-            });
-        }
-
-        if ( request.callback ) {
-            this.addCallback( request.callback );
-        }
-
-        var get = function ( start, count, anchor, offset, fetchData ) {
-            hasMadeRequest = true;
-            this.callMethod( 'getMessageList', {
-                filter: filter,
-                sort: sort,
-                collapseThreads: collapseThreads,
-                position: start,
-                anchor: anchor,
-                anchorOffset: offset,
-                limit: count,
-                fetchThreads: collapseThreads && fetchData,
-                fetchMessages: fetchData,
-                fetchMessageProperties: fetchData ?
-                    JMAP.Message.headerProperties : null,
-                fetchSearchSnippets: false
-            });
-        }.bind( this );
-
-        request.ids.forEach( function ( req ) {
-            get( req.start, req.count, undefined, undefined, false );
-        });
-        request.records.forEach( function ( req ) {
-            get( req.start, req.count, undefined, undefined, true );
-        });
-        request.indexOf.forEach( function ( req ) {
-            get( undefined, 5, req[0], 1, false );
-            this.addCallback( req[1] );
-        }, this );
-
-        if ( ( ( query.get( 'status' ) & O.Status.EMPTY ) &&
-                !request.records.length ) ||
-             ( !canGetDeltaUpdates && !hasMadeRequest && request.refresh ) ) {
-            get( 0, 30, undefined, undefined, true );
-        }
-    },
+    query: JMAP.RemoteList.fetchQuery,
 
     // ---
 
-    messageList: function ( args ) {
+    messageList: function ( args, _, reqArgs ) {
         var store = this.get( 'store' ),
-            query = store.getQuery( getId( args ) ),
+            query = store.getQuery( getId( reqArgs ) ),
             messageToThreadId, messageIds, threadIds, l;
 
+        // Any records we fetch for these ids must come from the same account.
+        this.setAccountIdForIds(
+            JMAP.Message, args.messageIds, reqArgs.accountId );
+        this.setAccountIdForIds(
+            JMAP.Thread, args.threadIds, reqArgs.accountId );
+
         if ( query &&
                 args.collapseThreads === query.get( 'collapseThreads' ) ) {
             messageToThreadId = query.messageToThreadId;
@@ -4905,9 +12955,10 @@ JMAP.mail.handle( MessageList, {
         // and it will just check that it doesn't have it.
     },
 
-    messageListUpdates: function ( args ) {
+    messageListUpdates: function ( args, _, reqArgs ) {
         var store = this.get( 'store' ),
-            query = store.getQuery( getId( args ) ),
+            query = store.getQuery( getId( reqArgs ) ),
+            accountId = reqArgs.accountId,
             messageToThreadId;
 
         if ( query &&
@@ -4920,8 +12971,12 @@ JMAP.mail.handle( MessageList, {
             });
             args.added = args.added.map( function ( obj ) {
                 messageToThreadId[ obj.messageId ] = obj.threadId;
+                this.setAccountIdForIds(
+                    JMAP.Message, [ obj.messageId ], accountId );
+                this.setAccountIdForIds(
+                    JMAP.Thread, [ obj.threadId ], accountId );
                 return [ obj.index, obj.messageId ];
-            });
+            }, this );
             query.sourceDidFetchUpdate( args );
         }
     },
@@ -4940,9 +12995,9 @@ JMAP.mail.handle( MessageList, {
 
     // ---
 
-    searchSnippets: function ( args ) {
+    searchSnippets: function ( args, _, reqArgs ) {
         var store = this.get( 'store' ),
-            query = store.getQuery( getId( args ) );
+            query = store.getQuery( getId( reqArgs ) );
         if ( query ) {
             query.sourceDidFetchSnippets( args.list );
         }
@@ -5389,25 +13444,50 @@ var byFolderTreeOrder = function ( a, b ) {
         ( a.get( 'id' ) < b.get( 'id' ) ? -1 : 1 );
 };
 
-var rootMailboxes = store.getQuery( 'rootMailboxes', O.LiveQuery, {
-    Type: Mailbox,
-    filter: function ( data ) {
-        return !data.parentId;
-    },
-    sort: [ 'sortOrder', 'name' ]
-});
+// An accountId of null means the default account of the mail connection.
+var isInAccount = function ( accountId, data ) {
+    return accountId ?
+        data.accountId === accountId :
+        JMAP.mail.isDefaultAccount( data.accountId );
+};
 
-var allMailboxes = new O.ObservableArray( null, {
-    content: store.getQuery( 'allMailboxes', O.LiveQuery, {
-        Type: Mailbox
-    }),
-    contentDidChange: function () {
-        var mailboxes = this.get( 'content' ).get( '[]' );
-        mailboxes.sort( byFolderTreeOrder );
-        return this.set( '[]', mailboxes );
+var getRootMailboxes = function ( accountId ) {
+    var id = 'rootMailboxes' + ( accountId ? ':' + accountId : '' );
+    return store.getQuery( id, O.LiveQuery, {
+        Type: Mailbox,
+        filter: function ( data ) {
+            return !data.parentId && isInAccount( accountId, data );
+        },
+        sort: [ 'sortOrder', 'name' ]
+    });
+};
+
+var allMailboxesByAccount = {};
+var getAllMailboxes = function ( accountId ) {
+    var id = 'allMailboxes' + ( accountId ? ':' + accountId : '' ),
+        allMailboxes = allMailboxesByAccount[ id ];
+    if ( !allMailboxes ) {
+        allMailboxes = allMailboxesByAccount[ id ] = new O.ObservableArray(
+                null, {
+            content: store.getQuery( id, O.LiveQuery, {
+                Type: Mailbox,
+                filter: function ( data ) {
+                    return isInAccount( accountId, data );
+                }
+            }),
+            contentDidChange: function () {
+                var mailboxes = this.get( 'content' ).get( '[]' );
+                mailboxes.sort( byFolderTreeOrder );
+                return this.set( '[]', mailboxes );
+            }
+        }).contentDidChange();
+        store.on( Mailbox, allMailboxes, 'contentDidChange' );
     }
-}).contentDidChange();
-store.on( Mailbox, allMailboxes, 'contentDidChange' );
+    return allMailboxes;
+};
+
+var rootMailboxes = getRootMailboxes( null );
+var allMailboxes = getAllMailboxes( null );
 
 var systemMailboxIds = new O.Object({
     foldersDidChange: function () {
@@ -5530,6 +13610,10 @@ O.extend( JMAP.mail, {
 
     allMailboxes: allMailboxes,
 
+    getRootMailboxes: getRootMailboxes,
+
+    getAllMailboxes: getAllMailboxes,
+
     systemMailboxIds: systemMailboxIds,
 
     // ---
@@ -6033,7 +14117,25 @@ O.extend( JMAP.mail, {
             .refresh();
 
         return this;
+    },
+
+    // ---
+
+    didLogout: function () {
+        var undoManager = this.undoManager;
+        undoManager.pending = [];
+        undoManager.set( 'sequence', null )
+                   .reset();
+        // May have been paused waiting for a request that will now never
+        // return.
+        this.gc.isPaused = false;
     }
 });
+JMAP.auth.on( 'logout', JMAP.mail, 'didLogout' );
 
 }( JMAP ) );
+
+
+if ( typeof module === 'object' && module.exports ) {
+    module.exports = JMAP;
+}
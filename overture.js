@@ -0,0 +1,58 @@
+/*global require, process, module, __dirname */
+
+"use strict";
+
+var fs = require( 'fs' );
+var path = require( 'path' );
+
+// Where npm and bower install the Overture dependency.
+var installDirs = [
+    path.join( __dirname, 'node_modules', 'overture' ),
+    path.join( __dirname, 'bower_components', 'overture' )
+];
+
+var manifests = [ 'package.json', 'bower.json', '.bower.json' ];
+
+var getMain = function ( dir ) {
+    var i, l, main;
+    for ( i = 0, l = manifests.length; i < l; i += 1 ) {
+        try {
+            main = JSON.parse( fs.readFileSync(
+                path.join( dir, manifests[i] ), 'utf8' ) ).main;
+        } catch ( error ) {
+            continue;
+        }
+        if ( main instanceof Array ) {
+            main = main.filter( function ( file ) {
+                return /\.js$/.test( file );
+            })[0];
+        }
+        if ( main ) {
+            return path.join( dir, main );
+        }
+    }
+    return '';
+};
+
+/*
+    Loads Overture, to set as the global `O` before loading JMAP-JS in
+    Node. It is loaded from the given path (relative to the working
+    directory) if there is one, otherwise from the path in the OVERTURE
+    environment variable, otherwise from the main file of the overture
+    package installed by npm or bower (see the dependencies in package.json
+    and bower.json).
+*/
+module.exports = function ( location ) {
+    var i, l, main;
+    location = location || process.env.OVERTURE;
+    if ( location ) {
+        return require( path.resolve( location ) );
+    }
+    for ( i = 0, l = installDirs.length; i < l; i += 1 ) {
+        if ( ( main = getMain( installDirs[i] ) ) ) {
+            return require( main );
+        }
+    }
+    throw new Error( 'Overture was not found. Install the dependencies ' +
+        '(with npm install or bower install), or give the path to it.' );
+};
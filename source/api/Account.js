@@ -22,6 +22,7 @@ var Account = O.Class({
     name: attr( String ),
 
     isPrimary: attr( Boolean),
+    isPersonal: attr( Boolean ),
     isReadOnly: attr( Boolean ),
 
     hasMail: attr( Boolean ),
@@ -31,9 +32,18 @@ var Account = O.Class({
     capabilities: attr( Object )
 });
 
+// With RFC 8620 servers, the accounts come from the session object.
+var fetchAccounts = function () {
+    if ( this.get( 'protocol' ) === 'rfc8620' ) {
+        JMAP.auth.fetchSession();
+    } else {
+        this.callMethod( 'getAccounts' );
+    }
+};
+
 JMAP.peripheral.handle( Account, {
-    fetch: 'getAccounts',
-    refresh: 'getAccounts',
+    fetch: fetchAccounts,
+    refresh: fetchAccounts,
     // Response handlers
     accounts: function ( args ) {
         this.didFetch( Account, args, true );
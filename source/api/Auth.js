@@ -1,7 +1,7 @@
 // -------------------------------------------------------------------------- \\
 // File: Auth.js                                                              \\
 // Module: API                                                                \\
-// Requires: namespace.js                                                     \\
+// Requires: errors.js, HttpRequest.js                                        \\
 // Author: Neil Jenkins                                                       \\
 // License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
@@ -12,6 +12,17 @@
 
 ( function ( JMAP ) {
 
+var MAIL = 'urn:ietf:params:jmap:mail';
+var CONTACTS = 'urn:ietf:params:jmap:contacts';
+var CALENDARS = 'urn:ietf:params:jmap:calendars';
+
+var fillTemplate = function ( template, values ) {
+    return template.replace( /\{(\w+)\}/g, function ( match, key ) {
+        return values.hasOwnProperty( key ) ?
+            encodeURIComponent( values[ key ] ) : match;
+    });
+};
+
 JMAP.auth = new O.Object({
 
     isAuthenticated: false,
@@ -19,31 +30,122 @@ JMAP.auth = new O.Object({
     username: '',
     accessToken: '',
 
+    /**
+        Property: JMAP.auth#tokenProvider
+        Type: Object|null
+
+        An object that can get a new access token when the current one
+        expires, such as a <JMAP.OAuthTokenProvider>. It must have a boolean
+        `canRefresh` property and a `refresh` method, which should
+        asynchronously get a new token then call either
+        <JMAP.auth#didRefreshToken> or <JMAP.auth#didFailToRefreshToken>. It
+        may also refresh by itself before the token expires, calling
+        <JMAP.auth#didRefreshToken> when it does.
+
+        If null (the default), the app must call <JMAP.auth#didAuthenticate>
+        again if authentication is lost.
+    */
+    tokenProvider: null,
+
     authenticationUrl: '',
+    sessionUrl: '',
     apiUrl: '',
     eventSourceUrl: '',
     uploadUrl: '',
     downloadUrl: '',
 
-    _isFetchingEndPoints: false,
+    // --- Session (RFC 8620) ---
+
+    /**
+        Property: JMAP.auth#sessionState
+        Type: String
+
+        The state of the session object last fetched from the sessionUrl.
+    */
+    sessionState: '',
+
+    /**
+        Property: JMAP.auth#capabilities
+        Type: Object
+
+        Map of capability URI to the server's limits/options for that
+        capability, from the session object.
+    */
+    capabilities: {},
+
+    /**
+        Property: JMAP.auth#accounts
+        Type: Object
+
+        Map of account id to account data, from the session object.
+    */
+    accounts: {},
+
+    /**
+        Property: JMAP.auth#primaryAccounts
+        Type: Object
+
+        Map of capability URI to the id of the account to use by default for
+        data of that type, from the session object.
+    */
+    primaryAccounts: {},
+
+    // The request fetching the session or endpoints, if in progress.
+    _endPointsRequest: null,
+    _isRefreshingToken: false,
 
     // ---
 
-    getUrlForBlob: function ( blobId, name ) {
-        return this.get( 'downloadUrl' )
-            .replace( '{blobId}', encodeURIComponent( blobId ) )
-            .replace( '{name}', encodeURIComponent( name ) );
+    getUrlForBlob: function ( blobId, name, type, accountId ) {
+        return fillTemplate( this.get( 'downloadUrl' ), {
+            accountId: accountId || this.get( 'primaryAccounts' )[ MAIL ] || '',
+            blobId: blobId,
+            name: name,
+            type: type || 'application/octet-stream'
+        });
+    },
+
+    getUploadUrl: function ( accountId ) {
+        return fillTemplate( this.get( 'uploadUrl' ), {
+            accountId: accountId || this.get( 'primaryAccounts' )[ MAIL ] || ''
+        });
     },
 
     // ---
 
+    /**
+        Method: JMAP.auth#didAuthenticate
+
+        Call this once the user has authenticated. The urls object may either
+        contain each of the endpoint URLs, or just a `sessionUrl` (e.g.
+        "https://example.com/.well-known/jmap"), in which case the session
+        object is fetched to find the endpoints and accounts before any
+        requests are sent.
+
+        Parameters:
+            username    - {String} The username logged in with.
+            accessToken - {String} The token to authenticate requests with.
+            urls        - {Object} The URLs to use.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
     didAuthenticate: function ( username, accessToken, urls ) {
         for ( var service in urls ) {
             this.set( service, urls[ service ] );
         }
         this.set( 'username', username )
-            .set( 'accessToken', accessToken )
-            .set( 'isAuthenticated', true );
+            .set( 'accessToken', accessToken );
+        this._isRefreshingToken = false;
+
+        if ( !this.get( 'apiUrl' ) && this.get( 'sessionUrl' ) ) {
+            return this.fetchSession();
+        }
+        return this._didBecomeAuthenticated();
+    },
+
+    _didBecomeAuthenticated: function () {
+        this.set( 'isAuthenticated', true );
 
         this._awaitingAuthentication.forEach( function ( connection ) {
             connection.send();
@@ -53,14 +155,211 @@ JMAP.auth = new O.Object({
         return this;
     },
 
-    refindEndpoints: function () {
-        if ( this._isFetchingEndPoints || !this.get( 'isAuthenticated' ) ) {
+    /**
+        Method: JMAP.auth#fetchSession
+
+        Fetches the session object from the sessionUrl, then calls
+        <JMAP.auth#didFetchSession> with it, or
+        <JMAP.auth#didNotFetchSession> if it cannot be fetched. Connection
+        failures and server errors are retried after 30 seconds. If the
+        session is already being fetched, this does nothing.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    fetchSession: function () {
+        if ( this._endPointsRequest ) {
             return this;
         }
-        this._isFetchingEndPoints = true;
+        if ( !this.get( 'sessionUrl' ) ) {
+            return this.didNotFetchSession();
+        }
+        var auth = this;
+        this._endPointsRequest = new JMAP.HttpRequest({
+            timeout: 45000,
+            method: 'GET',
+            url: this.get( 'sessionUrl' ),
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': this.get( 'accessToken' )
+            },
+            success: function ( event ) {
+                var session;
+                try {
+                    session = JSON.parse( event.data );
+                } catch ( error ) {}
+
+                if ( session && session.apiUrl ) {
+                    auth.didFetchSession( session );
+                } else {
+                    JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                        description: 'Session from server is not valid.',
+                        status: event.status,
+                        data: event.data
+                    }) );
+                    auth.didNotFetchSession();
+                }
+            }.on( 'io:success' ),
+            failure: function ( event ) {
+                switch ( event.status ) {
+                case 401: // Unauthorized
+                case 403: // Forbidden
+                    auth.didNotFetchSession()
+                        .didLoseAuthentication();
+                    break;
+                case 404: // Not Found
+                    // Notify user?
+                    auth.didNotFetchSession();
+                    break;
+                default: // Connection failed or 5xx error
+                    this.retry();
+                }
+            }.on( 'io:failure' ),
+            retry: function () {
+                // Not if aborted by logout.
+                if ( auth._endPointsRequest === this ) {
+                    O.RunLoop.invokeAfterDelay( auth.fetchSession, 30000, auth );
+                }
+            }.on( 'io:abort' ),
+            cleanup: function () {
+                this.destroy();
+                if ( auth._endPointsRequest === this ) {
+                    auth._endPointsRequest = null;
+                }
+            }.on( 'io:end' )
+        });
+        this._endPointsRequest.send();
+
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didFetchSession
+
+        Updates the endpoints, capabilities and accounts from a session
+        object, fills the <JMAP.Account> records in the store and points each
+        connection at the primary account for its capability. If not already
+        authenticated, any connections waiting to send will now do so.
+
+        Parameters:
+            session - {Object} The session object returned by the server.
 
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didFetchSession: function ( session ) {
+        var primaryAccounts = session.primaryAccounts || {},
+            accounts = session.accounts || {},
+            primaryAccountIds = Object.keys( primaryAccounts )
+                .map( function ( capability ) {
+                    return primaryAccounts[ capability ];
+                }),
+            list = Object.keys( accounts ).map( function ( accountId ) {
+                var account = accounts[ accountId ],
+                    capabilities = account.accountCapabilities || {};
+                return {
+                    id: accountId,
+                    name: account.name,
+                    isPrimary: primaryAccountIds.indexOf( accountId ) > -1,
+                    isPersonal: !!account.isPersonal,
+                    isReadOnly: !!account.isReadOnly,
+                    hasMail: MAIL in capabilities,
+                    hasContacts: CONTACTS in capabilities,
+                    hasCalendars: CALENDARS in capabilities,
+                    capabilities: capabilities
+                };
+            }),
+            store = JMAP.store,
+            sources = JMAP.source ? JMAP.source.get( 'sources' ) : [];
+
+        this.beginPropertyChanges()
+            .set( 'username', session.username || this.get( 'username' ) )
+            .set( 'apiUrl', session.apiUrl )
+            .set( 'uploadUrl', session.uploadUrl || '' )
+            .set( 'downloadUrl', session.downloadUrl || '' )
+            .set( 'eventSourceUrl', session.eventSourceUrl ?
+                fillTemplate( session.eventSourceUrl, {
+                    types: '*',
+                    closeafter: 'no',
+                    ping: 300
+                }) : '' )
+            .set( 'capabilities', session.capabilities || {} )
+            .set( 'accounts', accounts )
+            .set( 'primaryAccounts', primaryAccounts )
+            .set( 'sessionState', session.state || '' )
+            .endPropertyChanges();
+
+        sources.forEach( function ( connection ) {
+            var capability = connection.get( 'capability' );
+            connection.set( 'protocol', 'rfc8620' );
+            if ( capability && primaryAccounts[ capability ] ) {
+                connection.set( 'accountId', primaryAccounts[ capability ] );
+            }
+        });
+
+        if ( store && JMAP.Account ) {
+            store.sourceDidFetchRecords(
+                JMAP.Account, list, session.state, true );
+        }
+
+        if ( !this.get( 'isAuthenticated' ) ) {
+            this._didBecomeAuthenticated();
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didNotFetchSession
+
+        Called if the session object could not be fetched (other than for a
+        failure that will be retried). Any fetch of the <JMAP.Account>
+        records in the store is finished with the accounts it already has,
+        so it is not left loading.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didNotFetchSession: function () {
+        var store = JMAP.store,
+            Account = JMAP.Account;
+        if ( store && Account ) {
+            store.sourceDidFetchRecords( Account,
+                store.findAll( Account ).map( function ( storeKey ) {
+                    return store.getData( storeKey );
+                }), store.getTypeState( Account ), true );
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#sessionStateDidChange
+
+        Called with the session state returned with each API response. If it
+        differs from the state of the session object we have, the session is
+        refetched.
+
+        Parameters:
+            sessionState - {String} The current session state on the server.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    sessionStateDidChange: function ( sessionState ) {
+        if ( sessionState && sessionState !== this.get( 'sessionState' ) ) {
+            this.fetchSession();
+        }
+        return this;
+    },
+
+    refindEndpoints: function () {
+        if ( this._endPointsRequest || !this.get( 'isAuthenticated' ) ) {
+            return this;
+        }
+        if ( this.get( 'sessionUrl' ) ) {
+            return this.fetchSession();
+        }
         var auth = this;
-        new O.HttpRequest({
+        this._endPointsRequest = new JMAP.HttpRequest({
             timeout: 45000,
             method: 'GET',
             url: this.get( 'authenticationUrl' ),
@@ -96,19 +395,171 @@ JMAP.auth = new O.Object({
                 }
             }.on( 'io:failure' ),
             retry: function () {
-                O.RunLoop.invokeAfterDelay( auth.refindEndpoints, 30000, auth );
+                // Not if aborted by logout.
+                if ( auth._endPointsRequest === this ) {
+                    O.RunLoop.invokeAfterDelay( auth.refindEndpoints, 30000, auth );
+                }
             }.on( 'io:abort' ),
             cleanup: function () {
                 this.destroy();
-                auth._isFetchingEndPoints = false;
+                if ( auth._endPointsRequest === this ) {
+                    auth._endPointsRequest = null;
+                }
             }.on( 'io:end' )
-        }).send();
+        });
+        this._endPointsRequest.send();
 
         return this;
     },
 
+    /**
+        Method: JMAP.auth#didLoseAuthentication
+
+        Called when the server rejects the access token. Connections will
+        wait to send until authenticated again. If the <#tokenProvider> can
+        refresh the token, it is asked to; once it has, everything waiting is
+        sent again with the new token, so the failure is invisible to the
+        app.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
     didLoseAuthentication: function () {
-        return this.set( 'isAuthenticated', false );
+        var tokenProvider = this.get( 'tokenProvider' );
+        this.set( 'isAuthenticated', false );
+        if ( tokenProvider && tokenProvider.get( 'canRefresh' ) &&
+                !this._isRefreshingToken ) {
+            this._isRefreshingToken = true;
+            tokenProvider.refresh();
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didRefreshToken
+
+        Called by the <#tokenProvider> whenever it has a new access token. If
+        authentication was lost, this resumes sending.
+
+        Parameters:
+            accessToken - {String} The new value for the Authorization header.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didRefreshToken: function ( accessToken ) {
+        this.set( 'accessToken', accessToken );
+        if ( this._isRefreshingToken ) {
+            this._isRefreshingToken = false;
+            if ( !this.get( 'apiUrl' ) && this.get( 'sessionUrl' ) ) {
+                return this.fetchSession();
+            }
+            return this._didBecomeAuthenticated();
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.auth#didFailToRefreshToken
+
+        Called by the <#tokenProvider> if it could not get a new token (for
+        example because the refresh token has been revoked). Fires
+        a "tokenRefreshFailed" event on <JMAP.auth>; the app must then get
+        the user to log in again and call <JMAP.auth#didAuthenticate>.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    didFailToRefreshToken: function () {
+        this._isRefreshingToken = false;
+        this.set( 'isAuthenticated', false );
+        return this.fire( 'tokenRefreshFailed' );
+    },
+
+    /**
+        Method: JMAP.auth#logout
+
+        Logs the user out. The access token is revoked on the server (with
+        a DELETE to the authenticationUrl, and by the <#tokenProvider>, if it
+        has a `revoke` method), then everything belonging to the session is
+        torn down: each connection's requests and queues, the contents of
+        <JMAP.store>, any uploads, the endpoints, accounts and reconnection
+        timer. Finally, a "logout" event is fired on <JMAP.auth>, so the
+        models can clear their own state (indexes, undo stacks etc.). Another
+        user may then log in on the same page without seeing anything from
+        the first.
+
+        Returns:
+            {JMAP.auth} Returns self.
+    */
+    logout: function () {
+        var accessToken = this.get( 'accessToken' ),
+            authenticationUrl = this.get( 'authenticationUrl' ),
+            tokenProvider = this.get( 'tokenProvider' ),
+            request = this._endPointsRequest,
+            sources = JMAP.source ? JMAP.source.get( 'sources' ) : [],
+            store = JMAP.store;
+
+        if ( accessToken && authenticationUrl ) {
+            new JMAP.HttpRequest({
+                timeout: 45000,
+                method: 'DELETE',
+                url: authenticationUrl,
+                headers: {
+                    'Authorization': accessToken
+                },
+                cleanup: function () {
+                    this.destroy();
+                }.on( 'io:end' )
+            }).send();
+        }
+        if ( tokenProvider && tokenProvider.revoke ) {
+            tokenProvider.revoke();
+        }
+
+        if ( request ) {
+            this._endPointsRequest = null;
+            request.abort();
+        }
+        this._isRefreshingToken = false;
+
+        O.RunLoop.cancel( this._timer );
+        this._timer = null;
+        this._timeToWait = 1;
+        this._failedConnections = [];
+        this._awaitingAuthentication = [];
+
+        this.beginPropertyChanges()
+            .set( 'isAuthenticated', false )
+            .set( 'isDisconnected', false )
+            .set( 'timeToReconnect', 0 )
+            .set( 'tokenProvider', null )
+            .set( 'username', '' )
+            .set( 'accessToken', '' )
+            .set( 'authenticationUrl', '' )
+            .set( 'sessionUrl', '' )
+            .set( 'apiUrl', '' )
+            .set( 'eventSourceUrl', '' )
+            .set( 'uploadUrl', '' )
+            .set( 'downloadUrl', '' )
+            .set( 'sessionState', '' )
+            .set( 'capabilities', {} )
+            .set( 'accounts', {} )
+            .set( 'primaryAccounts', {} )
+            .endPropertyChanges();
+
+        sources.forEach( function ( connection ) {
+            var transport = connection.get( 'transport' );
+            connection.reset();
+            if ( transport && transport.close ) {
+                transport.close();
+            }
+        });
+        if ( store ) {
+            store.reset();
+        }
+
+        return this.fire( 'logout' );
     },
 
     // ---
@@ -1,12 +1,12 @@
 // -------------------------------------------------------------------------- \\
 // File: Connection.js                                                        \\
 // Module: API                                                                \\
-// Requires: Auth.js                                                          \\
+// Requires: Auth.js, errors.js, protocols.js, transports.js                  \\
 // Author: Neil Jenkins                                                       \\
 // License: © 2010-2014 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, JMAP, console, alert */
+/*global O, JMAP, Promise */
 
 "use strict";
 
@@ -28,6 +28,336 @@ var toPrimaryKey = function ( primaryKey, record ) {
     return record[ primaryKey ];
 };
 
+var isResultReference = function ( value ) {
+    return !!value && typeof value === 'object' &&
+        typeof value.resultOf === 'string' && typeof value.path === 'string';
+};
+
+// Background calls are only given a tag when they are moved into the send
+// queue, so until then a result reference to one uses this prefix and its
+// index in the background queue instead.
+var BACKGROUND_TAG = 'background:';
+
+var resolveBackgroundTags = function ( args, tags ) {
+    var resolved = args,
+        key, value;
+    for ( key in args ) {
+        value = args[ key ];
+        if ( isResultReference( value ) &&
+                tags.hasOwnProperty( value.resultOf ) ) {
+            if ( resolved === args ) {
+                resolved = O.extend( {}, args );
+            }
+            resolved[ key ] = O.extend( O.extend( {}, value ), {
+                resultOf: tags[ value.resultOf ]
+            });
+        }
+    }
+    return resolved;
+};
+
+var hasResultReference = function ( call ) {
+    var args = call[1],
+        key;
+    for ( key in args ) {
+        if ( key.charAt( 0 ) === '#' ) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/*
+    Evaluates a JSON pointer (RFC 6901) against an object, with the JMAP
+    extension that a "*" path component maps over every item in an array
+    (flattening the result if the items are themselves arrays).
+*/
+var evaluatePointer = function ( value, parts, index ) {
+    var part, result;
+    if ( index === parts.length ) {
+        return value;
+    }
+    if ( !value || typeof value !== 'object' ) {
+        return undefined;
+    }
+    part = parts[ index ].replace( /~1/g, '/' ).replace( /~0/g, '~' );
+    if ( part === '*' && value instanceof Array ) {
+        result = [];
+        value.forEach( function ( item ) {
+            var itemValue = evaluatePointer( item, parts, index + 1 );
+            if ( itemValue instanceof Array ) {
+                result.push.apply( result, itemValue );
+            } else if ( itemValue !== undefined ) {
+                result.push( itemValue );
+            }
+        });
+        return result;
+    }
+    return value.hasOwnProperty( part ) ?
+        evaluatePointer( value[ part ], parts, index + 1 ) : undefined;
+};
+
+var resolveResultReference = function ( reference, responses ) {
+    var resultOf = reference.resultOf,
+        name = reference.name,
+        i, l, response;
+    for ( i = 0, l = responses.length; i < l; i += 1 ) {
+        response = responses[i];
+        if ( response[2] === resultOf && response[0] !== 'error' &&
+                ( !name || response[0] === name ) ) {
+            return evaluatePointer( response[1],
+                reference.path.split( '/' ), reference.path ? 1 : 0 );
+        }
+    }
+    return undefined;
+};
+
+/*
+    Finds the type registered on the connection whose fetch or commit handler
+    is the given method name, so a failed call can be matched to the records
+    it was for.
+*/
+var getTypeForMethod = function ( connection, method ) {
+    var types = connection.handledTypes,
+        l = types.length,
+        typeId;
+    while ( l-- ) {
+        typeId = O.guid( types[l] );
+        if ( connection.recordFetchers[ typeId ] === method ||
+                connection.recordCommitters[ typeId ] === method ) {
+            return types[l];
+        }
+    }
+    return null;
+};
+
+var CORE = 'urn:ietf:params:jmap:core';
+
+var chunk = function ( list, size ) {
+    var chunks = [],
+        i, l;
+    for ( i = 0, l = list.length; i < l; i += size ) {
+        chunks.push( list.slice( i, i + size ) );
+    }
+    return chunks;
+};
+
+/*
+    Splits the arguments for a set call into several, each with no more than
+    max creates, updates and destroys between them. Only the first keeps the
+    state, as the others will be applied after it has changed.
+*/
+var splitSet = function ( args, max ) {
+    var create = args.create || {},
+        update = args.update || {},
+        destroy = args.destroy || [],
+        items = [];
+    Object.keys( create ).forEach( function ( id ) {
+        items.push([ 'create', id ]);
+    });
+    Object.keys( update ).forEach( function ( id ) {
+        items.push([ 'update', id ]);
+    });
+    destroy.forEach( function ( id ) {
+        items.push([ 'destroy', id ]);
+    });
+    if ( items.length <= max ) {
+        return [ args ];
+    }
+    return chunk( items, max ).map( function ( items, i ) {
+        var chunkArgs = O.extend( O.extend( {}, args ), {
+            create: {},
+            update: {},
+            destroy: []
+        });
+        if ( i && 'state' in args ) {
+            chunkArgs.state = null;
+        }
+        items.forEach( function ( item ) {
+            var action = item[0],
+                id = item[1];
+            if ( action === 'destroy' ) {
+                chunkArgs.destroy.push( id );
+            } else {
+                chunkArgs[ action ][ id ] = args[ action ][ id ];
+            }
+        });
+        return chunkArgs;
+    });
+};
+
+/*
+    If any of the arguments for a method call are result references to a
+    call that was split into several, returns the arguments for a call to
+    make for each part, each referring to its matching part, so together they
+    cover every part. Otherwise, just returns the arguments.
+*/
+var splitOnReferences = function ( args, splitCalls ) {
+    var count = 0,
+        calls = [],
+        i, key, value, parts, callArgs;
+    for ( key in args ) {
+        value = args[ key ];
+        parts = isResultReference( value ) &&
+            splitCalls[ value.resultOf ];
+        if ( parts ) {
+            count = Math.max( count, parts.length );
+        }
+    }
+    if ( !count ) {
+        return [ args ];
+    }
+    for ( i = 0; i < count; i += 1 ) {
+        callArgs = O.extend( {}, args );
+        for ( key in args ) {
+            value = args[ key ];
+            parts = isResultReference( value ) &&
+                splitCalls[ value.resultOf ];
+            if ( parts ) {
+                callArgs[ key ] = O.extend( O.extend( {}, value ), {
+                    resultOf: parts[ Math.min( i, parts.length - 1 ) ]
+                });
+            }
+        }
+        calls.push( callArgs );
+    }
+    return calls;
+};
+
+/*
+    Returns a callback to pass to each of the calls a method call was split
+    into, which calls the original callback with all of their responses once
+    the last one has returned.
+*/
+var joinCallbacks = function ( name, args, count, callback ) {
+    var responses = [],
+        tag = null;
+    return function ( response, request ) {
+        responses.push.apply( responses, response );
+        if ( tag === null ) {
+            tag = request[2];
+        }
+        count -= 1;
+        if ( !count ) {
+            callback( responses, [ name, args, tag ] );
+        }
+    };
+};
+
+// The length in bytes of the string when encoded as UTF-8.
+var utf8Length = function ( string ) {
+    var length = string.length,
+        i, l, code;
+    for ( i = 0, l = length; i < l; i += 1 ) {
+        code = string.charCodeAt( i );
+        if ( code >= 0x80 ) {
+            // Each half of a surrogate pair makes 2 of the 4 bytes.
+            length += ( code < 0x800 || ( 0xd800 <= code && code < 0xe000 ) ) ?
+                1 : 2;
+        }
+    }
+    return length;
+};
+
+var mapTo = function ( ids, value ) {
+    return Object.zip( ids, ids.map( function () {
+        return value;
+    }) );
+};
+
+/*
+    Handler for an error that means the account can no longer be used (at
+    least for this connection's data). The accounts are refetched to find out
+    what changed, the failed call is rejected and, if the account has lost
+    access to the data, everything this connection fetched is thrown away.
+    Finally an event named after the error type is fired on the connection.
+*/
+var accountError = function ( isDataGone ) {
+    return function ( args, requestName, requestArgs ) {
+        var accountId = requestArgs.accountId || this.get( 'accountId' );
+        this.get( 'store' ).fetchAll( JMAP.Account, true );
+        this.rejectCall( args, requestName, requestArgs );
+        if ( isDataGone ) {
+            this.purgeData( accountId );
+        }
+        this.fire( args.type, {
+            accountId: accountId,
+            method: requestName,
+            error: args
+        });
+    };
+};
+
+var reportSetErrors = function ( connection, Type, action, errors ) {
+    var call = connection._processingCall,
+        id, error;
+    for ( id in errors ) {
+        error = errors[ id ];
+        JMAP.errors.report( new JMAP.RequestError( 'set', {
+            description: 'Could not ' + action + ' ' + id + ': ' +
+                error.type + ( error.description ?
+                    ' (' + error.description + ')' : '' ),
+            connection: connection,
+            request: connection._processingRemoteCalls,
+            method: call ? call[0] : '',
+            arguments: call ? call[1] : null,
+            error: error,
+            action: action,
+            Type: Type,
+            id: id
+        }) );
+    }
+};
+
+/*
+    Sets the commitError property on each record that failed to commit (or
+    clears it if errors is null), so the app can show what went wrong. Only
+    records with an error already set are cleared, so committing does not
+    make a record object for every record committed.
+*/
+var setCommitErrors = function ( connection, Type, storeKeys, errors ) {
+    var store = connection.get( 'store' ),
+        hasError = connection._hasCommitError;
+    storeKeys.forEach( function ( storeKey, i ) {
+        var error = errors && errors[i];
+        if ( error ) {
+            hasError[ storeKey ] = true;
+        } else if ( hasError[ storeKey ] ) {
+            delete hasError[ storeKey ];
+        } else {
+            return;
+        }
+        store.materialiseRecord( storeKey, Type )
+            .set( 'commitError', error ? {
+                type: error.type,
+                description: error.description || '',
+                properties: error.properties || []
+            } : null );
+    });
+};
+
+// Adds the accountId to the arguments for a method call, unless it is for the
+// default account.
+var withAccountId = function ( args, accountId ) {
+    if ( accountId ) {
+        args.accountId = accountId;
+    }
+    return args;
+};
+
+var withoutAccountId = function ( data ) {
+    if ( 'accountId' in data ) {
+        data = O.extend( {}, data );
+        delete data.accountId;
+    }
+    return data;
+};
+
+var getAccountQueue = function ( queue, typeId, accountId ) {
+    var accounts = queue[ typeId ] || ( queue[ typeId ] = {} );
+    return accounts[ accountId ] || ( accounts[ accountId ] = {} );
+};
+
 var handleProps = {
     precedence: 'commitPrecedence',
     fetch: 'recordFetchers',
@@ -67,6 +397,41 @@ var handleProps = {
 
     The response is expected to be in the same format, with methods from
     <O.Connection#response> available to the server to call.
+
+    A method call may use the result of an earlier call in the same request
+    by passing a result reference as an argument instead of a value. This is
+    an object with a `resultOf` property, the tag of the earlier call (see
+    <O.Connection#getPreviousMethodId>), a `path` property, a JSON pointer to
+    the value in that call's response, and optionally a `name` property, the
+    name of the response to use. For example:
+
+        connection.callMethod( 'getMessageList', {
+            filter: filter,
+            limit: 10
+        });
+        connection.callMethod( 'getMessages', {
+            ids: {
+                resultOf: connection.getPreviousMethodId(),
+                name: 'messageList',
+                path: '/messageIds'
+            }
+        });
+
+    These are sent to the server as `'#ids': { ... }`. If the server does not
+    support result references (see
+    <O.Connection#supportsResultReferences>), the request is split before
+    the first call with a reference, and the rest is sent in a follow-up
+    request once the references can be resolved by the client.
+
+    The connection also keeps within the limits the server advertises (see
+    <O.Connection#getLimit>). A get call with more ids than maxObjectsInGet,
+    or a set call with more creates, updates and destroys than
+    maxObjectsInSet, is split into several calls; a request with more calls
+    than maxCallsInRequest or bigger than maxSizeRequest is split into
+    several requests, sent one after the other. Either way, callbacks are
+    only called once all the parts have returned. A result reference to a
+    call that was split refers to all of its parts: the call using it is
+    split too, with one part for each.
 */
 var Connection = O.Class({
 
@@ -87,23 +452,80 @@ var Connection = O.Class({
         this._sendQueue = [];
         // List of callback functions to be executed after the next request.
         this._callbackQueue = [];
+        // Map of tag -> tags of every part, for the last part of each call
+        // in the send queue that was split into several (see
+        // <O.Connection#splitCall>).
+        this._splitCalls = {};
+
+        // List of [ method, args, callbacks ] for background calls waiting
+        // to be added to a request.
+        this._backgroundQueue = [];
+        // List of callback functions to be executed after the background
+        // calls have been sent and returned.
+        this._backgroundCallbacks = [];
+        // True while the record refreshers are being called, so any method
+        // calls they make go in the background queue.
+        this._isBackground = false;
+        // The index in the background queue of the call most recently made,
+        // or -1 if it was not a background call.
+        this._previousBackgroundCall = -1;
+        // True while the fetchers are being called to make a request, so the
+        // calls they make do not count as user activity.
+        this._isFetching = false;
+        // The time of the last call made by the app or user interaction.
+        this._lastInteraction = 0;
+        this._backgroundTimer = null;
 
         // Map of id -> RemoteQuery for all queries to be fetched.
         this._queriesToFetch = {};
-        // Map of guid( Type ) -> state
+        // In the following, the accountId is '' for the default account.
+        // Map of guid( Type ) -> accountId -> state
         this._typesToRefresh = {};
-        // Map of guid( Type ) -> Id -> true
+        // Map of guid( Type ) -> accountId -> Id -> true
         this._recordsToRefresh = {};
-        // Map of guid( Type ) -> null
+        // Map of guid( Type ) -> accountId -> null
         this._typesToFetch = {};
-        // Map of guid( Type ) -> Id -> true
+        // Map of guid( Type ) -> accountId -> Id -> true
         this._recordsToFetch = {};
 
-        this._inFlightRemoteCalls = null;
-        this._inFlightCallbacks = null;
+        // The store keeps the type states for the default account. For any
+        // other account, this is a map of accountId -> guid( Type ) -> state
+        this._accountStates = {};
+        // Map of guid( Type ) -> Id -> accountId for records that are not in
+        // the default account.
+        this._accountIdForId = {};
+
+        // Map of guid( Type ) -> Id -> { committed, local } for records with
+        // an update in flight: the data they were changed from and to, so
+        // a stateMismatch can be resolved.
+        this._updatesInFlight = {};
+        // Map of set method name + ':' + accountId -> number of times in a
+        // row the call has been rebased after a stateMismatch.
+        this._rebaseAttempts = {};
+        // Map of store key -> true for records with their commitError set.
+        this._hasCommitError = {};
+
+        // The requests in flight. Each is an object with the `request`
+        // returned by the transport, the `remoteCalls` and `callbacks` in it,
+        // and `deferred`, a tuple of method calls and callbacks split off
+        // from the request, waiting for it to return so result references
+        // can be resolved (or null). If the request is being traced,
+        // `exchange` is the object the tracer returned for it.
+        this._inFlight = [];
+        // Requests that failed and are waiting to be sent again, in the same
+        // format.
+        this._toRetry = [];
 
         this.inFlightRequest = null;
 
+        // The request and method call whose response is being processed by
+        // <O.Connection#receive>, so errors can be reported against them.
+        this._processingRemoteCalls = null;
+        this._processingCall = null;
+
+        // Each connection has its own transport unless one is passed in.
+        this.transport = new JMAP.HttpTransport();
+
         Connection.parent.init.call( this, mixin );
     },
 
@@ -126,62 +548,218 @@ var Connection = O.Class({
     */
     timeout: 30000,
 
+    /**
+        Property: O.Connection#protocol
+        Type: String
+        Default: 'draft'
+
+        The name of the protocol in <JMAP.protocols> to use to talk to the
+        server: 'draft' for servers implementing the original JMAP draft, or
+        'rfc8620' for servers implementing RFC 8620/8621. The method calls
+        and response handlers always use the draft method names; the protocol
+        translates these as needed.
+    */
+    protocol: 'draft',
+
+    /**
+        Property: O.Connection#accountId
+        Type: (String|null)
+
+        The account to use for calls that do not specify one. Servers using
+        the 'rfc8620' protocol require an account id on every call.
+    */
+    accountId: null,
+
+    /**
+        Property: O.Connection#capability
+        Type: (String|null)
+
+        The capability URI of the data this connection handles. When the
+        session object is fetched, the connection's account id is set to the
+        primary account for this capability.
+    */
+    capability: null,
+
+    /**
+        Property: O.Connection#supportsResultReferences
+        Type: Boolean
+
+        If true, result references in method arguments are sent to the server
+        to resolve. If false, they are resolved by the client, which means
+        any calls using them are sent in a separate request after the calls
+        they reference have returned. Defaults to whether the protocol in use
+        supports them.
+    */
+    supportsResultReferences: function ( value ) {
+        if ( value !== undefined ) {
+            return value;
+        }
+        return JMAP.protocols[ this.get( 'protocol' ) ]
+            .supportsResultReferences;
+    }.property( 'protocol' ),
+
+    /**
+        Property: O.Connection#transport
+        Type: Object
+
+        The transport used to send requests to the server; see
+        transports.js for the interface this must implement. Defaults to a
+        new <JMAP.HttpTransport> for each connection, which POSTs each
+        request to the apiUrl. Set it to a <JMAP.WebSocketTransport> to use a
+        WebSocket instead.
+    */
+    transport: null,
+
+    /**
+        Property: O.Connection#maxConcurrentRequests
+        Type: Number
+        Default: 1
+
+        The maximum number of requests to have in flight at once. With more
+        than one, a slow request (such as a search) does not hold up other
+        calls queued after it, but the responses to requests may then be
+        processed in a different order to the one they were sent in.
+    */
+    maxConcurrentRequests: 1,
+
+    /**
+        Property: O.Connection#tracer
+        Type: (Object|null)
+
+        An object to tell about each request sent and its response, such as
+        a <JMAP.Tracer>; see Tracer.js for the interface this must
+        implement. Null (the default) to not trace requests.
+    */
+    tracer: null,
+
     /**
         Property: O.Connection#inFlightRequest
-        Type: (O.HttpRequest|null)
+        Type: (Object|null)
 
-        The HttpRequest currently in flight.
+        The request most recently sent that is still in flight, as returned
+        by the transport, or null if there are no requests in flight.
     */
     inFlightRequest: null,
 
+    /**
+        Method: O.Connection#didFinishRequest
+
+        Removes a request from the list of those in flight.
+
+        Parameters:
+            request - {Object} The request, as returned by the transport.
+
+        Returns:
+            {(Object|null)} The object tracking the request in flight, or
+            null if it was not found.
+    */
+    didFinishRequest: function ( request ) {
+        var inFlight = this._inFlight,
+            l = inFlight.length;
+        while ( l-- ) {
+            if ( inFlight[l].request === request ) {
+                return inFlight.splice( l, 1 )[0];
+            }
+        }
+        return null;
+    },
+
     /**
         Method: O.Connection#ioDidSucceed
 
-        Callback when the IO succeeds. Parses the JSON and passes it on to
-        <O.Connection#receive>.
+        Callback when the IO succeeds. Parses the JSON, decodes it according to
+        the protocol in use and passes it on to <O.Connection#receive>.
 
         Parameters:
             event - {IOEvent}
     */
     ioDidSucceed: function ( event ) {
-        // Parse data
-        var data;
-        try {
-            data = JSON.parse( event.data );
-        } catch ( error ) {}
+        var inFlight = this.didFinishRequest( event.target ),
+            data = event.data,
+            tracer = this.get( 'tracer' );
+        if ( !inFlight ) {
+            return;
+        }
+        if ( tracer && inFlight.exchange ) {
+            tracer.connectionDidReceive( inFlight.exchange, event );
+        }
+        // Parse data (unless the transport already has)
+        if ( typeof data === 'string' ) {
+            try {
+                data = JSON.parse( data );
+            } catch ( error ) {
+                data = null;
+            }
+        }
+
+        if ( data && data.sessionState ) {
+            JMAP.auth.sessionStateDidChange( data.sessionState );
+        }
 
         // Check it's in the correct format
-        if ( !( data instanceof Array ) ) {
-            O.RunLoop.didError({
-                name: 'O.Connection#ioDidSucceed',
-                message: 'Data from server is not JSON.',
-                details: 'Data:\n' + event.data +
-                    '\n\nin reponse to request:\n' +
-                    JSON.stringify( this._inFlightRemoteCalls, null, 2 )
-            });
+        data = data && JMAP.protocols[ this.get( 'protocol' ) ]
+            .decodeResponse( data, inFlight.remoteCalls );
+        if ( !data ) {
+            JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                description: 'Data from server is not JSON.',
+                connection: this,
+                request: inFlight.remoteCalls,
+                status: event.status,
+                data: event.data
+            }) );
             data = [];
         }
 
         JMAP.auth.connectionSucceeded( this );
 
-        this.receive(
-            data, this._inFlightCallbacks, this._inFlightRemoteCalls );
+        this.receive( data, inFlight.callbacks, inFlight.remoteCalls,
+            inFlight.exchange );
 
-        this._inFlightRemoteCalls = this._inFlightCallbacks = null;
+        if ( inFlight.deferred ) {
+            this.queueDeferredCalls( inFlight.deferred, data );
+        }
     }.on( 'io:success' ),
 
     /**
         Method: O.Connection#ioDidFail
 
-        Callback when the IO fails.
+        Callback when the IO fails. If the request will be retried, it is
+        sent again (before any new requests) once the connection is allowed
+        to send again; otherwise the callbacks for it are called.
 
         Parameters:
             event - {IOEvent}
     */
     ioDidFail: function ( event ) {
-        var status = event.status,
-            serverFailed = ( 500 <= status && status < 600 );
-        if ( status === 401 || status === 403 ) {
+        var inFlight = this.didFinishRequest( event.target ),
+            status = event.status,
+            serverFailed = ( 500 <= status && status < 600 ),
+            isAuthFailure = ( status === 401 || status === 403 ),
+            willRetry = isAuthFailure || status === 503 ||
+                ( !serverFailed && this.get( 'willRetry' ) ),
+            tracer = this.get( 'tracer' ),
+            deferred, remoteCalls, callbacks;
+        if ( !inFlight ) {
+            return;
+        }
+        if ( tracer && inFlight.exchange ) {
+            tracer.connectionDidReceive( inFlight.exchange, event );
+        }
+        deferred = inFlight.deferred;
+        JMAP.errors.report( new JMAP.RequestError(
+                status ? 'httpStatus' : 'transport', {
+            description: status ?
+                'Server responded with status ' + status + '.' :
+                'Could not connect to server.',
+            connection: this,
+            request: inFlight.remoteCalls,
+            status: status,
+            willRetry: willRetry
+        }) );
+        if ( willRetry ) {
+            this._toRetry.push( inFlight );
+        }
+        if ( isAuthFailure ) {
             JMAP.auth.didLoseAuthentication()
                      .connectionWillSend( this );
         } else if ( !serverFailed && this.get( 'willRetry' ) ) {
@@ -189,12 +767,14 @@ var Connection = O.Class({
         } else if ( status === 503 ) {
             JMAP.auth.connectionFailed( this, 30 );
         } else {
-            if ( serverFailed ) {
-                alert( O.loc( 'FEEDBACK_SERVER_FAILED' ) );
+            remoteCalls = inFlight.remoteCalls;
+            callbacks = inFlight.callbacks;
+            // The deferred calls can never be resolved now.
+            if ( deferred ) {
+                remoteCalls = remoteCalls.concat( deferred[0] );
+                callbacks = callbacks.concat( deferred[1] );
             }
-            this.receive(
-                [], this._inFlightCallbacks, this._inFlightRemoteCalls );
-            this._inFlightRemoteCalls = this._inFlightCallbacks = null;
+            this.receive( [], callbacks, remoteCalls );
         }
     }.on( 'io:failure', 'io:abort' ),
 
@@ -207,8 +787,10 @@ var Connection = O.Class({
             event - {IOEvent}
     */
     ioDidEnd: function ( event ) {
+        var inFlight = this._inFlight;
         // Send any waiting requests
-        this.set( 'inFlightRequest', null )
+        this.set( 'inFlightRequest', inFlight.length ?
+                inFlight[ inFlight.length - 1 ].request : null )
             .send();
         // Destroy old HttpRequest object.
         event.target.destroy();
@@ -220,6 +802,9 @@ var Connection = O.Class({
         Add a method call to be sent on the next request and trigger a request
         to be sent at the end of the current run loop.
 
+        Any argument may be given as a result reference to an earlier call in
+        the same request; see the class description.
+
         Parameters:
             name     - {String} The name of the method to call.
             args     - {Object} The arguments for the method.
@@ -227,8 +812,245 @@ var Connection = O.Class({
                        request completes successfully.
     */
     callMethod: function ( name, args, callback ) {
-        var id = this._sendQueue.length + '';
-        this._sendQueue.push([ name, args || {}, id ]);
+        if ( this._isBackground ) {
+            return this.callMethodInBackground( name, args, callback );
+        }
+        if ( !this._isFetching ) {
+            this._lastInteraction = Date.now();
+        }
+        return this.queueMethod( name, args, callback );
+    },
+
+    /**
+        Method: O.Connection#callMethodAsync
+
+        As <O.Connection#callMethod>, but returns a promise rather than taking
+        a callback.
+
+        Parameters:
+            name - {String} The name of the method to call.
+            args - {Object} The arguments for the method.
+
+        Returns:
+            {Promise} A promise which resolves with the responses to the call
+            (an array of `[ name, args, tag ]` triples) once the request has
+            returned. It is rejected with a <JMAP.RequestError> if the server
+            returned an error for the call, or the request failed.
+    */
+    callMethodAsync: function ( name, args ) {
+        var connection = this;
+        return new Promise( function ( resolve, reject ) {
+            connection.callMethod( name, args, function ( responses ) {
+                var response = responses[0],
+                    error = response && response[0] === 'error' ?
+                        response[1] : null;
+                if ( !response ) {
+                    reject( new JMAP.RequestError( 'transport', {
+                        description: 'No response to ' + name + '.',
+                        connection: connection,
+                        method: name,
+                        arguments: args
+                    }) );
+                } else if ( error ) {
+                    reject( new JMAP.RequestError( 'method', {
+                        description: 'API call to ' + name + ' failed: ' +
+                            error.type + ( error.description ?
+                                ' (' + error.description + ')' : '' ),
+                        connection: connection,
+                        method: name,
+                        arguments: args,
+                        error: error
+                    }) );
+                } else {
+                    resolve( responses );
+                }
+            });
+        });
+    },
+
+    /**
+        Method: O.Connection#callMethodInBackground
+
+        Add a method call which the user is not waiting for, such as a
+        refresh. Background calls are only sent once there are no other calls
+        waiting to be sent and the user has not been active for
+        <O.Connection#backgroundDelay> ms. A call identical to one already
+        waiting is not added again; the callbacks for both are called when
+        it returns.
+
+        Calls made by the record refreshers (e.g. to fetch the updates for a
+        type) are always made in the background.
+
+        Parameters:
+            name     - {String} The name of the method to call.
+            args     - {Object} The arguments for the method.
+            callback - {Function} (optional) A callback to execute after the
+                       request completes successfully.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    callMethodInBackground: function ( name, args, callback ) {
+        var queue = this._backgroundQueue,
+            key = name + JSON.stringify( args || {} ),
+            l = queue.length,
+            call;
+        while ( l-- ) {
+            if ( queue[l][3] === key ) {
+                call = queue[l];
+                break;
+            }
+        }
+        if ( !call ) {
+            l = queue.length;
+            queue.push( call = [ name, args || {}, [], key ] );
+        }
+        if ( callback ) {
+            call[2].push( callback );
+        }
+        this._previousBackgroundCall = l;
+        this.send();
+        return this;
+    },
+
+    /**
+        Property: O.Connection#backgroundDelay
+        Type: Number
+        Default: 2000
+
+        The time in milliseconds since the last interactive call (or call to
+        <O.Connection#userDidInteract>) before background calls are sent.
+    */
+    backgroundDelay: 2000,
+
+    /**
+        Property: O.Connection#isUserActive
+        Type: Boolean
+
+        True if there has been an interactive call or user interaction in the
+        last <O.Connection#backgroundDelay> ms.
+    */
+    isUserActive: function () {
+        return Date.now() - this._lastInteraction <
+            this.get( 'backgroundDelay' );
+    }.property().nocache(),
+
+    /**
+        Method: O.Connection#userDidInteract
+
+        Call this when the user does something that doesn't make any calls
+        (e.g. scrolling), to hold back background calls a little longer.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    userDidInteract: function () {
+        this._lastInteraction = Date.now();
+        return this;
+    },
+
+    /**
+        Method: O.Connection#queueBackgroundCalls
+
+        Moves any background calls into the send queue if the user is not
+        active and there is nothing else to send; otherwise, makes sure the
+        connection will check again later.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    queueBackgroundCalls: function () {
+        var queue = this._backgroundQueue,
+            callbacks = this._backgroundCallbacks,
+            tags = {},
+            delay;
+        if ( !queue.length && !callbacks.length ) {
+            return this;
+        }
+        if ( !this._sendQueue.length && !this.get( 'isUserActive' ) ) {
+            this._backgroundQueue = [];
+            this._backgroundCallbacks = [];
+            queue.forEach( function ( call, i ) {
+                var callbacks = call[2];
+                this.queueMethod( call[0],
+                    resolveBackgroundTags( call[1], tags ), callbacks.length ?
+                    function ( response, request ) {
+                        callbacks.forEach( function ( callback ) {
+                            callback( response, request );
+                        });
+                    } : null );
+                // After queueing, as it may have been split.
+                tags[ BACKGROUND_TAG + i ] = this.getPreviousMethodId();
+            }, this );
+            callbacks.forEach( function ( callback ) {
+                this._callbackQueue.push([ '', callback ]);
+            }, this );
+        } else if ( !this._backgroundTimer ) {
+            delay = this._lastInteraction + this.get( 'backgroundDelay' ) -
+                Date.now();
+            this._backgroundTimer = O.RunLoop.invokeAfterDelay( function () {
+                this._backgroundTimer = null;
+                this.send();
+            }, Math.max( delay, 0 ), this );
+        }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#queueMethod
+
+        Adds a method call to the send queue, splitting it if necessary (see
+        <O.Connection#splitCall>). A call with a result reference to a call
+        that was split is split the same way, each part referring to the
+        matching part, so the references cover every part. This is called by
+        <O.Connection#callMethod> for interactive calls, and for background
+        calls when it is their turn to be sent.
+
+        Parameters:
+            name     - {String} The name of the method to call.
+            args     - {Object} The arguments for the method.
+            callback - {Function} (optional) A callback to execute after the
+                       request completes successfully.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    queueMethod: function ( name, args, callback ) {
+        var id = this._sendQueue.length + '',
+            calls, tags, key, value;
+        this._previousBackgroundCall = -1;
+        args = args || {};
+        calls = splitOnReferences( args, this._splitCalls );
+        if ( calls.length === 1 ) {
+            calls = this.splitCall( name, args );
+        }
+        if ( calls.length > 1 ) {
+            callback = callback &&
+                joinCallbacks( name, args, calls.length, callback );
+            tags = calls.map( function ( args ) {
+                this.queueMethod( name, args, callback );
+                return this.getPreviousMethodId();
+            }, this );
+            // A reference to the last part is to all of them.
+            this._splitCalls[ tags[ tags.length - 1 ] ] = tags;
+            return this;
+        }
+        for ( key in args ) {
+            value = args[ key ];
+            if ( key.charAt( 0 ) !== '#' && isResultReference( value ) ) {
+                args = O.clone( args );
+                for ( key in args ) {
+                    value = args[ key ];
+                    if ( key.charAt( 0 ) !== '#' &&
+                            isResultReference( value ) ) {
+                        delete args[ key ];
+                        args[ '#' + key ] = value;
+                    }
+                }
+                break;
+            }
+        }
+        this._sendQueue.push([ name, args, id ]);
         if ( callback ) {
             this._callbackQueue.push([ id, callback ]);
         }
@@ -236,6 +1058,91 @@ var Connection = O.Class({
         return this;
     },
 
+    /**
+        Method: O.Connection#splitCall
+
+        Splits the arguments for a method call into several calls if there
+        are more objects in it than the server allows: get calls with more
+        ids than maxObjectsInGet, and set calls with more creates, updates
+        and destroys than maxObjectsInSet.
+
+        Parameters:
+            name - {String} The name of the method to call.
+            args - {Object} The arguments for the method.
+
+        Returns:
+            {Object[]} The arguments for each call to make.
+    */
+    splitCall: function ( name, args ) {
+        var ids = args.ids,
+            max;
+        if ( /^get/.test( name ) && ids instanceof Array ) {
+            max = this.getLimit( 'maxObjectsInGet', args.accountId );
+            if ( max && ids.length > max ) {
+                return chunk( ids, max ).map( function ( ids ) {
+                    return O.extend( O.extend( {}, args ), {
+                        ids: ids
+                    });
+                });
+            }
+        } else if ( /^set/.test( name ) ) {
+            max = this.getLimit( 'maxObjectsInSet', args.accountId );
+            if ( max ) {
+                return splitSet( args, max );
+            }
+        }
+        return [ args ];
+    },
+
+    /**
+        Method: O.Connection#getLimit
+
+        Gets one of the limits the server places on requests, e.g.
+        "maxObjectsInGet". The capabilities of the account for this
+        connection's capability are checked first, then the core capability
+        in the session.
+
+        Parameters:
+            name      - {String} The name of the limit.
+            accountId - {String} (optional) The account the call is for.
+                        Defaults to the connection's account.
+
+        Returns:
+            {Number} The limit, or 0 if the server does not set one.
+    */
+    getLimit: function ( name, accountId ) {
+        var auth = JMAP.auth,
+            account = auth.get( 'accounts' )[
+                accountId || this.get( 'accountId' ) ],
+            capabilities = account && account.accountCapabilities &&
+                account.accountCapabilities[ this.get( 'capability' ) ],
+            limit = capabilities && capabilities[ name ];
+        if ( !limit ) {
+            capabilities = auth.get( 'capabilities' )[ CORE ];
+            limit = capabilities && capabilities[ name ];
+        }
+        return limit || 0;
+    },
+
+    /**
+        Method: O.Connection#getPreviousMethodId
+
+        Returns:
+            {String} The tag of the method call most recently made, for use
+            in a result reference. If it was a background call (see
+            <O.Connection#callMethodInBackground>), this is a placeholder
+            replaced with its tag once it is sent, so it may only be used by
+            another background call. If the call was split into several, a
+            reference to this tag is to all of them (see
+            <O.Connection#queueMethod>).
+    */
+    getPreviousMethodId: function () {
+        var index = this._previousBackgroundCall;
+        return index > -1 ?
+            BACKGROUND_TAG + index :
+            ( this._sendQueue.length - 1 ) + '';
+    },
+
     addCallback: function ( callback ) {
         this._callbackQueue.push([ '', callback ]);
         return this;
@@ -243,7 +1150,8 @@ var Connection = O.Class({
 
     hasRequests: function () {
         var id;
-        if ( this._inFlightRemoteCalls || this._sendQueue.length ) {
+        if ( this._inFlight.length || this._toRetry.length ||
+                this._sendQueue.length || this._backgroundQueue.length ) {
             return true;
         }
         for ( id in this._queriesToFetch ) {
@@ -258,6 +1166,54 @@ var Connection = O.Class({
         return false;
     },
 
+    /**
+        Method: O.Connection#reset
+
+        Aborts any requests in flight and throws away everything queued,
+        along with the states and other data kept for each account, without
+        calling any callbacks. Used on logout, so nothing from one user's
+        session leaks into the next.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    reset: function () {
+        var inFlight = this._inFlight;
+        // Forget the requests first, so aborting them does not queue them
+        // to be retried or call their callbacks.
+        this._inFlight = [];
+        this._toRetry = [];
+        inFlight.forEach( function ( item ) {
+            item.request.abort();
+        });
+
+        if ( this._backgroundTimer ) {
+            O.RunLoop.cancel( this._backgroundTimer );
+            this._backgroundTimer = null;
+        }
+        this._sendQueue = [];
+        this._callbackQueue = [];
+        this._splitCalls = {};
+        this._backgroundQueue = [];
+        this._backgroundCallbacks = [];
+        this._lastInteraction = 0;
+        this._previousBackgroundCall = -1;
+
+        this._queriesToFetch = {};
+        this._typesToRefresh = {};
+        this._recordsToRefresh = {};
+        this._typesToFetch = {};
+        this._recordsToFetch = {};
+
+        this._accountStates = {};
+        this._accountIdForId = {};
+        this._updatesInFlight = {};
+        this._rebaseAttempts = {};
+        this._hasCommitError = {};
+
+        return this.set( 'inFlightRequest', null );
+    },
+
     headers: function () {
         return {
             'Content-type': 'application/json',
@@ -272,34 +1228,82 @@ var Connection = O.Class({
         Send any queued method calls at the end of the current run loop.
     */
     send: function () {
-        if ( this.get( 'inFlightRequest' ) ||
+        var max = this.get( 'maxConcurrentRequests' ),
+            inFlight = this._inFlight,
+            toRetry = this._toRetry,
+            request, remoteCalls, split, deferred;
+
+        if ( inFlight.length >= max ||
                 !JMAP.auth.connectionWillSend( this ) ) {
             return;
         }
 
-        var remoteCalls = this._inFlightRemoteCalls,
-            request;
-        if ( !remoteCalls ) {
-            request = this.makeRequest();
-            remoteCalls = request[0];
-            if ( !remoteCalls.length ) { return; }
-            this._inFlightRemoteCalls = remoteCalls;
-            this._inFlightCallbacks = request[1];
-        }
-
-        this.set( 'inFlightRequest',
-            new O.HttpRequest({
-                nextEventTarget: this,
-                timeout: this.get( 'timeout' ),
-                method: 'POST',
-                url: JMAP.auth.get( 'apiUrl' ),
-                headers: this.get( 'headers' ),
-                data: JSON.stringify( remoteCalls,
-                    null, this.get( 'prettyPrint' ) ? 2 : 0 )
-            }).send()
-        );
+        // Requests that failed go first.
+        while ( toRetry.length && inFlight.length < max ) {
+            this.sendRequest( toRetry.shift() );
+        }
+        if ( toRetry.length || inFlight.length >= max ) {
+            return;
+        }
+
+        request = this.makeRequest();
+        remoteCalls = request[0];
+        if ( !remoteCalls.length ) { return; }
+        deferred = request[2];
+        split = this.splitToFit( remoteCalls, request[1] );
+        if ( split && deferred ) {
+            deferred = [
+                split[0].concat( deferred[0] ),
+                split[1].concat( deferred[1] )
+            ];
+        }
+        this.sendRequest({
+            request: null,
+            remoteCalls: remoteCalls,
+            callbacks: request[1],
+            deferred: deferred || split
+        });
     }.queue( 'after' ),
 
+    /**
+        Method: O.Connection#sendRequest
+
+        Sends a request using the transport and adds it to the list of
+        requests in flight.
+
+        Parameters:
+            inFlight - {Object} The object to track the request with: the
+                       `remoteCalls` to send, the `callbacks` to call when
+                       it returns and any `deferred` calls.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    sendRequest: function ( inFlight ) {
+        var tracer = this.get( 'tracer' );
+        inFlight.exchange = tracer ?
+            tracer.connectionWillSend( this, inFlight.remoteCalls ) : null;
+        inFlight.request =
+            this.get( 'transport' ).send( this, inFlight.remoteCalls );
+        this._inFlight.push( inFlight );
+        return this.set( 'inFlightRequest', inFlight.request );
+    },
+
+    /**
+        Method: O.Connection#encodeRequest
+
+        Parameters:
+            remoteCalls - {Array} The method calls to send.
+
+        Returns:
+            {String} The body of the request to send to the server.
+    */
+    encodeRequest: function ( remoteCalls ) {
+        return JSON.stringify( JMAP.protocols[ this.get( 'protocol' ) ]
+                .encodeRequest( remoteCalls, this ),
+            null, this.get( 'prettyPrint' ) ? 2 : 0 );
+    },
+
     /**
         Method: O.Connection#receive
 
@@ -313,25 +1317,43 @@ var Connection = O.Class({
                           data has been processed.
             remoteCalls - {Array} The array of method calls that was executed on
                           the server.
+            exchange    - {*} (optional) The object returned by the
+                          <O.Connection#tracer> for the request, if it is
+                          being traced.
     */
-    receive: function ( data, callbacks, remoteCalls ) {
+    receive: function ( data, callbacks, remoteCalls, exchange ) {
         var handlers = this.response,
-            i, l, response, handler,
+            tracer = exchange ? this.get( 'tracer' ) : null,
+            i, l, response, handler, start,
             remoteCallsLength,
             tuple, id, callback, request;
+        this._processingRemoteCalls = remoteCalls;
         for ( i = 0, l = data.length; i < l; i += 1 ) {
             response = data[i];
             handler = handlers[ response[0] ];
             if ( handler ) {
                 id = response[2];
                 request = remoteCalls[+id];
+                this._processingCall = request;
+                start = tracer ? Date.now() : 0;
                 try {
+                    // If we didn't know the account id, we've now found out
+                    // which account the server uses by default.
+                    if ( !this.get( 'accountId' ) && response[1].accountId &&
+                            !request[1].accountId ) {
+                        this.set( 'accountId', response[1].accountId );
+                    }
                     handler.call( this, response[1], request[0], request[1] );
                 } catch ( error ) {
                     O.RunLoop.didError( error );
                 }
+                if ( tracer ) {
+                    tracer.connectionDidHandle(
+                        exchange, response, Date.now() - start );
+                }
             }
         }
+        this._processingRemoteCalls = this._processingCall = null;
         // Invoke after bindings to ensure all data has propagated through.
         if ( l = callbacks.length ) {
             remoteCallsLength = remoteCalls.length;
@@ -360,8 +1382,13 @@ var Connection = O.Class({
         to add any final API calls to the send queue, then return a tuple of the
         queue of method calls and the list of callbacks.
 
+        If the server does not support result references, the queue is split
+        before the first call using one. The method calls and callbacks from
+        that point on are returned as a tuple in the third element, to be sent
+        once the first part has returned.
+
         Returns:
-            {Array} Tuple of method calls and callbacks.
+            {Array} Tuple of method calls, callbacks and deferred calls.
     */
     makeRequest: function () {
         var sendQueue = this._sendQueue,
@@ -373,7 +1400,10 @@ var Connection = O.Class({
             _recordsToRefresh = this._recordsToRefresh,
             _typesToFetch = this._typesToFetch,
             _recordsToFetch = this._recordsToFetch,
-            typeId, id, req, state, ids, handler;
+            typeId, accountId, accounts, id, req, state, ids, handler;
+
+        // Calls made by the fetchers aren't user activity.
+        this._isFetching = true;
 
         // Query Fetches
         for ( id in _queriesToFetch ) {
@@ -384,54 +1414,72 @@ var Connection = O.Class({
             }
         }
 
-        // Record Refreshers
+        // Record Refreshers (in the background)
+        this._isBackground = true;
         for ( typeId in _typesToRefresh ) {
-            state = _typesToRefresh[ typeId ];
             handler = recordRefreshers[ typeId ];
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler, {
-                    sinceState: state
-                });
-            } else {
-                handler.call( this, null, state );
+            accounts = _typesToRefresh[ typeId ];
+            for ( accountId in accounts ) {
+                state = accounts[ accountId ];
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId({
+                        sinceState: state
+                    }, accountId ) );
+                } else {
+                    handler.call( this, null, state, accountId || null );
+                }
             }
         }
         for ( typeId in _recordsToRefresh ) {
-            handler = recordRefreshers[ typeId ];
-            ids = Object.keys( _recordsToRefresh[ typeId ] );
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler, {
-                    ids: ids
-                });
-            } else {
-                recordRefreshers[ typeId ].call( this, ids );
+            handler = recordRefreshers[ typeId ];
+            accounts = _recordsToRefresh[ typeId ];
+            for ( accountId in accounts ) {
+                ids = Object.keys( accounts[ accountId ] );
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId({
+                        ids: ids
+                    }, accountId ) );
+                } else {
+                    handler.call( this, ids, undefined, accountId || null );
+                }
             }
         }
+        this._isBackground = false;
 
         // Record fetches
         for ( typeId in _typesToFetch ) {
             handler = recordFetchers[ typeId ];
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler );
-            } else {
-                handler.call( this, null );
+            accounts = _typesToFetch[ typeId ];
+            for ( accountId in accounts ) {
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId( {}, accountId ) );
+                } else {
+                    handler.call( this, null, accountId || null );
+                }
             }
         }
         for ( typeId in _recordsToFetch ) {
             handler = recordFetchers[ typeId ];
-            ids = Object.keys( _recordsToFetch[ typeId ] );
-            if ( typeof handler === 'string' ) {
-                this.callMethod( handler, {
-                    ids: ids
-                });
-            } else {
-                recordFetchers[ typeId ].call( this, ids );
+            accounts = _recordsToFetch[ typeId ];
+            for ( accountId in accounts ) {
+                ids = Object.keys( accounts[ accountId ] );
+                if ( typeof handler === 'string' ) {
+                    this.callMethod( handler, withAccountId({
+                        ids: ids
+                    }, accountId ) );
+                } else {
+                    handler.call( this, ids, accountId || null );
+                }
             }
         }
+        this._isFetching = false;
+
+        this.queueBackgroundCalls();
 
         // Any future requests will be added to a new queue.
         this._sendQueue = [];
         this._callbackQueue = [];
+        this._splitCalls = {};
 
         this._queriesToFetch = {};
         this._typesToRefresh = {};
@@ -439,7 +1487,193 @@ var Connection = O.Class({
         this._typesToFetch = {};
         this._recordsToFetch = {};
 
-        return [ sendQueue, callbacks ];
+        return [
+            sendQueue,
+            callbacks,
+            this.get( 'supportsResultReferences' ) ? null :
+                this.splitAtResultReference( sendQueue, callbacks )
+        ];
+    },
+
+    /**
+        Method: O.Connection#splitAtResultReference
+
+        Removes any method calls from the first one with a result reference
+        onwards from the given queue, along with their callbacks and any
+        callbacks that are not tied to a particular method call.
+
+        Parameters:
+            sendQueue - {Array} The method calls. This is modified.
+            callbacks - {Array} The callbacks. This is modified.
+
+        Returns:
+            {(Array|null)} A tuple of the method calls and callbacks removed,
+            or null if there were none.
+    */
+    splitAtResultReference: function ( sendQueue, callbacks ) {
+        var i, l;
+        for ( i = 1, l = sendQueue.length; i < l; i += 1 ) {
+            if ( hasResultReference( sendQueue[i] ) ) {
+                break;
+            }
+        }
+        return i < l ? this.splitQueue( sendQueue, callbacks, i ) : null;
+    },
+
+    /**
+        Method: O.Connection#splitToFit
+
+        If the method calls would make a request with more calls than the
+        server's maxCallsInRequest limit, or bigger than its maxSizeRequest
+        limit, removes as many from the end of the queue as needed to fit,
+        along with their callbacks and any callbacks that are not tied to a
+        particular method call. At least one call is always left.
+
+        Parameters:
+            sendQueue - {Array} The method calls. This is modified.
+            callbacks - {Array} The callbacks. This is modified.
+
+        Returns:
+            {(Array|null)} A tuple of the method calls and callbacks removed,
+            or null if there were none.
+    */
+    splitToFit: function ( sendQueue, callbacks ) {
+        var maxCalls = this.getLimit( 'maxCallsInRequest' ),
+            maxSize = this.getLimit( 'maxSizeRequest' ),
+            protocol = JMAP.protocols[ this.get( 'protocol' ) ],
+            connection = this,
+            fits = function ( length ) {
+                var calls = sendQueue.slice( 0, length ),
+                    encoded = protocol.encodeRequest( calls, connection );
+                return ( !maxCalls ||
+                    ( encoded.methodCalls || encoded ).length <= maxCalls ) &&
+                    ( !maxSize ||
+                        utf8Length( connection.encodeRequest( calls ) ) <=
+                            maxSize );
+            },
+            min = 1,
+            max = sendQueue.length - 1,
+            mid;
+        if ( ( !maxCalls && !maxSize ) || fits( sendQueue.length ) ) {
+            return null;
+        }
+        // Find the longest prefix of the queue that fits.
+        while ( min < max ) {
+            mid = Math.ceil( ( min + max ) / 2 );
+            if ( fits( mid ) ) {
+                min = mid;
+            } else {
+                max = mid - 1;
+            }
+        }
+        return this.splitQueue( sendQueue, callbacks, min );
+    },
+
+    /**
+        Method: O.Connection#splitQueue
+
+        Removes the method calls from the given index onwards from the queue,
+        along with their callbacks and any callbacks that are not tied to a
+        particular method call.
+
+        Parameters:
+            sendQueue - {Array} The method calls. This is modified.
+            callbacks - {Array} The callbacks. This is modified.
+            split     - {Number} The index of the first call to remove.
+
+        Returns:
+            {Array} A tuple of the method calls and callbacks removed.
+    */
+    splitQueue: function ( sendQueue, callbacks, split ) {
+        var deferredCallbacks = [],
+            i, l, tuple;
+        for ( i = 0, l = callbacks.length; i < l; i += 1 ) {
+            tuple = callbacks[i];
+            if ( !tuple[0] || +tuple[0] >= split ) {
+                deferredCallbacks.push( tuple );
+                callbacks.splice( i, 1 );
+                i -= 1;
+                l -= 1;
+            }
+        }
+        return [ sendQueue.splice( split ), deferredCallbacks ];
+    },
+
+    /**
+        Method: O.Connection#queueDeferredCalls
+
+        Resolves the result references in method calls previously split off
+        by <O.Connection#splitAtResultReference> or
+        <O.Connection#splitToFit> against the response to the request they
+        were split from, then adds them to the send queue. Any references to
+        other deferred calls are rewritten to their new tags.
+
+        Parameters:
+            deferred - {Array} Tuple of method calls and callbacks.
+            data     - {Array} The response to the first part of the request.
+    */
+    queueDeferredCalls: function ( deferred, data ) {
+        var calls = deferred[0],
+            callbacks = deferred[1],
+            sendQueue = this._sendQueue,
+            callbackQueue = this._callbackQueue,
+            resolved = [],
+            callsById = {},
+            newIds = {},
+            i, l, call, id, args, newArgs, key, reference, value, tuple;
+
+        // Resolve references to the calls already made, and work out the new
+        // tag for each call that can still be made.
+        for ( i = 0, l = calls.length; i < l; i += 1 ) {
+            call = calls[i];
+            id = call[2];
+            args = call[1];
+            newArgs = {};
+            callsById[ id ] = call;
+            for ( key in args ) {
+                reference = args[ key ];
+                if ( key.charAt( 0 ) !== '#' ) {
+                    newArgs[ key ] = reference;
+                } else if ( callsById.hasOwnProperty( reference.resultOf ) ) {
+                    if ( !newIds[ reference.resultOf ] ) {
+                        newArgs = null;
+                        break;
+                    }
+                    newArgs[ key ] = O.extend( O.clone( reference ), {
+                        resultOf: newIds[ reference.resultOf ]
+                    });
+                } else {
+                    value = resolveResultReference( reference, data );
+                    if ( value === undefined ) {
+                        newArgs = null;
+                        break;
+                    }
+                    newArgs[ key.slice( 1 ) ] = value;
+                }
+            }
+            if ( newArgs ) {
+                newIds[ id ] = ( sendQueue.length + resolved.length ) + '';
+                resolved.push([ call[0], newArgs, newIds[ id ] ]);
+            }
+        }
+        sendQueue.push.apply( sendQueue, resolved );
+
+        for ( i = 0, l = callbacks.length; i < l; i += 1 ) {
+            tuple = callbacks[i];
+            id = tuple[0];
+            if ( !id ) {
+                callbackQueue.push( tuple );
+            } else if ( newIds[ id ] ) {
+                callbackQueue.push([ newIds[ id ], tuple[1] ]);
+            } else {
+                // The server would have rejected this call, so pass an
+                // error response to the callback.
+                callbackQueue.push([ '', tuple[1].bind( null, [[ 'error', {
+                    type: 'invalidResultReference'
+                }, id ]], callsById[ id ] ) ]);
+            }
+        }
+        this.send();
     },
 
     // ---
@@ -470,16 +1704,48 @@ var Connection = O.Class({
         the call on to <O.Connection#fetchRecords>.
 
         Parameters:
-            Type     - {O.Class} The record type.
-            state    - {(String|undefined)} The state to update from.
-            callback - {Function} (optional) A callback to make after the fetch
-                       completes.
+            Type      - {O.Class} The record type.
+            state     - {(String|undefined)} The state to update from.
+            callback  - {Function} (optional) A callback to make after the
+                        fetch completes.
+            accountId - {String} (optional) The account to fetch the records
+                        from. Defaults to the connection's default account.
 
         Returns:
             {Boolean} Returns true if the source handled the fetch.
     */
-    fetchAllRecords: function ( Type, state, callback ) {
-        return this.fetchRecords( Type, null, callback, state || '', !!state );
+    fetchAllRecords: function ( Type, state, callback, accountId ) {
+        return this.fetchRecords(
+            Type, null, callback, state || '', !!state, accountId );
+    },
+
+    /**
+        Method: O.Connection#fetchAllRecordsForAccount
+
+        Fetches all records of a particular type in the given account, or just
+        the changes since the last fetch if it has been fetched before. For
+        the default account, this is the same as calling
+        `store.fetchAll( Type, true )`; the store keeps track of the state.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            accountId - {(String|null)} The account id.
+            callback  - {Function} (optional) A callback to make after the
+                        fetch completes. Not supported for the default account.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    fetchAllRecordsForAccount: function ( Type, accountId, callback ) {
+        var state;
+        if ( this.isDefaultAccount( accountId ) ) {
+            this.get( 'store' ).fetchAll( Type, true );
+        } else {
+            state = this.getTypeState( Type, accountId );
+            this.fetchRecords(
+                Type, null, callback, state || '', !!state, accountId );
+        }
+        return this;
     },
 
     /**
@@ -508,21 +1774,29 @@ var Connection = O.Class({
         Fetches a set of records of a particular type from the source.
 
         Parameters:
-            Type     - {O.Class} The record type.
-            ids      - {(String[]|null)} An array of record ids to fetch, or
-                       `null`, indicating that all records of this type should
-                       be fetched.
-            callback - {Function} (optional) A callback to make after the record
-                       fetch completes (successfully or unsuccessfully).
+            Type      - {O.Class} The record type.
+            ids       - {(String[]|null)} An array of record ids to fetch, or
+                        `null`, indicating that all records of this type should
+                        be fetched.
+            callback  - {Function} (optional) A callback to make after the
+                        record fetch completes (successfully or
+                        unsuccessfully).
+            state     - {String} (optional) The state to refresh from.
+            _refresh  - {Boolean} (optional) Refresh rather than fetch.
+            accountId - {String} (optional) The account to fetch from. If
+                        ids are given, this defaults to the account each record
+                        is known to belong to; otherwise to the connection's
+                        default account.
 
         Returns:
             {Boolean} Returns true if the source handled the fetch.
     */
-    fetchRecords: function ( Type, ids, callback, state, _refresh ) {
+    fetchRecords: function ( Type, ids, callback, state, _refresh, accountId ) {
         var typeId = O.guid( Type ),
             handler = _refresh ?
                 this.recordRefreshers[ typeId ] :
-                this.recordFetchers[ typeId ];
+                this.recordFetchers[ typeId ],
+            accounts, id;
         if ( _refresh && !handler ) {
             _refresh = false;
             handler = this.recordFetchers[ typeId ];
@@ -530,19 +1804,25 @@ var Connection = O.Class({
         if ( !handler ) {
             return false;
         }
+        if ( this.isDefaultAccount( accountId ) ) {
+            accountId = '';
+        }
         if ( ids ) {
             var reqs = _refresh? this._recordsToRefresh : this._recordsToFetch,
-                set = reqs[ typeId ] || ( reqs[ typeId ] = {} ),
                 l = ids.length;
             while ( l-- ) {
-                set[ ids[l] ] = true;
+                id = ids[l];
+                getAccountQueue( reqs, typeId, accountId ||
+                    this.getAccountIdForId( Type, id ) || '' )[ id ] = true;
             }
-        } else if ( _refresh ) {
-            this._typesToRefresh[ typeId ] = state;
         } else {
-            this._typesToFetch[ typeId ] = null;
+            accounts = _refresh ? this._typesToRefresh : this._typesToFetch;
+            accounts = accounts[ typeId ] || ( accounts[ typeId ] = {} );
+            accounts[ accountId ] = _refresh ? state : null;
         }
-        if ( callback ) {
+        if ( callback && _refresh ) {
+            this._backgroundCallbacks.push( callback );
+        } else if ( callback ) {
             this._callbackQueue.push([ '', callback ]);
         }
         this.send();
@@ -635,7 +1915,8 @@ var Connection = O.Class({
             precedence = this.commitPrecedence,
             handledAny = false,
             type, handler, handledType,
-            change, create, update, destroy;
+            change, create, update, destroy,
+            accounts, accountId, args;
 
         if ( precedence ) {
             types.sort( function ( a, b ) {
@@ -653,16 +1934,22 @@ var Connection = O.Class({
             destroy = change.destroy;
             if ( handler ) {
                 if ( typeof handler === 'string' ) {
-                    this.callMethod( handler, {
-                        state: change.state,
-                        create: Object.zip( create.storeKeys, create.records ),
-                        update: Object.zip(
-                            update.records.map(
-                                toPrimaryKey.bind( null, change.primaryKey )
-                            ), delta( update )
-                        ),
-                        destroy: destroy.ids
-                    });
+                    accounts = this.groupByAccount( type, change );
+                    if ( JMAP.outbox ) {
+                        JMAP.outbox.connectionWillCommit( type, change, this );
+                    }
+                    for ( accountId in accounts ) {
+                        args = accounts[ accountId ];
+                        this.callMethod( handler, withAccountId({
+                            state: accountId ?
+                                ( this._accountStates[ accountId ] || {} )[
+                                    type ] || null :
+                                change.state,
+                            create: args.create,
+                            update: args.update,
+                            destroy: args.destroy
+                        }, accountId ) );
+                    }
                 } else {
                     handler.call( this, change );
                 }
@@ -696,6 +1983,62 @@ var Connection = O.Class({
         return handledAny;
     },
 
+    /**
+        Method: O.Connection#groupByAccount
+
+        Splits a set of changes to commit for a type (as passed to
+        <O.Connection#commitChanges>) into the arguments for a set call for
+        each account the records belong to. The accountId property of the
+        records is not sent to the server.
+
+        Parameters:
+            typeId - {String} The guid of the record type.
+            change - {Object} The creates, updates and destroys for the type.
+
+        Returns:
+            {Object} A map of accountId ('' for the default account) to an
+            object with create, update and destroy properties.
+    */
+    groupByAccount: function ( typeId, change ) {
+        var create = change.create,
+            update = change.update,
+            destroy = change.destroy,
+            updates = delta( update ),
+            committed = update.committed,
+            inFlight = this._updatesInFlight[ typeId ] ||
+                ( this._updatesInFlight[ typeId ] = {} ),
+            accountIdForId = this._accountIdForId[ typeId ] || {},
+            accounts = {},
+            connection = this,
+            getAccount = function ( accountId ) {
+                if ( connection.isDefaultAccount( accountId ) ) {
+                    accountId = '';
+                }
+                return accounts[ accountId ] || ( accounts[ accountId ] = {
+                    create: {},
+                    update: {},
+                    destroy: []
+                });
+            };
+        create.records.forEach( function ( data, i ) {
+            getAccount( data.accountId )
+                .create[ create.storeKeys[i] ] = withoutAccountId( data );
+        });
+        update.records.forEach( function ( data, i ) {
+            var id = toPrimaryKey( change.primaryKey, data );
+            getAccount( data.accountId ).update[ id ] =
+                withoutAccountId( updates[i] );
+            inFlight[ id ] = {
+                committed: committed ? committed[i] : null,
+                local: data
+            };
+        });
+        destroy.ids.forEach( function ( id ) {
+            getAccount( accountIdForId[ id ] ).destroy.push( id );
+        });
+        return accounts;
+    },
+
     /**
         Method: O.Connection#fetchQuery
 
@@ -751,6 +2094,12 @@ var Connection = O.Class({
     handle: function ( Type, handlers ) {
         var typeId = O.guid( Type ),
             action, propName, isResponse, actionHandlers;
+        if ( !this.hasOwnProperty( 'handledTypes' ) ) {
+            this.handledTypes = this.handledTypes.slice();
+        }
+        if ( Type && this.handledTypes.indexOf( Type ) < 0 ) {
+            this.handledTypes.push( Type );
+        }
         for ( action in handlers ) {
             propName = handleProps[ action ];
             isResponse = !propName;
@@ -767,6 +2116,15 @@ var Connection = O.Class({
         return this;
     },
 
+    /**
+        Property: O.Connection#handledTypes
+        Type: O.Class[]
+
+        The types that have had handlers registered with this connection via
+        <O.Connection#handle>.
+    */
+    handledTypes: [],
+
     /**
         Property: O.Connection#recordFetchers
         Type: String[Function]
@@ -857,7 +2215,7 @@ var Connection = O.Class({
         the <O.Store> instance as appropriate:
 
         * <O.Store#sourceDidCommitDestroy> if there are any commited destroys.
-        * <O.Store#sourceDidNotDestroy> if there are any rejected updates.
+        * <O.Store#sourceDidNotDestroy> if there are any rejected destroys.
     */
     recordDestroyers: {},
 
@@ -871,52 +2229,234 @@ var Connection = O.Class({
     */
     queryFetchers: {},
 
-    didFetch: function ( Type, args, isAll ) {
+    // ---
+
+    /**
+        Method: O.Connection#isDefaultAccount
+
+        Parameters:
+            accountId - {(String|null|undefined)} The account id.
+
+        Returns:
+            {Boolean} True if calls for this account use the connection's
+            default account, the type states for which are kept in the store.
+    */
+    isDefaultAccount: function ( accountId ) {
+        return !accountId || accountId === this.get( 'accountId' );
+    },
+
+    /**
+        Method: O.Connection#getTypeState
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            accountId - {(String|null)} The account id.
+
+        Returns:
+            {(String|null)} The state of the type in the given account, or
+            null if it has not been fetched.
+    */
+    getTypeState: function ( Type, accountId ) {
+        var states;
+        if ( this.isDefaultAccount( accountId ) ) {
+            return this.get( 'store' ).getTypeState( Type );
+        }
+        states = this._accountStates[ accountId ];
+        return ( states && states[ O.guid( Type ) ] ) || null;
+    },
+
+    /**
+        Method: O.Connection#getAccountIdForId
+
+        Parameters:
+            Type - {O.Class} The record type.
+            id   - {String} The record id.
+
+        Returns:
+            {(String|null)} The id of the account the record belongs to, or
+            null if it is in the default account (or not known).
+    */
+    getAccountIdForId: function ( Type, id ) {
+        var accountIds = this._accountIdForId[ O.guid( Type ) ];
+        return ( accountIds && accountIds[ id ] ) || null;
+    },
+
+    /**
+        Method: O.Connection#setAccountIdForIds
+
+        Records which account a set of records belong to, so any future
+        fetches or commits for them are made in the right account. This is
+        called automatically for records fetched by the connection, but
+        should also be called for any ids learnt from other calls (such as a
+        query) if the records are not in the default account.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            ids       - {String[]} The record ids.
+            accountId - {(String|null)} The account id.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    setAccountIdForIds: function ( Type, ids, accountId ) {
+        var typeId = O.guid( Type ),
+            accountIds, l;
+        if ( !this.isDefaultAccount( accountId ) ) {
+            accountIds = this._accountIdForId[ typeId ] ||
+                ( this._accountIdForId[ typeId ] = {} );
+            l = ids.length;
+            while ( l-- ) {
+                accountIds[ ids[l] ] = accountId;
+            }
+        }
+        return this;
+    },
+
+    // ---
+
+    didFetch: function ( Type, args, isAll, accountId ) {
         var store = this.get( 'store' ),
             list = args.list,
             state = args.state,
-            notFound = args.notFound;
+            notFound = args.notFound,
+            isDefault = this.isDefaultAccount( accountId ),
+            recordAccountId = isDefault ?
+                args.accountId || this.get( 'accountId' ) : accountId,
+            ids, isFetched, gone;
         if ( list ) {
-            store.sourceDidFetchRecords( Type, list, state, isAll );
+            // Only types with an accountId attribute record their account.
+            if ( Type.prototype.accountId && recordAccountId ) {
+                list.forEach( function ( data ) {
+                    data.accountId = recordAccountId;
+                });
+            }
+            if ( !isDefault ) {
+                ids = list.map( function ( data ) {
+                    return data.id;
+                });
+                this.setAccountIdForIds( Type, ids, accountId );
+                // The store can only work out which records have gone for
+                // the default account; do it ourselves for the others.
+                if ( isAll ) {
+                    isFetched = Object.zip( ids, ids );
+                    gone = [];
+                    store.findAll( Type, function ( data ) {
+                        if ( data.accountId === accountId &&
+                                !isFetched[ data.id ] ) {
+                            gone.push( data.id );
+                        }
+                        return false;
+                    });
+                    if ( gone.length ) {
+                        store.sourceDidDestroyRecords( Type, gone );
+                    }
+                }
+            }
+            store.sourceDidFetchRecords( Type, list,
+                isDefault ? state : null, isDefault && isAll );
         }
         if ( notFound ) {
             store.sourceCouldNotFindRecords( Type, notFound );
         }
+        if ( !isDefault && state ) {
+            this.didChangeState( Type, accountId, state );
+        }
     },
 
     didFetchUpdates: function ( Type, args, reqArgs ) {
-        var hasDataForChanged = reqArgs.fetchRecords;
-        this.get( 'store' )
-            .sourceDidFetchUpdates( Type,
-                hasDataForChanged ? null : args.changed,
-                args.removed,
+        var hasDataForChanged = reqArgs.fetchRecords,
+            accountId = reqArgs.accountId,
+            store = this.get( 'store' ),
+            changed = hasDataForChanged ? null : args.changed,
+            removed = args.removed;
+        if ( this.isDefaultAccount( accountId ) ) {
+            store.sourceDidFetchUpdates( Type,
+                changed,
+                removed,
                 args.oldState,
                 args.newState
             );
+            return;
+        }
+        if ( removed && removed.length ) {
+            store.sourceDidDestroyRecords( Type, removed );
+        }
+        // Refetch any changed records we have loaded.
+        if ( changed ) {
+            changed = changed.filter( function ( id ) {
+                return !!( store.getRecordStatus( Type, id ) & O.Status.READY );
+            });
+            if ( changed.length ) {
+                this.fetchRecords( Type, changed, null, '', false, accountId );
+            }
+        }
+        this.didChangeState( Type, accountId, args.newState );
     },
 
-    didCommit: function ( Type, args ) {
+    /**
+        Method: O.Connection#didChangeState
+
+        Sets the state of a type in an account other than the default.
+
+        Parameters:
+            Type      - {O.Class} The record type.
+            accountId - {String} The account id.
+            state     - {String} The new state.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    didChangeState: function ( Type, accountId, state ) {
+        var states = this._accountStates[ accountId ] ||
+                ( this._accountStates[ accountId ] = {} );
+        states[ O.guid( Type ) ] = state;
+        return this;
+    },
+
+    didCommit: function ( Type, args, accountId ) {
         var store = this.get( 'store' ),
             toStoreKey = store.getStoreKey.bind( store, Type ),
-            list, object;
+            isDefault = this.isDefaultAccount( accountId ),
+            list, object, errors, storeKey;
 
+        if ( JMAP.outbox ) {
+            JMAP.outbox.connectionDidCommit(
+                O.guid( Type ), args, isDefault ? null : accountId );
+        }
         if ( ( object = args.created ) && Object.keys( object ).length ) {
+            if ( !isDefault ) {
+                for ( storeKey in object ) {
+                    this.setAccountIdForIds(
+                        Type, [ object[ storeKey ].id ], accountId );
+                }
+            }
+            setCommitErrors( this, Type, Object.keys( object ), null );
             store.sourceDidCommitCreate( object );
         }
         if ( ( object = args.notCreated ) ) {
             list = Object.keys( object );
             if ( list.length ) {
-                store.sourceDidNotCreate( list, true, Object.values( object ) );
+                errors = Object.values( object );
+                reportSetErrors( this, Type, 'create', object );
+                setCommitErrors( this, Type, list, errors );
+                store.sourceDidNotCreate( list, true, errors );
             }
         }
         if ( ( list = args.updated ) && list.length ) {
-            store.sourceDidCommitUpdate( list.map( toStoreKey ) );
+            this.didFinishUpdates( Type, list );
+            list = list.map( toStoreKey );
+            setCommitErrors( this, Type, list, null );
+            store.sourceDidCommitUpdate( list );
         }
         if ( ( object = args.notUpdated ) ) {
             list = Object.keys( object );
             if ( list.length ) {
-                store.sourceDidNotUpdate(
-                    list.map( toStoreKey ), Object.values( object ) );
+                this.didFinishUpdates( Type, list );
+                list = list.map( toStoreKey );
+                errors = Object.values( object );
+                reportSetErrors( this, Type, 'update', object );
+                setCommitErrors( this, Type, list, errors );
+                store.sourceDidNotUpdate( list, true, errors );
             }
         }
         if ( ( list = args.destroyed ) && list.length ) {
@@ -925,14 +2465,269 @@ var Connection = O.Class({
         if ( ( object = args.notDestroyed ) ) {
             list = Object.keys( object );
             if ( list.length ) {
-                store.sourceDidNotUpdate(
-                    list.map( toStoreKey ), Object.values( object ) );
+                list = list.map( toStoreKey );
+                errors = Object.values( object );
+                reportSetErrors( this, Type, 'destroy', object );
+                setCommitErrors( this, Type, list, errors );
+                store.sourceDidNotDestroy( list, true, errors );
             }
         }
         if ( args.newState ) {
-            store.sourceCommitDidChangeState(
-                Type, args.oldState, args.newState );
+            if ( isDefault ) {
+                store.sourceCommitDidChangeState(
+                    Type, args.oldState, args.newState );
+            } else if ( this.getTypeState( Type, accountId ) ===
+                    args.oldState ) {
+                this.didChangeState( Type, accountId, args.newState );
+            }
+        }
+    },
+
+    didFinishUpdates: function ( Type, ids ) {
+        var inFlight = this._updatesInFlight[ O.guid( Type ) ];
+        if ( inFlight ) {
+            ids.forEach( function ( id ) {
+                delete inFlight[ id ];
+            });
+        }
+        return this;
+    },
+
+    /**
+        Property: O.Connection#maxRebaseAttempts
+        Type: Number
+        Default: 3
+
+        The number of times in a row a set call will be rebased and retried
+        after a stateMismatch error before the commit is rejected.
+    */
+    maxRebaseAttempts: 3,
+
+    /**
+        Method: O.Connection#rebaseCommit
+
+        Called when a set call is rejected with a stateMismatch error, because
+        the records have been changed on the server since we last fetched the
+        state we sent in `ifInState`. The records being updated are fetched
+        again (along with the updates for the type), then each update is
+        compared with the new server version.
+
+        If the server has not changed any of the properties we are changing
+        (or has changed them to the same value), the update is rebased onto
+        the new state and the set call is sent again. Otherwise the update
+        fails with a stateMismatch error (so the record reverts to the server
+        version) and a `conflict` event is fired on the connection, with
+        `Type`, `accountId` and a `conflicts` array. Each conflict has the
+        `id` and `storeKey` of the record, the `properties` in conflict, and
+        both the `local` and `server` versions of the record.
+
+        Parameters:
+            error  - {Object} The error returned by the server.
+            method - {String} The name of the set method that failed.
+            args   - {Object} The arguments the method was called with.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    rebaseCommit: function ( error, method, args ) {
+        var Type = getTypeForMethod( this, method ),
+            accountId = args.accountId || null,
+            key = method + ':' + ( accountId || '' ),
+            attempts = this._rebaseAttempts,
+            ids = Object.keys( args.update || {} ),
+            connection = this;
+
+        attempts[ key ] = ( attempts[ key ] || 0 ) + 1;
+        if ( !Type || this.recordCommitters[ O.guid( Type ) ] !== method ||
+                attempts[ key ] > this.maxRebaseAttempts ) {
+            delete attempts[ key ];
+            return this.rejectCall( error, method, args );
+        }
+        // Bring in anything else that has changed too.
+        this.fetchAllRecordsForAccount( Type, accountId );
+        this.queueMethod( method.replace( /^set/, 'get' ), withAccountId({
+            ids: ids
+        }, accountId ), function ( responses ) {
+            var response = responses[0];
+            if ( !response || response[0] === 'error' ) {
+                delete attempts[ key ];
+                connection.rejectCall( error, method, args );
+            } else {
+                connection.didFetchForRebase(
+                    Type, error, method, args, response[1] );
+            }
+        });
+        return this;
+    },
+
+    didFetchForRebase: function ( Type, error, method, args, result ) {
+        var store = this.get( 'store' ),
+            accountId = args.accountId || null,
+            key = method + ':' + ( accountId || '' ),
+            attempts = this._rebaseAttempts,
+            inFlight = this._updatesInFlight[ O.guid( Type ) ] || {},
+            update = args.update || {},
+            rebased = {},
+            serverVersions = {},
+            conflicts = [],
+            notUpdated = {};
+
+        ( result.list || [] ).forEach( function ( data ) {
+            serverVersions[ data.id ] = data;
+        });
+        Object.keys( update ).forEach( function ( id ) {
+            var changes = update[ id ],
+                server = serverVersions[ id ],
+                committed = inFlight[ id ] ? inFlight[ id ].committed : null,
+                local = inFlight[ id ] ? inFlight[ id ].local : changes,
+                properties, property, value;
+            // If it's gone, the server will tell us so when we retry.
+            if ( !server ) {
+                rebased[ id ] = changes;
+                return;
+            }
+            properties = [];
+            for ( property in changes ) {
+                value = server[ property ];
+                // We only know the server has changed the property if we know
+                // what it was before; if not, assume the worst.
+                if ( !O.isEqual( value, changes[ property ] ) &&
+                        ( !committed ||
+                            !O.isEqual( value, committed[ property ] ) ) ) {
+                    properties.push( property );
+                }
+            }
+            if ( properties.length ) {
+                notUpdated[ id ] = {
+                    type: 'stateMismatch',
+                    description: 'Changed on the server',
+                    properties: properties
+                };
+                conflicts.push({
+                    id: id,
+                    storeKey: store.getStoreKey( Type, id ),
+                    properties: properties,
+                    local: local,
+                    server: server
+                });
+            } else {
+                rebased[ id ] = changes;
+            }
+        });
+
+        if ( conflicts.length ) {
+            this.didCommit( Type, {
+                notUpdated: notUpdated
+            }, accountId );
+            this.fire( 'conflict', {
+                Type: Type,
+                accountId: accountId,
+                conflicts: conflicts
+            });
+        }
+        if ( Object.keys( rebased ).length ||
+                Object.keys( args.create || {} ).length ||
+                ( args.destroy || [] ).length ) {
+            this.queueMethod( method, O.extend( O.extend( {}, args ), {
+                state: result.state,
+                update: rebased
+            }), function ( responses ) {
+                var response = responses[0];
+                if ( !response || response[0] !== 'error' ||
+                        response[1].type !== 'stateMismatch' ) {
+                    delete attempts[ key ];
+                }
+            });
+        } else {
+            delete attempts[ key ];
+        }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#rejectCall
+
+        Tells the store that a fetch or commit method call was rejected in its
+        entirety by the server, so the records it was for do not stay loading
+        or committing forever. Records being fetched are marked as not found;
+        every create, update and destroy in a commit fails with the error.
+
+        Parameters:
+            error  - {Object} The error returned by the server.
+            method - {String} The name of the method that failed.
+            args   - {Object} The arguments the method was called with.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    rejectCall: function ( error, method, args ) {
+        var Type = getTypeForMethod( this, method ),
+            create = args.create,
+            update = args.update,
+            destroy = args.destroy;
+        if ( !Type ) {
+            return this;
+        }
+        if ( this.recordCommitters[ O.guid( Type ) ] === method ) {
+            this.didCommit( Type, {
+                notCreated: create ? mapTo( Object.keys( create ), error ) :
+                    null,
+                notUpdated: update ? mapTo( Object.keys( update ), error ) :
+                    null,
+                notDestroyed: destroy instanceof Array ?
+                    mapTo( destroy, error ) : null
+            }, args.accountId );
+        } else if ( args.ids instanceof Array && args.ids.length ) {
+            this.get( 'store' ).sourceCouldNotFindRecords( Type, args.ids );
         }
+        return this;
+    },
+
+    /**
+        Method: O.Connection#purgeData
+
+        Throws away all the data fetched by this connection for an account
+        (other than the accounts themselves), for when the account is no
+        longer accessible. Records are unloaded from the store if possible,
+        otherwise marked obsolete, as are any remote queries handled by the
+        connection for that account.
+
+        Parameters:
+            accountId - {(String|null)} The account id.
+
+        Returns:
+            {O.Connection} Returns self.
+    */
+    purgeData: function ( accountId ) {
+        var store = this.get( 'store' ),
+            isDefault = this.isDefaultAccount( accountId ),
+            connection = this,
+            isInAccount = function ( object ) {
+                var objectAccountId = object.get( 'accountId' );
+                return isDefault ?
+                    connection.isDefaultAccount( objectAccountId ) :
+                    objectAccountId === accountId;
+            },
+            types = this.handledTypes.filter( function ( Type ) {
+                return Type !== JMAP.Account;
+            });
+        types.forEach( function ( Type ) {
+            if ( Type.prototype instanceof O.Record ) {
+                store.getAll( Type ).forEach( function ( record ) {
+                    if ( isInAccount( record ) &&
+                            !store.unloadRecord( record.get( 'storeKey' ) ) ) {
+                        record.setObsolete();
+                    }
+                });
+            }
+        });
+        store.getAllRemoteQueries().forEach( function ( query ) {
+            if ( types.indexOf( query.constructor ) > -1 &&
+                    isInAccount( query ) ) {
+                query.setObsolete();
+            }
+        });
+        return this;
     },
 
     /**
@@ -952,33 +2747,46 @@ var Connection = O.Class({
             }
             if ( response[ method ] ) {
                 response[ method ].call( this, args, reqName, reqArgs );
+            } else {
+                JMAP.errors.report( new JMAP.RequestError( 'method', {
+                    description: 'API call to ' + reqName + ' failed: ' +
+                        type + ( args.description ?
+                            ' (' + args.description + ')' : '' ),
+                    connection: this,
+                    request: this._processingRemoteCalls,
+                    method: reqName,
+                    arguments: reqArgs,
+                    error: args
+                }) );
             }
         },
-        error_unknownMethod: function ( _, requestName ) {
-            console.log( 'Unknown API call made: ' + requestName );
-        },
-        error_invalidArguments: function ( _, requestName, requestArgs ) {
-            console.log( 'API call to ' + requestName +
-                'made with invalid arguments: ', requestArgs );
-        },
-        error_accountNotFound: function () {
-            // TODO: refetch accounts list.
-        },
-        error_accountReadOnly: function () {
-            // TODO
-        },
-        error_accountNoMail: function () {
-            // TODO: refetch accounts list and clear out any mail data
+        error_stateMismatch: function ( args, reqName, reqArgs ) {
+            this.rebaseCommit( args, reqName, reqArgs );
         },
-        error_accountNoContacts: function () {
-            // TODO: refetch accounts list and clear out any contacts data
-        },
-        error_accountNoCalendars: function () {
-            // TODO: refetch accounts list and clear out any calendar data
-        }
+        error_accountNotFound: accountError( true ),
+        error_accountReadOnly: accountError( false ),
+        error_accountNoMail: accountError( true ),
+        error_accountNoContacts: accountError( true ),
+        error_accountNoCalendars: accountError( true )
     }
 });
 
+/**
+    Function: O.Connection.withAccountId
+
+    Adds the accountId to the arguments for a method call, unless it is for
+    the default account (null). Use this in handlers rather than sending a
+    null accountId.
+
+    Parameters:
+        args      - {Object} The arguments for the method. This is modified.
+        accountId - {(String|null)} The account id.
+
+    Returns:
+        {Object} The arguments.
+*/
+Connection.withAccountId = withAccountId;
+
 JMAP.Connection = Connection;
 
 }( JMAP ) );
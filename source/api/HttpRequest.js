@@ -0,0 +1,250 @@
+// -------------------------------------------------------------------------- \\
+// File: HttpRequest.js                                                       \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, require, process, Buffer, URL, XMLHttpRequest */
+
+"use strict";
+
+( function ( JMAP ) {
+
+var isNode = typeof XMLHttpRequest === 'undefined' &&
+    typeof process === 'object' && !!process.versions &&
+    !!process.versions.node;
+
+var hasHeader = function ( headers, name ) {
+    name = name.toLowerCase();
+    return Object.keys( headers ).some( function ( header ) {
+        return header.toLowerCase() === name;
+    });
+};
+
+/**
+    Class: JMAP.NodeFile
+
+    A file to upload from Node, to give to <JMAP.LocalFile> in place of
+    a DOM File:
+
+        var file = new JMAP.LocalFile( new JMAP.NodeFile(
+            fs.createReadStream( path ), 'report.pdf', 'application/pdf',
+            fs.statSync( path ).size
+        ));
+        file.upload();
+*/
+var NodeFile = O.Class({
+
+    /**
+        Constructor: JMAP.NodeFile
+
+        Parameters:
+            data - {(Buffer|stream.Readable)} The contents of the file.
+            name - {String} The name of the file.
+            type - {String} (optional) The MIME type of the file. Defaults
+                   to "application/octet-stream".
+            size - {Number} (optional) The size of the file in bytes. This
+                   is required for upload progress from a stream; for a
+                   Buffer it defaults to the Buffer's length.
+    */
+    init: function ( data, name, type, size ) {
+        this.data = data;
+        this.name = name || '';
+        this.type = type || 'application/octet-stream';
+        this.size = size !== undefined ? size :
+            data instanceof Buffer ? data.length : 0;
+    }
+});
+
+/**
+    Class: JMAP.NodeHttpRequest
+
+    Extends: O.Object
+
+    Makes an HTTP request using Node's http/https modules, with the same
+    interface as O.HttpRequest: it takes the `method`, `url`, `headers`,
+    `data` and `timeout` properties and fires the same "io:" events (with
+    the `status`, response `headers` and `data`). The data may be
+    a string, a Buffer, a readable stream or a <JMAP.NodeFile>. A request
+    that times out is aborted. The response data is decoded as UTF-8 unless
+    <#responseType> is "buffer".
+
+    This is used in place of O.HttpRequest when running in Node; see
+    <JMAP.HttpRequest>.
+*/
+var NodeHttpRequest = O.Class({
+
+    Extends: O.Object,
+
+    timeout: 0,
+    method: 'GET',
+    url: '',
+    headers: {},
+    data: null,
+
+    /**
+        Property: JMAP.NodeHttpRequest#responseType
+        Type: String
+        Default: ''
+
+        If "buffer", the response data is given as a Buffer of the bytes
+        received, unchanged, rather than decoded as a UTF-8 string. Use this
+        for binary responses, such as downloads.
+    */
+    responseType: '',
+
+    /**
+        Property: JMAP.NodeHttpRequest#uploadProgress
+        Type: Number
+
+        The percentage of the data sent so far.
+    */
+    uploadProgress: 0,
+
+    init: function ( mixin ) {
+        this._request = null;
+        this._timer = null;
+        NodeHttpRequest.parent.init.call( this, mixin );
+    },
+
+    send: function () {
+        var url = new URL( this.get( 'url' ) ),
+            headers = O.extend( {}, this.get( 'headers' ) ),
+            data = this.get( 'data' ),
+            size = 0,
+            timeout = this.get( 'timeout' ),
+            httpRequest = this,
+            request;
+
+        if ( data instanceof NodeFile ) {
+            if ( !hasHeader( headers, 'Content-Type' ) ) {
+                headers[ 'Content-Type' ] = data.type;
+            }
+            size = data.size;
+            data = data.data;
+        } else if ( typeof data === 'string' ) {
+            data = Buffer.from( data, 'utf8' );
+        }
+        if ( data instanceof Buffer ) {
+            size = data.length;
+        }
+        if ( size ) {
+            headers[ 'Content-Length' ] = size;
+        }
+
+        request = this._request = require(
+            url.protocol === 'https:' ? 'https' : 'http'
+        ).request( url, {
+            method: this.get( 'method' ),
+            headers: headers
+        }, function ( response ) {
+            var chunks = [];
+            response.on( 'data', function ( chunk ) {
+                chunks.push( chunk );
+            });
+            response.on( 'end', function () {
+                O.RunLoop.invoke( function () {
+                    var status = response.statusCode,
+                        body = Buffer.concat( chunks );
+                    httpRequest.didFinish( request,
+                        200 <= status && status < 300 ?
+                            'io:success' : 'io:failure',
+                        status, httpRequest.get( 'responseType' ) === 'buffer' ?
+                            body : body.toString( 'utf8' ),
+                        response.headers );
+                });
+            });
+        });
+        request.on( 'error', function () {
+            O.RunLoop.invoke( function () {
+                httpRequest.didFinish( request, 'io:failure', 0, '' );
+            });
+        });
+        request.on( 'finish', function () {
+            O.RunLoop.invoke( function () {
+                httpRequest.didUploadProgress( request, 100 );
+            });
+        });
+
+        if ( timeout ) {
+            this._timer = O.RunLoop.invokeAfterDelay(
+                this.abort, timeout, this );
+        }
+        if ( data && typeof data.pipe === 'function' ) {
+            if ( size ) {
+                var sent = 0;
+                data.on( 'data', function ( chunk ) {
+                    sent += chunk.length;
+                    O.RunLoop.invoke( function () {
+                        httpRequest.didUploadProgress( request,
+                            Math.min( 99, Math.floor( 100 * sent / size ) ) );
+                    });
+                });
+            }
+            data.pipe( request );
+        } else {
+            request.end( data || undefined );
+        }
+        return this;
+    },
+
+    abort: function () {
+        var request = this._request;
+        if ( request ) {
+            request.destroy();
+            this.didFinish( request, 'io:abort', 0, '' );
+        }
+        return this;
+    },
+
+    didUploadProgress: function ( request, progress ) {
+        if ( this._request === request &&
+                this.get( 'uploadProgress' ) !== progress ) {
+            this.set( 'uploadProgress', progress )
+                .fire( 'io:uploadProgress' );
+        }
+    },
+
+    didFinish: function ( request, type, status, data, headers ) {
+        if ( this._request !== request ) {
+            return;
+        }
+        this._request = null;
+        if ( this._timer ) {
+            O.RunLoop.cancel( this._timer );
+            this._timer = null;
+        }
+        this.fire( type, {
+            status: status,
+            headers: headers || {},
+            data: data
+        }).fire( 'io:end', {
+            status: status
+        });
+    }
+});
+
+JMAP.NodeFile = NodeFile;
+JMAP.NodeHttpRequest = NodeHttpRequest;
+
+/**
+    Property: JMAP.HttpRequest
+    Type: O.Class
+
+    The class used for every HTTP request the library makes: O.HttpRequest
+    in a browser, or <JMAP.NodeHttpRequest> when running in Node. Set this
+    to another class with the same interface to change how requests are
+    made.
+*/
+JMAP.HttpRequest = isNode ? NodeHttpRequest : O.HttpRequest;
+
+/**
+    Property: JMAP.isNode
+    Type: Boolean
+
+    True if running in Node rather than a browser.
+*/
+JMAP.isNode = isNode;
+
+}( JMAP ) );
@@ -12,6 +12,9 @@
 
 ( function ( JMAP ) {
 
+// The files that have started uploading and have not yet finished.
+var uploading = [];
+
 var LocalFile = O.Class({
 
     Extends: O.Object,
@@ -33,27 +36,38 @@ var LocalFile = O.Class({
         this.isUploaded = false;
         this.progress = 0;
 
+        // The object and key observed to upload again once they change.
+        this._waitingFor = null;
+
         LocalFile.parent.init.call( this );
     },
 
     destroy: function () {
         var request = this._request;
+        var waitingFor = this._waitingFor;
         if ( request ) {
             JMAP.upload.abort( request );
         }
+        if ( waitingFor ) {
+            waitingFor[0].removeObserverForKey( waitingFor[1], this, 'upload' );
+            this._waitingFor = null;
+        }
+        uploading.erase( this );
         LocalFile.parent.destroy.call( this );
     },
 
     upload: function ( obj, key ) {
         if ( obj && key ) {
             obj.removeObserverForKey( key, this, 'upload' );
+            this._waitingFor = null;
         }
         if ( !this.isDestroyed ) {
+            uploading.include( this );
             JMAP.upload.send(
-                this._request = new O.HttpRequest({
+                this._request = new JMAP.HttpRequest({
                     nextEventTarget: this,
                     method: 'POST',
-                    url: JMAP.auth.get( 'uploadUrl' ),
+                    url: JMAP.auth.getUploadUrl(),
                     headers: {
                         'Authorization': JMAP.auth.get( 'accessToken' )
                     },
@@ -81,6 +95,7 @@ var LocalFile = O.Class({
             return this.onFailure( event );
         }
 
+        uploading.erase( this );
         this.beginPropertyChanges();
         for ( property in response ) {
             // blobId, type, size, expires[, width, height]
@@ -92,6 +107,14 @@ var LocalFile = O.Class({
             .uploadDidSucceed();
     }.on( 'io:success' ),
 
+    // Uploads again once the key on the object changes. The file stays in
+    // the list of those uploading meanwhile, so it is still aborted if the
+    // user logs out.
+    _waitToUpload: function ( obj, key ) {
+        this._waitingFor = [ obj, key ];
+        obj.addObserverForKey( key, this, 'upload' );
+    },
+
     _uploadDidFail: function ( event ) {
         this.set( 'progress', 0 );
 
@@ -100,12 +123,13 @@ var LocalFile = O.Class({
         case 415: // Unsupported Media Type
             break;
         case 401: // Unauthorized
-            JMAP.auth.didLoseAuthentication()
-                     .addObserverForKey( 'isAuthenticated', this, 'upload' );
-           break;
+            // Sent again once authenticated (e.g. after the token has been
+            // refreshed), so this is not a failure the app needs to see.
+            this._waitToUpload(
+                JMAP.auth.didLoseAuthentication(), 'isAuthenticated' );
+            return;
         case 404: // Not Found
-            JMAP.auth.refindEndpoints()
-                     .addObserverForKey( 'uploadUrl', this, 'upload' );
+            this._waitToUpload( JMAP.auth.refindEndpoints(), 'uploadUrl' );
             break;
         case 413: // Request Entity Too Large
             this.set( 'isTooBig', true );
@@ -115,6 +139,9 @@ var LocalFile = O.Class({
             return;
         }
 
+        if ( !this._waitingFor ) {
+            uploading.erase( this );
+        }
         this.uploadDidFail();
     }.on( 'io:failure' ),
 
@@ -130,6 +157,20 @@ var LocalFile = O.Class({
     uploadDidFail: function () {}
 });
 
+/**
+    Function: JMAP.LocalFile.abortAll
+
+    Destroys every file that is uploading or waiting to retry its upload.
+    Called on logout, so nothing is uploaded to the next user's account.
+*/
+LocalFile.abortAll = function () {
+    uploading.slice().forEach( function ( file ) {
+        file.destroy();
+    });
+};
+
+JMAP.auth.on( 'logout', LocalFile, 'abortAll' );
+
 JMAP.LocalFile = LocalFile;
 
 }( JMAP ) );
@@ -0,0 +1,1083 @@
+// -------------------------------------------------------------------------- \\
+// File: MockServer.js                                                        \\
+// Module: API                                                                \\
+// Requires: defineType.js, transports.js                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+// Copies the value, as if it had been sent over the wire.
+var clone = function ( value ) {
+    return value === undefined ? null : JSON.parse( JSON.stringify( value ) );
+};
+
+var lowerFirst = function ( string ) {
+    return string.charAt( 0 ).toLowerCase() + string.slice( 1 );
+};
+
+// The record types the server holds, with the plural used in the names of
+// their methods and responses.
+var typePlurals = {
+    Mailbox: 'Mailboxes',
+    Thread: 'Threads',
+    Message: 'Messages',
+    ContactGroup: 'ContactGroups',
+    Contact: 'Contacts',
+    Calendar: 'Calendars',
+    CalendarEvent: 'CalendarEvents'
+};
+
+// Dates are compared as strings in the format of Date#toJSON.
+var toDateString = function ( date ) {
+    return date ? String( date ).slice( 0, 19 ) : '';
+};
+
+// --- Messages ---
+
+var toText = function ( value ) {
+    if ( !value ) {
+        return '';
+    }
+    if ( value instanceof Array ) {
+        return value.map( toText ).join( ' ' );
+    }
+    if ( typeof value === 'object' ) {
+        return ( value.name || '' ) + ' ' + ( value.email || '' );
+    }
+    return String( value ).toLowerCase();
+};
+
+var containsText = function ( value, text ) {
+    return toText( value ).toLowerCase().indexOf( text.toLowerCase() ) > -1;
+};
+
+var isInAll = function ( mailboxIds, ids ) {
+    return ids.every( function ( id ) {
+        return mailboxIds.indexOf( id ) > -1;
+    });
+};
+
+var matchesFilter = function ( message, filter ) {
+    var mailboxIds = message.mailboxIds || [],
+        property, value;
+    if ( !filter ) {
+        return true;
+    }
+    switch ( filter.operator ) {
+    case 'AND':
+        return filter.conditions.every( function ( condition ) {
+            return matchesFilter( message, condition );
+        });
+    case 'OR':
+        return filter.conditions.some( function ( condition ) {
+            return matchesFilter( message, condition );
+        });
+    case 'NOT':
+        return !filter.conditions.some( function ( condition ) {
+            return matchesFilter( message, condition );
+        });
+    }
+    for ( property in filter ) {
+        value = filter[ property ];
+        switch ( property ) {
+        case 'inMailboxes':
+            if ( !isInAll( mailboxIds, value ) ) {
+                return false;
+            }
+            break;
+        case 'notInMailboxes':
+            if ( value.some( function ( id ) {
+                    return mailboxIds.indexOf( id ) > -1;
+                }) ) {
+                return false;
+            }
+            break;
+        case 'before':
+            if ( !( toDateString( message.date ) < toDateString( value ) ) ) {
+                return false;
+            }
+            break;
+        case 'after':
+            if ( toDateString( message.date ) < toDateString( value ) ) {
+                return false;
+            }
+            break;
+        case 'minSize':
+            if ( !( message.size >= value ) ) {
+                return false;
+            }
+            break;
+        case 'maxSize':
+            if ( !( message.size < value ) ) {
+                return false;
+            }
+            break;
+        case 'text':
+            if ( ![ 'from', 'to', 'cc', 'subject', 'preview', 'textBody' ]
+                    .some( function ( key ) {
+                        return containsText( message[ key ], value );
+                    }) ) {
+                return false;
+            }
+            break;
+        case 'body':
+            if ( !containsText( message.textBody, value ) ) {
+                return false;
+            }
+            break;
+        case 'from':
+        case 'to':
+        case 'cc':
+        case 'bcc':
+        case 'subject':
+            if ( !containsText( message[ property ], value ) ) {
+                return false;
+            }
+            break;
+        default:
+            // isUnread, isFlagged, hasAttachment etc.
+            if ( !!message[ property ] !== !!value ) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+var getSortValue = function ( message, property ) {
+    var value = message[ property ];
+    if ( typeof value === 'boolean' ) {
+        return value ? 1 : 0;
+    }
+    if ( typeof value === 'number' ) {
+        return value;
+    }
+    return toText( value );
+};
+
+var sortBy = function ( sort ) {
+    var comparators = ( sort && sort.length ? sort : [ 'date desc' ] )
+        .map( function ( item ) {
+            var parts = item.split( ' ' );
+            return [ parts[0], parts[1] === 'asc' ];
+        });
+    return function ( a, b ) {
+        var i, l, property, x, y;
+        for ( i = 0, l = comparators.length; i < l; i += 1 ) {
+            property = comparators[i][0];
+            x = getSortValue( a, property );
+            y = getSortValue( b, property );
+            if ( x !== y ) {
+                return ( x < y ? -1 : 1 ) * ( comparators[i][1] ? 1 : -1 );
+            }
+        }
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+};
+
+// Returns the messages in a list, in order.
+var queryMessages = function ( records, args ) {
+    var seenThread = {},
+        list = Object.keys( records ).map( function ( id ) {
+            return records[ id ];
+        }).filter( function ( message ) {
+            return matchesFilter( message, args.filter );
+        }).sort( sortBy( args.sort ) );
+    if ( args.collapseThreads ) {
+        list = list.filter( function ( message ) {
+            var threadId = message.threadId;
+            if ( seenThread[ threadId ] ) {
+                return false;
+            }
+            seenThread[ threadId ] = true;
+            return true;
+        });
+    }
+    return list;
+};
+
+/*
+    Works out the removed and added arrays for a getMessageListUpdates
+    response. Messages in both lists that stay in the same order relative to
+    each other are left alone; all others are removed and/or added.
+*/
+var diffLists = function ( oldList, newList ) {
+    var oldIndex = {},
+        isKept = {},
+        last = -1;
+    oldList.forEach( function ( message, index ) {
+        oldIndex[ message.id ] = index;
+    });
+    newList.forEach( function ( message ) {
+        var index = oldIndex[ message.id ];
+        if ( index !== undefined && index > last ) {
+            isKept[ message.id ] = true;
+            last = index;
+        }
+    });
+    return {
+        removed: oldList.filter( function ( message ) {
+            return !isKept[ message.id ];
+        }).map( function ( message ) {
+            return {
+                messageId: message.id,
+                threadId: message.threadId
+            };
+        }),
+        added: newList.reduce( function ( added, message, index ) {
+            if ( !isKept[ message.id ] ) {
+                added.push({
+                    index: index,
+                    messageId: message.id,
+                    threadId: message.threadId
+                });
+            }
+            return added;
+        }, [] )
+    };
+};
+
+var uptoMessage = function ( list, messageId ) {
+    var i, l;
+    if ( messageId ) {
+        for ( i = 0, l = list.length; i < l; i += 1 ) {
+            if ( list[i].id === messageId ) {
+                return list.slice( 0, i + 1 );
+            }
+        }
+    }
+    return list;
+};
+
+var countMessage = function ( counts, message ) {
+    ( message.mailboxIds || [] ).forEach( function ( mailboxId ) {
+        var mailboxCounts = counts[ mailboxId ];
+        if ( mailboxCounts ) {
+            mailboxCounts.totalMessages += 1;
+            mailboxCounts.threads[ message.threadId ] = true;
+            if ( message.isUnread ) {
+                mailboxCounts.unreadMessages += 1;
+                mailboxCounts.unreadThreads[ message.threadId ] = true;
+            }
+        }
+    });
+};
+
+// Returns the properties asked for from a record (or all if null).
+var getProperties = function ( record, properties ) {
+    var result;
+    if ( !properties ) {
+        return record;
+    }
+    result = { id: record.id };
+    properties.forEach( function ( property ) {
+        var headerName = /^headers\.(.*)$/.exec( property ),
+            headers;
+        if ( property === 'body' ) {
+            result.textBody = record.textBody;
+            result.htmlBody = record.htmlBody;
+        } else if ( headerName ) {
+            headers = record.headers || {};
+            result.headers = result.headers || {};
+            if ( headerName[1] in headers ) {
+                result.headers[ headerName[1] ] = headers[ headerName[1] ];
+            }
+        } else if ( property in record ) {
+            result[ property ] = record[ property ];
+        }
+    });
+    return result;
+};
+
+// --- Requests ---
+
+/*
+    A request sent to a <JMAP.MockServer>, waiting for its response.
+*/
+var MockRequest = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( server, connection ) {
+        this.server = server;
+        this.nextEventTarget = connection;
+        this._timer = null;
+        MockRequest.parent.init.call( this );
+    },
+
+    abort: function () {
+        this.server.didFinish( this, 'io:abort', {
+            status: 0
+        });
+    }
+});
+
+// --- Methods ---
+
+var getRecords = function ( typeName ) {
+    var responseName = lowerFirst( typePlurals[ typeName ] );
+    return function ( args ) {
+        return [[ responseName,
+            this.getRecordsResponse( typeName, args.ids, args.properties ) ]];
+    };
+};
+
+var getUpdates = function ( typeName ) {
+    var responseName = lowerFirst( typeName ) + 'Updates',
+        recordsName = lowerFirst( typePlurals[ typeName ] );
+    return function ( args ) {
+        var changes = this.getChanges(
+                typeName, args.sinceState, args.maxChanges ),
+            responses;
+        if ( !changes ) {
+            return [[ 'error', { type: 'cannotCalculateChanges' } ]];
+        }
+        responses = [[ responseName, {
+            accountId: this.get( 'accountId' ),
+            oldState: args.sinceState,
+            newState: changes.newState,
+            hasMoreUpdates: changes.hasMoreUpdates,
+            changed: changes.changed,
+            removed: changes.removed
+        }]];
+        if ( args.fetchRecords && changes.changed.length ) {
+            responses.push([ recordsName, this.getRecordsResponse(
+                typeName, changes.changed, args.fetchRecordProperties ) ]);
+        }
+        return responses;
+    };
+};
+
+var setRecords = function ( typeName ) {
+    var responseName = lowerFirst( typePlurals[ typeName ] ) + 'Set';
+    return function ( args ) {
+        var oldState = this.getState( typeName ),
+            records = this._records[ typeName ],
+            create = args.create || {},
+            update = args.update || {},
+            destroy = args.destroy || [],
+            created = {},
+            updated = [],
+            notUpdated = {},
+            destroyed = [],
+            notDestroyed = {},
+            creationId, id;
+        if ( args.state && args.state !== oldState ) {
+            return [[ 'error', { type: 'stateMismatch' } ]];
+        }
+        for ( creationId in create ) {
+            created[ creationId ] =
+                this.createRecord( typeName, create[ creationId ] );
+        }
+        for ( id in update ) {
+            if ( records[ id ] ) {
+                this.updateRecord( typeName, id, update[ id ] );
+                updated.push( id );
+            } else {
+                notUpdated[ id ] = { type: 'notFound' };
+            }
+        }
+        destroy.forEach( function ( id ) {
+            if ( records[ id ] ) {
+                this.removeRecords( typeName, [ id ] );
+                destroyed.push( id );
+            } else {
+                notDestroyed[ id ] = { type: 'notFound' };
+            }
+        }, this );
+        return [[ responseName, {
+            accountId: this.get( 'accountId' ),
+            oldState: oldState,
+            newState: this.getState( typeName ),
+            created: created,
+            updated: updated,
+            destroyed: destroyed,
+            notCreated: {},
+            notUpdated: notUpdated,
+            notDestroyed: notDestroyed
+        }]];
+    };
+};
+
+var methods = {
+    getAccounts: function () {
+        var accountId = this.get( 'accountId' );
+        return [[ 'accounts', {
+            state: '1',
+            list: [{
+                id: accountId,
+                name: accountId,
+                isPrimary: true,
+                isPersonal: true,
+                isReadOnly: false,
+                hasMail: true,
+                hasContacts: true,
+                hasCalendars: true,
+                capabilities: {}
+            }]
+        }]];
+    },
+
+    getThreads: function ( args ) {
+        var response = this.getRecordsResponse( 'Thread', args.ids, null ),
+            responses = [[ 'threads', response ]];
+        if ( args.fetchMessages ) {
+            responses.push([ 'messages', this.getRecordsResponse( 'Message',
+                response.list.reduce( function ( ids, thread ) {
+                    return ids.concat( thread.messageIds );
+                }, [] ),
+                args.fetchMessageProperties ) ]);
+        }
+        return responses;
+    },
+
+    getMessageList: function ( args ) {
+        var list = queryMessages( this._records.Message, args ),
+            total = list.length,
+            position = args.position || 0,
+            limit = args.limit,
+            threadIds, messageIds, index, responses;
+        if ( args.anchor ) {
+            index = list.map( function ( message ) {
+                return message.id;
+            }).indexOf( args.anchor );
+            if ( index < 0 ) {
+                return [[ 'error', { type: 'anchorNotFound' } ]];
+            }
+            position = Math.max( 0, index - ( args.anchorOffset || 0 ) );
+        }
+        list = list.slice( position,
+            limit || limit === 0 ? position + limit : undefined );
+        threadIds = list.map( function ( message ) {
+            return message.threadId;
+        });
+        messageIds = list.map( function ( message ) {
+            return message.id;
+        });
+        responses = [[ 'messageList', {
+            accountId: this.get( 'accountId' ),
+            filter: args.filter,
+            sort: args.sort,
+            collapseThreads: args.collapseThreads,
+            state: this.getState( 'Message' ),
+            canCalculateUpdates: true,
+            position: position,
+            total: total,
+            threadIds: threadIds,
+            messageIds: messageIds
+        }]];
+        if ( args.fetchThreads ) {
+            responses.push([ 'threads',
+                this.getRecordsResponse( 'Thread', threadIds.filter(
+                    function ( id, i ) {
+                        return threadIds.indexOf( id ) === i;
+                    }), null ) ]);
+        }
+        if ( args.fetchMessages ) {
+            responses.push([ 'messages', this.getRecordsResponse(
+                'Message', messageIds, args.fetchMessageProperties ) ]);
+        }
+        return responses;
+    },
+
+    getMessageListUpdates: function ( args ) {
+        var records = this.getRecordsAtState( 'Message', args.sinceState ),
+            upto = args.uptoMessageId,
+            newList, diff;
+        if ( !records ) {
+            return [[ 'error', { type: 'cannotCalculateChanges' } ]];
+        }
+        newList = queryMessages( this._records.Message, args );
+        diff = diffLists(
+            uptoMessage( queryMessages( records, args ), upto ),
+            uptoMessage( newList, upto )
+        );
+        if ( args.maxChanges &&
+                diff.removed.length + diff.added.length > args.maxChanges ) {
+            return [[ 'error', { type: 'tooManyChanges' } ]];
+        }
+        return [[ 'messageListUpdates', {
+            accountId: this.get( 'accountId' ),
+            filter: args.filter,
+            sort: args.sort,
+            collapseThreads: args.collapseThreads,
+            oldState: args.sinceState,
+            newState: this.getState( 'Message' ),
+            uptoMessageId: upto || null,
+            removed: diff.removed,
+            added: diff.added,
+            total: newList.length
+        }]];
+    },
+
+    getCalendarEventList: function ( args ) {
+        var filter = args.filter || {},
+            after = toDateString( filter.after ),
+            before = toDateString( filter.before ),
+            records = this._records.CalendarEvent,
+            ids = Object.keys( records ).filter( function ( id ) {
+                var event = records[ id ];
+                return ( !before || toDateString( event.start ) < before ) &&
+                    ( !after || !!event.recurrence ||
+                        toDateString( event.end ) > after );
+            }),
+            responses = [[ 'calendarEventList', {
+                accountId: this.get( 'accountId' ),
+                filter: args.filter,
+                state: this.getState( 'CalendarEvent' ),
+                position: 0,
+                total: ids.length,
+                calendarEventIds: ids
+            }]];
+        if ( args.fetchCalendarEvents ) {
+            responses.push([ 'calendarEvents',
+                this.getRecordsResponse( 'CalendarEvent', ids, null ) ]);
+        }
+        return responses;
+    }
+};
+
+// Adds the get, updates and set methods for a type.
+var addMethods = function ( typeName ) {
+    var plural = typePlurals[ typeName ];
+    if ( !methods[ 'get' + plural ] ) {
+        methods[ 'get' + plural ] = getRecords( typeName );
+    }
+    methods[ 'get' + typeName + 'Updates' ] = getUpdates( typeName );
+    // Threads are only changed by changing their messages.
+    if ( typeName !== 'Thread' ) {
+        methods[ 'set' + plural ] = setRecords( typeName );
+    }
+};
+
+Object.keys( typePlurals ).forEach( addMethods );
+
+// ---
+
+/**
+    Class: JMAP.MockServer
+
+    Extends: O.Object
+
+    A transport (see transports.js) that, rather than sending requests to a
+    server, handles them itself using data held in memory, so an app can be
+    tested without a network or a real server. It implements the get,
+    updates and set methods for mailboxes, threads, messages, contacts,
+    contact groups, calendars and calendar events, as well as
+    getMessageList, getMessageListUpdates and getCalendarEventList. It
+    speaks the 'draft' protocol, so only use it with connections using that.
+
+        var server = new JMAP.MockServer({ latency: 50 });
+        server.addRecords( 'Mailbox', [{ name: 'Inbox', role: 'inbox' }] );
+        JMAP.mail.set( 'transport', server );
+
+    The threads, and the message counts of each mailbox, are kept up to
+    date by the server as messages are added, changed and removed. Each
+    change to the data bumps the state of the type, so the updates methods
+    (and getMessageListUpdates) return just what has changed since.
+
+    The data can be changed "on the server" with <#addRecords>,
+    <#updateRecord> and <#removeRecords>, and failures can be injected with
+    <#failNextRequest> and <#failNextCall>. Other record types can be added
+    with <JMAP.MockServer.addType>.
+*/
+var MockServer = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.MockServer#accountId
+        Type: String
+        Default: 'mock'
+
+        The id of the one account on the server. Calls for any other account
+        return an accountNotFound error.
+    */
+    accountId: 'mock',
+
+    /**
+        Property: JMAP.MockServer#latency
+        Type: Number
+        Default: 0
+
+        How long (in ms) to wait before responding to each request.
+    */
+    latency: 0,
+
+    init: function ( mixin ) {
+        var typeName;
+        // Map of type name -> id -> record
+        this._records = {};
+        // Map of type name -> number of changes made
+        this._states = {};
+        // Map of type name -> list of changes made, in order. Each is an
+        // object with the `state` after the change, the `id` of the record
+        // changed and the `previous` data for it (or null if it was
+        // created).
+        this._changes = {};
+        for ( typeName in typePlurals ) {
+            this._records[ typeName ] = {};
+            this._states[ typeName ] = 0;
+            this._changes[ typeName ] = [];
+        }
+        this._nextId = 1;
+        // Statuses to fail the next requests with.
+        this._requestFailures = [];
+        // Map of method name -> list of errors to return for the next calls
+        this._callErrors = {};
+        MockServer.parent.init.call( this, mixin );
+    },
+
+    // --- Transport ---
+
+    send: function ( connection, remoteCalls ) {
+        var request = new MockRequest( this, connection );
+        request._timer = O.RunLoop.invokeAfterDelay( function () {
+            var status = this._requestFailures.shift();
+            if ( status !== undefined ) {
+                this.didFinish( request, 'io:failure', {
+                    status: status
+                });
+            } else {
+                this.didFinish( request, 'io:success', {
+                    status: 200,
+                    data: this.handleCalls( remoteCalls )
+                });
+            }
+        }, this.get( 'latency' ), this );
+        return request;
+    },
+
+    didFinish: function ( request, type, event ) {
+        if ( !request._timer ) {
+            return this;
+        }
+        O.RunLoop.cancel( request._timer );
+        request._timer = null;
+        request.fire( type, event )
+               .fire( 'io:end' );
+        return this;
+    },
+
+    /**
+        Method: JMAP.MockServer#handleCalls
+
+        Parameters:
+            calls - {Array} The method calls, as `[ name, args, tag ]`.
+
+        Returns:
+            {Array} The responses, as `[ name, args, tag ]`.
+    */
+    handleCalls: function ( calls ) {
+        var responses = [];
+        // Copy the calls, as if they had been sent over the wire.
+        clone( calls ).forEach( function ( call ) {
+            var name = call[0],
+                args = call[1] || {},
+                errors = this._callErrors[ name ],
+                error = errors && errors.shift(),
+                method = methods[ name ];
+            if ( !error ) {
+                if ( !method ) {
+                    error = { type: 'unknownMethod' };
+                } else if ( args.accountId &&
+                        args.accountId !== this.get( 'accountId' ) ) {
+                    error = { type: 'accountNotFound' };
+                }
+            }
+            ( error ? [[ 'error', error ]] : method.call( this, args ) )
+                .forEach( function ( response ) {
+                    responses.push([ response[0], response[1], call[2] ]);
+                });
+        }, this );
+        return clone( responses );
+    },
+
+    // --- Injecting failures ---
+
+    /**
+        Method: JMAP.MockServer#failNextRequest
+
+        Makes the next request fail. Call it more than once to fail more
+        than one request.
+
+        Parameters:
+            status - {Number} (optional) The HTTP status to fail with, or
+                     0 (the default) as though the server could not be
+                     reached.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    failNextRequest: function ( status ) {
+        this._requestFailures.push( status || 0 );
+        return this;
+    },
+
+    /**
+        Method: JMAP.MockServer#failNextCall
+
+        Makes the next call to a method return an error.
+
+        Parameters:
+            method      - {String} The name of the method, e.g.
+                          "setMessages".
+            type        - {String} The type of error, e.g. "serverError".
+            description - {String} (optional) A description of the error.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    failNextCall: function ( method, type, description ) {
+        var errors = this._callErrors[ method ] ||
+                ( this._callErrors[ method ] = [] ),
+            error = { type: type };
+        if ( description ) {
+            error.description = description;
+        }
+        errors.push( error );
+        return this;
+    },
+
+    // --- Data ---
+
+    /**
+        Method: JMAP.MockServer#getState
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+
+        Returns:
+            {String} The current state of the type.
+    */
+    getState: function ( typeName ) {
+        return String( this._states[ typeName ] );
+    },
+
+    /**
+        Method: JMAP.MockServer#getRecord
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            id       - {String} The id of the record.
+
+        Returns:
+            {(Object|null)} A copy of the data for the record, or null if
+            there is no such record.
+    */
+    getRecord: function ( typeName, id ) {
+        return clone( this._records[ typeName ][ id ] );
+    },
+
+    /**
+        Method: JMAP.MockServer#addRecords
+
+        Adds records to the server. Any record without an id is given one;
+        messages without a thread id are put in a new thread.
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            records  - {Object[]} The data for the records.
+
+        Returns:
+            {String[]} The ids of the new records.
+    */
+    addRecords: function ( typeName, records ) {
+        return records.map( function ( data ) {
+            return this.createRecord( typeName, data ).id;
+        }, this );
+    },
+
+    /**
+        Method: JMAP.MockServer#updateRecord
+
+        Changes a record on the server.
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            id       - {String} The id of the record.
+            changes  - {Object} The new values of the properties to change.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    updateRecord: function ( typeName, id, changes ) {
+        var data = this._records[ typeName ][ id ];
+        if ( data ) {
+            this.setRecord( typeName, id,
+                O.extend( clone( data ), clone( changes ) ) );
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.MockServer#removeRecords
+
+        Removes records from the server.
+
+        Parameters:
+            typeName - {String} The name of the type, e.g. "Message".
+            ids      - {String[]} The ids of the records to remove.
+
+        Returns:
+            {JMAP.MockServer} Returns self.
+    */
+    removeRecords: function ( typeName, ids ) {
+        ids.forEach( function ( id ) {
+            if ( this._records[ typeName ][ id ] ) {
+                this.setRecord( typeName, id, null );
+            }
+        }, this );
+        return this;
+    },
+
+    // ---
+
+    createRecord: function ( typeName, data ) {
+        var id = data.id || this.getNewId( typeName ),
+            record = O.extend( clone( data ), { id: id } ),
+            added = { id: id },
+            key;
+        if ( typeName === 'Message' ) {
+            O.extend( record, {
+                threadId: this.getNewId( 'Thread' ),
+                mailboxIds: [],
+                isUnread: false,
+                isFlagged: false,
+                isAnswered: false,
+                isDraft: false,
+                hasAttachment: false,
+                blobId: 'blob-' + id,
+                date: new Date().toJSON(),
+                size: JSON.stringify( record ).length,
+                preview: ( record.textBody || '' ).slice( 0, 256 )
+            }, true );
+        }
+        // Return any properties set by the server.
+        for ( key in record ) {
+            if ( !( key in data ) ) {
+                added[ key ] = record[ key ];
+            }
+        }
+        this.setRecord( typeName, id, record );
+        return clone( added );
+    },
+
+    getNewId: function ( typeName ) {
+        return typeName.charAt( 0 ) + ( this._nextId++ );
+    },
+
+    /*
+        All changes to the data go through here. Sets (or if the data is
+        null, removes) the record, bumps the state and updates the threads
+        and mailboxes if a message has changed.
+    */
+    setRecord: function ( typeName, id, data ) {
+        var records = this._records[ typeName ],
+            previous = records[ id ] || null;
+        if ( data ) {
+            records[ id ] = data;
+        } else {
+            delete records[ id ];
+        }
+        this._changes[ typeName ].push({
+            state: ( this._states[ typeName ] += 1 ),
+            id: id,
+            previous: previous
+        });
+        if ( typeName === 'Message' ) {
+            this.updateThreads([
+                previous && previous.threadId,
+                data && data.threadId
+            ]);
+            this.updateMailboxCounts();
+        }
+        return this;
+    },
+
+    updateThreads: function ( threadIds ) {
+        var messages = this._records.Message,
+            threads = this._records.Thread;
+        threadIds.forEach( function ( threadId ) {
+            var messageIds, thread;
+            if ( !threadId ) {
+                return;
+            }
+            messageIds = Object.keys( messages ).filter( function ( id ) {
+                return messages[ id ].threadId === threadId;
+            }).sort( function ( a, b ) {
+                a = toDateString( messages[ a ].date );
+                b = toDateString( messages[ b ].date );
+                return a < b ? -1 : a > b ? 1 : 0;
+            });
+            thread = threads[ threadId ];
+            if ( !messageIds.length ) {
+                if ( thread ) {
+                    this.setRecord( 'Thread', threadId, null );
+                }
+            } else if ( !thread ||
+                    !O.isEqual( thread.messageIds, messageIds ) ) {
+                this.setRecord( 'Thread', threadId, {
+                    id: threadId,
+                    messageIds: messageIds
+                });
+            }
+        }, this );
+    },
+
+    updateMailboxCounts: function () {
+        var messages = this._records.Message,
+            mailboxes = this._records.Mailbox,
+            counts = {},
+            id, mailboxId;
+        for ( mailboxId in mailboxes ) {
+            counts[ mailboxId ] = {
+                totalMessages: 0,
+                unreadMessages: 0,
+                threads: {},
+                unreadThreads: {}
+            };
+        }
+        for ( id in messages ) {
+            countMessage( counts, messages[ id ] );
+        }
+        for ( mailboxId in counts ) {
+            this.updateMailbox( mailboxId, {
+                totalMessages: counts[ mailboxId ].totalMessages,
+                unreadMessages: counts[ mailboxId ].unreadMessages,
+                totalThreads:
+                    Object.keys( counts[ mailboxId ].threads ).length,
+                unreadThreads:
+                    Object.keys( counts[ mailboxId ].unreadThreads ).length
+            });
+        }
+    },
+
+    updateMailbox: function ( id, counts ) {
+        var mailbox = this._records.Mailbox[ id ],
+            key;
+        for ( key in counts ) {
+            if ( mailbox[ key ] !== counts[ key ] ) {
+                this.setRecord( 'Mailbox', id,
+                    O.extend( clone( mailbox ), counts ) );
+                return;
+            }
+        }
+    },
+
+    // ---
+
+    getRecordsResponse: function ( typeName, ids, properties ) {
+        var records = this._records[ typeName ],
+            list = [],
+            notFound = [];
+        ( ids || Object.keys( records ) ).forEach( function ( id ) {
+            var record = records[ id ];
+            if ( record ) {
+                list.push( getProperties( record, properties ) );
+            } else {
+                notFound.push( id );
+            }
+        });
+        return {
+            accountId: this.get( 'accountId' ),
+            state: this.getState( typeName ),
+            list: list,
+            notFound: notFound.length ? notFound : null
+        };
+    },
+
+    /*
+        Returns the ids changed and removed since a state (at most
+        maxChanges of them, if given), or null if the state is not valid.
+    */
+    getChanges: function ( typeName, sinceState, maxChanges ) {
+        var since = parseInt( sinceState, 10 ),
+            records = this._records[ typeName ],
+            changes = this._changes[ typeName ],
+            newState = this._states[ typeName ],
+            hasMoreUpdates = false,
+            isSeen = {},
+            ids = [],
+            i, l, change;
+        if ( !( since >= 0 && since <= newState ) ) {
+            return null;
+        }
+        for ( i = since, l = changes.length; i < l; i += 1 ) {
+            change = changes[i];
+            if ( !isSeen[ change.id ] ) {
+                if ( maxChanges && ids.length === maxChanges ) {
+                    newState = changes[ i - 1 ].state;
+                    hasMoreUpdates = true;
+                    break;
+                }
+                isSeen[ change.id ] = true;
+                ids.push( change.id );
+            }
+        }
+        return {
+            newState: String( newState ),
+            hasMoreUpdates: hasMoreUpdates,
+            changed: ids.filter( function ( id ) {
+                return !!records[ id ];
+            }),
+            removed: ids.filter( function ( id ) {
+                return !records[ id ];
+            })
+        };
+    },
+
+    /*
+        Returns the records of a type as they were at a state, or null if the
+        state is not valid.
+    */
+    getRecordsAtState: function ( typeName, state ) {
+        var since = parseInt( state, 10 ),
+            records = O.extend( {}, this._records[ typeName ] ),
+            changes = this._changes[ typeName ],
+            l = changes.length,
+            change;
+        if ( !( since >= 0 && since <= this._states[ typeName ] ) ) {
+            return null;
+        }
+        while ( l-- ) {
+            change = changes[l];
+            if ( change.state <= since ) {
+                break;
+            }
+            if ( change.previous ) {
+                records[ change.id ] = change.previous;
+            } else {
+                delete records[ change.id ];
+            }
+        }
+        return records;
+    }
+});
+
+/**
+    Function: JMAP.MockServer.addType
+
+    Adds a record type, such as one registered with <JMAP.defineType>, so
+    servers created from now on hold records of it and implement its get,
+    updates and set methods.
+
+    Parameters:
+        typeName - {String} The name of the type used in the method names,
+                   e.g. "Identity".
+        plural   - {String} (optional) The plural used in the method names.
+                   Defaults to <JMAP.defineType.getPlural> of the type name.
+*/
+MockServer.addType = function ( typeName, plural ) {
+    typePlurals[ typeName ] = plural || JMAP.defineType.getPlural( typeName );
+    addMethods( typeName );
+};
+
+JMAP.MockServer = MockServer;
+
+}( JMAP ) );
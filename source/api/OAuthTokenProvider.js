@@ -0,0 +1,304 @@
+// -------------------------------------------------------------------------- \\
+// File: OAuthTokenProvider.js                                                \\
+// Module: API                                                                \\
+// Requires: Auth.js                                                          \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/**
+    Class: JMAP.OAuthTokenProvider
+
+    Extends: O.Object
+
+    A token provider for <JMAP.auth> using OAuth 2.0 Bearer tokens. Give it
+    the token response from the authorization server when the user logs in,
+    and it will use the refresh token to get a new access token shortly
+    before the current one expires, or whenever the server rejects it.
+
+        var provider = new JMAP.OAuthTokenProvider({
+            tokenUrl: 'https://example.com/oauth/token',
+            clientId: 'my-app'
+        });
+        JMAP.auth.set( 'tokenProvider', provider );
+        provider.didReceiveTokens( tokenResponse );
+        JMAP.auth.didAuthenticate(
+            username, provider.get( 'authorization' ), urls );
+*/
+var OAuthTokenProvider = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.OAuthTokenProvider#tokenUrl
+        Type: String
+
+        The token endpoint of the authorization server.
+    */
+    tokenUrl: '',
+
+    /**
+        Property: JMAP.OAuthTokenProvider#clientId
+        Type: String
+
+        The client id to send with refresh requests.
+    */
+    clientId: '',
+
+    /**
+        Property: JMAP.OAuthTokenProvider#revocationUrl
+        Type: String
+
+        The token revocation endpoint of the authorization server (RFC 7009),
+        if it has one. Used by <JMAP.OAuthTokenProvider#revoke>.
+    */
+    revocationUrl: '',
+
+    accessToken: '',
+    refreshToken: '',
+
+    /**
+        Property: JMAP.OAuthTokenProvider#expiresAt
+        Type: Number
+
+        The time (in ms since the epoch) the access token expires, or 0 if
+        not known.
+    */
+    expiresAt: 0,
+
+    /**
+        Property: JMAP.OAuthTokenProvider#refreshMargin
+        Type: Number
+        Default: 60000
+
+        How long (in ms) before the access token expires to refresh it.
+    */
+    refreshMargin: 60000,
+
+    /**
+        Property: JMAP.OAuthTokenProvider#isRefreshing
+        Type: Boolean
+
+        True while a refresh request is in flight.
+    */
+    isRefreshing: false,
+
+    init: function ( mixin ) {
+        this._timer = null;
+        this._request = null;
+        OAuthTokenProvider.parent.init.call( this, mixin );
+    },
+
+    destroy: function () {
+        this.cancelRefresh();
+        OAuthTokenProvider.parent.destroy.call( this );
+    },
+
+    /**
+        Property: JMAP.OAuthTokenProvider#authorization
+        Type: String
+
+        The value to use for the Authorization header.
+    */
+    authorization: function () {
+        return 'Bearer ' + this.get( 'accessToken' );
+    }.property( 'accessToken' ),
+
+    /**
+        Property: JMAP.OAuthTokenProvider#canRefresh
+        Type: Boolean
+
+        Whether there is a refresh token to get a new access token with.
+    */
+    canRefresh: function () {
+        return !!this.get( 'refreshToken' ) && !!this.get( 'tokenUrl' );
+    }.property( 'refreshToken', 'tokenUrl' ),
+
+    // ---
+
+    /**
+        Method: JMAP.OAuthTokenProvider#didReceiveTokens
+
+        Call this with the token response from the authorization server. It
+        is also called with the response to each refresh. Updates the
+        tokens, schedules the next refresh and passes the new access token
+        to <JMAP.auth>.
+
+        Parameters:
+            response - {Object} The parsed token response, with an
+                       `access_token` and optionally a `refresh_token` and
+                       `expires_in`.
+
+        Returns:
+            {JMAP.OAuthTokenProvider} Returns self.
+    */
+    didReceiveTokens: function ( response ) {
+        var expiresIn = response.expires_in;
+        this.beginPropertyChanges()
+            .set( 'accessToken', response.access_token )
+            .set( 'expiresAt', expiresIn ? Date.now() + expiresIn * 1000 : 0 );
+        // The server may or may not issue a new refresh token.
+        if ( response.refresh_token ) {
+            this.set( 'refreshToken', response.refresh_token );
+        }
+        this.endPropertyChanges();
+
+        this.scheduleRefresh();
+        JMAP.auth.didRefreshToken( this.get( 'authorization' ) );
+        return this;
+    },
+
+    scheduleRefresh: function () {
+        var expiresAt = this.get( 'expiresAt' );
+        this.cancelRefresh();
+        if ( expiresAt && this.get( 'canRefresh' ) ) {
+            this._timer = O.RunLoop.invokeAfterDelay( this.refresh,
+                Math.max( 0,
+                    expiresAt - this.get( 'refreshMargin' ) - Date.now() ),
+                this );
+        }
+        return this;
+    },
+
+    cancelRefresh: function () {
+        if ( this._timer ) {
+            O.RunLoop.cancel( this._timer );
+            this._timer = null;
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.OAuthTokenProvider#refresh
+
+        Uses the refresh token to get a new access token. If the
+        authorization server rejects the refresh token,
+        <JMAP.auth#didFailToRefreshToken> is called; if it cannot be
+        reached, the refresh is retried after 30 seconds.
+
+        Returns:
+            {JMAP.OAuthTokenProvider} Returns self.
+    */
+    refresh: function () {
+        if ( this.get( 'isRefreshing' ) || !this.get( 'canRefresh' ) ) {
+            return this;
+        }
+        this.cancelRefresh()
+            .set( 'isRefreshing', true );
+
+        var provider = this,
+            clientId = this.get( 'clientId' );
+        this._request = new JMAP.HttpRequest({
+            timeout: 45000,
+            method: 'POST',
+            url: this.get( 'tokenUrl' ),
+            headers: {
+                'Accept': 'application/json',
+                'Content-type': 'application/x-www-form-urlencoded'
+            },
+            data: 'grant_type=refresh_token' +
+                '&refresh_token=' +
+                    encodeURIComponent( this.get( 'refreshToken' ) ) +
+                ( clientId ?
+                    '&client_id=' + encodeURIComponent( clientId ) : '' ),
+            success: function ( event ) {
+                var response;
+                try {
+                    response = JSON.parse( event.data );
+                } catch ( error ) {}
+
+                if ( response && response.access_token ) {
+                    provider.didReceiveTokens( response );
+                } else {
+                    JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                        description: 'Token response is not valid.',
+                        status: event.status,
+                        data: event.data
+                    }) );
+                    this.retry();
+                }
+            }.on( 'io:success' ),
+            failure: function ( event ) {
+                switch ( event.status ) {
+                case 400: // Bad Request, e.g. invalid_grant
+                case 401: // Unauthorized
+                    provider.set( 'refreshToken', '' );
+                    JMAP.auth.didFailToRefreshToken();
+                    break;
+                default: // Connection failed or 5xx error
+                    this.retry();
+                }
+            }.on( 'io:failure' ),
+            retry: function () {
+                provider._timer = O.RunLoop.invokeAfterDelay(
+                    provider.refresh, 30000, provider );
+            }.on( 'io:abort' ),
+            cleanup: function () {
+                this.destroy();
+                provider._request = null;
+                provider.set( 'isRefreshing', false );
+            }.on( 'io:end' )
+        });
+        this._request.send();
+
+        return this;
+    },
+
+    /**
+        Method: JMAP.OAuthTokenProvider#revoke
+
+        Stops refreshing and forgets the tokens, asking the authorization
+        server to revoke the refresh token (or the access token, if there is
+        no refresh token) if there is a <#revocationUrl>. Called by
+        <JMAP.auth#logout>.
+
+        Returns:
+            {JMAP.OAuthTokenProvider} Returns self.
+    */
+    revoke: function () {
+        var refreshToken = this.get( 'refreshToken' ),
+            token = refreshToken || this.get( 'accessToken' ),
+            revocationUrl = this.get( 'revocationUrl' ),
+            clientId = this.get( 'clientId' ),
+            request = this._request;
+
+        // Clear the refresh token first, so aborting a refresh in progress
+        // does not schedule another attempt.
+        this.set( 'refreshToken', '' );
+        if ( request ) {
+            request.abort();
+        }
+        this.cancelRefresh()
+            .set( 'accessToken', '' )
+            .set( 'expiresAt', 0 );
+
+        if ( token && revocationUrl ) {
+            new JMAP.HttpRequest({
+                timeout: 45000,
+                method: 'POST',
+                url: revocationUrl,
+                headers: {
+                    'Content-type': 'application/x-www-form-urlencoded'
+                },
+                data: 'token=' + encodeURIComponent( token ) +
+                    '&token_type_hint=' +
+                        ( refreshToken ? 'refresh_token' : 'access_token' ) +
+                    ( clientId ?
+                        '&client_id=' + encodeURIComponent( clientId ) : '' ),
+                cleanup: function () {
+                    this.destroy();
+                }.on( 'io:end' )
+            }).send();
+        }
+        return this;
+    }
+});
+
+JMAP.OAuthTokenProvider = OAuthTokenProvider;
+
+}( JMAP ) );
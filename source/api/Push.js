@@ -0,0 +1,260 @@
+// -------------------------------------------------------------------------- \\
+// File: Push.js                                                              \\
+// Module: API                                                                \\
+// Requires: connections.js, HttpRequest.js                                   \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/*
+    The server pushes a "state" event whenever the state of one of the types
+    changes. The data is either a map of type name to new state, or (in later
+    versions of the spec) wrapped in a `changed` object keyed by account id.
+    This returns a map of account id to type name to new state, with the
+    former being treated as the default account (with an id of '').
+*/
+var getChangedStates = function ( data ) {
+    return data.changed || { '': data };
+};
+
+var getConnectionForType = function ( Type ) {
+    var typeId = O.guid( Type );
+    return JMAP.source.get( 'sources' ).filter( function ( connection ) {
+        return !!connection.recordFetchers[ typeId ];
+    })[0] || null;
+};
+
+JMAP.push = new O.Object({
+
+    /**
+        Property: JMAP.push#isEnabled
+        Type: Boolean
+
+        Set to false to stop listening for push events. The event source is
+        opened automatically when this is true, the user is authenticated and
+        an eventSourceUrl is known. Defaults to false in Node, which has no
+        EventSource.
+    */
+    isEnabled: !JMAP.isNode,
+
+    /**
+        Property: JMAP.push#typeNames
+        Type: String[]
+
+        The names of the types the push subsystem will refresh when notified
+        of a state change. Each name must be the name of a record type in the
+        JMAP namespace, e.g. "Message" for <JMAP.Message>.
+    */
+    typeNames: [
+        'Mailbox', 'Thread', 'Message',
+        'ContactGroup', 'Contact',
+        'Calendar', 'CalendarEvent'
+    ],
+
+    _eventSource: null,
+    _hasOpened: false,
+
+    // ---
+
+    eventSourceDidChange: function () {
+        var auth = JMAP.auth,
+            url = auth.get( 'eventSourceUrl' ),
+            shouldOpen = this.get( 'isEnabled' ) &&
+                auth.get( 'isAuthenticated' ) && !!url,
+            eventSource = this._eventSource;
+
+        if ( eventSource &&
+                ( !shouldOpen || eventSource.get( 'url' ) !== url ) ) {
+            this.close();
+            eventSource = null;
+        }
+        if ( shouldOpen && !eventSource ) {
+            this.open();
+        }
+    }.queue( 'after' ),
+
+    open: function () {
+        var eventSource = this._eventSource,
+            push = this;
+        if ( !eventSource ) {
+            eventSource = this._eventSource = new O.EventSource({
+                url: JMAP.auth.get( 'eventSourceUrl' ),
+                eventSourceDidOpen: function () {
+                    push.eventSourceDidOpen();
+                }.on( 'open' ),
+                eventSourceDidError: function () {
+                    push.eventSourceDidFail( this );
+                }.on( 'error' ),
+                eventSourceDidReceiveState: function ( event ) {
+                    push.didReceiveState( event.data );
+                }.on( 'state' )
+            });
+        }
+        if ( eventSource.get( 'readyState' ) === O.EventSource.CLOSED ) {
+            eventSource.open();
+        }
+        return this;
+    },
+
+    close: function () {
+        var eventSource = this._eventSource;
+        if ( eventSource ) {
+            eventSource.close().destroy();
+            this._eventSource = null;
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.push#send
+
+        Called by <JMAP.auth> when it is time to retry after a failure.
+    */
+    send: function () {
+        if ( this._eventSource ) {
+            this.open();
+        } else {
+            this.eventSourceDidChange();
+        }
+    },
+
+    didLogout: function () {
+        this.close();
+        this._hasOpened = false;
+    },
+
+    // ---
+
+    eventSourceDidOpen: function () {
+        JMAP.auth.connectionSucceeded( this );
+        // We may have missed some state changes while disconnected.
+        if ( this._hasOpened ) {
+            this.refreshAll();
+        }
+        this._hasOpened = true;
+    },
+
+    eventSourceDidFail: function ( eventSource ) {
+        // Stop the native EventSource reconnecting by itself; we'll retry
+        // along with everything else via JMAP.auth.
+        if ( eventSource === this._eventSource &&
+                eventSource.get( 'readyState' ) !==
+                    O.EventSource.CLOSED ) {
+            eventSource.close();
+        }
+        JMAP.auth.connectionFailed( this );
+    },
+
+    // ---
+
+    didReceiveState: function ( data ) {
+        var json;
+        try {
+            json = JSON.parse( data );
+        } catch ( error ) {}
+
+        if ( !json ) {
+            JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                description: 'Push data from server is not JSON.',
+                data: data
+            }) );
+            return;
+        }
+        this.didReceiveStateChange( json );
+    },
+
+    /**
+        Method: JMAP.push#didReceiveStateChange
+
+        Refreshes any types whose state has changed. This is called for each
+        state event from the event source, and may also be called by
+        anything else the server pushes state changes through (such as
+        a <JMAP.WebSocketTransport>).
+
+        Parameters:
+            data - {Object} The parsed state change.
+    */
+    didReceiveStateChange: function ( data ) {
+        var states = getChangedStates( data );
+        Object.keys( states ).forEach( function ( accountId ) {
+            var typeStates = states[ accountId ];
+            this.typeNames.forEach( function ( typeName ) {
+                if ( typeName in typeStates ) {
+                    this.refreshType(
+                        typeName, typeStates[ typeName ], accountId || null );
+                }
+            }, this );
+        }, this );
+    },
+
+    refreshType: function ( typeName, newState, accountId ) {
+        var Type = JMAP[ typeName ],
+            connection = Type && getConnectionForType( Type ),
+            state;
+        if ( !connection ) {
+            return this;
+        }
+        state = connection.getTypeState( Type, accountId );
+        // If we've never fetched this type, there's nothing to update.
+        if ( state && state !== newState ) {
+            connection.fetchAllRecordsForAccount( Type, accountId );
+            // Message lists may have changed too.
+            if ( Type === JMAP.Message ) {
+                this.refreshMessageLists();
+            }
+        }
+        return this;
+    },
+
+    refreshAll: function () {
+        // The default account (null), then any other accounts we know about.
+        var accountIds = [ null ].concat(
+                JMAP.store.getAll( JMAP.Account ).map( function ( account ) {
+                    return account.get( 'id' );
+                }) );
+        this.typeNames.forEach( function ( typeName ) {
+            var Type = JMAP[ typeName ],
+                connection = Type && getConnectionForType( Type );
+            if ( !connection ) {
+                return;
+            }
+            accountIds.forEach( function ( accountId ) {
+                var isDuplicate = !!accountId &&
+                        connection.isDefaultAccount( accountId );
+                if ( !isDuplicate &&
+                        connection.getTypeState( Type, accountId ) ) {
+                    connection.fetchAllRecordsForAccount( Type, accountId );
+                }
+            });
+        });
+        this.refreshMessageLists();
+        return this;
+    },
+
+    refreshMessageLists: function () {
+        var MessageList = JMAP.MessageList;
+        if ( MessageList ) {
+            JMAP.store.getAllRemoteQueries().forEach( function ( query ) {
+                if ( query instanceof MessageList ) {
+                    query.refresh();
+                }
+            });
+        }
+        return this;
+    }
+});
+
+JMAP.auth.addObserverForKey( 'isAuthenticated',
+    JMAP.push, 'eventSourceDidChange' );
+JMAP.auth.addObserverForKey( 'eventSourceUrl',
+    JMAP.push, 'eventSourceDidChange' );
+JMAP.push.addObserverForKey( 'isEnabled',
+    JMAP.push, 'eventSourceDidChange' );
+JMAP.auth.on( 'logout', JMAP.push, 'didLogout' );
+
+}( JMAP ) );
@@ -0,0 +1,470 @@
+// -------------------------------------------------------------------------- \\
+// File: RemoteList.js                                                        \\
+// Module: API                                                                \\
+// Requires: Connection.js, cache.js, defineType.js                           \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP, undefined ) {
+
+var Status = O.Status,
+    EMPTY = Status.EMPTY,
+    READY = Status.READY,
+    OBSOLETE = Status.OBSOLETE;
+
+var withAccountId = JMAP.Connection.withAccountId;
+
+var refresh = function ( record ) {
+    if ( record.is( OBSOLETE ) ) {
+        record.refresh();
+    }
+};
+
+var toCamelCase = function ( name ) {
+    return name.charAt( 0 ).toLowerCase() + name.slice( 1 );
+};
+
+var stringifySorted = function ( item ) {
+    if ( !item || ( typeof item !== 'object' ) ) {
+        return JSON.stringify( item );
+    }
+    if ( item instanceof Array ) {
+        return '[' + item.map( stringifySorted ).join( ',' ) + ']';
+    }
+    var keys = Object.keys( item );
+    keys.sort();
+    return '{' + keys.map( function ( key ) {
+        return '"' + key + '":' + stringifySorted( item[ key ] );
+    }).join( ',' ) + '}';
+};
+
+var getId = function ( typeName, args ) {
+    return 'rl:' + typeName + ':' +
+        ( args.accountId ? args.accountId + ':' : '' ) +
+        stringifySorted( args.filter || null ) +
+        stringifySorted( args.sort || null );
+};
+
+/**
+    Class: JMAP.RemoteList
+
+    Extends: O.WindowedRemoteQuery
+
+    A list of the ids of the records of a type matching a filter, in a sort
+    order, fetched from the server a window at a time using the type's list
+    method, e.g. getContactList (Contact/query in RFC 8620). Once fetched, it
+    is kept up to date with the list updates method, e.g.
+    getContactListUpdates, if the server can calculate them, or else fetched
+    again. The ids at the start of the list are saved in <JMAP.cache> along
+    with the records.
+
+    This is the base class; use <JMAP.RemoteList.forType> to make the class
+    for a type, such as <JMAP.ContactList>, and get instances of that from
+    the store (<JMAP.MessageList> is a subclass with its own handlers, as
+    message lists may be collapsed into threads):
+
+        var args = {
+            filter: { text: 'smith' },
+            sort: [ 'lastName asc', 'firstName asc' ]
+        };
+        var contacts = JMAP.store.getQuery(
+            JMAP.ContactList.getId( args ), JMAP.ContactList, args );
+*/
+var RemoteList = O.Class({
+
+    Extends: O.WindowedRemoteQuery,
+
+    optimiseFetching: true,
+
+    /**
+        Property: JMAP.RemoteList#accountId
+        Type: (String|null)
+        Default: null
+
+        The account to query, or null for the connection's default account.
+    */
+    accountId: null,
+
+    /**
+        Property: JMAP.RemoteList#filter
+        Type: (Object|null)
+        Default: null
+
+        The filter to send to the server, in the form its list method takes.
+    */
+    filter: null,
+
+    /**
+        Property: JMAP.RemoteList#sort
+        Type: (String[]|null)
+        Default: null
+
+        The sort order, as an array of property names, each followed by
+        " asc" or " desc", or null for the server's default order.
+    */
+    sort: null,
+
+    /**
+        Property: JMAP.RemoteList#fetchProperties
+        Type: (String[]|null)
+        Default: null
+
+        The properties of the records to fetch with each window of ids, or
+        null for all of them.
+    */
+    fetchProperties: null,
+
+    /**
+        Property: JMAP.RemoteList#maxChanges
+        Type: Number
+        Default: 250
+
+        The maximum number of changes to fetch in a list updates call. If
+        there are more, the list is fetched again instead.
+    */
+    maxChanges: 250,
+
+    /**
+        Property: JMAP.RemoteList#connection
+        Type: JMAP.Connection
+
+        The connection for the type. Set by <JMAP.RemoteList.forType>.
+    */
+    connection: null,
+
+    /**
+        Property: JMAP.RemoteList#typeName
+        Type: String
+
+        The name of the type used in the method names, e.g. "Contact". Set by
+        <JMAP.RemoteList.forType>.
+    */
+    typeName: '',
+
+    /**
+        Property: JMAP.RemoteList#plural
+        Type: String
+
+        The plural of the type name used in the arguments to fetch the
+        records with the ids, e.g. "Contacts" for fetchContacts. Set by
+        <JMAP.RemoteList.forType>.
+    */
+    plural: '',
+
+    /*
+        Returns the arguments that say which list this is, for the list and
+        list updates methods.
+    */
+    getQueryArgs: function () {
+        return withAccountId({
+            filter: this.get( 'filter' ),
+            sort: this.get( 'sort' )
+        }, this.get( 'accountId' ) );
+    },
+
+    /*
+        Adds the arguments to a list call to say whether to fetch the records
+        along with the ids. Returns the arguments.
+    */
+    addFetchArgs: function ( args, fetchData ) {
+        args[ 'fetch' + this.get( 'plural' ) ] = fetchData;
+        args[ 'fetch' + this.get( 'typeName' ) + 'Properties' ] = fetchData ?
+            this.get( 'fetchProperties' ) : null;
+        return args;
+    },
+
+    /*
+        Refreshes the records for an id in the list if they are obsolete.
+    */
+    refreshRecordsForId: function ( id ) {
+        refresh( this.get( 'store' ).getRecord( this.get( 'Type' ), id ) );
+    },
+
+    sourceWillFetchQuery: function () {
+        var req = RemoteList.parent.sourceWillFetchQuery.call( this );
+
+        // If we have all the ids already, just fetch the records (if not
+        // already fetched) or refresh them (if obsolete).
+        var query = this,
+            list = this._list,
+            length = this.get( 'length' );
+
+        req.records = req.records.filter( function ( req ) {
+            var i = req.start,
+                l = i + req.count;
+
+            if ( length ) {
+                l = Math.min( l, length );
+            }
+
+            while ( i < l ) {
+                var id = list[i];
+                if ( id ) {
+                    i += 1;
+                } else {
+                    id = list[ l - 1 ];
+                    if ( !id ) { break; }
+                    l -= 1;
+                }
+                query.refreshRecordsForId( id );
+            }
+            req.start = i;
+            req.count = l - i;
+            return i !== l;
+        });
+
+        return req;
+    },
+
+    // --- Cache ---
+
+    /*
+        Returns the data to save in <JMAP.cache>: the state and the ids at
+        the start of the list (as e.g. `contactIds`), or null if the list has
+        not been fetched.
+    */
+    getCacheData: function () {
+        var list = this._list,
+            state = this.get( 'state' ),
+            max = JMAP.cache.get( 'maxQueryLength' ),
+            ids = [],
+            data, i, l, id;
+        if ( !state || !( this.get( 'status' ) & READY ) ) {
+            return null;
+        }
+        for ( i = 0, l = Math.min( list.length, max ); i < l; i += 1 ) {
+            id = list[i];
+            if ( !id ) {
+                break;
+            }
+            ids.push( id );
+        }
+        data = {
+            state: state,
+            total: this.get( 'length' ),
+            canCalculateUpdates: this.get( 'canGetDeltaUpdates' )
+        };
+        data[ toCamelCase( this.get( 'typeName' ) ) + 'Ids' ] = ids;
+        return data;
+    },
+
+    /*
+        If the list has not been fetched, fills it from the data saved in
+        <JMAP.cache>, if there is any. Returns true if it did.
+    */
+    restoreFromCache: function () {
+        var data = ( this.get( 'status' ) & EMPTY ) &&
+                JMAP.cache.getQueryData( this.get( 'id' ) ),
+            ids;
+        if ( !data ) {
+            return false;
+        }
+        ids = data[ toCamelCase( this.get( 'typeName' ) ) + 'Ids' ];
+        this.get( 'connection' ).setAccountIdForIds(
+            this.get( 'Type' ), ids, this.get( 'accountId' ) );
+        this.set( 'canGetDeltaUpdates', data.canCalculateUpdates );
+        this.sourceDidFetchIdList({
+            state: data.state,
+            total: data.total,
+            position: 0,
+            idList: ids
+        });
+        return true;
+    }
+});
+
+/**
+    Function: JMAP.RemoteList.fetchQuery
+
+    The `query` handler for a <JMAP.RemoteList> class, to register with
+    <JMAP.Connection#handle> (<JMAP.RemoteList.forType> does this). Shows the
+    list saved in the cache, if it has not been fetched, then fetches the
+    updates and the windows the list needs with the type's list and list
+    updates methods.
+
+    Parameters:
+        query - {JMAP.RemoteList} The list to fetch.
+*/
+var fetchQuery = function ( query ) {
+    // Show the list saved in the cache straight away, if there is one;
+    // it is then brought up to date like any other.
+    var isFromCache = query.restoreFromCache(),
+        typeName = query.get( 'typeName' ),
+        canGetDeltaUpdates = query.get( 'canGetDeltaUpdates' ),
+        state = query.get( 'state' ),
+        request = query.sourceWillFetchQuery(),
+        hasMadeRequest = false,
+        args;
+
+    if ( canGetDeltaUpdates && state &&
+            ( request.refresh || isFromCache ) ) {
+        var list = query._list,
+            length = list.length;
+        args = O.extend( query.getQueryArgs(), {
+            sinceState: state,
+            maxChanges: query.get( 'maxChanges' )
+        });
+        args[ 'upto' + typeName + 'Id' ] =
+            ( length === query.get( 'length' ) ) ?
+                undefined : list[ length - 1 ];
+        this.callMethod( 'get' + typeName + 'ListUpdates', args );
+    }
+
+    if ( request.callback ) {
+        this.addCallback( request.callback );
+    }
+
+    var get = function ( start, count, anchor, offset, fetchData ) {
+        hasMadeRequest = true;
+        this.callMethod( 'get' + typeName + 'List', query.addFetchArgs(
+            O.extend( query.getQueryArgs(), {
+                position: start,
+                anchor: anchor,
+                anchorOffset: offset,
+                limit: count
+            }), fetchData ) );
+    }.bind( this );
+
+    request.ids.forEach( function ( req ) {
+        get( req.start, req.count, undefined, undefined, false );
+    });
+    request.records.forEach( function ( req ) {
+        get( req.start, req.count, undefined, undefined, true );
+    });
+    request.indexOf.forEach( function ( req ) {
+        get( undefined, 5, req[0], 1, false );
+        this.addCallback( req[1] );
+    }, this );
+
+    if ( ( ( query.get( 'status' ) & EMPTY ) &&
+            !request.records.length ) ||
+         ( !canGetDeltaUpdates && !hasMadeRequest &&
+            ( request.refresh || isFromCache ) ) ) {
+        get( 0, query.get( 'windowSize' ), undefined, undefined, true );
+    }
+};
+
+/**
+    Function: JMAP.RemoteList.forType
+
+    Makes a <JMAP.RemoteList> class for a record type, and registers the
+    handlers with the connection for the type to fetch it and process the
+    responses. For "Contact", the list is fetched with getContactList, which
+    returns a contactList response with the `contactIds`, and kept up to date
+    with getContactListUpdates, which returns a contactListUpdates response.
+    These are translated to Contact/query and Contact/queryChanges for the
+    'rfc8620' protocol, as for every type it knows about (including those
+    added with the `capability` option of <JMAP.defineType>).
+
+    Parameters:
+        Type       - {O.Class} The record class.
+        connection - {JMAP.Connection} The connection for the type.
+        typeName   - {String} The name of the type used in the method names,
+                     e.g. "Contact".
+        options    - {Object} (optional) Any of:
+
+                     plural - {String} The plural of the type name used in
+                         the arguments to fetch the records with the ids,
+                         e.g. fetchContacts. Defaults to the type name plus
+                         "s" (or "es" or "ies" as appropriate).
+
+    Returns:
+        {O.Class} The new subclass of <JMAP.RemoteList>. Its `getId` function
+        takes the arguments to create a list with and returns the id to get
+        it from the store with.
+*/
+RemoteList.forType = function ( Type, connection, typeName, options ) {
+    var plural = ( options && options.plural ) ||
+            JMAP.defineType.getPlural( typeName ),
+        camelName = toCamelCase( typeName ),
+        getList = 'get' + typeName + 'List',
+        getListUpdates = 'get' + typeName + 'ListUpdates',
+        idProperty = camelName + 'Id',
+        uptoProperty = 'upto' + typeName + 'Id',
+        handlers = {},
+        List;
+
+    List = O.Class({
+        Extends: RemoteList,
+        Type: Type,
+        connection: connection,
+        typeName: typeName,
+        plural: plural
+    });
+
+    List.getId = function ( args ) {
+        return getId( typeName, args );
+    };
+
+    handlers.query = fetchQuery;
+
+    // ---
+
+    handlers[ camelName + 'List' ] = function ( args, _, reqArgs ) {
+        var query = this.get( 'store' ).getQuery(
+                getId( typeName, reqArgs ) ),
+            ids = args[ idProperty + 's' ];
+
+        // Any records we fetch for these ids must come from the same account.
+        this.setAccountIdForIds( Type, ids, reqArgs.accountId );
+
+        if ( query instanceof List ) {
+            args.idList = ids;
+            query.set( 'canGetDeltaUpdates', args.canCalculateUpdates );
+            query.sourceDidFetchIdList( args );
+        }
+    };
+
+    handlers[ 'error_' + getList + '_anchorNotFound' ] = function () {
+        // Don't need to do anything; it's only used for doing indexOf,
+        // and it will just check that it doesn't have it.
+    };
+
+    handlers[ camelName + 'ListUpdates' ] = function ( args, _, reqArgs ) {
+        var query = this.get( 'store' ).getQuery(
+                getId( typeName, reqArgs ) ),
+            toId = function ( item ) {
+                return item[ idProperty ];
+            };
+
+        if ( query instanceof List ) {
+            args.upto = args[ uptoProperty ];
+            args.removed = args.removed.map( toId );
+            args.added = args.added.map( function ( item ) {
+                return [ item.index, item[ idProperty ] ];
+            });
+            this.setAccountIdForIds( Type, args.added.map( function ( item ) {
+                return item[1];
+            }), reqArgs.accountId );
+            query.sourceDidFetchUpdate( args );
+        }
+    };
+
+    handlers[ 'error_' + getListUpdates + '_cannotCalculateChanges' ] =
+            function ( _, __, reqArgs ) {
+        this.response[ 'error_' + getListUpdates + '_tooManyChanges' ]
+            .call( this, _, __, reqArgs );
+    };
+
+    handlers[ 'error_' + getListUpdates + '_tooManyChanges' ] =
+            function ( _, __, reqArgs ) {
+        var query = this.get( 'store' ).getQuery(
+            getId( typeName, reqArgs ) );
+        if ( query instanceof List ) {
+            query.reset();
+        }
+    };
+
+    connection.handle( List, handlers );
+    return List;
+};
+
+RemoteList.fetchQuery = fetchQuery;
+
+JMAP.RemoteList = RemoteList;
+
+}( JMAP ) );
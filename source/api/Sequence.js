@@ -6,7 +6,7 @@
 // License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
 // -------------------------------------------------------------------------- \\
 
-/*global O, JMAP */
+/*global O, JMAP, Promise */
 
 "use strict";
 
@@ -14,6 +14,16 @@
 
 var noop = function () {};
 
+/**
+    Class: JMAP.Sequence
+
+    Runs a series of steps, each of which may be asynchronous. Each step is
+    called with a function to call to continue to the next step (with the
+    data to pass it), and the data passed on from the previous step.
+    Alternatively, a step may return a promise (and ignore the first
+    argument); the sequence then continues with the value it resolves to, or
+    fails with the reason it is rejected with.
+*/
 var Sequence = O.Class({
 
     Extends: O.Object,
@@ -24,9 +34,27 @@ var Sequence = O.Class({
         this.length = 0;
         this.afterwards = noop;
 
+        // Once finished, a tuple of whether it completed and the data passed
+        // on from the last step (or the error if it was cancelled).
+        this._outcome = null;
+        this._promise = null;
+        this._settle = null;
+
         Sequence.parent.init.call( this );
     },
 
+    /**
+        Method: JMAP.Sequence#then
+
+        Adds a step to the sequence. Note, a sequence is not itself a
+        promise: to wait for it, use <JMAP.Sequence#promise>.
+
+        Parameters:
+            fn - {Function} The step to add.
+
+        Returns:
+            {JMAP.Sequence} Returns self.
+    */
     then: function ( fn ) {
         this.queue.push( fn );
         this.increment( 'length', 1 );
@@ -36,14 +64,21 @@ var Sequence = O.Class({
     go: function go ( data ) {
         var index = this.index,
             length = this.length,
-            fn = this.queue[ index ];
+            fn = this.queue[ index ],
+            next, result;
         if ( index < length ) {
             index += 1;
             this.set( 'index', index );
-            fn( go.bind( this ), data );
+            next = go.bind( this );
+            result = fn( next, data );
+            if ( result && typeof result.then === 'function' ) {
+                result.then( next, this.fail.bind( this ) );
+            }
             if ( index === length ) {
                 this.afterwards( index, length );
             }
+        } else if ( !this._outcome ) {
+            this.didFinish( true, data );
         }
     },
 
@@ -53,7 +88,63 @@ var Sequence = O.Class({
         if ( index < length ) {
             this.set( 'length', 0 );
             this.afterwards( index, length );
+            this.didFinish( false, new Error( 'JMAP.Sequence: cancelled' ) );
+        }
+    },
+
+    /**
+        Method: JMAP.Sequence#fail
+
+        Stops the sequence because a step failed, rejecting the promise
+        returned by <JMAP.Sequence#promise> with the error. This works
+        whichever step failed, including the last.
+
+        Parameters:
+            error - {*} The reason the step failed.
+    */
+    fail: function ( error ) {
+        var index = this.index,
+            length = this.length;
+        if ( this._outcome ) {
+            return;
+        }
+        if ( index < length ) {
+            this.set( 'length', 0 );
+            this.afterwards( index, length );
+        }
+        this.didFinish( false, error );
+    },
+
+    didFinish: function ( isComplete, value ) {
+        this._outcome = [ isComplete, value ];
+        if ( this._settle ) {
+            this._settle( isComplete, value );
+        }
+    },
+
+    /**
+        Method: JMAP.Sequence#promise
+
+        Returns:
+            {Promise} A promise which resolves once the last step continues,
+            with the data it passes on, or is rejected if the sequence is
+            cancelled first (or with the reason a step's promise is rejected
+            with).
+    */
+    promise: function () {
+        var sequence = this,
+            outcome = this._outcome;
+        if ( !this._promise ) {
+            this._promise = new Promise( function ( resolve, reject ) {
+                sequence._settle = function ( isComplete, value ) {
+                    ( isComplete ? resolve : reject )( value );
+                };
+            });
+            if ( outcome ) {
+                this._settle( outcome[0], outcome[1] );
+            }
         }
+        return this._promise;
     },
 
     progress: function () {
@@ -0,0 +1,309 @@
+// -------------------------------------------------------------------------- \\
+// File: Tracer.js                                                            \\
+// Module: API                                                                \\
+// Requires: connections.js                                                   \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/*
+    A tracer is told about each request a <JMAP.Connection> sends, if set as
+    its `tracer`. It must implement three methods:
+
+    connectionWillSend( connection, remoteCalls )
+        Called just before a request is sent (or sent again) with the method
+        calls in it. Returns an object to identify the request by, which is
+        passed to the other two methods.
+
+    connectionDidReceive( exchange, event )
+        Called when the request has finished, with the "io:success",
+        "io:failure" or "io:abort" event fired by the transport, before the
+        response is processed.
+
+    connectionDidHandle( exchange, response, time )
+        Called after a response handler has run for one of the method
+        responses (a `[ name, args, tag ]` triple), with the time it took
+        in ms.
+*/
+
+var getHeader = function ( headers, name ) {
+    var header;
+    name = name.toLowerCase();
+    for ( header in headers ) {
+        if ( header.toLowerCase() === name ) {
+            return headers[ header ];
+        }
+    }
+    return '';
+};
+
+var getSize = function ( data ) {
+    return data === undefined || data === null ? 0 :
+        ( typeof data === 'string' ? data : JSON.stringify( data ) ).length;
+};
+
+/**
+    Class: JMAP.Tracer
+
+    Extends: O.Object
+
+    Keeps a record of the most recent requests sent by the connections it is
+    the `tracer` for, in a ring buffer of <#maxExchanges>. Each exchange
+    recorded is an object with:
+
+    * id: A number counting up from 1 for each request traced.
+    * connection: The id of the connection, e.g. "mail".
+    * calls: The method calls sent, each an object with the `name`, `tag`
+      and `args`.
+    * sentAt: The time the request was sent, in ms since the epoch.
+    * requestSize: The size of the request body, in characters.
+    * result: "pending" until the request finishes, then "success",
+      "failure" or "abort".
+    * status: The HTTP status of the response (0 if it never arrived).
+    * responseSize: The size of the response body, in characters.
+    * roundTripTime: The time in ms from sending to receiving the response.
+    * serverTime: The time in ms the server says it took, from the
+      Server-Timing header of the response (see <#getServerTime>), or null
+      if not given.
+    * handlers: The response handlers that ran, in order, each an object
+      with the `name` and `tag` of the response and the `time` in ms the
+      handler took.
+
+    Tracing costs nothing when no tracer is set on a connection. The shared
+    <JMAP.tracer> is the easiest way to use this from the console.
+*/
+var Tracer = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.Tracer#maxExchanges
+        Type: Number
+        Default: 100
+
+        The number of exchanges to keep; once full, the oldest is dropped
+        for each new one.
+    */
+    maxExchanges: 100,
+
+    init: function ( mixin ) {
+        this._exchanges = [];
+        // The index in _exchanges the next exchange will be put at once
+        // the buffer is full.
+        this._next = 0;
+        this._nextId = 1;
+        Tracer.parent.init.call( this, mixin );
+    },
+
+    /**
+        Method: JMAP.Tracer#getServerTime
+
+        Parameters:
+            event - {IOEvent} The event fired when the request finished.
+
+        Returns:
+            {(Number|null)} The time in ms the server took to handle the
+            request: the duration of the "total" metric in the response's
+            Server-Timing header, or else the sum of the durations given,
+            or null if there are none. Override this if your server reports
+            its time some other way.
+    */
+    getServerTime: function ( event ) {
+        var header = getHeader( event.headers || {}, 'Server-Timing' ),
+            total = null,
+            sum = null;
+        String( header ).split( ',' ).forEach( function ( metric ) {
+            var parts = metric.trim().split( ';' ),
+                duration = /(?:^|;)\s*dur=([0-9.]+)/.exec( metric );
+            if ( duration ) {
+                duration = parseFloat( duration[1] );
+                sum = ( sum || 0 ) + duration;
+                if ( parts[0].trim() === 'total' ) {
+                    total = duration;
+                }
+            }
+        });
+        return total !== null ? total : sum;
+    },
+
+    // --- Called by O.Connection ---
+
+    connectionWillSend: function ( connection, remoteCalls ) {
+        var exchange = {
+                id: this._nextId++,
+                connection: connection.get( 'id' ),
+                calls: remoteCalls.map( function ( call ) {
+                    return {
+                        name: call[0],
+                        tag: call[2],
+                        args: call[1]
+                    };
+                }),
+                sentAt: Date.now(),
+                requestSize: getSize( connection.encodeRequest( remoteCalls ) ),
+                result: 'pending',
+                status: 0,
+                responseSize: 0,
+                roundTripTime: null,
+                serverTime: null,
+                handlers: []
+            },
+            exchanges = this._exchanges,
+            max = this.get( 'maxExchanges' );
+        if ( exchanges.length < max ) {
+            exchanges.push( exchange );
+        } else {
+            exchanges[ this._next ] = exchange;
+            this._next = ( this._next + 1 ) % max;
+        }
+        return exchange;
+    },
+
+    connectionDidReceive: function ( exchange, event ) {
+        exchange.result = event.type.replace( 'io:', '' );
+        exchange.status = event.status || 0;
+        exchange.responseSize = getSize( event.data );
+        exchange.roundTripTime = Date.now() - exchange.sentAt;
+        exchange.serverTime = this.getServerTime( event );
+    },
+
+    connectionDidHandle: function ( exchange, response, time ) {
+        exchange.handlers.push({
+            name: response[0],
+            tag: response[2],
+            time: time
+        });
+    },
+
+    // ---
+
+    /**
+        Method: JMAP.Tracer#getExchanges
+
+        Parameters:
+            filter - {(String|Function)} (optional) Either the name of a
+                     method, to only return the exchanges that called it,
+                     or a function which is given each exchange and returns
+                     true to include it.
+
+        Returns:
+            {Object[]} The exchanges kept, oldest first.
+    */
+    getExchanges: function ( filter ) {
+        var exchanges = this._exchanges,
+            next = this._next,
+            name;
+        exchanges = exchanges.slice( next )
+            .concat( exchanges.slice( 0, next ) );
+        if ( typeof filter === 'string' ) {
+            name = filter;
+            filter = function ( exchange ) {
+                return exchange.calls.some( function ( call ) {
+                    return call.name === name;
+                });
+            };
+        }
+        return filter ? exchanges.filter( filter ) : exchanges;
+    },
+
+    /**
+        Method: JMAP.Tracer#getSummary
+
+        Parameters:
+            filter - {(String|Function)} (optional) As for <#getExchanges>.
+
+        Returns:
+            {Object[]} A row for each exchange, with the calls and handlers
+            as strings and the sizes and times, ready to give to
+            `console.table`.
+    */
+    getSummary: function ( filter ) {
+        return this.getExchanges( filter ).map( function ( exchange ) {
+            return {
+                id: exchange.id,
+                connection: exchange.connection,
+                calls: exchange.calls.map( function ( call ) {
+                    return call.name + '#' + call.tag;
+                }).join( ', ' ),
+                result: exchange.result,
+                status: exchange.status,
+                requestSize: exchange.requestSize,
+                responseSize: exchange.responseSize,
+                roundTripTime: exchange.roundTripTime,
+                serverTime: exchange.serverTime,
+                handlers: exchange.handlers.map( function ( handler ) {
+                    return handler.name + '#' + handler.tag +
+                        ' (' + handler.time + 'ms)';
+                }).join( ', ' )
+            };
+        });
+    },
+
+    /**
+        Method: JMAP.Tracer#clear
+
+        Throws away all the exchanges kept.
+
+        Returns:
+            {JMAP.Tracer} Returns self.
+    */
+    clear: function () {
+        this._exchanges = [];
+        this._next = 0;
+        return this;
+    },
+
+    /**
+        Method: JMAP.Tracer#enable
+
+        Sets this as the tracer for every connection in <JMAP.source>.
+
+        Returns:
+            {JMAP.Tracer} Returns self.
+    */
+    enable: function () {
+        JMAP.source.get( 'sources' ).forEach( function ( connection ) {
+            connection.set( 'tracer', this );
+        }, this );
+        return this;
+    },
+
+    /**
+        Method: JMAP.Tracer#disable
+
+        Stops tracing the connections in <JMAP.source> that this is the
+        tracer for. The exchanges already kept are left alone.
+
+        Returns:
+            {JMAP.Tracer} Returns self.
+    */
+    disable: function () {
+        JMAP.source.get( 'sources' ).forEach( function ( connection ) {
+            if ( connection.get( 'tracer' ) === this ) {
+                connection.set( 'tracer', null );
+            }
+        }, this );
+        return this;
+    }
+});
+
+JMAP.Tracer = Tracer;
+
+/**
+    Object: JMAP.tracer
+
+    A shared <JMAP.Tracer>, off until <JMAP.Tracer#enable> is called. From
+    the console:
+
+        JMAP.tracer.enable();
+        // ... use the app ...
+        console.table( JMAP.tracer.getSummary( 'getMessageList' ) );
+*/
+JMAP.tracer = new Tracer();
+
+}( JMAP ) );
@@ -0,0 +1,332 @@
+// -------------------------------------------------------------------------- \\
+// File: cache.js                                                             \\
+// Module: API                                                                \\
+// Requires: connections.js, storage.js                                       \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+var Status = O.Status,
+    READY = Status.READY,
+    // Records in any of these states may not match the type state.
+    NOT_CLEAN = Status.NEW | Status.DIRTY | Status.COMMITTING |
+        Status.OBSOLETE | Status.LOADING;
+
+var getConnectionForType = function ( Type ) {
+    var typeId = O.guid( Type );
+    return JMAP.source.get( 'sources' ).filter( function ( connection ) {
+        return !!connection.recordFetchers[ typeId ];
+    })[0] || null;
+};
+
+// Returns a set of the ids saved for the type with the queries, e.g. the
+// `messageIds` of each message list for "Message".
+var getQueryIds = function ( queries, typeName ) {
+    var key = typeName.charAt( 0 ).toLowerCase() + typeName.slice( 1 ) +
+            'Ids',
+        ids = {},
+        id;
+    for ( id in queries ) {
+        ( queries[ id ][ key ] || [] ).forEach( function ( recordId ) {
+            ids[ recordId ] = true;
+        });
+    }
+    return ids;
+};
+
+/**
+    Object: JMAP.cache
+
+    Saves the records in <JMAP.store> (for the default account of each
+    connection) and the state of each type to a storage backend, such as
+    a <JMAP.IndexedDBStorage>, so the next time the app starts they can be
+    shown straight away. Once loaded, only the changes since the saved
+    states are fetched from the server.
+
+    Caching is off until a <#storage> backend is set. Records with changes
+    not yet committed are never saved; if a type has any, the last saved
+    version of that type is kept instead. For the <#queryTypeNames>, only
+    the records in the saved queries are kept, so the cache does not grow
+    without bound as the user reads their mail.
+*/
+JMAP.cache = new O.Object({
+
+    /**
+        Property: JMAP.cache#storage
+        Type: Object|null
+
+        The storage backend (see storage.js), or null to disable the cache.
+    */
+    storage: null,
+
+    /**
+        Property: JMAP.cache#typeNames
+        Type: String[]
+
+        The names of the record types to save. Each name must be the name of
+        a record type in the JMAP namespace, e.g. "Message" for
+        <JMAP.Message>.
+    */
+    typeNames: [
+        'Mailbox', 'Thread', 'Message',
+        'ContactGroup', 'Contact',
+        'Calendar'
+    ],
+
+    /**
+        Property: JMAP.cache#queryTypeNames
+        Type: String[]
+
+        The names of the types in <#typeNames> there may be too many records
+        of to save them all. For these, only the records whose ids a query
+        saves (in the `<type>Ids` property of its cache data, e.g.
+        `messageIds` for "Message") are saved.
+    */
+    queryTypeNames: [ 'Thread', 'Message' ],
+
+    /**
+        Property: JMAP.cache#saveDelay
+        Type: Number
+        Default: 5000
+
+        How long (in ms) to wait after a change before saving, so a burst of
+        changes only leads to one save.
+    */
+    saveDelay: 5000,
+
+    /**
+        Property: JMAP.cache#maxQueryLength
+        Type: Number
+        Default: 100
+
+        The maximum number of ids to save for each query (such as
+        a <JMAP.MessageList> or <JMAP.RemoteList>).
+    */
+    maxQueryLength: 100,
+
+    // The username the saved data belongs to.
+    _username: '',
+    // The data last saved or loaded.
+    _snapshot: null,
+    _timer: null,
+    _isObservingStore: false,
+
+    getKey: function ( username ) {
+        return 'jmap:' + username;
+    },
+
+    // ---
+
+    /**
+        Method: JMAP.cache#load
+
+        Loads the saved data for a user into <JMAP.store>, then fetches the
+        changes since it was saved. Call this at startup, before or along
+        with <JMAP.auth#didAuthenticate>; the fetches are sent once
+        authenticated. Any type that has already been fetched from the
+        server is left alone.
+
+        Parameters:
+            username - {String} The user to load the data for.
+            callback - {Function} (optional) Called once the data has been
+                       loaded (or if there was none).
+
+        Returns:
+            {JMAP.cache} Returns self.
+    */
+    load: function ( username, callback ) {
+        var storage = this.get( 'storage' ),
+            cache = this;
+        this._username = username;
+        if ( !storage ) {
+            if ( callback ) {
+                callback();
+            }
+            return this;
+        }
+        storage.read( this.getKey( username ), function ( snapshot ) {
+            if ( snapshot && cache._username === username ) {
+                cache.restore( snapshot );
+            }
+            if ( callback ) {
+                callback();
+            }
+        });
+        return this;
+    },
+
+    restore: function ( snapshot ) {
+        var store = JMAP.store,
+            types = snapshot.types || {};
+        this._snapshot = snapshot;
+        this.get( 'typeNames' ).forEach( function ( typeName ) {
+            var Type = JMAP[ typeName ],
+                saved = types[ typeName ],
+                connection = Type && getConnectionForType( Type ),
+                accountId = connection && connection.get( 'accountId' );
+            if ( !saved || !connection || store.getTypeState( Type ) ||
+                    ( accountId && saved.accountId &&
+                        accountId !== saved.accountId ) ) {
+                return;
+            }
+            store.sourceDidFetchRecords(
+                Type, saved.records, saved.state, false );
+            // Now just fetch the changes since we saved.
+            store.fetchAll( Type, true );
+        });
+        return this;
+    },
+
+    /**
+        Method: JMAP.cache#getQueryData
+
+        Parameters:
+            id - {String} The id of the query.
+
+        Returns:
+            {(Object|null)} The data saved for the query by its
+            `getCacheData` method, or null if none was loaded.
+    */
+    getQueryData: function ( id ) {
+        var queries = this._snapshot && this._snapshot.queries;
+        return ( queries && queries[ id ] ) || null;
+    },
+
+    // ---
+
+    storageDidChange: function () {
+        var store = JMAP.store;
+        if ( !this._isObservingStore && this.get( 'storage' ) ) {
+            this._isObservingStore = true;
+            this.get( 'typeNames' ).forEach( function ( typeName ) {
+                var Type = JMAP[ typeName ];
+                if ( Type ) {
+                    store.on( Type, this, 'scheduleSave' );
+                }
+            }, this );
+        }
+    }.observes( 'storage' ),
+
+    scheduleSave: function () {
+        if ( !this._timer && this.get( 'storage' ) ) {
+            this._timer = O.RunLoop.invokeAfterDelay(
+                this.save, this.get( 'saveDelay' ), this );
+        }
+    },
+
+    /**
+        Method: JMAP.cache#save
+
+        Saves the data now. This normally happens automatically a few
+        seconds after any records change.
+
+        Returns:
+            {JMAP.cache} Returns self.
+    */
+    save: function () {
+        var storage = this.get( 'storage' ),
+            username = JMAP.auth.get( 'username' ),
+            store = JMAP.store,
+            snapshot = this._snapshot,
+            previous = snapshot && username === this._username ?
+                snapshot.types || {} : {},
+            queryTypeNames = this.get( 'queryTypeNames' ),
+            types = {},
+            queries = {};
+
+        O.RunLoop.cancel( this._timer );
+        this._timer = null;
+        if ( !storage || !username ) {
+            return this;
+        }
+
+        store.getAllRemoteQueries().forEach( function ( query ) {
+            var data = query.getCacheData && query.getCacheData();
+            if ( data ) {
+                queries[ query.get( 'id' ) ] = data;
+            }
+        });
+
+        this.get( 'typeNames' ).forEach( function ( typeName ) {
+            var Type = JMAP[ typeName ],
+                state = Type && store.getTypeState( Type ),
+                connection, ids, records, isClean;
+            if ( !state ) {
+                return;
+            }
+            connection = getConnectionForType( Type );
+            ids = queryTypeNames.contains( typeName ) ?
+                getQueryIds( queries, typeName ) : null;
+            records = [];
+            isClean = true;
+            store.findAll( Type ).forEach( function ( storeKey ) {
+                var status = store.getStatus( storeKey ),
+                    data;
+                if ( !( status & READY ) ) {
+                    return;
+                }
+                data = store.getData( storeKey );
+                // Only records in the default account are saved, and only
+                // those in a saved query if it's one of the query types.
+                if ( ( connection &&
+                            connection.getAccountIdForId( Type, data.id ) ) ||
+                        ( ids && !ids[ data.id ] ) ) {
+                    return;
+                }
+                if ( status & NOT_CLEAN ) {
+                    isClean = false;
+                    return;
+                }
+                records.push( data );
+            });
+            if ( isClean ) {
+                types[ typeName ] = {
+                    accountId: connection && connection.get( 'accountId' ),
+                    state: state,
+                    records: records
+                };
+            } else if ( previous[ typeName ] ) {
+                types[ typeName ] = previous[ typeName ];
+            }
+        });
+
+        this._username = username;
+        this._snapshot = snapshot = {
+            types: types,
+            queries: queries
+        };
+        storage.write( this.getKey( username ), snapshot );
+        return this;
+    },
+
+    /**
+        Method: JMAP.cache#clear
+
+        Removes the saved data for the current user. This is called
+        automatically on <JMAP.auth#logout>.
+
+        Returns:
+            {JMAP.cache} Returns self.
+    */
+    clear: function () {
+        var storage = this.get( 'storage' ),
+            username = this._username;
+        O.RunLoop.cancel( this._timer );
+        this._timer = null;
+        this._snapshot = null;
+        this._username = '';
+        if ( storage && username ) {
+            storage.remove( this.getKey( username ) );
+        }
+        return this;
+    }
+});
+
+JMAP.auth.on( 'logout', JMAP.cache, 'clear' );
+
+}( JMAP ) );
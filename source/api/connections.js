@@ -19,16 +19,20 @@ JMAP.upload = new O.IOQueue({
 JMAP.source = new O.AggregateSource({
     sources: [
         JMAP.mail = new JMAP.Connection({
-            id: 'mail'
+            id: 'mail',
+            capability: 'urn:ietf:params:jmap:mail'
         }),
         JMAP.contacts = new JMAP.Connection({
-            id: 'contacts'
+            id: 'contacts',
+            capability: 'urn:ietf:params:jmap:contacts'
         }),
         JMAP.calendar = new JMAP.Connection({
-            id: 'calendar'
+            id: 'calendar',
+            capability: 'urn:ietf:params:jmap:calendars'
         }),
         JMAP.peripheral = new JMAP.Connection({
-            id: 'peripheral'
+            id: 'peripheral',
+            capability: 'urn:ietf:params:jmap:core'
         })
     ]
 });
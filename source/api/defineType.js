@@ -0,0 +1,182 @@
+// -------------------------------------------------------------------------- \\
+// File: defineType.js                                                        \\
+// Module: API                                                                \\
+// Requires: Connection.js, protocols.js                                      \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+var withAccountId = JMAP.Connection.withAccountId;
+
+var toCamelCase = function ( name ) {
+    return name.charAt( 0 ).toLowerCase() + name.slice( 1 );
+};
+
+var getPlural = function ( name ) {
+    return /(?:s|x|ch|sh)$/.test( name ) ? name + 'es' :
+        /[^aeiou]y$/.test( name ) ? name.slice( 0, -1 ) + 'ies' :
+        name + 's';
+};
+
+/**
+    Function: JMAP.defineType
+
+    Registers the handlers with a connection to fetch, refresh and commit
+    records of a type using the standard methods for it, e.g. for "Mailbox":
+    getMailboxes, getMailboxUpdates and setMailboxes, along with the
+    handlers for their responses.
+
+    * Records are fetched with the get method, and all of them if no ids are
+      given.
+    * A refresh of the whole type fetches the updates since the current
+      state, with the records that changed. A refresh of particular records
+      fetches them again (just the <refreshProperties>, if given).
+    * If the server cannot calculate the changes since the current state,
+      all the records are fetched again.
+
+    Parameters:
+        Type       - {O.Class} The record class.
+        connection - {JMAP.Connection} The connection for the type.
+        typeName   - {String} The name of the type used in the method names,
+                     e.g. "Mailbox".
+        options    - {Object} (optional) Any of:
+
+                     precedence - {Number} The order to commit changes to
+                         this type in, relative to the other types on the
+                         connection; lower numbers go first.
+                     plural - {String} The plural of the type name used in
+                         the method names. Defaults to the type name plus
+                         "s" (or "es" or "ies" as appropriate).
+                     refreshProperties - {String[]} The properties to fetch
+                         when refreshing particular records. Defaults to
+                         all of them.
+                     maxChanges - {Number} The maximum number of changes to
+                         fetch in each updates call.
+                     hasMoreUpdates - {(String|Function)} What to do when an
+                         updates call says there are more updates than were
+                         returned: "wait" (the default) to leave them until
+                         the next refresh, "fetchMore" to fetch the next
+                         batch straight away, "refetch" to fetch all the
+                         records again, or a function to call with the
+                         connection as `this` and the response and request
+                         arguments.
+                     handlers - {Object} Any extra handlers to register, or
+                         ones to replace the generated handlers with, as
+                         passed to <JMAP.Connection#handle>.
+                     capability - {String} For a type the library does not
+                         know about, the capability required for it. This
+                         makes the methods work with the 'rfc8620' protocol
+                         too.
+                     serverName - {String} The name of the type in RFC 8620
+                         if different to the type name, e.g. "Email" for
+                         "Message". Only used with `capability`.
+
+    Returns:
+        {Object} The handlers registered.
+*/
+var defineType = function ( Type, connection, typeName, options ) {
+    var plural, camelPlural, get, getUpdates, set, errorName,
+        refreshProperties, maxChanges, hasMoreUpdates, handlers;
+
+    options = options || {};
+    plural = options.plural || getPlural( typeName );
+    camelPlural = toCamelCase( plural );
+    get = 'get' + plural;
+    getUpdates = 'get' + typeName + 'Updates';
+    set = 'set' + plural;
+    errorName = 'error_' + getUpdates + '_cannotCalculateChanges';
+    refreshProperties = options.refreshProperties || null;
+    maxChanges = options.maxChanges;
+    hasMoreUpdates = options.hasMoreUpdates || 'wait';
+
+    if ( typeof hasMoreUpdates === 'string' ) {
+        hasMoreUpdates = {
+            wait: null,
+            fetchMore: function ( args, reqArgs ) {
+                this.fetchAllRecordsForAccount( Type, reqArgs.accountId );
+            },
+            refetch: function ( args, reqArgs ) {
+                this.response[ errorName ].call( this, args, getUpdates,
+                    reqArgs );
+            }
+        }[ hasMoreUpdates ];
+    }
+
+    handlers = {
+        fetch: get,
+        refresh: function ( ids, state, accountId ) {
+            var args;
+            if ( ids ) {
+                this.callMethod( get, withAccountId({
+                    ids: ids,
+                    properties: refreshProperties
+                }, accountId ) );
+            } else {
+                args = withAccountId({
+                    sinceState: state,
+                    fetchRecords: true
+                }, accountId );
+                if ( maxChanges ) {
+                    args.maxChanges = maxChanges;
+                }
+                this.callMethod( getUpdates, args );
+            }
+        },
+        commit: set
+    };
+    if ( options.precedence !== undefined ) {
+        handlers.precedence = options.precedence;
+    }
+
+    // Response handlers
+
+    handlers[ camelPlural ] = function ( args, reqMethod, reqArgs ) {
+        this.didFetch( Type, args,
+            reqMethod === get && !reqArgs.ids, reqArgs.accountId );
+    };
+    handlers[ toCamelCase( typeName ) + 'Updates' ] =
+            function ( args, _, reqArgs ) {
+        this.didFetchUpdates( Type, args, reqArgs );
+        if ( args.hasMoreUpdates && hasMoreUpdates ) {
+            hasMoreUpdates.call( this, args, reqArgs );
+        }
+    };
+    handlers[ errorName ] = function ( _, __, reqArgs ) {
+        // All our data may be wrong. Refetch everything.
+        this.fetchAllRecords( Type, null, null, reqArgs.accountId );
+    };
+    handlers[ camelPlural + 'Set' ] = function ( args, _, reqArgs ) {
+        this.didCommit( Type, args, reqArgs.accountId );
+    };
+
+    O.extend( handlers, options.handlers || {} );
+
+    if ( options.capability ) {
+        JMAP.protocols.rfc8620.addType( typeName, plural,
+            options.serverName || typeName, options.capability );
+    }
+
+    connection.handle( Type, handlers );
+    return handlers;
+};
+
+/**
+    Function: JMAP.defineType.getPlural
+
+    Parameters:
+        name - {String} A type name, e.g. "Mailbox".
+
+    Returns:
+        {String} The plural used for the type name by default, e.g.
+        "Mailboxes".
+*/
+defineType.getPlural = getPlural;
+
+JMAP.defineType = defineType;
+
+}( JMAP ) );
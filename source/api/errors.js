@@ -0,0 +1,150 @@
+// -------------------------------------------------------------------------- \\
+// File: errors.js                                                            \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/**
+    Class: JMAP.RequestError
+
+    An error that occurred while talking to the server. The type property
+    says which kind of error it is:
+
+    - transport: the request could not be completed, or the response could
+      not be understood.
+    - httpStatus: the server responded with an HTTP error status.
+    - method: the server returned an error for a method call, and there was
+      no handler for it.
+    - set: the server rejected a create, update or destroy of a record.
+
+    Every error has a `request` property, the array of method calls in the
+    request that caused it (this may be null if the request was not a method
+    call, e.g. fetching the session). The other properties depend on the type:
+
+    transport  - `status`, `data` (the response body, if any).
+    httpStatus - `status`, `willRetry`.
+    method     - `method`, `arguments`, `error` (the error object returned by
+                 the server).
+    set        - `method`, `arguments`, `error` (the SetError returned by the
+                 server), `action` ('create', 'update' or 'destroy'), `Type`
+                 and `id` (the store key for a create).
+
+    Most also have a `connection` and a human readable `description`.
+*/
+var RequestError = O.Class({
+
+    type: '',
+    description: '',
+    connection: null,
+    request: null,
+
+    init: function ( type, mixin ) {
+        this.type = type;
+        O.extend( this, mixin );
+    },
+
+    toString: function () {
+        return 'JMAP.RequestError(' + this.type + '): ' + this.description;
+    }
+});
+
+RequestError.TRANSPORT = 'transport';
+RequestError.HTTP_STATUS = 'httpStatus';
+RequestError.METHOD = 'method';
+RequestError.SET = 'set';
+
+var logError = function ( error ) {
+    O.RunLoop.didError({
+        name: 'JMAP.errors',
+        message: error.toString(),
+        details: error.request ?
+            'Request:\n' + JSON.stringify( error.request, null, 2 ) : ''
+    });
+};
+
+/**
+    Object: JMAP.errors
+
+    The channel through which all errors talking to the server are reported.
+    Each error is a <JMAP.RequestError>. When one is reported:
+
+    1. The `lastError` property is set to it, so you can observe this.
+    2. An event with the same name as the error type (e.g. "httpStatus") is
+       fired on this object, with the error in the `error` property. Call
+       `event.preventDefault()` to stop the default handler running.
+    3. Otherwise, the default handler for the type in `defaultHandlers` is
+       called with the error, if there is one. You can replace or remove
+       these to change the default behaviour.
+*/
+JMAP.errors = new O.Object({
+
+    /**
+        Property: JMAP.errors#lastError
+        Type: (JMAP.RequestError|null)
+
+        The most recently reported error.
+    */
+    lastError: null,
+
+    /**
+        Property: JMAP.errors#defaultHandlers
+        Type: String[Function]
+
+        A map of error type to a function to call with the error if the
+        event was not cancelled. By default, transport and HTTP status errors
+        and calls to unknown methods or with invalid arguments are passed to
+        `O.RunLoop.didError`; method errors of other types (which have been
+        reported to the callback for the method anyway) and set errors (which
+        the store handles) are ignored.
+    */
+    defaultHandlers: {
+        transport: logError,
+        httpStatus: logError,
+        method: function ( error ) {
+            var type = error.error.type;
+            if ( type === 'unknownMethod' || type === 'invalidArguments' ) {
+                logError( error );
+            }
+        },
+        set: null
+    },
+
+    /**
+        Method: JMAP.errors#report
+
+        Reports an error to the app.
+
+        Parameters:
+            error - {JMAP.RequestError} The error.
+
+        Returns:
+            {JMAP.errors} Returns self.
+    */
+    report: function ( error ) {
+        var type = error.type,
+            event = new O.Event( type, this, {
+                error: error
+            }),
+            handler;
+        this.set( 'lastError', error )
+            .fire( type, event );
+        if ( !event.defaultPrevented ) {
+            handler = this.defaultHandlers[ type ];
+            if ( handler ) {
+                handler.call( this, error );
+            }
+        }
+        return this;
+    }
+});
+
+JMAP.RequestError = RequestError;
+
+}( JMAP ) );
@@ -0,0 +1,261 @@
+// -------------------------------------------------------------------------- \\
+// File: login.js                                                             \\
+// Module: API                                                                \\
+// Requires: Auth.js                                                          \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+var USERNAME = 'username';
+var METHOD = 'method';
+var LOADING = 'loading';
+var AUTHENTICATED = 'authenticated';
+
+/*
+    The methods may be given either as an array of type names, or (in later
+    versions of the spec) as an array of objects with a `type` property.
+*/
+var getMethodTypes = function ( methods ) {
+    return ( methods || [] ).map( function ( method ) {
+        return typeof method === 'string' ? method : method.type;
+    });
+};
+
+/**
+    Object: JMAP.auth.login
+
+    Handles logging in with the authentication flow from the JMAP auth spec,
+    posting to the authenticationUrl. Observe the `state` property to update
+    the UI:
+
+    * "username": waiting for <#submitUsername> to be called.
+    * "loading": waiting for the server.
+    * "method": waiting for <#submitMethod> to be called with one of the
+      `methods` the server supports for the next step (e.g. "password",
+      "totp" or "external"). The server may also give a `prompt` to show.
+    * "authenticated": done; <JMAP.auth#didAuthenticate> has been called
+      with the access token and endpoints returned by the server.
+
+    If a step fails, `error` is set to one of "unauthorized" (e.g. the
+    password was wrong; try again), "forbidden" (the user may not log in),
+    "rateLimited", "invalid" or "network". It is cleared on the next
+    submission.
+*/
+JMAP.auth.login = new O.Object({
+
+    state: USERNAME,
+
+    /**
+        Property: JMAP.auth.login#authenticationUrl
+        Type: String
+
+        The URL to post the login steps to. Defaults to
+        <JMAP.auth#authenticationUrl>.
+    */
+    authenticationUrl: '',
+
+    clientName: '',
+    clientVersion: '',
+    deviceName: '',
+
+    username: '',
+    loginId: '',
+    methods: [],
+    prompt: '',
+    error: '',
+
+    _request: null,
+
+    // ---
+
+    /**
+        Method: JMAP.auth.login#reset
+
+        Aborts any step in progress and goes back to the "username" state.
+
+        Returns:
+            {JMAP.auth.login} Returns self.
+    */
+    reset: function () {
+        var request = this._request;
+        if ( request ) {
+            this._request = null;
+            request.abort();
+        }
+        return this.beginPropertyChanges()
+            .set( 'loginId', '' )
+            .set( 'methods', [] )
+            .set( 'prompt', '' )
+            .set( 'error', '' )
+            .set( 'state', USERNAME )
+            .endPropertyChanges();
+    },
+
+    /**
+        Method: JMAP.auth.login#submitUsername
+
+        Parameters:
+            username - {String} The username to log in as.
+
+        Returns:
+            {JMAP.auth.login} Returns self.
+    */
+    submitUsername: function ( username ) {
+        this.set( 'username', username );
+        return this.post({
+            username: username,
+            clientName: this.get( 'clientName' ),
+            clientVersion: this.get( 'clientVersion' ),
+            deviceName: this.get( 'deviceName' )
+        });
+    },
+
+    /**
+        Method: JMAP.auth.login#submitMethod
+
+        Parameters:
+            type  - {String} One of the methods offered by the server.
+            value - {String} (optional) The password or code entered by the
+                    user. Not needed for the "external" method, which just
+                    checks whether the user has since authenticated some
+                    other way.
+
+        Returns:
+            {JMAP.auth.login} Returns self.
+    */
+    submitMethod: function ( type, value ) {
+        var data = {
+            loginId: this.get( 'loginId' ),
+            type: type
+        };
+        if ( value !== undefined ) {
+            data.value = value;
+        }
+        return this.post( data );
+    },
+
+    // ---
+
+    post: function ( data ) {
+        if ( this._request ) {
+            return this;
+        }
+        var login = this;
+        this.set( 'error', '' )
+            .set( 'state', LOADING );
+        this._request = new JMAP.HttpRequest({
+            timeout: 45000,
+            method: 'POST',
+            url: this.get( 'authenticationUrl' ) ||
+                JMAP.auth.get( 'authenticationUrl' ),
+            headers: {
+                'Accept': 'application/json',
+                'Content-type': 'application/json'
+            },
+            data: JSON.stringify( data ),
+            success: function ( event ) {
+                var response;
+                try {
+                    response = JSON.parse( event.data );
+                } catch ( error ) {}
+
+                if ( !response ) {
+                    login.didFail( 'invalid', METHOD );
+                } else if ( event.status === 201 ) {
+                    login.didSucceed( response );
+                } else {
+                    login.didContinue( response );
+                }
+            }.on( 'io:success' ),
+            failure: function ( event ) {
+                switch ( event.status ) {
+                case 401: // Unauthorized
+                    login.didFail( 'unauthorized', METHOD );
+                    break;
+                case 403: // Forbidden
+                    login.didFail( 'forbidden', USERNAME );
+                    break;
+                case 429: // Rate limited
+                    login.didFail( 'rateLimited', METHOD );
+                    break;
+                case 400: // Bad Request
+                    login.didFail( 'invalid', USERNAME );
+                    break;
+                default: // Connection failed or 5xx error
+                    login.didFail( 'network', METHOD );
+                }
+            }.on( 'io:failure' ),
+            timedOut: function () {
+                // Aborted by a timeout rather than by reset.
+                if ( login._request === this ) {
+                    login.didFail( 'network', METHOD );
+                }
+            }.on( 'io:abort' ),
+            cleanup: function () {
+                this.destroy();
+                if ( login._request === this ) {
+                    login._request = null;
+                }
+            }.on( 'io:end' )
+        }).send();
+        return this;
+    },
+
+    didContinue: function ( response ) {
+        return this.beginPropertyChanges()
+            .set( 'loginId', response.loginId )
+            .set( 'methods', getMethodTypes( response.methods ) )
+            .set( 'prompt', response.prompt || '' )
+            .set( 'state', METHOD )
+            .endPropertyChanges();
+    },
+
+    didSucceed: function ( response ) {
+        var urls = {
+                authenticationUrl: this.get( 'authenticationUrl' ) ||
+                    JMAP.auth.get( 'authenticationUrl' )
+            },
+            key;
+        for ( key in response ) {
+            if ( /Url$/.test( key ) ) {
+                urls[ key ] = response[ key ];
+            }
+        }
+        this.beginPropertyChanges()
+            .set( 'loginId', '' )
+            .set( 'methods', [] )
+            .set( 'prompt', '' )
+            .set( 'state', AUTHENTICATED )
+            .endPropertyChanges();
+        JMAP.auth.didAuthenticate(
+            response.username || this.get( 'username' ),
+            response.accessToken,
+            urls
+        );
+        return this;
+    },
+
+    didLogout: function () {
+        return this.set( 'username', '' )
+                   .reset();
+    },
+
+    didFail: function ( error, state ) {
+        // Can't go back to choosing a method if we never got that far.
+        if ( state === METHOD && !this.get( 'loginId' ) ) {
+            state = USERNAME;
+        }
+        return this.beginPropertyChanges()
+            .set( 'error', error )
+            .set( 'state', state )
+            .endPropertyChanges();
+    }
+});
+JMAP.auth.on( 'logout', JMAP.auth.login, 'didLogout' );
+
+}( JMAP ) );
@@ -0,0 +1,548 @@
+// -------------------------------------------------------------------------- \\
+// File: outbox.js                                                            \\
+// Module: API                                                                \\
+// Requires: connections.js, storage.js, promises.js                          \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, Promise */
+
+"use strict";
+
+( function ( JMAP ) {
+
+var WAITING = 'waiting',
+    FAILED = 'failed',
+    CONFLICT = 'conflict',
+    READY = O.Status.READY;
+
+var getConnectionForType = function ( Type ) {
+    var typeId = O.guid( Type );
+    return JMAP.source.get( 'sources' ).filter( function ( connection ) {
+        return !!connection.recordFetchers[ typeId ];
+    })[0] || null;
+};
+
+/**
+    Object: JMAP.outbox
+
+    Keeps a record of every change committed to the server (the creates,
+    updates and destroys sent in each set call) until the server has
+    confirmed it. Changes made while disconnected therefore wait here, and
+    if a <#storage> backend is set they are saved so they survive the page
+    being closed; call <#load> at startup to replay them.
+
+    Each entry in <#entries> is an object with:
+
+    * typeName: The name of the record type, e.g. "Message".
+    * action: "create", "update" or "destroy".
+    * accountId: The id of the account the record is in, or null for the
+      connection's default account.
+    * recordId: The id of the record (or its store key for a create).
+    * data: For a create, the data for the new record.
+    * state: For a create, the state of the type before it was committed.
+    * changes: For an update, the new values of the properties changed.
+    * committed: For an update, the values those properties had before.
+    * status: "waiting" until the server confirms it, "failed" if the
+      server rejected it (or it could not be replayed), or "conflict" if
+      the server has changed the same properties since, or it could not be
+      told whether a create had already been made (see <#replay>).
+    * error: The error from the server, if it failed.
+
+    Failed entries, and those in conflict, stay in the list until removed
+    with <#remove>.
+*/
+JMAP.outbox = new O.Object({
+
+    /**
+        Property: JMAP.outbox#storage
+        Type: Object|null
+
+        The storage backend (see storage.js) to save the entries with, or
+        null to only keep them in memory.
+    */
+    storage: null,
+
+    /**
+        Property: JMAP.outbox#typeNames
+        Type: String[]
+
+        The names of the record types to keep changes for. Each name must be
+        the name of a record type in the JMAP namespace.
+    */
+    typeNames: [
+        'Mailbox', 'Message',
+        'ContactGroup', 'Contact',
+        'Calendar', 'CalendarEvent'
+    ],
+
+    /**
+        Property: JMAP.outbox#entries
+        Type: Object[]
+
+        The changes not yet confirmed, in the order they were made. A new
+        array is set whenever this changes, so it may be observed.
+    */
+    entries: [],
+
+    /**
+        Property: JMAP.outbox#pendingCount
+        Type: Number
+
+        The number of entries still waiting to be confirmed by the server.
+    */
+    pendingCount: function () {
+        return this.get( 'entries' ).filter( function ( entry ) {
+            return entry.status === WAITING;
+        }).length;
+    }.property( 'entries' ),
+
+    _username: '',
+
+    getTypeName: function ( typeId ) {
+        var typeNames = this.get( 'typeNames' ),
+            l = typeNames.length,
+            Type;
+        while ( l-- ) {
+            Type = JMAP[ typeNames[l] ];
+            if ( Type && O.guid( Type ) === typeId ) {
+                return typeNames[l];
+            }
+        }
+        return '';
+    },
+
+    getKey: function ( username ) {
+        return 'jmap-outbox:' + username;
+    },
+
+    setEntries: function ( entries ) {
+        var storage = this.get( 'storage' ),
+            username = this._username || JMAP.auth.get( 'username' );
+        this.set( 'entries', entries );
+        if ( storage && username ) {
+            this._username = username;
+            storage.write( this.getKey( username ), entries );
+        }
+        return this;
+    },
+
+    // --- Called by O.Connection ---
+
+    /**
+        Method: JMAP.outbox#connectionWillCommit
+
+        Adds an entry for each create, update and destroy in a set of
+        changes about to be committed.
+
+        Parameters:
+            typeId - {String} The guid of the record type.
+            change     - {Object} The changes to commit, as passed to
+                         <O.Connection#commitChanges> for the type.
+            connection - {JMAP.Connection} The connection committing them.
+    */
+    connectionWillCommit: function ( typeId, change, connection ) {
+        var typeName = this.getTypeName( typeId ),
+            Type = JMAP[ typeName ],
+            create = change.create,
+            update = change.update,
+            destroy = change.destroy,
+            committed = update.committed,
+            entries = [],
+            getAccountId = function ( accountId ) {
+                return connection.isDefaultAccount( accountId ) ?
+                    null : accountId;
+            };
+        if ( !typeName ) {
+            return;
+        }
+        create.records.forEach( function ( data, i ) {
+            var accountId = getAccountId( data.accountId );
+            entries.push({
+                typeName: typeName,
+                action: 'create',
+                accountId: accountId,
+                recordId: create.storeKeys[i],
+                data: data,
+                state: connection.getTypeState( Type, accountId ),
+                status: WAITING,
+                error: null
+            });
+        });
+        update.records.forEach( function ( data, i ) {
+            var changed = update.changes[i];
+            entries.push({
+                typeName: typeName,
+                action: 'update',
+                accountId: getAccountId( data.accountId ),
+                recordId: data[ change.primaryKey ],
+                changes: Object.filter( data, changed ),
+                committed: committed ?
+                    Object.filter( committed[i], changed ) : null,
+                status: WAITING,
+                error: null
+            });
+        });
+        destroy.ids.forEach( function ( id ) {
+            entries.push({
+                typeName: typeName,
+                action: 'destroy',
+                accountId: getAccountId(
+                    connection.getAccountIdForId( Type, id ) ),
+                recordId: id,
+                status: WAITING,
+                error: null
+            });
+        });
+        if ( entries.length ) {
+            this.setEntries( this.get( 'entries' ).concat( entries ) );
+        }
+    },
+
+    /**
+        Method: JMAP.outbox#connectionDidCommit
+
+        Removes the entries the server has confirmed, and marks those it
+        rejected as failed.
+
+        Parameters:
+            typeId    - {String} The guid of the record type.
+            args      - {Object} The response to the set call.
+            accountId - {(String|null)} The account the call was made in, or
+                        null for the connection's default account.
+    */
+    connectionDidCommit: function ( typeId, args, accountId ) {
+        var typeName = this.getTypeName( typeId ),
+            results = {},
+            addResults = function ( action, ids, errors ) {
+                ( ids || [] ).forEach( function ( id ) {
+                    results[ action + ':' + id ] =
+                        errors ? errors[ id ] : null;
+                });
+            },
+            hasChanged = false,
+            entries;
+        if ( !typeName ) {
+            return;
+        }
+        addResults( 'create', Object.keys( args.created || {} ) );
+        addResults( 'update', args.updated );
+        addResults( 'destroy', args.destroyed );
+        addResults( 'create',
+            Object.keys( args.notCreated || {} ), args.notCreated );
+        addResults( 'update',
+            Object.keys( args.notUpdated || {} ), args.notUpdated );
+        addResults( 'destroy',
+            Object.keys( args.notDestroyed || {} ), args.notDestroyed );
+
+        entries = this.get( 'entries' ).reduce( function ( entries, entry ) {
+            var key = entry.action + ':' + entry.recordId,
+                error;
+            if ( entry.typeName !== typeName || entry.status !== WAITING ||
+                    ( entry.accountId || null ) !== accountId ||
+                    !results.hasOwnProperty( key ) ) {
+                entries.push( entry );
+                return entries;
+            }
+            hasChanged = true;
+            error = results[ key ];
+            // Only the first waiting entry for the record is confirmed.
+            delete results[ key ];
+            if ( error ) {
+                entries.push( O.extend( O.extend( {}, entry ), {
+                    status: error.type === 'stateMismatch' ?
+                        CONFLICT : FAILED,
+                    error: error
+                }) );
+            }
+            return entries;
+        }, [] );
+
+        if ( hasChanged ) {
+            this.setEntries( entries );
+        }
+    },
+
+    // ---
+
+    /**
+        Method: JMAP.outbox#load
+
+        Loads the entries saved for a user, then replays those still
+        waiting (see <#replay>). Call this at startup, after
+        <JMAP.cache#load> if you are using the cache.
+
+        Parameters:
+            username - {String} The user to load the entries for.
+            callback - {Function} (optional) Called once the entries have
+                       been replayed, even if that failed.
+
+        Returns:
+            {JMAP.outbox} Returns self.
+    */
+    load: function ( username, callback ) {
+        var storage = this.get( 'storage' ),
+            outbox = this;
+        this._username = username;
+        if ( !storage ) {
+            if ( callback ) {
+                callback();
+            }
+            return this;
+        }
+        storage.read( this.getKey( username ), function ( entries ) {
+            if ( !entries || outbox._username !== username ) {
+                if ( callback ) {
+                    callback();
+                }
+                return;
+            }
+            outbox.replay( entries ).catch( function ( error ) {
+                O.RunLoop.didError( error );
+            }).then( function () {
+                if ( callback ) {
+                    callback();
+                }
+            });
+        });
+        return this;
+    },
+
+    /**
+        Method: JMAP.outbox#replay
+
+        Makes the waiting changes in a list of entries again, in order, so
+        they are committed as normal (and given new entries). Entries that
+        had failed are kept as they were. Each change is made in the account
+        it was first made in.
+
+        The server may have made a create before the page was closed, even
+        though the response never came back. So before a create is made
+        again, the changes to the type since the state it was committed in
+        are fetched; if one of the records created or updated since has the
+        same value for each property in the entry's data the server has a
+        value for, the create is taken to have been made. If the changes
+        cannot be fetched (for example, because the server can no longer
+        calculate them), the create is not made again; an entry with a
+        "conflict" status (and the `error`) is added instead and a
+        "conflict" event is fired, as below.
+
+        Before an update is made again, the record is fetched. If the server
+        has since changed any of the properties being updated to a value
+        other than the one they had when the change was made, those
+        properties are left alone, an entry with a "conflict" status (with
+        the `properties` in conflict and the `server` version of the record)
+        is added instead and a "conflict" event is fired on the outbox with
+        the entry as its `entry` property. The rest of the update is made as
+        normal.
+
+        If an entry cannot be replayed (for example, because the request to
+        fetch the record failed), an entry with a "failed" status and an
+        `error` of type "replayFailed" is added instead, and the rest are
+        still replayed.
+
+        Parameters:
+            entries - {Object[]} The entries to replay.
+
+        Returns:
+            {Promise} Resolves once all the changes have been made.
+    */
+    replay: function ( entries ) {
+        var outbox = this;
+        this.setEntries( this.get( 'entries' ).concat(
+            entries.filter( function ( entry ) {
+                return entry.status !== WAITING;
+            }) ) );
+        return entries.reduce( function ( promise, entry ) {
+            return entry.status === WAITING ?
+                promise.then( function () {
+                    return outbox.replayEntry( entry );
+                }).catch( function ( error ) {
+                    outbox.addEntry( entry, {
+                        status: FAILED,
+                        error: {
+                            type: 'replayFailed',
+                            description: error && error.message ||
+                                String( error )
+                        }
+                    });
+                }) :
+                promise;
+        }, Promise.resolve() ).then( function () {
+            JMAP.store.commitChanges();
+        });
+    },
+
+    // Adds a copy of an entry with the given properties changed; fires a
+    // conflict event if it is now in conflict.
+    addEntry: function ( entry, changes ) {
+        entry = O.extend( O.extend( {}, entry ), changes );
+        this.setEntries( this.get( 'entries' ).concat( entry ) );
+        if ( entry.status === CONFLICT ) {
+            this.fire( 'conflict', {
+                entry: entry
+            });
+        }
+        return this;
+    },
+
+    /*
+        Resolves with true if the server has already made a create entry,
+        looking at the records created or updated since the state the type
+        was in when it was committed (fetching the updates in as many
+        batches as the server needs). Rejects if it cannot be told.
+    */
+    wasCreated: function ( entry, Type, connection ) {
+        var data = entry.data,
+            accountId = entry.accountId || null,
+            getChanged = function ( sinceState, changed ) {
+                return connection.callMethodAsync(
+                    'get' + entry.typeName + 'Updates',
+                    JMAP.Connection.withAccountId({
+                        sinceState: sinceState
+                    }, accountId )
+                ).then( function ( responses ) {
+                    var args = responses[0][1];
+                    changed = changed.concat( args.changed || [] );
+                    if ( !args.hasMoreUpdates ) {
+                        return changed;
+                    }
+                    if ( args.newState === sinceState ) {
+                        throw new Error( 'JMAP.outbox: The server did not ' +
+                            'return the rest of the updates.' );
+                    }
+                    return getChanged( args.newState, changed );
+                });
+            };
+        if ( !entry.state ) {
+            return Promise.reject( new Error(
+                'JMAP.outbox: The state the create was made in is unknown.'
+            ) );
+        }
+        return getChanged( entry.state, [] ).then( function ( ids ) {
+            connection.setAccountIdForIds( Type, ids, accountId );
+            return Promise.all( ids.map( function ( id ) {
+                return JMAP.getRecord( Type, id );
+            }) );
+        }).then( function ( records ) {
+            return records.some( function ( record ) {
+                var server = record.is( READY ) &&
+                        JMAP.store.getData( record.get( 'storeKey' ) );
+                return !!server && Object.keys( data ).every(
+                function ( key ) {
+                    return key === 'accountId' || server[ key ] === undefined ||
+                        O.isEqual( server[ key ], data[ key ] );
+                });
+            });
+        });
+    },
+
+    replayEntry: function ( entry ) {
+        var Type = JMAP[ entry.typeName ],
+            connection = Type && getConnectionForType( Type ),
+            store = JMAP.store,
+            outbox = this;
+        if ( !connection ) {
+            return null;
+        }
+        if ( entry.action === 'create' ) {
+            return this.wasCreated( entry, Type, connection ).then(
+            function ( wasCreated ) {
+                if ( !wasCreated ) {
+                    store.createRecord( store.getStoreKey( Type ), entry.data );
+                }
+            }, function ( error ) {
+                outbox.addEntry( entry, {
+                    status: CONFLICT,
+                    error: {
+                        type: 'unknownIfCreated',
+                        description: error && error.message || String( error )
+                    }
+                });
+            });
+        }
+        connection.setAccountIdForIds(
+            Type, [ entry.recordId ], entry.accountId || null );
+        return JMAP.getRecord( Type, entry.recordId ).then(
+        function ( record ) {
+            var storeKey = record.get( 'storeKey' ),
+                changes = entry.changes,
+                committed = entry.committed,
+                server, apply, conflicts, property, value;
+            // If it has gone, there's nothing to update or destroy.
+            if ( !record.is( READY ) ) {
+                return;
+            }
+            if ( entry.action === 'destroy' ) {
+                record.destroy();
+                return;
+            }
+            server = store.getData( storeKey );
+            apply = {};
+            conflicts = [];
+            for ( property in changes ) {
+                value = server[ property ];
+                if ( !O.isEqual( value, changes[ property ] ) &&
+                        ( !committed ||
+                            !O.isEqual( value, committed[ property ] ) ) ) {
+                    conflicts.push( property );
+                } else {
+                    apply[ property ] = changes[ property ];
+                }
+            }
+            if ( Object.keys( apply ).length ) {
+                store.updateData( storeKey, apply, true );
+            }
+            if ( conflicts.length ) {
+                outbox.addEntry( entry, {
+                    status: CONFLICT,
+                    properties: conflicts,
+                    server: server
+                });
+            }
+        });
+    },
+
+    /**
+        Method: JMAP.outbox#remove
+
+        Removes an entry, such as one that has failed once the user has
+        been told.
+
+        Parameters:
+            entry - {Object} The entry to remove.
+
+        Returns:
+            {JMAP.outbox} Returns self.
+    */
+    remove: function ( entry ) {
+        return this.setEntries( this.get( 'entries' ).filter(
+            function ( item ) {
+                return item !== entry;
+            }) );
+    },
+
+    /**
+        Method: JMAP.outbox#clear
+
+        Throws away all the entries, including any saved. This is called
+        automatically on <JMAP.auth#logout>.
+
+        Returns:
+            {JMAP.outbox} Returns self.
+    */
+    clear: function () {
+        var storage = this.get( 'storage' ),
+            username = this._username;
+        this._username = '';
+        this.set( 'entries', [] );
+        if ( storage && username ) {
+            storage.remove( this.getKey( username ) );
+        }
+        return this;
+    }
+});
+
+JMAP.auth.on( 'logout', JMAP.outbox, 'clear' );
+
+}( JMAP ) );
@@ -0,0 +1,131 @@
+// -------------------------------------------------------------------------- \\
+// File: promises.js                                                          \\
+// Module: API                                                                \\
+// Requires: connections.js                                                   \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, Promise */
+
+"use strict";
+
+( function ( JMAP ) {
+
+var Status = O.Status,
+    READY = Status.READY,
+    NON_EXISTENT = Status.NON_EXISTENT,
+    NEW = Status.NEW,
+    DIRTY = Status.DIRTY,
+    COMMITTING = Status.COMMITTING;
+
+/*
+    Returns a promise which resolves with the record once the test function
+    returns true for its status.
+*/
+var whenStatus = function ( record, isDone ) {
+    return new Promise( function ( resolve ) {
+        var waiter;
+        if ( isDone( record.get( 'status' ) ) ) {
+            resolve( record );
+            return;
+        }
+        waiter = {
+            statusDidChange: function () {
+                if ( isDone( record.get( 'status' ) ) ) {
+                    record.removeObserverForKey(
+                        'status', waiter, 'statusDidChange' );
+                    resolve( record );
+                }
+            }
+        };
+        record.addObserverForKey( 'status', waiter, 'statusDidChange' );
+    });
+};
+
+var isLoaded = function ( status ) {
+    return !!( status & ( READY | NON_EXISTENT ) );
+};
+
+var isCommitted = function ( status ) {
+    return !( status & ( NEW | DIRTY | COMMITTING ) );
+};
+
+/**
+    Function: JMAP.whenLoaded
+
+    Parameters:
+        record - {O.Record} The record.
+
+    Returns:
+        {Promise} A promise which resolves with the record once it is READY or
+        NON_EXISTENT (check the status to see which).
+*/
+var whenLoaded = function ( record ) {
+    return whenStatus( record, isLoaded );
+};
+
+/**
+    Function: JMAP.getRecord
+
+    Gets a record from <JMAP.store>, fetching it if necessary.
+
+    Parameters:
+        Type - {O.Class} The record type.
+        id   - {String} The record id.
+
+    Returns:
+        {Promise} A promise which resolves with the record once it is READY or
+        NON_EXISTENT.
+*/
+var getRecord = function ( Type, id ) {
+    return whenLoaded( JMAP.store.getRecord( Type, id ) );
+};
+
+/**
+    Function: JMAP.whenCommitted
+
+    Waits for the changes to a set of records to be committed (or rejected)
+    by the server.
+
+    Parameters:
+        records - {O.Record[]} The records.
+
+    Returns:
+        {Promise} A promise which resolves once none of the records have
+        changes waiting to be committed, with an array of outcomes in the
+        same order as the records. Each is an object with the `record` and
+        its `commitError` as `error`: null if the commit succeeded.
+*/
+var whenCommitted = function ( records ) {
+    return Promise.all( records.map( function ( record ) {
+        return whenStatus( record, isCommitted ).then( function ( record ) {
+            return {
+                record: record,
+                error: record.get( 'commitError' ) || null
+            };
+        });
+    }) );
+};
+
+/**
+    Function: JMAP.commitChanges
+
+    Commits the changes in <JMAP.store>.
+
+    Parameters:
+        records - {O.Record[]} The records to report the outcome for.
+
+    Returns:
+        {Promise} A promise which resolves as for <JMAP.whenCommitted>.
+*/
+var commitChanges = function ( records ) {
+    JMAP.store.commitChanges();
+    return whenCommitted( records );
+};
+
+JMAP.whenLoaded = whenLoaded;
+JMAP.getRecord = getRecord;
+JMAP.whenCommitted = whenCommitted;
+JMAP.commitChanges = commitChanges;
+
+}( JMAP ) );
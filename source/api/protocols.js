@@ -0,0 +1,950 @@
+// -------------------------------------------------------------------------- \\
+// File: protocols.js                                                         \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/*
+    A protocol converts between the method calls and responses used
+    internally by <JMAP.Connection> (the original JMAP draft format: an array
+    of `[ name, args, tag ]` triples) and what is actually sent over the wire.
+
+    Each protocol is an object with a `supportsResultReferences` property
+    (see <JMAP.Connection#supportsResultReferences>) and two methods:
+
+    encodeRequest( remoteCalls, connection )
+        Returns the object to serialise as the body of the request.
+
+    decodeResponse( data, remoteCalls )
+        Takes the parsed response body and returns an array of
+        `[ name, args, tag ]` triples in the draft format, or null if the
+        data is not a valid response.
+*/
+
+var draft = {
+    supportsResultReferences: false,
+    encodeRequest: function ( remoteCalls ) {
+        return remoteCalls;
+    },
+    decodeResponse: function ( data ) {
+        return data instanceof Array ? data : null;
+    }
+};
+
+// --- RFC 8620/8621 ---
+
+var CORE = 'urn:ietf:params:jmap:core';
+var MAIL = 'urn:ietf:params:jmap:mail';
+var CONTACTS = 'urn:ietf:params:jmap:contacts';
+var CALENDARS = 'urn:ietf:params:jmap:calendars';
+
+var KEYWORDS = {
+    isUnread: '$seen',
+    isFlagged: '$flagged',
+    isAnswered: '$answered',
+    isDraft: '$draft'
+};
+
+var identity = function ( value ) {
+    return value;
+};
+
+// Copies the named arguments, along with any result references for them.
+var copyArgs = function ( args, keys, newArgs ) {
+    keys.forEach( function ( key ) {
+        if ( args[ key ] !== undefined ) {
+            newArgs[ key ] = args[ key ];
+        }
+        if ( args[ '#' + key ] !== undefined ) {
+            newArgs[ '#' + key ] = args[ '#' + key ];
+        }
+    });
+    return newArgs;
+};
+
+var toMap = function ( array ) {
+    var map = {},
+        i, l;
+    for ( i = 0, l = array ? array.length : 0; i < l; i += 1 ) {
+        map[ array[i] ] = true;
+    }
+    return map;
+};
+
+// --- Mailbox ---
+
+var mailboxRights = [
+    'mayReadItems', 'mayAddItems', 'mayRemoveItems',
+    'mayCreateChild', 'mayRename', 'mayDelete'
+];
+
+var mailboxProperties = {
+    totalMessages: 'totalEmails',
+    unreadMessages: 'unreadEmails'
+};
+
+var mailboxFromServer = function ( mailbox ) {
+    var myRights = mailbox.myRights;
+    if ( 'totalEmails' in mailbox ) {
+        mailbox.totalMessages = mailbox.totalEmails;
+        delete mailbox.totalEmails;
+    }
+    if ( 'unreadEmails' in mailbox ) {
+        mailbox.unreadMessages = mailbox.unreadEmails;
+        delete mailbox.unreadEmails;
+    }
+    if ( myRights ) {
+        mailboxRights.forEach( function ( right ) {
+            if ( right in myRights ) {
+                mailbox[ right ] = myRights[ right ];
+            }
+        });
+        delete mailbox.myRights;
+    }
+    return mailbox;
+};
+
+var mailboxPropertiesToServer = function ( properties ) {
+    var hasRights = false;
+    return properties.reduce( function ( result, property ) {
+        if ( mailboxRights.indexOf( property ) > -1 ) {
+            if ( !hasRights ) {
+                hasRights = true;
+                result.push( 'myRights' );
+            }
+        } else {
+            result.push( mailboxProperties[ property ] || property );
+        }
+        return result;
+    }, [] );
+};
+
+// --- Email ---
+
+var emailPropertiesToServer = function ( properties ) {
+    var result = [],
+        add = function ( property ) {
+            if ( result.indexOf( property ) < 0 ) {
+                result.push( property );
+            }
+        };
+    properties.forEach( function ( property ) {
+        var headerName = /^headers\.(.*)$/.exec( property );
+        if ( KEYWORDS[ property ] ) {
+            add( 'keywords' );
+        } else if ( headerName ) {
+            add( 'header:' + headerName[1] + ':asText' );
+        } else if ( property === 'date' ) {
+            add( 'receivedAt' );
+        } else if ( property === 'body' ) {
+            add( 'textBody' );
+            add( 'htmlBody' );
+            add( 'bodyValues' );
+        } else if ( property !== 'inReplyToMessageId' &&
+                property !== 'attachedMessages' &&
+                property !== 'attachedInvites' ) {
+            add( property );
+        }
+    });
+    return result;
+};
+
+var getBodyValue = function ( parts, bodyValues ) {
+    return parts.map( function ( part ) {
+        var value = bodyValues[ part.partId ];
+        return value ? value.value : '';
+    }).join( '' );
+};
+
+var emailFromServer = function ( email ) {
+    var keywords = email.keywords,
+        bodyValues = email.bodyValues,
+        property, headerName, headers;
+    if ( keywords ) {
+        for ( property in KEYWORDS ) {
+            email[ property ] = !!keywords[ KEYWORDS[ property ] ];
+        }
+        email.isUnread = !email.isUnread;
+        delete email.keywords;
+    }
+    if ( email.mailboxIds && !( email.mailboxIds instanceof Array ) ) {
+        email.mailboxIds = Object.keys( email.mailboxIds );
+    }
+    if ( 'receivedAt' in email ) {
+        email.date = email.receivedAt;
+        delete email.receivedAt;
+    }
+    if ( email.from !== undefined ) {
+        email.from = email.from && email.from[0] || null;
+    }
+    if ( email.replyTo !== undefined ) {
+        email.replyTo = email.replyTo && email.replyTo[0] || null;
+    }
+    if ( bodyValues ) {
+        email.textBody = getBodyValue( email.textBody || [], bodyValues );
+        email.htmlBody = getBodyValue( email.htmlBody || [], bodyValues );
+        delete email.bodyValues;
+    }
+    for ( property in email ) {
+        headerName = /^header:(.*):asText$/.exec( property );
+        if ( headerName ) {
+            headers = email.headers || ( email.headers = {} );
+            headers[ headerName[1] ] = email[ property ];
+            delete email[ property ];
+        }
+    }
+    return email;
+};
+
+var emailToServer = function ( email ) {
+    var result = {},
+        keywords = null,
+        property, value;
+    for ( property in email ) {
+        value = email[ property ];
+        if ( KEYWORDS[ property ] ) {
+            if ( !keywords ) {
+                keywords = result.keywords = {};
+            }
+            if ( property === 'isUnread' ? !value : value ) {
+                keywords[ KEYWORDS[ property ] ] = true;
+            }
+        } else if ( property === 'mailboxIds' ) {
+            result.mailboxIds = toMap( value );
+        } else if ( property === 'date' ) {
+            result.receivedAt = value;
+        } else if ( property === 'from' || property === 'replyTo' ) {
+            result[ property ] = value ? [ value ] : null;
+        } else if ( property === 'textBody' || property === 'htmlBody' ) {
+            if ( value ) {
+                result.bodyValues = result.bodyValues || {};
+                result.bodyValues[ property ] = { value: value };
+                result[ property ] = [{
+                    partId: property,
+                    type: property === 'textBody' ? 'text/plain' : 'text/html'
+                }];
+            }
+        } else if ( property !== 'inReplyToMessageId' &&
+                property !== 'headers' && property !== 'id' ) {
+            result[ property ] = value;
+        }
+    }
+    return result;
+};
+
+var emailPatchToServer = function ( email ) {
+    var result = {},
+        property, value;
+    for ( property in email ) {
+        value = email[ property ];
+        if ( KEYWORDS[ property ] ) {
+            result[ 'keywords/' + KEYWORDS[ property ] ] =
+                ( property === 'isUnread' ? !value : value ) || null;
+        } else if ( property === 'mailboxIds' ) {
+            result.mailboxIds = toMap( value );
+        } else if ( property !== 'id' ) {
+            O.extend( result,
+                emailToServer( Object.zip( [ property ], [ value ] ) ) );
+        }
+    }
+    return result;
+};
+
+var conditionToServer = function ( filter ) {
+    var result, property, value, mailboxIds;
+    if ( filter.operator ) {
+        return {
+            operator: filter.operator,
+            conditions: filter.conditions.map( conditionToServer )
+        };
+    }
+    result = {};
+    for ( property in filter ) {
+        value = filter[ property ];
+        if ( KEYWORDS[ property ] ) {
+            result[ ( property === 'isUnread' ? !value : value ) ?
+                'hasKeyword' : 'notKeyword' ] = KEYWORDS[ property ];
+        } else if ( property === 'inMailboxes' ) {
+            mailboxIds = value;
+        } else if ( property === 'notInMailboxes' ) {
+            result.inMailboxOtherThan = value;
+        } else {
+            result[ property ] = value;
+        }
+    }
+    if ( mailboxIds ) {
+        if ( mailboxIds.length === 1 ) {
+            result.inMailbox = mailboxIds[0];
+        } else {
+            return {
+                operator: 'AND',
+                conditions: [ result, {
+                    operator: 'OR',
+                    conditions: mailboxIds.map( function ( id ) {
+                        return { inMailbox: id };
+                    })
+                }]
+            };
+        }
+    }
+    return result;
+};
+
+var sortToServer = function ( sort ) {
+    return sort && sort.map( function ( item ) {
+        var parts = item.split( ' ' ),
+            property = parts[0],
+            isAscending = parts[1] === 'asc',
+            comparator = {};
+        if ( KEYWORDS[ property ] ) {
+            comparator.property = 'hasKeyword';
+            comparator.keyword = KEYWORDS[ property ];
+            if ( property === 'isUnread' ) {
+                isAscending = !isAscending;
+            }
+        } else {
+            comparator.property = property === 'date' ? 'receivedAt' : property;
+        }
+        comparator.isAscending = isAscending;
+        return comparator;
+    });
+};
+
+// --- Thread ---
+
+var threadFromServer = function ( thread ) {
+    if ( thread.emailIds ) {
+        thread.messageIds = thread.emailIds;
+        delete thread.emailIds;
+    }
+    return thread;
+};
+
+// --- Types ---
+
+/*
+    Map of RFC type name to an object with the draft method and response
+    names for the type, its capability and the functions to translate its
+    records and property lists. See <addType>.
+*/
+var types = {};
+
+var getRecords = function ( type, args ) {
+    args.list = args.list && args.list.map( type.fromServer );
+    return [ type.list, args ];
+};
+
+var getArgs = function ( type, args, accountId, properties ) {
+    var newArgs = copyArgs( args, [ 'ids' ], { accountId: accountId } );
+    if ( properties ) {
+        newArgs.properties = type.propertiesToServer( properties );
+        if ( newArgs.properties.indexOf( 'bodyValues' ) > -1 ) {
+            newArgs.properties.splice(
+                newArgs.properties.indexOf( 'bodyValues' ), 1 );
+            newArgs.fetchTextBodyValues = true;
+            newArgs.fetchHTMLBodyValues = true;
+        }
+    }
+    return newArgs;
+};
+
+var reference = function ( tag, name, path ) {
+    return {
+        resultOf: tag,
+        name: name,
+        path: path
+    };
+};
+
+var comparatorToServer = function ( item ) {
+    var parts = item.split( ' ' );
+    return {
+        property: parts[0],
+        isAscending: parts[1] === 'asc'
+    };
+};
+
+/*
+    Map of draft method name to an object with:
+
+    family - The capability needed to call this method.
+    encode - Takes the draft arguments, the tag and the account id, and
+             returns an array of RFC method calls.
+    decode - Takes the RFC responses with this tag and the draft arguments,
+             and returns an array of `[ name, args ]` draft responses.
+*/
+var methods = {};
+
+/*
+    Map of draft response names to RFC method names, used to translate
+    result references.
+*/
+var responseNames = {
+    searchSnippets: 'SearchSnippet/get'
+};
+
+/*
+    Map of draft response names to a map of the draft paths in that response
+    to the RFC paths, used to translate result references.
+*/
+var referencePaths = {
+    threads: {
+        '/list/*/messageIds': '/list/*/emailIds'
+    }
+};
+
+/*
+    Adds a type: its draft method and response names, its RFC type name,
+    the capability required and (optionally) functions to translate records
+    and property lists. The get, updates, set, list and list updates methods
+    for it are then translated.
+*/
+var addType = function ( name, plural, serverName, capability,
+        fromServer, toServer, patchToServer, propertiesToServer ) {
+    var camelPlural = plural.charAt( 0 ).toLowerCase() + plural.slice( 1 ),
+        camelName = name.charAt( 0 ).toLowerCase() + name.slice( 1 ),
+        type = types[ serverName ] = {
+            get: 'get' + plural,
+            list: camelPlural,
+            changes: 'get' + name + 'Updates',
+            updates: camelName + 'Updates',
+            set: 'set' + plural,
+            setResponse: camelPlural + 'Set',
+            query: 'get' + name + 'List',
+            queryResponse: camelName + 'List',
+            queryChanges: 'get' + name + 'ListUpdates',
+            queryUpdates: camelName + 'ListUpdates',
+            idProperty: camelName + 'Id',
+            upto: 'upto' + name + 'Id',
+            fetchRecords: 'fetch' + plural,
+            fetchProperties: 'fetch' + name + 'Properties',
+            name: serverName,
+            capability: capability,
+            fromServer: fromServer || identity,
+            toServer: toServer || identity,
+            patchToServer: patchToServer || identity,
+            propertiesToServer: propertiesToServer || identity
+        };
+
+    responseNames[ type.list ] = serverName + '/get';
+    responseNames[ type.updates ] = serverName + '/changes';
+    responseNames[ type.setResponse ] = serverName + '/set';
+    responseNames[ type.queryResponse ] = serverName + '/query';
+    responseNames[ type.queryUpdates ] = serverName + '/queryChanges';
+    referencePaths[ type.queryResponse ] = {};
+    referencePaths[ type.queryResponse ][ '/' + type.idProperty + 's' ] =
+        '/ids';
+
+    methods[ type.get ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            return [[ type.name + '/get',
+                getArgs( type, args, accountId, args.properties ), tag ]];
+        },
+        decode: function ( responses ) {
+            return [ getRecords( type, responses[0][1] ) ];
+        }
+    };
+
+    methods[ type.changes ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            var calls = [[ type.name + '/changes', {
+                accountId: accountId,
+                sinceState: args.sinceState,
+                maxChanges: args.maxChanges
+            }, tag ]];
+            if ( args.fetchRecords ) {
+                [ '/created', '/updated' ].forEach( function ( path ) {
+                    calls.push([ type.name + '/get', getArgs( type, {
+                        '#ids': reference( tag, type.name + '/changes', path )
+                    }, accountId, args.fetchRecordProperties ), tag ]);
+                });
+            }
+            return calls;
+        },
+        decode: function ( responses ) {
+            var args = responses[0][1];
+            return [[ type.updates, {
+                accountId: args.accountId,
+                oldState: args.oldState,
+                newState: args.newState,
+                hasMoreUpdates: args.hasMoreChanges,
+                changed: args.created.concat( args.updated ),
+                removed: args.destroyed
+            }]].concat( responses.slice( 1 ).map( function ( response ) {
+                return getRecords( type, response[1] );
+            }) );
+        }
+    };
+
+    methods[ type.set ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            var newArgs = {
+                    accountId: accountId
+                },
+                create = args.create,
+                update = args.update,
+                id;
+            if ( args.state ) {
+                newArgs.ifInState = args.state;
+            }
+            if ( create ) {
+                newArgs.create = {};
+                for ( id in create ) {
+                    newArgs.create[ id ] = type.toServer( create[ id ] );
+                }
+            }
+            if ( update ) {
+                newArgs.update = {};
+                for ( id in update ) {
+                    newArgs.update[ id ] = type.patchToServer( update[ id ] );
+                }
+            }
+            if ( args.destroy ) {
+                newArgs.destroy = args.destroy;
+            }
+            return [[ type.name + '/set', newArgs, tag ]];
+        },
+        decode: function ( responses ) {
+            var args = responses[0][1],
+                created = args.created,
+                id;
+            if ( created ) {
+                for ( id in created ) {
+                    created[ id ] = type.fromServer( created[ id ] );
+                }
+            }
+            args.updated = args.updated ? Object.keys( args.updated ) : [];
+            args.destroyed = args.destroyed || [];
+            return [[ type.setResponse, args ]];
+        }
+    };
+
+    methods[ type.query ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            var calls = [[ type.name + '/query', copyArgs( args, [
+                'position', 'anchor', 'anchorOffset', 'limit'
+            ], {
+                accountId: accountId,
+                filter: args.filter,
+                sort: args.sort && args.sort.map( comparatorToServer ),
+                calculateTotal: true
+            }), tag ]];
+            if ( args[ type.fetchRecords ] ) {
+                calls.push([ type.name + '/get', getArgs( type, {
+                    '#ids': reference( tag, type.name + '/query', '/ids' )
+                }, accountId, args[ type.fetchProperties ] ), tag ]);
+            }
+            return calls;
+        },
+        decode: function ( responses, reqArgs ) {
+            var args = responses[0][1],
+                list = {
+                    accountId: args.accountId,
+                    filter: reqArgs.filter,
+                    sort: reqArgs.sort,
+                    state: args.queryState,
+                    canCalculateUpdates: args.canCalculateChanges,
+                    position: args.position,
+                    total: args.total
+                };
+            list[ type.idProperty + 's' ] = args.ids;
+            return [[ type.queryResponse, list ]].concat(
+                responses.slice( 1 ).map( function ( response ) {
+                    return getRecords( type, response[1] );
+                })
+            );
+        }
+    };
+
+    methods[ type.queryChanges ] = {
+        family: type.capability,
+        encode: function ( args, tag, accountId ) {
+            return [[ type.name + '/queryChanges', {
+                accountId: accountId,
+                filter: args.filter,
+                sort: args.sort && args.sort.map( comparatorToServer ),
+                sinceQueryState: args.sinceState,
+                upToId: args[ type.upto ],
+                maxChanges: args.maxChanges,
+                calculateTotal: true
+            }, tag ]];
+        },
+        decode: function ( responses, reqArgs ) {
+            var args = responses[0][1],
+                idProperty = type.idProperty,
+                updates = {
+                    accountId: args.accountId,
+                    filter: reqArgs.filter,
+                    sort: reqArgs.sort,
+                    oldState: args.oldQueryState,
+                    newState: args.newQueryState,
+                    total: args.total,
+                    removed: args.removed.map( function ( id ) {
+                        var item = {};
+                        item[ idProperty ] = id;
+                        return item;
+                    }),
+                    added: args.added.map( function ( added ) {
+                        var item = {
+                            index: added.index
+                        };
+                        item[ idProperty ] = added.id;
+                        return item;
+                    })
+                };
+            updates[ type.upto ] = reqArgs[ type.upto ];
+            return [[ type.queryUpdates, updates ]];
+        }
+    };
+
+    return type;
+};
+
+[
+    [ 'Mailbox', 'Mailboxes', 'Mailbox', MAIL,
+        mailboxFromServer, identity, identity, mailboxPropertiesToServer ],
+    [ 'Message', 'Messages', 'Email', MAIL,
+        emailFromServer, emailToServer, emailPatchToServer,
+        emailPropertiesToServer ],
+    [ 'Thread', 'Threads', 'Thread', MAIL,
+        threadFromServer, identity, identity, identity ],
+    [ 'Contact', 'Contacts', 'Contact', CONTACTS ],
+    [ 'ContactGroup', 'ContactGroups', 'ContactGroup', CONTACTS ],
+    [ 'Calendar', 'Calendars', 'Calendar', CALENDARS ],
+    [ 'CalendarEvent', 'CalendarEvents', 'CalendarEvent', CALENDARS ]
+].forEach( function ( type ) {
+    addType.apply( null, type );
+});
+
+var getThreads = methods.getThreads;
+methods.getThreads = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        var calls = getThreads.encode( args, tag, accountId );
+        if ( args.fetchMessages ) {
+            calls.push([ 'Email/get', getArgs( types.Email, {
+                '#ids': reference( tag, 'Thread/get', '/list/*/emailIds' )
+            }, accountId, args.fetchMessageProperties ), tag ]);
+        }
+        return calls;
+    },
+    decode: function ( responses ) {
+        return [
+            getRecords( types.Thread, responses[0][1] )
+        ].concat( responses.slice( 1 ).map( function ( response ) {
+            return getRecords( types.Email, response[1] );
+        }) );
+    }
+};
+methods.getMessageList = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        var fetchMessages = args.fetchMessages,
+            calls = [[ 'Email/query', copyArgs( args, [
+                'position', 'anchor', 'anchorOffset', 'limit',
+                'collapseThreads'
+            ], {
+                accountId: accountId,
+                filter: args.filter && conditionToServer( args.filter ),
+                sort: sortToServer( args.sort ),
+                calculateTotal: true
+            }), tag ]];
+        // We always need the thread ids.
+        calls.push([ 'Email/get', getArgs( types.Email, {
+            '#ids': reference( tag, 'Email/query', '/ids' )
+        }, accountId, fetchMessages ?
+            [ 'threadId' ].concat( args.fetchMessageProperties || [] ) :
+            [ 'threadId' ]
+        ), tag ]);
+        if ( args.fetchThreads ) {
+            calls.push([ 'Thread/get', {
+                accountId: accountId,
+                '#ids': reference( tag, 'Email/get', '/list/*/threadId' )
+            }, tag ]);
+            if ( fetchMessages ) {
+                calls.push([ 'Email/get', getArgs( types.Email, {
+                    '#ids': reference( tag, 'Thread/get', '/list/*/emailIds' )
+                }, accountId, args.fetchMessageProperties ), tag ]);
+            }
+        }
+        return calls;
+    },
+    decode: function ( responses, reqArgs ) {
+        var query = responses[0][1],
+            emails = responses[1] ? responses[1][1].list : [],
+            threadIdFor = emails.reduce( function ( map, email ) {
+                map[ email.id ] = email.threadId;
+                return map;
+            }, {} ),
+            result = [[ 'messageList', {
+                accountId: query.accountId,
+                filter: reqArgs.filter,
+                sort: reqArgs.sort,
+                collapseThreads: reqArgs.collapseThreads,
+                state: query.queryState,
+                canCalculateUpdates: query.canCalculateChanges,
+                position: query.position,
+                total: query.total,
+                messageIds: query.ids,
+                threadIds: query.ids.map( function ( id ) {
+                    return threadIdFor[ id ];
+                })
+            }]];
+        if ( reqArgs.fetchMessages ) {
+            result.push( getRecords( types.Email, responses[1][1] ) );
+        }
+        responses.slice( 2 ).forEach( function ( response ) {
+            result.push( getRecords( types[ response[0].split( '/' )[0] ],
+                response[1] ) );
+        });
+        return result;
+    }
+};
+
+methods.getMessageListUpdates = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        return [[ 'Email/queryChanges', {
+            accountId: accountId,
+            filter: args.filter && conditionToServer( args.filter ),
+            sort: sortToServer( args.sort ),
+            collapseThreads: args.collapseThreads,
+            sinceQueryState: args.sinceState,
+            upToId: args.uptoMessageId,
+            maxChanges: args.maxChanges,
+            calculateTotal: true
+        }, tag ], [ 'Email/get', {
+            accountId: accountId,
+            '#ids': reference( tag, 'Email/queryChanges', '/added/*/id' ),
+            properties: [ 'threadId' ]
+        }, tag ]];
+    },
+    decode: function ( responses, reqArgs ) {
+        var args = responses[0][1],
+            emails = responses[1] ? responses[1][1].list : [],
+            threadIdFor = emails.reduce( function ( map, email ) {
+                map[ email.id ] = email.threadId;
+                return map;
+            }, {} );
+        return [[ 'messageListUpdates', {
+            accountId: args.accountId,
+            filter: reqArgs.filter,
+            sort: reqArgs.sort,
+            collapseThreads: reqArgs.collapseThreads,
+            oldState: args.oldQueryState,
+            newState: args.newQueryState,
+            uptoMessageId: reqArgs.uptoMessageId,
+            total: args.total,
+            removed: args.removed.map( function ( id ) {
+                return {
+                    messageId: id
+                };
+            }),
+            added: args.added.map( function ( item ) {
+                return {
+                    index: item.index,
+                    messageId: item.id,
+                    threadId: threadIdFor[ item.id ]
+                };
+            })
+        }]];
+    }
+};
+
+methods.getSearchSnippets = {
+    family: MAIL,
+    encode: function ( args, tag, accountId ) {
+        return [[ 'SearchSnippet/get', copyArgs( args, [], {
+            accountId: accountId,
+            filter: args.filter && conditionToServer( args.filter ),
+            emailIds: args.messageIds
+        }), tag ]];
+    },
+    decode: function ( responses, reqArgs ) {
+        var args = responses[0][1];
+        return [[ 'searchSnippets', {
+            accountId: args.accountId,
+            filter: reqArgs.filter,
+            collapseThreads: reqArgs.collapseThreads,
+            list: args.list.map( function ( snippet ) {
+                return {
+                    messageId: snippet.emailId,
+                    subject: snippet.subject,
+                    preview: snippet.preview,
+                    body: snippet.preview
+                };
+            })
+        }]];
+    }
+};
+
+var referenceToServer = function ( reference ) {
+    var name = reference.name,
+        paths = name && referencePaths[ name ];
+    return {
+        resultOf: reference.resultOf,
+        name: name && responseNames[ name ] || name,
+        path: paths && paths[ reference.path ] || reference.path
+    };
+};
+
+/*
+    A server only looks at the first response with the call id a result
+    reference names, so each RFC call made for a draft call needs its own
+    id: the draft tag for the first, and the tag plus ".1", ".2" etc. for
+    the rest. The responses are grouped back together by the draft tag.
+*/
+var getCallId = function ( tag, index ) {
+    return index ? tag + '.' + index : tag;
+};
+
+var getTag = function ( callId ) {
+    return callId.split( '.' )[0];
+};
+
+/*
+    Points a reference at the id of the call it is to, given a map of draft
+    tag to RFC method name to the id of the first call with that name made
+    for the draft call.
+*/
+var resolveReference = function ( reference, callIds ) {
+    var ids = callIds[ reference.resultOf ],
+        callId = ids && ids[ reference.name ];
+    if ( callId ) {
+        reference.resultOf = callId;
+    }
+    return reference;
+};
+
+var ERROR_FOR_FAMILY = {};
+ERROR_FOR_FAMILY[ MAIL ] = 'accountNoMail';
+ERROR_FOR_FAMILY[ CONTACTS ] = 'accountNoContacts';
+ERROR_FOR_FAMILY[ CALENDARS ] = 'accountNoCalendars';
+
+var rfc8620 = {
+
+    supportsResultReferences: true,
+
+    /*
+        Adds a record type, so its get, updates, set, list and list updates
+        methods are translated. Takes the draft type name (e.g. "Mailbox"),
+        its plural (e.g. "Mailboxes"), the RFC type name (e.g. "Mailbox"),
+        the capability required and (optionally) functions to translate
+        records from and to the server, patches to the server and property
+        lists to the server. Returns the type.
+    */
+    addType: addType,
+
+    encodeRequest: function ( remoteCalls, connection ) {
+        var using = [ CORE ],
+            methodCalls = [],
+            callIds = {},
+            defaultAccountId = connection.get( 'accountId' );
+        remoteCalls.forEach( function ( call ) {
+            var name = call[0],
+                args = call[1],
+                tag = call[2],
+                method = methods[ name ],
+                accountId = args.accountId || defaultAccountId,
+                ids = callIds[ tag ] = {},
+                calls, key;
+            if ( !method ) {
+                ids[ name ] = tag;
+                methodCalls.push( call );
+                return;
+            }
+            using.include( method.family );
+            calls = method.encode( args, tag, accountId );
+            // Translate any result references to other calls.
+            for ( key in args ) {
+                if ( key.charAt( 0 ) === '#' ) {
+                    calls[0][1][ key ] = referenceToServer( args[ key ] );
+                    delete calls[0][1][ key.slice( 1 ) ];
+                }
+            }
+            calls.forEach( function ( call, index ) {
+                call[2] = getCallId( tag, index );
+                if ( !ids[ call[0] ] ) {
+                    ids[ call[0] ] = call[2];
+                }
+            });
+            calls.forEach( function ( call ) {
+                var args = call[1],
+                    key;
+                if ( !args.accountId ) {
+                    delete args.accountId;
+                }
+                for ( key in args ) {
+                    if ( key.charAt( 0 ) === '#' ) {
+                        resolveReference( args[ key ], callIds );
+                    }
+                }
+            });
+            methodCalls.push.apply( methodCalls, calls );
+        });
+        return {
+            using: using,
+            methodCalls: methodCalls
+        };
+    },
+
+    decodeResponse: function ( data, remoteCalls ) {
+        var methodResponses = data && data.methodResponses,
+            responsesForTag = {},
+            result = [];
+        if ( !( methodResponses instanceof Array ) ) {
+            return null;
+        }
+        methodResponses.forEach( function ( response ) {
+            var tag = getTag( response[2] );
+            ( responsesForTag[ tag ] ||
+                ( responsesForTag[ tag ] = [] ) ).push( response );
+        });
+        remoteCalls.forEach( function ( call ) {
+            var tag = call[2],
+                responses = responsesForTag[ tag ],
+                method = methods[ call[0] ],
+                error;
+            if ( !responses ) {
+                return;
+            }
+            error = responses.filter( function ( response ) {
+                return response[0] === 'error';
+            })[0];
+            if ( error ) {
+                if ( method &&
+                        error[1].type === 'accountNotSupportedByMethod' ) {
+                    error[1].type = ERROR_FOR_FAMILY[ method.family ] ||
+                        error[1].type;
+                }
+                result.push([ 'error', error[1], tag ]);
+            } else if ( method ) {
+                method.decode( responses, call[1] ).forEach(
+                function ( response ) {
+                    result.push([ response[0], response[1], tag ]);
+                });
+            } else {
+                result.push.apply( result, responses );
+            }
+        });
+        return result;
+    }
+};
+
+JMAP.protocols = {
+    draft: draft,
+    rfc8620: rfc8620
+};
+
+}( JMAP ) );
@@ -0,0 +1,177 @@
+// -------------------------------------------------------------------------- \\
+// File: storage.js                                                           \\
+// Module: API                                                                \\
+// Requires: namespace.js                                                     \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, indexedDB */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/*
+    A storage backend keeps the data for <JMAP.cache>. It must implement
+    three methods:
+
+    read( key, callback )
+        Calls the callback (asynchronously) with the value stored under the
+        key, or null if there is none or it could not be read.
+
+    write( key, value )
+        Stores the value, which will be JSON-compatible, under the key.
+
+    remove( key )
+        Removes any value stored under the key.
+*/
+
+/**
+    Class: JMAP.MemoryStorage
+
+    Keeps the data in memory, so it only lasts until the page is unloaded.
+    Mainly useful for tests. The values are copied on write and read, as if
+    they had been serialised.
+*/
+var MemoryStorage = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( mixin ) {
+        this._data = {};
+        MemoryStorage.parent.init.call( this, mixin );
+    },
+
+    read: function ( key, callback ) {
+        var value = this._data.hasOwnProperty( key ) ?
+                JSON.parse( this._data[ key ] ) : null;
+        O.RunLoop.invokeInNextEventLoop( function () {
+            callback( value );
+        });
+    },
+
+    write: function ( key, value ) {
+        this._data[ key ] = JSON.stringify( value );
+    },
+
+    remove: function ( key ) {
+        delete this._data[ key ];
+    }
+});
+
+// ---
+
+var STORE_NAME = 'cache';
+
+/**
+    Class: JMAP.IndexedDBStorage
+
+    Keeps the data in an IndexedDB database in the browser.
+*/
+var IndexedDBStorage = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.IndexedDBStorage#name
+        Type: String
+        Default: 'jmap'
+
+        The name of the database.
+    */
+    name: 'jmap',
+
+    init: function ( mixin ) {
+        this._db = null;
+        // Functions waiting for the database to open.
+        this._waiting = null;
+        IndexedDBStorage.parent.init.call( this, mixin );
+    },
+
+    /*
+        Calls the function with the object store in a new transaction, or
+        with null if the database could not be opened.
+    */
+    withStore: function ( mode, fn ) {
+        var db = this._db,
+            storage = this,
+            request;
+        if ( db ) {
+            fn( db.transaction( STORE_NAME, mode ).objectStore( STORE_NAME ) );
+            return;
+        }
+        if ( this._waiting ) {
+            this._waiting.push([ mode, fn ]);
+            return;
+        }
+        this._waiting = [[ mode, fn ]];
+        request = indexedDB.open( this.get( 'name' ), 1 );
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore( STORE_NAME );
+        };
+        request.onsuccess = function () {
+            O.RunLoop.invoke( function () {
+                storage.didOpen( request.result );
+            });
+        };
+        request.onerror = function () {
+            O.RunLoop.invoke( function () {
+                storage.didOpen( null );
+            });
+        };
+    },
+
+    didOpen: function ( db ) {
+        var waiting = this._waiting;
+        this._db = db;
+        this._waiting = null;
+        waiting.forEach( function ( item ) {
+            item[1]( db ?
+                db.transaction( STORE_NAME, item[0] )
+                  .objectStore( STORE_NAME ) :
+                null );
+        });
+    },
+
+    read: function ( key, callback ) {
+        this.withStore( 'readonly', function ( store ) {
+            var request;
+            if ( !store ) {
+                callback( null );
+                return;
+            }
+            request = store.get( key );
+            request.onsuccess = function () {
+                O.RunLoop.invoke( function () {
+                    callback( request.result || null );
+                });
+            };
+            request.onerror = function () {
+                O.RunLoop.invoke( function () {
+                    callback( null );
+                });
+            };
+        });
+    },
+
+    write: function ( key, value ) {
+        this.withStore( 'readwrite', function ( store ) {
+            if ( store ) {
+                store.put( value, key );
+            }
+        });
+    },
+
+    remove: function ( key ) {
+        this.withStore( 'readwrite', function ( store ) {
+            if ( store ) {
+                store[ 'delete' ]( key );
+            }
+        });
+    }
+});
+
+JMAP.MemoryStorage = MemoryStorage;
+JMAP.IndexedDBStorage = IndexedDBStorage;
+
+}( JMAP ) );
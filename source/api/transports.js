@@ -0,0 +1,305 @@
+// -------------------------------------------------------------------------- \\
+// File: transports.js                                                        \\
+// Module: API                                                                \\
+// Requires: Auth.js, errors.js, protocols.js                                 \\
+// License: © 2010-2015 FastMail Pty Ltd. MIT Licensed.                       \\
+// -------------------------------------------------------------------------- \\
+
+/*global O, JMAP, WebSocket */
+
+"use strict";
+
+( function ( JMAP ) {
+
+/*
+    A transport sends the requests for a <JMAP.Connection> to the server. It
+    must implement one method:
+
+    send( connection, remoteCalls )
+        Sends a request with the given method calls (in the draft format;
+        see <JMAP.protocols>) and returns an object representing the
+        request in flight, with an `abort` and a `destroy` method. Events
+        must then be fired on that object, and passed on to the connection
+        (e.g. by making the connection its `nextEventTarget`): first either
+        "io:success", with the response body as the `data` property, or
+        "io:failure" or "io:abort", with the HTTP `status` (or 0 if the
+        server could not be reached), then "io:end".
+*/
+
+/**
+    Class: JMAP.HttpTransport
+
+    The default transport, which POSTs each request to the apiUrl.
+*/
+var HttpTransport = O.Class({
+
+    Extends: O.Object,
+
+    send: function ( connection, remoteCalls ) {
+        return new JMAP.HttpRequest({
+            nextEventTarget: connection,
+            timeout: connection.get( 'timeout' ),
+            method: 'POST',
+            url: JMAP.auth.get( 'apiUrl' ),
+            headers: connection.get( 'headers' ),
+            data: connection.encodeRequest( remoteCalls )
+        }).send();
+    }
+});
+
+// ---
+
+var WEBSOCKET = 'urn:ietf:params:jmap:websocket';
+
+var OPEN = 1;
+
+/*
+    A request sent over a WebSocket, waiting for its response.
+*/
+var WebSocketRequest = O.Class({
+
+    Extends: O.Object,
+
+    init: function ( transport, connection, id ) {
+        this.transport = transport;
+        this.nextEventTarget = connection;
+        this.id = id;
+        this._timer = null;
+        WebSocketRequest.parent.init.call( this );
+    },
+
+    abort: function () {
+        this.transport.didFinish( this, 'io:abort', {
+            status: 0
+        });
+    }
+});
+
+/**
+    Class: JMAP.WebSocketTransport
+
+    Sends requests over a WebSocket, as defined in RFC 8887, so there is no
+    per-request HTTP overhead. Requests are multiplexed over the one socket
+    by id, so the same transport may be shared by all the connections; it
+    opens the socket when there is something to send, and queues requests
+    until it is open. This only works with servers using the 'rfc8620'
+    protocol.
+
+    If the server supports it, push is also enabled on the socket, and
+    state changes are passed to <JMAP.push>. You will probably then want to
+    set `JMAP.push.isEnabled` to false, so an EventSource is not opened as
+    well.
+
+    Browsers do not allow headers to be set on the request that opens a
+    WebSocket, so the server must authenticate it some other way, such as
+    with a cookie.
+*/
+var WebSocketTransport = O.Class({
+
+    Extends: O.Object,
+
+    /**
+        Property: JMAP.WebSocketTransport#url
+        Type: String
+
+        The URL of the WebSocket. Defaults to the one given in the
+        websocket capability in the session.
+    */
+    url: function () {
+        var capability = JMAP.auth.get( 'capabilities' )[ WEBSOCKET ];
+        return capability && capability.url || '';
+    }.property().nocache(),
+
+    /**
+        Property: JMAP.WebSocketTransport#enablePush
+        Type: Boolean
+        Default: true
+
+        Whether to ask the server to push state changes over the socket, if
+        it supports this.
+    */
+    enablePush: true,
+
+    init: function ( mixin ) {
+        this._socket = null;
+        // Map of request id -> WebSocketRequest waiting for a response.
+        this._requests = {};
+        // Messages waiting for the socket to open.
+        this._queue = [];
+        this._nextId = 1;
+        WebSocketTransport.parent.init.call( this, mixin );
+    },
+
+    send: function ( connection, remoteCalls ) {
+        var id = 'r' + this._nextId++,
+            request = new WebSocketRequest( this, connection, id ),
+            timeout = connection.get( 'timeout' ),
+            message = JSON.stringify( O.extend({
+                '@type': 'Request',
+                id: id
+            }, JMAP.protocols[ connection.get( 'protocol' ) ]
+                .encodeRequest( remoteCalls, connection ) ),
+                null, connection.get( 'prettyPrint' ) ? 2 : 0 );
+
+        this._requests[ id ] = request;
+        if ( timeout ) {
+            request._timer = O.RunLoop.invokeAfterDelay( function () {
+                this.didFinish( request, 'io:failure', {
+                    status: 0
+                });
+            }, timeout, this );
+        }
+        this.sendMessage( message );
+        return request;
+    },
+
+    sendMessage: function ( message ) {
+        var socket = this.open();
+        if ( socket.readyState === OPEN ) {
+            socket.send( message );
+        } else {
+            this._queue.push( message );
+        }
+        return this;
+    },
+
+    /**
+        Method: JMAP.WebSocketTransport#open
+
+        Opens the socket, if it is not already open or opening.
+
+        Returns:
+            {WebSocket} The socket.
+    */
+    open: function () {
+        var socket = this._socket,
+            transport = this;
+        if ( !socket ) {
+            socket = this._socket = new WebSocket( this.get( 'url' ), 'jmap' );
+            socket.onopen = function () {
+                O.RunLoop.invoke( transport.socketDidOpen, transport );
+            };
+            socket.onmessage = function ( event ) {
+                O.RunLoop.invoke( function () {
+                    transport.didReceiveMessage( event.data );
+                });
+            };
+            socket.onclose = function () {
+                O.RunLoop.invoke( function () {
+                    transport.socketDidClose( socket );
+                });
+            };
+        }
+        return socket;
+    },
+
+    /**
+        Method: JMAP.WebSocketTransport#close
+
+        Closes the socket. Any requests still waiting for a response fail,
+        so their connections will retry them.
+
+        Returns:
+            {JMAP.WebSocketTransport} Returns self.
+    */
+    close: function () {
+        var socket = this._socket;
+        if ( socket ) {
+            socket.close();
+            this.socketDidClose( socket );
+        }
+        return this;
+    },
+
+    // ---
+
+    socketDidOpen: function () {
+        var socket = this._socket,
+            capability = JMAP.auth.get( 'capabilities' )[ WEBSOCKET ];
+        if ( this.get( 'enablePush' ) && capability &&
+                capability.supportsPush ) {
+            socket.send( JSON.stringify({
+                '@type': 'WebSocketPushEnable',
+                dataTypes: null
+            }) );
+        }
+        this._queue.forEach( function ( message ) {
+            socket.send( message );
+        });
+        this._queue = [];
+    },
+
+    socketDidClose: function ( socket ) {
+        var requests = this._requests,
+            id;
+        if ( socket !== this._socket ) {
+            return;
+        }
+        this._socket = null;
+        this._queue = [];
+        for ( id in requests ) {
+            this.didFinish( requests[ id ], 'io:failure', {
+                status: 0
+            });
+        }
+    },
+
+    didReceiveMessage: function ( data ) {
+        var message, request;
+        try {
+            message = JSON.parse( data );
+        } catch ( error ) {}
+
+        if ( !message ) {
+            JMAP.errors.report( new JMAP.RequestError( 'transport', {
+                description: 'WebSocket data from server is not JSON.',
+                data: data
+            }) );
+            return;
+        }
+        switch ( message[ '@type' ] ) {
+        case 'Response':
+            request = this._requests[ message.requestId ];
+            if ( request ) {
+                this.didFinish( request, 'io:success', {
+                    status: 200,
+                    data: message
+                });
+            }
+            break;
+        case 'RequestError':
+            request = this._requests[ message.requestId ];
+            if ( request ) {
+                this.didFinish( request, 'io:failure', {
+                    status: message.status || 400,
+                    data: message
+                });
+            }
+            break;
+        case 'StateChange':
+            if ( JMAP.push ) {
+                JMAP.push.didReceiveStateChange( message );
+            }
+            break;
+        }
+    },
+
+    didFinish: function ( request, type, event ) {
+        var id = request.id;
+        if ( this._requests[ id ] !== request ) {
+            return this;
+        }
+        delete this._requests[ id ];
+        if ( request._timer ) {
+            O.RunLoop.cancel( request._timer );
+        }
+        request.fire( type, event )
+               .fire( 'io:end' );
+        return this;
+    }
+});
+
+JMAP.HttpTransport = HttpTransport;
+JMAP.WebSocketTransport = WebSocketTransport;
+
+}( JMAP ) );
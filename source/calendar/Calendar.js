@@ -19,6 +19,10 @@ var Calendar = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     name: attr( String, {
         defaultValue: '',
         validate: function ( propValue/*, propKey, record*/ ) {
@@ -122,31 +126,8 @@ var Calendar = O.Class({
     }.observes( 'status' )
 });
 
-JMAP.calendar.handle( Calendar, {
-    precedence: 1,
-    fetch: 'getCalendars',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getCalendarUpdates', {
-            sinceState: state,
-            fetchRecords: true
-        });
-    },
-    commit: 'setCalendars',
-    // Response handlers
-    calendars: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( Calendar, args,
-            reqMethod === 'getCalendars' && !reqArgs.ids );
-    },
-    calendarUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( Calendar, args, reqArgs );
-    },
-    error_getCalendarUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( Calendar );
-    },
-    calendarsSet: function ( args ) {
-        this.didCommit( Calendar, args );
-    }
+JMAP.defineType( Calendar, JMAP.calendar, 'Calendar', {
+    precedence: 1
 });
 
 JMAP.Calendar = Calendar;
@@ -23,6 +23,10 @@ var CalendarEvent = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     isDragging: false,
     isOccurrence: false,
 
@@ -469,43 +473,29 @@ var CalendarEvent = O.Class({
 });
 
 JMAP.calendar.replaceEvents = false;
-JMAP.calendar.handle( CalendarEvent, {
+JMAP.defineType( CalendarEvent, JMAP.calendar, 'CalendarEvent', {
     precedence: 2,
-    fetch: 'getCalendarEvents',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getCalendarEventUpdates', {
-            sinceState: state,
-            maxChanges: 100,
-            fetchRecords: true
-        });
-    },
-    commit: 'setCalendarEvents',
-    // Response handlers
-    calendarEvents: function ( args ) {
-        var events = args.list,
-            l = events.length,
-            event, inclusions;
-        while ( l-- ) {
-            event = events[l];
-            inclusions = event.inclusions;
-            if ( inclusions ) {
-                event.inclusions = inclusions.map( Date.fromJSON );
+    maxChanges: 100,
+    hasMoreUpdates: 'fetchMore',
+    handlers: {
+        calendarEvents: function ( args, _, reqArgs ) {
+            var events = args.list,
+                l = events.length,
+                event, inclusions;
+            while ( l-- ) {
+                event = events[l];
+                inclusions = event.inclusions;
+                if ( inclusions ) {
+                    event.inclusions = inclusions.map( Date.fromJSON );
+                }
             }
+            this.didFetch( CalendarEvent, args,
+                this.replaceEvents, reqArgs.accountId );
+            this.replaceEvents = false;
+        },
+        error_getCalendarEventUpdates_cannotCalculateChanges: function () {
+            JMAP.calendar.flushCache();
         }
-        this.didFetch( CalendarEvent, args, this.replaceEvents );
-        this.replaceEvents = false;
-    },
-    calendarEventUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( CalendarEvent, args, reqArgs );
-        if ( args.hasMoreUpdates ) {
-            this.get( 'store' ).fetchAll( CalendarEvent, true );
-        }
-    },
-    error_getCalendarEventUpdates_cannotCalculateChanges: function () {
-        JMAP.calendar.flushCache();
-    },
-    calendarEventsSet: function ( args ) {
-        this.didCommit( CalendarEvent, args );
     }
 });
 
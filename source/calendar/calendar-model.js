@@ -303,16 +303,34 @@ O.extend( JMAP.calendar, {
             },
             fetchCalendarEvents: true
         });
+    },
+
+    didLogout: function () {
+        var now = new Date();
+        this.loadingEventsStart = this.loadingEventsEnd = now;
+        this.set( 'loadedEventsStart', now )
+            .set( 'loadedEventsEnd', now );
+        this.replaceEvents = false;
+        editStore.discardChanges();
+        this.undoManager.reset();
+        this.clearIndexes();
     }
 });
 store.on( Calendar, JMAP.calendar, 'recalculate' )
      .on( CalendarEvent, JMAP.calendar, 'clearIndexes' );
+JMAP.auth.on( 'logout', JMAP.calendar, 'didLogout' );
 
-JMAP.calendar.handle( null, {
-    calendarEventList: function () {
-        // We don't care about the list, we only use it to fetch the
-        // events we want. This may change with search in the future!
-    }
-});
+/**
+    Class: JMAP.CalendarEventList
+
+    Extends: JMAP.RemoteList
+
+    A list of the events matching a filter, e.g. a search, fetched a window
+    at a time with getCalendarEventList. The calls to getCalendarEventList
+    made to load the events around a date are not for a list, so their
+    responses are just used to fetch the events.
+*/
+JMAP.CalendarEventList = JMAP.RemoteList.forType(
+    CalendarEvent, JMAP.calendar, 'CalendarEvent' );
 
 }( JMAP ) );
@@ -148,8 +148,21 @@ JMAP.calendar.eventUploads = {
             createFolders: true,
             mayRename: true
         });
+    },
+
+    didLogout: function () {
+        var inProgress = this.inProgress,
+            id;
+        for ( id in inProgress ) {
+            inProgress[ id ].forEach( function ( file ) {
+                file.destroy();
+            });
+        }
+        this.inProgress = {};
+        this.awaitingSave = {};
     }
 };
+JMAP.auth.on( 'logout', JMAP.calendar.eventUploads, 'didLogout' );
 
 var CalendarAttachment = O.Class({
 
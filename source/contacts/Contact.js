@@ -19,6 +19,10 @@ var Contact = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     isFlagged: attr( Boolean, {
         defaultValue: false
     }),
@@ -147,37 +151,23 @@ var Contact = O.Class({
     }.property( 'emailName', 'defaultEmail' )
 });
 
-JMAP.contacts.handle( Contact, {
+JMAP.defineType( Contact, JMAP.contacts, 'Contact', {
     precedence: 0, // Before ContactGroup
-    fetch: 'getContacts',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getContactUpdates', {
-            sinceState: state,
-            maxChanges: 100,
-            fetchRecords: true
-        });
-    },
-    commit: 'setContacts',
-    // Response handlers
-    contacts: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( Contact, args,
-            reqMethod === 'getContacts' && !reqArgs.ids );
-    },
-    contactUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( Contact, args, reqArgs );
-        if ( args.hasMoreUpdates ) {
-            this.get( 'store' ).fetchAll( Contact, true );
-        }
-    },
-    error_getContactUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( Contact );
-    },
-    contactsSet: function ( args ) {
-        this.didCommit( Contact, args );
-    }
+    maxChanges: 100,
+    hasMoreUpdates: 'fetchMore'
 });
 
 JMAP.Contact = Contact;
 
+/**
+    Class: JMAP.ContactList
+
+    Extends: JMAP.RemoteList
+
+    A list of the contacts matching a filter, in a sort order, fetched
+    a window at a time with getContactList, so a large address book can be
+    paged through rather than loaded all at once.
+*/
+JMAP.ContactList = JMAP.RemoteList.forType( Contact, JMAP.contacts, 'Contact' );
+
 }( JMAP ) );
@@ -22,6 +22,10 @@ var ContactGroup = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     name: attr( String, {
         defaultValue: '',
         validate: function ( propValue/*, propKey, record*/ ) {
@@ -65,31 +69,8 @@ var ContactGroup = O.Class({
     }
 });
 
-JMAP.contacts.handle( ContactGroup, {
-    precedence: 1, // After Contact
-    fetch: 'getContactGroups',
-    refresh: function ( _, state ) {
-        this.callMethod( 'getContactGroupUpdates', {
-            sinceState: state,
-            fetchRecords: true
-        });
-    },
-    commit: 'setContactGroups',
-    // Response handlers
-    contactGroups: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( ContactGroup, args,
-            reqMethod === 'getContactGroups' && !reqArgs.ids );
-    },
-    contactGroupUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( ContactGroup, args, reqArgs );
-    },
-    error_getContactGroupUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( ContactGroup );
-    },
-    contactGroupsSet: function ( args ) {
-        this.didCommit( ContactGroup, args );
-    }
+JMAP.defineType( ContactGroup, JMAP.contacts, 'ContactGroup', {
+    precedence: 1 // After Contact
 });
 
 JMAP.ContactGroup = ContactGroup;
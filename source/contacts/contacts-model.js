@@ -52,7 +52,14 @@ O.extend( JMAP.contacts, {
     getContactFromEmail: function ( email ) {
         var index = contactsIndex.getIndex();
         return index[ email.toLowerCase() ] || null;
+    },
+
+    didLogout: function () {
+        contactsIndex.clearIndex();
+        editStore.discardChanges();
+        this.undoManager.reset();
     }
 });
+JMAP.auth.on( 'logout', JMAP.contacts, 'didLogout' );
 
 }( JMAP ) );
@@ -23,6 +23,10 @@ var Mailbox = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     name: attr( String, {
         defaultValue: '',
         validate: function ( propValue/*, propKey, record*/ ) {
@@ -192,51 +196,12 @@ var Mailbox = O.Class({
 
 Mailbox.prototype.parent.Type = Mailbox;
 
-JMAP.mail.handle( Mailbox, {
+JMAP.defineType( Mailbox, JMAP.mail, 'Mailbox', {
     precedence: 0,
-    fetch: function ( ids ) {
-        this.callMethod( 'getMailboxes', {
-            ids: ids || null,
-            properties: null
-        });
-    },
-    refresh: function ( ids, state ) {
-        if ( ids ) {
-            this.callMethod( 'getMailboxes', {
-                ids: ids,
-                properties: [
-                    'totalMessages', 'unreadMessages',
-                    'totalThreads', 'unreadThreads'
-                ]
-            });
-        } else {
-            this.callMethod( 'getMailboxUpdates', {
-                sinceState: state,
-                fetchRecords: true,
-                fetchRecordProperties: null
-            });
-        }
-    },
-    commit: 'setMailboxes',
-
-    // ---
-
-    mailboxes: function ( args, reqMethod, reqArgs ) {
-        this.didFetch( Mailbox, args,
-            reqMethod === 'getMailboxes' && !reqArgs.ids );
-    },
-
-    mailboxUpdates: function ( args, _, reqArgs ) {
-        this.didFetchUpdates( Mailbox, args, reqArgs );
-    },
-    error_getMailboxUpdates_cannotCalculateChanges: function () {
-        // All our data may be wrong. Refetch everything.
-        this.fetchAllRecords( Mailbox );
-    },
-
-    mailboxesSet: function ( args ) {
-        this.didCommit( Mailbox, args );
-    }
+    refreshProperties: [
+        'totalMessages', 'unreadMessages',
+        'totalThreads', 'unreadThreads'
+    ]
 });
 
 JMAP.Mailbox = Mailbox;
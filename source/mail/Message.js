@@ -20,12 +20,18 @@ var Status = O.Status,
 var Record = O.Record,
     attr = Record.attr;
 
+var withAccountId = JMAP.Connection.withAccountId;
+
 var MessageDetails = O.Class({ Extends: Record });
 
 var Message = O.Class({
 
     Extends: Record,
 
+    accountId: attr( String, {
+        defaultValue: null
+    }),
+
     threadId: attr( String ),
 
     thread: function () {
@@ -156,26 +162,26 @@ var Message = O.Class({
 });
 
 JMAP.mail.handle( MessageDetails, {
-    fetch: function ( ids ) {
-        this.callMethod( 'getMessages', {
+    fetch: function ( ids, accountId ) {
+        this.callMethod( 'getMessages', withAccountId({
             ids: ids,
             properties: Message.detailsProperties
-        });
+        }, accountId ) );
     }
 });
 
 JMAP.mail.messageUpdateFetchRecords = true;
 JMAP.mail.messageUpdateMaxChanges = 50;
 JMAP.mail.handle( Message, {
-    fetch: function ( ids ) {
-        this.callMethod( 'getMessages', {
+    fetch: function ( ids, accountId ) {
+        this.callMethod( 'getMessages', withAccountId({
             ids: ids,
             properties: Message.headerProperties
-        });
+        }, accountId ) );
     },
-    refresh: function ( ids, state ) {
+    refresh: function ( ids, state, accountId ) {
         if ( ids ) {
-            this.callMethod( 'getMessages', {
+            this.callMethod( 'getMessages', withAccountId({
                 ids: ids,
                 properties: [
                     'mailboxIds',
@@ -185,27 +191,33 @@ JMAP.mail.handle( Message, {
                     'isDraft',
                     'hasAttachment'
                 ]
-            });
+            }, accountId ) );
         } else {
             var messageUpdateFetchRecords = this.messageUpdateFetchRecords;
-            this.callMethod( 'getMessageUpdates', {
+            this.callMethod( 'getMessageUpdates', withAccountId({
                 sinceState: state,
                 maxChanges: this.messageUpdateMaxChanges,
                 fetchRecords: messageUpdateFetchRecords,
                 fetchRecordProperties: messageUpdateFetchRecords ?
                     Message.headerProperties : null
-            });
+            }, accountId ) );
         }
     },
     commit: 'setMessages',
 
     // ---
 
-    messages: function ( args ) {
-        var first = args.list[0],
+    messages: function ( args, _, reqArgs ) {
+        var accountId = reqArgs.accountId,
+            first = args.list[0],
             updates;
+        // The details are fetched from the same account as the message.
+        this.setAccountIdForIds( MessageDetails,
+            args.list.map( function ( message ) {
+                return message.id;
+            }), accountId );
         if ( first && first.date ) {
-            this.didFetch( Message, args );
+            this.didFetch( Message, args, false, accountId );
         } else {
             updates = args.list.reduce( function ( updates, message ) {
                 updates[ message.id ] = message;
@@ -230,35 +242,39 @@ JMAP.mail.handle( Message, {
                 } else {
                     this.messageUpdateMaxChanges = 150;
                 }
-                this.get( 'store' ).fetchAll( Message, true );
+                this.fetchAllRecordsForAccount( Message, reqArgs.accountId );
                 return;
             } else {
                 // We've fetched 300 updates and there's still more. Let's give
                 // up and reset.
                 this.response
                     .error_getMessageUpdates_cannotCalculateChanges
-                    .call( this, args );
+                    .call( this, args, _, reqArgs );
             }
         }
         this.messageUpdateFetchRecords = true;
         this.messageUpdateMaxChanges = 50;
     },
-    error_getMessageUpdates_cannotCalculateChanges: function ( args ) {
-        var store = this.get( 'store' );
+    error_getMessageUpdates_cannotCalculateChanges: function (
+            args, _, reqArgs ) {
+        var accountId = reqArgs.accountId;
         // All our data may be wrong. Mark all messages as obsolete.
         // The garbage collector will eventually clean up any messages that
         // no longer exist
-        store.getAll( Message ).forEach( function ( message ) {
+        this.get( 'store' ).getAll( Message ).forEach( function ( message ) {
             message.setObsolete();
         });
         this.recalculateAllFetchedWindows();
         // Tell the store we're now in the new state.
-        store.sourceDidFetchUpdates(
-            Message, null, null, store.getTypeState( Message ), args.newState );
-
+        this.didFetchUpdates( Message, {
+            changed: null,
+            removed: null,
+            oldState: this.getTypeState( Message, accountId ),
+            newState: args.newState
+        }, reqArgs );
     },
-    messagesSet: function ( args ) {
-        this.didCommit( Message, args );
+    messagesSet: function ( args, _, reqArgs ) {
+        this.didCommit( Message, args, reqArgs.accountId );
     }
 });
 
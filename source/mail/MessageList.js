@@ -44,20 +44,22 @@ var stringifySorted = function ( item ) {
 };
 
 var getId = function ( args ) {
-    return 'ml:' + stringifySorted( args.filter ) +
+    return 'ml:' + ( args.accountId ? args.accountId + ':' : '' ) +
+        stringifySorted( args.filter ) +
         ( args.collapseThreads ? '+' : '-' );
 };
 
 var MessageList = O.Class({
 
-    Extends: O.WindowedRemoteQuery,
-
-    optimiseFetching: true,
+    Extends: JMAP.RemoteList,
 
     sort: [ 'date desc' ],
     collapseThreads: true,
 
     Type: JMAP.Message,
+    connection: JMAP.mail,
+    typeName: 'Message',
+    plural: 'Messages',
 
     init: function ( options ) {
         this._snippets = {};
@@ -99,54 +101,68 @@ var MessageList = O.Class({
         return true;
     },
 
-    sourceWillFetchQuery: function () {
-        var req = MessageList.parent.sourceWillFetchQuery.call( this );
+    getQueryArgs: function () {
+        var args = MessageList.parent.getQueryArgs.call( this );
+        args.collapseThreads = this.get( 'collapseThreads' );
+        return args;
+    },
 
-        // If we have all the ids already, optimise the loading of the records.
-        var store = this.get( 'store' ),
-            list = this._list,
-            length = this.get( 'length' ),
-            collapseThreads = this.get( 'collapseThreads' ),
-            messageToThreadId = this.messageToThreadId,
-            threadId;
+    addFetchArgs: function ( args, fetchData ) {
+        args.fetchThreads = this.get( 'collapseThreads' ) && fetchData;
+        args.fetchMessages = fetchData;
+        args.fetchMessageProperties = fetchData ?
+            JMAP.Message.headerProperties : null;
+        args.fetchSearchSnippets = false;
+        return args;
+    },
 
-        req.records = req.records.filter( function ( req ) {
-            var i = req.start,
-                l = i + req.count,
-                message, thread;
+    refreshRecordsForId: function ( id ) {
+        var store = this.get( 'store' ),
+            thread;
+        // For a collapsed list, the thread and all its messages.
+        if ( this.get( 'collapseThreads' ) ) {
+            thread = store.getRecord(
+                JMAP.Thread, this.messageToThreadId[ id ] );
+            refresh( thread );
+            thread.get( 'messages' ).forEach( refresh );
+        } else {
+            refresh( store.getRecord( JMAP.Message, id ) );
+        }
+    },
 
-            if ( length ) {
-                l = Math.min( l, length );
-            }
+    // --- Cache ---
+
+    /*
+        As for <JMAP.RemoteList>, but with the `threadIds` of the messages
+        too.
+    */
+    getCacheData: function () {
+        var data = MessageList.parent.getCacheData.call( this ),
+            messageToThreadId = this.messageToThreadId;
+        if ( data ) {
+            data.threadIds = data.messageIds.map( function ( messageId ) {
+                return messageToThreadId[ messageId ];
+            });
+        }
+        return data;
+    },
 
-            while ( i < l ) {
-                var id = list[i];
-                if ( id ) {
-                    i += 1;
-                } else {
-                    id = list[ l - 1 ];
-                    if ( !id ) { break; }
-                    l -= 1;
-                }
-                // Fetch the Message objects (if not already fetched).
-                // If already fetched, fetch the updates
-                if ( collapseThreads ) {
-                    threadId = messageToThreadId[ id ];
-                    thread = store.getRecord( JMAP.Thread, threadId );
-                    // If already fetched, fetch the updates
-                    refresh( thread );
-                    thread.get( 'messages' ).forEach( refresh );
-                } else {
-                    message = store.getRecord( JMAP.Message, id );
-                    refresh( message );
-                }
+    restoreFromCache: function () {
+        var data = ( this.get( 'status' ) & EMPTY ) &&
+                JMAP.cache.getQueryData( this.get( 'id' ) ),
+            messageToThreadId = this.messageToThreadId,
+            messageIds, threadIds, l;
+        if ( data ) {
+            messageIds = data.messageIds;
+            threadIds = data.threadIds;
+            l = messageIds.length;
+            while ( l-- ) {
+                messageToThreadId[ messageIds[l] ] = threadIds[l];
             }
-            req.start = i;
-            req.count = l - i;
-            return i !== l;
-        });
-
-        return req;
+            JMAP.mail.setAccountIdForIds(
+                JMAP.Thread, threadIds, this.get( 'accountId' ) );
+        }
+        return MessageList.parent.restoreFromCache.call( this );
     },
 
     // --- Snippets ---
@@ -181,7 +197,8 @@ var MessageList = O.Class({
     },
 
     fetchSnippets: function () {
-        JMAP.mail.callMethod( 'getSearchSnippets', {
+        JMAP.mail.callMethodInBackground( 'getSearchSnippets', {
+            accountId: this.get( 'accountId' ),
             messageIds: this._snippetsNeeded,
             filter: this.get( 'filter' ),
             // Not part of the getSearchSnippets call, but needed to identify
@@ -193,77 +210,21 @@ var MessageList = O.Class({
 });
 
 JMAP.mail.handle( MessageList, {
-    query: function ( query ) {
-        var filter = query.get( 'filter' ),
-            sort = query.get( 'sort' ),
-            collapseThreads = query.get( 'collapseThreads' ),
-            canGetDeltaUpdates = query.get( 'canGetDeltaUpdates' ),
-            state = query.get( 'state' ),
-            request = query.sourceWillFetchQuery(),
-            hasMadeRequest = false;
-
-        if ( canGetDeltaUpdates && state && request.refresh ) {
-            var list = query._list,
-                length = list.length,
-                upto = ( length === query.get( 'length' ) ) ?
-                    undefined : list[ length - 1 ];
-            this.callMethod( 'getMessageListUpdates', {
-                filter: filter,
-                sort: sort,
-                collapseThreads: collapseThreads,
-                sinceState: state,
-                uptoMessageId: upto,
-                maxChanges: 250
-            });
-        }
-
-        if ( request.callback ) {
-            this.addCallback( request.callback );
-        }
-
-        var get = function ( start, count, anchor, offset, fetchData ) {
-            hasMadeRequest = true;
-            this.callMethod( 'getMessageList', {
-                filter: filter,
-                sort: sort,
-                collapseThreads: collapseThreads,
-                position: start,
-                anchor: anchor,
-                anchorOffset: offset,
-                limit: count,
-                fetchThreads: collapseThreads && fetchData,
-                fetchMessages: fetchData,
-                fetchMessageProperties: fetchData ?
-                    JMAP.Message.headerProperties : null,
-                fetchSearchSnippets: false
-            });
-        }.bind( this );
-
-        request.ids.forEach( function ( req ) {
-            get( req.start, req.count, undefined, undefined, false );
-        });
-        request.records.forEach( function ( req ) {
-            get( req.start, req.count, undefined, undefined, true );
-        });
-        request.indexOf.forEach( function ( req ) {
-            get( undefined, 5, req[0], 1, false );
-            this.addCallback( req[1] );
-        }, this );
-
-        if ( ( ( query.get( 'status' ) & O.Status.EMPTY ) &&
-                !request.records.length ) ||
-             ( !canGetDeltaUpdates && !hasMadeRequest && request.refresh ) ) {
-            get( 0, 30, undefined, undefined, true );
-        }
-    },
+    query: JMAP.RemoteList.fetchQuery,
 
     // ---
 
-    messageList: function ( args ) {
+    messageList: function ( args, _, reqArgs ) {
         var store = this.get( 'store' ),
-            query = store.getQuery( getId( args ) ),
+            query = store.getQuery( getId( reqArgs ) ),
             messageToThreadId, messageIds, threadIds, l;
 
+        // Any records we fetch for these ids must come from the same account.
+        this.setAccountIdForIds(
+            JMAP.Message, args.messageIds, reqArgs.accountId );
+        this.setAccountIdForIds(
+            JMAP.Thread, args.threadIds, reqArgs.accountId );
+
         if ( query &&
                 args.collapseThreads === query.get( 'collapseThreads' ) ) {
             messageToThreadId = query.messageToThreadId;
@@ -283,9 +244,10 @@ JMAP.mail.handle( MessageList, {
         // and it will just check that it doesn't have it.
     },
 
-    messageListUpdates: function ( args ) {
+    messageListUpdates: function ( args, _, reqArgs ) {
         var store = this.get( 'store' ),
-            query = store.getQuery( getId( args ) ),
+            query = store.getQuery( getId( reqArgs ) ),
+            accountId = reqArgs.accountId,
             messageToThreadId;
 
         if ( query &&
@@ -298,8 +260,12 @@ JMAP.mail.handle( MessageList, {
             });
             args.added = args.added.map( function ( obj ) {
                 messageToThreadId[ obj.messageId ] = obj.threadId;
+                this.setAccountIdForIds(
+                    JMAP.Message, [ obj.messageId ], accountId );
+                this.setAccountIdForIds(
+                    JMAP.Thread, [ obj.threadId ], accountId );
                 return [ obj.index, obj.messageId ];
-            });
+            }, this );
             query.sourceDidFetchUpdate( args );
         }
     },
@@ -318,9 +284,9 @@ JMAP.mail.handle( MessageList, {
 
     // ---
 
-    searchSnippets: function ( args ) {
+    searchSnippets: function ( args, _, reqArgs ) {
         var store = this.get( 'store' ),
-            query = store.getQuery( getId( args ) );
+            query = store.getQuery( getId( reqArgs ) );
         if ( query ) {
             query.sourceDidFetchSnippets( args.list );
         }
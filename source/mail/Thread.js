@@ -14,6 +14,8 @@
 
 var Record = O.Record;
 
+var withAccountId = JMAP.Connection.withAccountId;
+
 var aggregateBoolean = function ( _, key ) {
     return this.get( 'messages' ).reduce( function ( isProperty, message ) {
         return isProperty || ( !message.isIn( 'trash' ) && message.get( key ) );
@@ -32,6 +34,10 @@ var Thread = O.Class({
 
     isEditable: false,
 
+    accountId: Record.attr( String, {
+        defaultValue: null
+    }),
+
     messages: Record.toMany({
         recordType: JMAP.Message,
         key: 'messageIds'
@@ -115,27 +121,27 @@ var Thread = O.Class({
 JMAP.mail.threadUpdateFetchRecords = true;
 JMAP.mail.threadUpdateMaxChanges = 30;
 JMAP.mail.handle( Thread, {
-    fetch: function ( ids ) {
-        this.callMethod( 'getThreads', {
+    fetch: function ( ids, accountId ) {
+        this.callMethod( 'getThreads', withAccountId({
             ids: ids,
             fetchMessages: true,
             fetchMessageProperties: JMAP.Message.headerProperties
-        });
+        }, accountId ) );
     },
-    refresh: function ( ids, state ) {
+    refresh: function ( ids, state, accountId ) {
         if ( ids ) {
-            this.fetchRecords( Thread, ids );
+            this.fetchRecords( Thread, ids, null, '', false, accountId );
         } else {
-            this.callMethod( 'getThreadUpdates', {
+            this.callMethod( 'getThreadUpdates', withAccountId({
                 sinceState: state,
                 maxChanges: this.threadUpdateMaxChanges,
                 fetchRecords: this.threadUpdateFetchRecords
-            });
+            }, accountId ) );
         }
     },
     // Response handler
-    threads: function ( args ) {
-        this.didFetch( Thread, args );
+    threads: function ( args, _, reqArgs ) {
+        this.didFetch( Thread, args, false, reqArgs.accountId );
     },
     threadUpdates: function ( args, _, reqArgs ) {
         this.didFetchUpdates( Thread, args, reqArgs );
@@ -152,20 +158,21 @@ JMAP.mail.handle( Thread, {
                 } else {
                     this.threadUpdateMaxChanges = 120;
                 }
-                this.get( 'store' ).fetchAll( Thread, true );
+                this.fetchAllRecordsForAccount( Thread, reqArgs.accountId );
                 return;
             } else {
                 // We've fetched 250 updates and there's still more. Let's give
                 // up and reset.
                 this.response
                     .error_getThreadUpdates_cannotCalculateChanges
-                    .call( this, args );
+                    .call( this, args, _, reqArgs );
             }
         }
         this.threadUpdateFetchRecords = true;
         this.threadUpdateMaxChanges = 30;
     },
-    error_getThreadUpdates_cannotCalculateChanges: function ( args ) {
+    error_getThreadUpdates_cannotCalculateChanges: function (
+            args, _, reqArgs ) {
         var store = this.get( 'store' );
         // All our data may be wrong. Unload if possible, otherwise mark
         // obsolete.
@@ -176,8 +183,12 @@ JMAP.mail.handle( Thread, {
         });
         this.recalculateAllFetchedWindows();
         // Tell the store we're now in the new state.
-        store.sourceDidFetchUpdates(
-            Thread, null, null, store.getTypeState( Thread ), args.newState );
+        this.didFetchUpdates( Thread, {
+            changed: null,
+            removed: null,
+            oldState: this.getTypeState( Thread, reqArgs.accountId ),
+            newState: args.newState
+        }, reqArgs );
     }
 });
 
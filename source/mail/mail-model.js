@@ -424,25 +424,50 @@ var byFolderTreeOrder = function ( a, b ) {
         ( a.get( 'id' ) < b.get( 'id' ) ? -1 : 1 );
 };
 
-var rootMailboxes = store.getQuery( 'rootMailboxes', O.LiveQuery, {
-    Type: Mailbox,
-    filter: function ( data ) {
-        return !data.parentId;
-    },
-    sort: [ 'sortOrder', 'name' ]
-});
+// An accountId of null means the default account of the mail connection.
+var isInAccount = function ( accountId, data ) {
+    return accountId ?
+        data.accountId === accountId :
+        JMAP.mail.isDefaultAccount( data.accountId );
+};
 
-var allMailboxes = new O.ObservableArray( null, {
-    content: store.getQuery( 'allMailboxes', O.LiveQuery, {
-        Type: Mailbox
-    }),
-    contentDidChange: function () {
-        var mailboxes = this.get( 'content' ).get( '[]' );
-        mailboxes.sort( byFolderTreeOrder );
-        return this.set( '[]', mailboxes );
+var getRootMailboxes = function ( accountId ) {
+    var id = 'rootMailboxes' + ( accountId ? ':' + accountId : '' );
+    return store.getQuery( id, O.LiveQuery, {
+        Type: Mailbox,
+        filter: function ( data ) {
+            return !data.parentId && isInAccount( accountId, data );
+        },
+        sort: [ 'sortOrder', 'name' ]
+    });
+};
+
+var allMailboxesByAccount = {};
+var getAllMailboxes = function ( accountId ) {
+    var id = 'allMailboxes' + ( accountId ? ':' + accountId : '' ),
+        allMailboxes = allMailboxesByAccount[ id ];
+    if ( !allMailboxes ) {
+        allMailboxes = allMailboxesByAccount[ id ] = new O.ObservableArray(
+                null, {
+            content: store.getQuery( id, O.LiveQuery, {
+                Type: Mailbox,
+                filter: function ( data ) {
+                    return isInAccount( accountId, data );
+                }
+            }),
+            contentDidChange: function () {
+                var mailboxes = this.get( 'content' ).get( '[]' );
+                mailboxes.sort( byFolderTreeOrder );
+                return this.set( '[]', mailboxes );
+            }
+        }).contentDidChange();
+        store.on( Mailbox, allMailboxes, 'contentDidChange' );
     }
-}).contentDidChange();
-store.on( Mailbox, allMailboxes, 'contentDidChange' );
+    return allMailboxes;
+};
+
+var rootMailboxes = getRootMailboxes( null );
+var allMailboxes = getAllMailboxes( null );
 
 var systemMailboxIds = new O.Object({
     foldersDidChange: function () {
@@ -565,6 +590,10 @@ O.extend( JMAP.mail, {
 
     allMailboxes: allMailboxes,
 
+    getRootMailboxes: getRootMailboxes,
+
+    getAllMailboxes: getAllMailboxes,
+
     systemMailboxIds: systemMailboxIds,
 
     // ---
@@ -1068,7 +1097,20 @@ O.extend( JMAP.mail, {
             .refresh();
 
         return this;
+    },
+
+    // ---
+
+    didLogout: function () {
+        var undoManager = this.undoManager;
+        undoManager.pending = [];
+        undoManager.set( 'sequence', null )
+                   .reset();
+        // May have been paused waiting for a request that will now never
+        // return.
+        this.gc.isPaused = false;
     }
 });
+JMAP.auth.on( 'logout', JMAP.mail, 'didLogout' );
 
 }( JMAP ) );
@@ -0,0 +1,267 @@
+/*global require, O */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var store = JMAP.store;
+
+/*
+    Adds a second account, "shared", to the mock server: calls for it are
+    handled by another JMAP.MockServer, which is returned. The calls each
+    request makes to it are added to the given list.
+*/
+var addSharedAccount = function ( server, sharedCalls ) {
+    var shared = new JMAP.MockServer({ accountId: 'shared' });
+    var handleCalls = server.handleCalls;
+    server.handleCalls = function ( calls ) {
+        return calls.reduce( function ( responses, call ) {
+            var isShared = !!call[1] && call[1].accountId === 'shared';
+            if ( isShared && sharedCalls ) {
+                sharedCalls.push( call );
+            }
+            return responses.concat( isShared ?
+                shared.handleCalls([ call ]) :
+                handleCalls.call( this, [ call ] ) );
+        }.bind( this ), [] );
+    };
+    return shared;
+};
+
+var getIds = function ( query ) {
+    return query.get( '[]' ).map( function ( record ) {
+        return record.get( 'id' );
+    });
+};
+
+/*
+    Fetches the mailboxes in both accounts, with a state for the shared
+    account that differs from the default account's.
+*/
+var fetchMailboxes = function ( server, shared ) {
+    var didFetch = false;
+    server.addRecords( 'Mailbox', [
+        { id: 'm1', name: 'Inbox', role: 'inbox', sortOrder: 1 }
+    ]);
+    shared.addRecords( 'Mailbox', [
+        { id: 'sm1', name: 'Team', sortOrder: 1 },
+        { id: 'sm2', name: 'Projects', parentId: 'sm1', sortOrder: 2 }
+    ]);
+    invoke( function () {
+        store.fetchAll( JMAP.Mailbox, true );
+        JMAP.mail.fetchAllRecordsForAccount( JMAP.Mailbox, 'shared',
+            function () {
+                didFetch = true;
+            });
+    });
+    return waitFor( function () {
+        return didFetch && store.getTypeState( JMAP.Mailbox );
+    });
+};
+
+test( 'Records in another account are kept apart from the default account',
+function () {
+    var server = setup.useMockServer();
+    var shared = addSharedAccount( server );
+    return fetchMailboxes( server, shared ).then( function () {
+        var connection = JMAP.mail;
+        assert.notStrictEqual(
+            shared.getState( 'Mailbox' ), server.getState( 'Mailbox' ) );
+        assert.strictEqual( connection.getTypeState( JMAP.Mailbox, 'shared' ),
+            shared.getState( 'Mailbox' ) );
+        assert.strictEqual( connection.getTypeState( JMAP.Mailbox, null ),
+            server.getState( 'Mailbox' ) );
+        assert.strictEqual(
+            connection.getAccountIdForId( JMAP.Mailbox, 'sm2' ), 'shared' );
+        assert.strictEqual(
+            connection.getAccountIdForId( JMAP.Mailbox, 'm1' ), null );
+        assert.strictEqual(
+            store.getRecord( JMAP.Mailbox, 'sm2' ).get( 'accountId' ),
+            'shared' );
+        assert.strictEqual(
+            store.getRecord( JMAP.Mailbox, 'm1' ).get( 'accountId' ), 'mock' );
+        assert.deepStrictEqual(
+            getIds( connection.getRootMailboxes( 'shared' ) ), [ 'sm1' ] );
+        assert.deepStrictEqual(
+            getIds( connection.getRootMailboxes( null ) ), [ 'm1' ] );
+        assert.deepStrictEqual(
+            getIds( connection.get( 'rootMailboxes' ) ), [ 'm1' ] );
+    });
+});
+
+test( 'Changes to records in another account are made and fetched in it',
+function () {
+    var server = setup.useMockServer();
+    var sharedCalls = [];
+    var shared = addSharedAccount( server, sharedCalls );
+    var defaultState;
+    return fetchMailboxes( server, shared ).then( function () {
+        var state = JMAP.mail.getTypeState( JMAP.Mailbox, 'shared' );
+        defaultState = store.getTypeState( JMAP.Mailbox );
+        sharedCalls.length = 0;
+        invoke( function () {
+            store.getRecord( JMAP.Mailbox, 'sm1' ).set( 'name', 'Team A' );
+            store.commitChanges();
+        });
+        return waitFor( function () {
+            return shared.getRecord( 'Mailbox', 'sm1' ).name === 'Team A' &&
+                !store.hasChanges();
+        }).then( function () {
+            assert.deepStrictEqual( sharedCalls.map( function ( call ) {
+                return [ call[0], call[1].state ];
+            }), [[ 'setMailboxes', state ]] );
+        });
+    }).then( function () {
+        // Someone else changes the shared account.
+        shared.updateRecord( 'Mailbox', 'sm2', { name: 'Plans' } );
+        sharedCalls.length = 0;
+        invoke( function () {
+            JMAP.mail.fetchAllRecordsForAccount( JMAP.Mailbox, 'shared' );
+        });
+        return waitFor( function () {
+            return store.getRecord( JMAP.Mailbox, 'sm2' )
+                .get( 'name' ) === 'Plans';
+        });
+    }).then( function () {
+        assert.deepStrictEqual( sharedCalls.map( function ( call ) {
+            return call[0];
+        }), [ 'getMailboxUpdates' ] );
+        assert.strictEqual(
+            JMAP.mail.getTypeState( JMAP.Mailbox, 'shared' ),
+            shared.getState( 'Mailbox' ) );
+        assert.strictEqual( store.getTypeState( JMAP.Mailbox ), defaultState );
+        assert.strictEqual(
+            store.getRecord( JMAP.Mailbox, 'm1' ).get( 'name' ), 'Inbox' );
+    });
+});
+
+test( 'A message list in another account is a separate query', function () {
+    var server = setup.useMockServer();
+    var shared = addSharedAccount( server );
+    var args = { filter: {}, collapseThreads: false };
+    var sharedArgs = O.extend({ accountId: 'shared' }, args );
+    var list, sharedList;
+    // Record ids must be unique across the accounts.
+    server.addRecords( 'Message', [
+        { id: 'e1', threadId: 't1', subject: 'Mine' }
+    ]);
+    shared.addRecords( 'Message', [
+        { id: 'se1', threadId: 'st1', subject: 'Ours' }
+    ]);
+    assert.notStrictEqual(
+        JMAP.MessageList.getId( sharedArgs ), JMAP.MessageList.getId( args ) );
+    invoke( function () {
+        list = store.getQuery(
+            JMAP.MessageList.getId( args ), JMAP.MessageList, args );
+        sharedList = store.getQuery( JMAP.MessageList.getId( sharedArgs ),
+            JMAP.MessageList, sharedArgs );
+        list.refresh();
+        sharedList.refresh();
+    });
+    assert.notStrictEqual( list, sharedList );
+    return waitFor( function () {
+        return [ list, sharedList ].every( function ( query ) {
+            var message = query.get( 'length' ) && query.getObjectAt( 0 );
+            return message && message.is( O.Status.READY );
+        });
+    }).then( function () {
+        var message = list.getObjectAt( 0 ),
+            sharedMessage = sharedList.getObjectAt( 0 );
+        assert.strictEqual( list.get( 'length' ), 1 );
+        assert.strictEqual( sharedList.get( 'length' ), 1 );
+        assert.strictEqual( message.get( 'subject' ), 'Mine' );
+        assert.strictEqual( sharedMessage.get( 'subject' ), 'Ours' );
+        assert.strictEqual(
+            JMAP.mail.getAccountIdForId( JMAP.Message, 'se1' ), 'shared' );
+        assert.strictEqual(
+            JMAP.mail.getAccountIdForId( JMAP.Thread, 'st1' ), 'shared' );
+        assert.strictEqual( sharedMessage.get( 'accountId' ), 'shared' );
+        assert.strictEqual(
+            JMAP.mail.getAccountIdForId( JMAP.Message, 'e1' ), null );
+    });
+});
+
+test( 'A response to a call that was not made is skipped', function () {
+    var errors = [];
+    var didError = O.RunLoop.didError;
+    var responses = [];
+    var remoteCalls = [[ 'getMailboxes', {}, '0' ]];
+    setup.useMockServer();
+    O.RunLoop.didError = function ( error ) {
+        errors.push( error );
+    };
+    try {
+        invoke( function () {
+            JMAP.mail.receive([
+                [ 'mailboxes', { accountId: 'mock', list: [] }, '7' ],
+                [ 'mailboxes', {
+                    accountId: 'mock',
+                    state: '1',
+                    list: [{ id: 'm1', name: 'Inbox', role: 'inbox' }]
+                }, '0' ]
+            ], [[ '0', function ( response ) {
+                responses.push( response );
+            }]], remoteCalls );
+        });
+    } finally {
+        O.RunLoop.didError = didError;
+    }
+    assert.strictEqual( errors.length, 1 );
+    assert.strictEqual( responses.length, 1 );
+    assert.strictEqual( responses[0][0][2], '0' );
+    assert.strictEqual( JMAP.mail.get( 'accountId' ), 'mock' );
+    assert.strictEqual(
+        store.getRecord( JMAP.Mailbox, 'm1' ).get( 'name' ), 'Inbox' );
+});
+
+test( 'A call to an account that has gone is rejected and its data purged',
+function () {
+    var calls = [];
+    var events = [];
+    var listener = {
+        didError: function ( event ) {
+            events.push( event );
+        }
+    };
+    var server = setup.useMockServer( function ( requestCalls ) {
+        calls.push.apply( calls, requestCalls.map( function ( call ) {
+            return call[0];
+        }) );
+    });
+    var shared = addSharedAccount( server );
+    JMAP.mail.on( 'accountNotFound', listener, 'didError' );
+    return fetchMailboxes( server, shared ).then( function () {
+        calls.length = 0;
+        shared.failNextCall( 'getMailboxes', 'accountNotFound' );
+        return invoke( function () {
+            return JMAP.mail.callMethodAsync( 'getMailboxes', {
+                accountId: 'shared'
+            });
+        });
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function ( error ) {
+        var status = store.getRecordStatus( JMAP.Mailbox, 'sm1' );
+        JMAP.mail.off( 'accountNotFound', listener, 'didError' );
+        assert.strictEqual( error.type, 'method' );
+        assert.strictEqual( error.error.type, 'accountNotFound' );
+        assert.strictEqual( events.length, 1 );
+        assert.strictEqual( events[0].accountId, 'shared' );
+        assert.strictEqual( events[0].method, 'getMailboxes' );
+        // Unloaded, or obsolete if it could not be.
+        assert.ok( status === O.Status.EMPTY || ( status & O.Status.OBSOLETE ),
+            'The shared mailbox is purged' );
+        // The default account is untouched.
+        assert.strictEqual(
+            store.getRecordStatus( JMAP.Mailbox, 'm1' ), O.Status.READY );
+        // The accounts are fetched again to see what changed.
+        return waitFor( function () {
+            return calls.indexOf( 'getAccounts' ) > -1;
+        });
+    });
+});
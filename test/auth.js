@@ -0,0 +1,85 @@
+/*global require, O, Promise, setTimeout */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+var auth = JMAP.auth;
+
+var wait = function ( ms ) {
+    return new Promise( function ( resolve ) {
+        setTimeout( resolve, ms );
+    });
+};
+
+test( 'Logging out leaves no request or timer running', function () {
+    var requests = setup.useFakeHttp();
+    var server = setup.useMockServer();
+    var invokeAfterDelay = O.RunLoop.invokeAfterDelay;
+    var retries = [];
+    var didCallBack = false;
+    server.set( 'latency', 20 );
+    invoke( function () {
+        auth.set( 'sessionUrl', 'https://jmap.example.com/session' )
+            .fetchSession();
+        JMAP.mail.callMethod( 'getMailboxes', {}, function () {
+            didCallBack = true;
+        });
+    });
+    assert.strictEqual( requests.length, 1 );
+    assert.strictEqual( JMAP.mail._inFlight.length, 1 );
+
+    O.RunLoop.invokeAfterDelay = function ( fn ) {
+        if ( fn === auth.fetchSession || fn === auth.refindEndpoints ) {
+            retries.push( fn );
+        }
+        return invokeAfterDelay.apply( this, arguments );
+    };
+    try {
+        invoke( function () {
+            auth.logout();
+        });
+    } finally {
+        O.RunLoop.invokeAfterDelay = invokeAfterDelay;
+    }
+
+    assert.ok( requests[0].isAborted );
+    assert.deepStrictEqual( retries, [] );
+    assert.strictEqual( auth._endPointsRequest, null );
+    assert.strictEqual( auth._timer, null );
+    assert.strictEqual( auth.get( 'isAuthenticated' ), false );
+    assert.strictEqual( JMAP.mail._inFlight.length, 0 );
+    assert.strictEqual( JMAP.mail._backgroundTimer, null );
+    return wait( 50 ).then( function () {
+        assert.strictEqual( didCallBack, false );
+    });
+});
+
+test( 'A session fetch that fails is still retried', function () {
+    var requests = setup.useFakeHttp();
+    var invokeAfterDelay = O.RunLoop.invokeAfterDelay;
+    var retries = [];
+    setup.useMockServer();
+    O.RunLoop.invokeAfterDelay = function ( fn, delay ) {
+        if ( fn === auth.fetchSession ) {
+            retries.push( delay );
+            return null;
+        }
+        return invokeAfterDelay.apply( this, arguments );
+    };
+    try {
+        invoke( function () {
+            auth.set( 'sessionUrl', 'https://jmap.example.com/session' )
+                .fetchSession();
+            requests[0].respond( 503, '' );
+        });
+    } finally {
+        O.RunLoop.invokeAfterDelay = invokeAfterDelay;
+    }
+    assert.deepStrictEqual( retries, [ 30000 ] );
+    assert.strictEqual( auth._endPointsRequest, null );
+});
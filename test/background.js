@@ -0,0 +1,155 @@
+/*global require, setTimeout, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var DELAY = 100;
+
+/*
+    Uses the mock server, with a short background delay. Returns the list of
+    requests the server gets, each with the `time` it got it.
+*/
+var start = function () {
+    var requests = [];
+    setup.useMockServer( function ( calls ) {
+        calls = calls.slice();
+        calls.time = Date.now();
+        requests.push( calls );
+    });
+    JMAP.mail.set( 'backgroundDelay', DELAY );
+    return requests;
+};
+
+var wait = function ( ms ) {
+    return new Promise( function ( resolve ) {
+        setTimeout( resolve, ms );
+    });
+};
+
+var getIds = function ( call ) {
+    return call[1].ids;
+};
+
+test( 'Background calls wait until the user has been idle for a while',
+function () {
+    var requests = start();
+    var called = [];
+    var interactedAt = Date.now();
+    invoke( function () {
+        var mail = JMAP.mail;
+        mail.callMethod( 'getMailboxes', { ids: [ 'm1' ] } );
+        mail.callMethodInBackground( 'getMailboxes', { ids: [ 'm2' ] },
+            function () {
+                called.push( 'a' );
+            });
+        // The same call is only made once.
+        mail.callMethodInBackground( 'getMailboxes', { ids: [ 'm2' ] },
+            function () {
+                called.push( 'b' );
+            });
+        assert.strictEqual( mail.get( 'isUserActive' ), true );
+    });
+    return waitFor( function () {
+        return requests.length;
+    }).then( function () {
+        assert.deepStrictEqual( requests[0].map( getIds ), [ [ 'm1' ] ] );
+        return waitFor( function () {
+            return called.length === 2;
+        });
+    }).then( function () {
+        assert.strictEqual( requests.length, 2 );
+        assert.deepStrictEqual( requests[1].map( getIds ), [ [ 'm2' ] ] );
+        assert.ok( requests[1].time - interactedAt >= DELAY );
+        assert.deepStrictEqual( called, [ 'a', 'b' ] );
+        assert.strictEqual( JMAP.mail.get( 'isUserActive' ), false );
+
+        // Other interaction holds them back too.
+        invoke( function () {
+            JMAP.mail.userDidInteract()
+                .callMethodInBackground( 'getMailboxes', { ids: [ 'm3' ] } );
+        });
+        return wait( DELAY / 2 );
+    }).then( function () {
+        assert.strictEqual( requests.length, 2 );
+        interactedAt = Date.now();
+        JMAP.mail.userDidInteract();
+        return waitFor( function () {
+            return requests.length === 3;
+        });
+    }).then( function () {
+        assert.deepStrictEqual( requests[2].map( getIds ), [ [ 'm3' ] ] );
+        assert.ok( requests[2].time - interactedAt >= DELAY );
+    });
+});
+
+test( 'Calls made while fetching go in the background', function () {
+    var requests = start();
+    var server;
+    invoke( function () {
+        JMAP.store.fetchAll( JMAP.Mailbox, true );
+    });
+    return waitFor( function () {
+        return JMAP.store.getTypeState( JMAP.Mailbox );
+    }).then( function () {
+        // Fetching everything is not user activity...
+        assert.strictEqual( JMAP.mail.get( 'isUserActive' ), false );
+        assert.deepStrictEqual( requests.map( function ( calls ) {
+            return calls.map( function ( call ) {
+                return call[0];
+            });
+        }), [ [ 'getMailboxes' ] ] );
+
+        // ...but the refresh waits for the user to stop.
+        server = JMAP.mail.get( 'transport' );
+        server.addRecords( 'Mailbox', [{ name: 'Inbox', role: 'inbox' }] );
+        invoke( function () {
+            JMAP.mail.userDidInteract();
+            JMAP.store.fetchAll( JMAP.Mailbox, true );
+        });
+        return wait( DELAY / 2 );
+    }).then( function () {
+        assert.strictEqual( requests.length, 1 );
+        return waitFor( function () {
+            return requests.length === 2;
+        });
+    }).then( function () {
+        assert.strictEqual( requests[1][0][0], 'getMailboxUpdates' );
+    });
+});
+
+test( 'A background call can refer to an earlier one by its placeholder',
+function () {
+    var requests = start();
+    var referenceId;
+    JMAP.mail.set( 'supportsResultReferences', true );
+    invoke( function () {
+        var mail = JMAP.mail;
+        mail.callMethodInBackground( 'getMessages', { ids: [ 'e1' ] } );
+        referenceId = mail.getPreviousMethodId();
+        mail.callMethodInBackground( 'getThreads', {
+            '#ids': {
+                resultOf: referenceId,
+                name: 'messages',
+                path: '/list/*/threadId'
+            }
+        });
+    });
+    assert.strictEqual( referenceId, 'background:0' );
+    return waitFor( function () {
+        return requests.length;
+    }).then( function () {
+        assert.deepStrictEqual( requests[0].map( function ( call ) {
+            return [ call[0], call[2], call[1][ '#ids' ] &&
+                call[1][ '#ids' ].resultOf ];
+        }), [
+            [ 'getMessages', '0', undefined ],
+            [ 'getThreads', '1', '0' ]
+        ]);
+    });
+});
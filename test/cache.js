@@ -0,0 +1,146 @@
+/*global require, O, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var cache = JMAP.cache;
+var store = JMAP.store;
+
+var read = function ( storage ) {
+    return new Promise( function ( resolve ) {
+        storage.read( cache.getKey( 'test' ), resolve );
+    });
+};
+
+var load = function () {
+    return new Promise( function ( resolve ) {
+        cache.load( 'test', resolve );
+    });
+};
+
+var addMailboxes = function ( server ) {
+    return server.addRecords( 'Mailbox', [
+        { id: 'm1', name: 'Inbox', role: 'inbox' },
+        { id: 'm2', name: 'Sent', role: 'sent' }
+    ]);
+};
+
+var getIds = function ( records ) {
+    return records.map( function ( data ) {
+        return data.id;
+    }).sort();
+};
+
+test( 'Saved records are restored, then only the changes are fetched',
+function () {
+    var storage = new JMAP.MemoryStorage();
+    var calls = [];
+    var server = setup.useMockServer();
+    var snapshot;
+    addMailboxes( server );
+    cache.set( 'storage', storage );
+    invoke( function () {
+        store.fetchAll( JMAP.Mailbox, true );
+    });
+    return waitFor( function () {
+        return store.getTypeState( JMAP.Mailbox );
+    }).then( function () {
+        invoke( function () {
+            cache.save();
+        });
+        return read( storage );
+    }).then( function ( data ) {
+        snapshot = data;
+        assert.strictEqual( snapshot.types.Mailbox.state,
+            server.getState( 'Mailbox' ) );
+        assert.deepStrictEqual(
+            getIds( snapshot.types.Mailbox.records ), [ 'm1', 'm2' ] );
+
+        // The next time the app starts, the same mailboxes are on the
+        // server, but one has been renamed since.
+        server = setup.useMockServer( function ( requestCalls ) {
+            calls.push.apply( calls, requestCalls );
+        });
+        addMailboxes( server );
+        server.updateRecord( 'Mailbox', 'm2', { name: 'Sent Items' } );
+        // Logging out removed the saved data.
+        return read( storage );
+    }).then( function ( data ) {
+        assert.strictEqual( data, null );
+        storage.write( cache.getKey( 'test' ), snapshot );
+        return load();
+    }).then( function () {
+        var inbox = store.getRecord( JMAP.Mailbox, 'm1' );
+        assert.ok( inbox.is( O.Status.READY ) );
+        assert.strictEqual( inbox.get( 'name' ), 'Inbox' );
+        return waitFor( function () {
+            return store.getRecord( JMAP.Mailbox, 'm2' )
+                .get( 'name' ) === 'Sent Items';
+        });
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( function ( call ) {
+            return [ call[0], call[1].sinceState ];
+        }), [[ 'getMailboxUpdates', snapshot.types.Mailbox.state ]] );
+        assert.strictEqual(
+            store.getTypeState( JMAP.Mailbox ), server.getState( 'Mailbox' ) );
+    });
+});
+
+test( 'Only the messages and threads in a saved message list are saved',
+function () {
+    var storage = new JMAP.MemoryStorage();
+    var server = setup.useMockServer();
+    var args = {
+        filter: { inMailboxes: [ 'm1' ] },
+        collapseThreads: true
+    };
+    var list;
+    addMailboxes( server );
+    server.addRecords( 'Message', [
+        { id: 'e1', threadId: 't1', mailboxIds: [ 'm1' ], subject: 'One' },
+        { id: 'e2', threadId: 't2', mailboxIds: [ 'm1' ], subject: 'Two' },
+        { id: 'e3', threadId: 't3', mailboxIds: [ 'm2' ], subject: 'Sent' }
+    ]);
+    cache.set( 'storage', storage );
+    invoke( function () {
+        store.fetchAll( JMAP.Mailbox, true );
+        list = store.getQuery(
+            JMAP.MessageList.getId( args ), JMAP.MessageList, args );
+        list.refresh();
+    });
+    return Promise.all([
+        JMAP.getRecord( JMAP.Message, 'e3' ),
+        JMAP.getRecord( JMAP.Thread, 't3' ),
+        waitFor( function () {
+            return list.get( 'length' ) === 2 &&
+                [ 0, 1 ].every( function ( index ) {
+                    var message = list.getObjectAt( index );
+                    return message && message.is( O.Status.READY ) &&
+                        message.get( 'thread' ).is( O.Status.READY );
+                });
+        })
+    ]).then( function () {
+        invoke( function () {
+            cache.save();
+        });
+        return read( storage );
+    }).then( function ( snapshot ) {
+        var types = snapshot.types;
+        assert.deepStrictEqual(
+            getIds( types.Mailbox.records ), [ 'm1', 'm2' ] );
+        assert.deepStrictEqual(
+            getIds( types.Message.records ), [ 'e1', 'e2' ] );
+        assert.deepStrictEqual(
+            getIds( types.Thread.records ), [ 't1', 't2' ] );
+        assert.deepStrictEqual(
+            snapshot.queries[ list.get( 'id' ) ].messageIds.slice().sort(),
+            [ 'e1', 'e2' ] );
+        assert.ok( store.getRecord( JMAP.Message, 'e3' ).is( O.Status.READY ) );
+    });
+});
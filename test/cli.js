@@ -0,0 +1,128 @@
+/*global require, process, Promise, __dirname */
+
+"use strict";
+
+var assert = require( 'assert' );
+var http = require( 'http' );
+var path = require( 'path' );
+var execFile = require( 'child_process' ).execFile;
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+
+var bin = path.join( __dirname, '..', 'bin', 'jmap' );
+
+// The environment without any JMAP_ variables, so only the arguments count.
+var env = Object.keys( process.env ).reduce( function ( env, name ) {
+    if ( name.slice( 0, 5 ) !== 'JMAP_' ) {
+        env[ name ] = process.env[ name ];
+    }
+    return env;
+}, {} );
+
+/*
+    Runs the command line tool with the given arguments. Resolves with its
+    exit code and output once it has exited by itself.
+*/
+var run = function ( args ) {
+    return new Promise( function ( resolve ) {
+        execFile( process.execPath, [ bin ].concat( args ), {
+            env: env,
+            timeout: 20000
+        }, function ( error, stdout, stderr ) {
+            resolve({
+                code: error ? error.code : 0,
+                signal: error ? error.signal : null,
+                stdout: stdout,
+                stderr: stderr
+            });
+        });
+    });
+};
+
+/*
+    Starts an HTTP server that answers requests in the draft format with the
+    mock server. Resolves with its API URL.
+*/
+var listen = function ( mockServer ) {
+    var server = http.createServer( function ( request, response ) {
+        var body = '';
+        request.on( 'data', function ( chunk ) {
+            body += chunk;
+        });
+        request.on( 'end', function () {
+            response.setHeader( 'Content-Type', 'application/json' );
+            response.end( JSON.stringify(
+                mockServer.handleCalls( JSON.parse( body ) ) ) );
+        });
+    });
+    return new Promise( function ( resolve ) {
+        server.listen( 0, '127.0.0.1', function () {
+            resolve({
+                server: server,
+                apiUrl: 'http://127.0.0.1:' + server.address().port + '/api'
+            });
+        });
+    });
+};
+
+test( 'The usage is printed for --help', function () {
+    return run([ '--help' ]).then( function ( result ) {
+        assert.strictEqual( result.code, 0 );
+        assert.strictEqual(
+            result.stdout.indexOf( 'Usage: jmap [options] <command>' ), 0 );
+    });
+});
+
+test( 'A missing command or option value is an error', function () {
+    return Promise.all([
+        run( [] ),
+        run([ 'messages', '--limit' ])
+    ]).then( function ( results ) {
+        assert.strictEqual( results[0].code, 1 );
+        assert.strictEqual( results[0].stdout.indexOf( 'Usage:' ), 0 );
+        assert.strictEqual( results[1].code, 1 );
+        assert.strictEqual( results[1].stderr.indexOf(
+            'Missing value for --limit\n\nUsage:' ), 0 );
+    });
+});
+
+test( 'An unknown command or a missing token is an error', function () {
+    return Promise.all([
+        run([ 'folders' ]),
+        run([ 'mailboxes', '--api', 'http://127.0.0.1:1/api' ])
+    ]).then( function ( results ) {
+        assert.strictEqual( results[0].code, 1 );
+        assert.strictEqual( results[0].stderr.indexOf(
+            'jmap: Unknown command "folders"' ), 0 );
+        assert.strictEqual( results[1].code, 1 );
+        assert.strictEqual( results[1].stderr,
+            'jmap: No access token given; use --token or run "jmap login".\n' );
+    });
+});
+
+test( 'The mailboxes are printed, then the tool exits by itself',
+function () {
+    var mockServer = new JMAP.MockServer();
+    var listening;
+    mockServer.addRecords( 'Mailbox', [
+        { id: 'm1', name: 'Inbox', role: 'inbox' },
+        { id: 'm2', name: 'Sent', role: 'sent' }
+    ]);
+    return listen( mockServer ).then( function ( result ) {
+        listening = result;
+        return run([ 'mailboxes', '--json',
+            '--api', listening.apiUrl, '--token', 'secret' ]);
+    }).then( function ( result ) {
+        listening.server.close();
+        assert.strictEqual( result.signal, null, 'It did not time out' );
+        assert.strictEqual( result.code, 0, result.stderr );
+        assert.deepStrictEqual( JSON.parse( result.stdout ).map(
+            function ( mailbox ) {
+                return [ mailbox.id, mailbox.name, mailbox.role ];
+            }).sort(), [
+                [ 'm1', 'Inbox', 'inbox' ],
+                [ 'm2', 'Sent', 'sent' ]
+            ]);
+    });
+});
@@ -0,0 +1,100 @@
+/*global require, O, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+/*
+    Makes the mail connection send its requests to a transport that only
+    responds (with the mock server's responses) when the test says so.
+    Returns the list of requests sent, each with a `respond` method.
+*/
+var useManualTransport = function () {
+    var server = setup.useMockServer();
+    var requests = [];
+    JMAP.mail.set( 'transport', {
+        send: function ( connection, remoteCalls ) {
+            var request = new O.Object({
+                nextEventTarget: connection,
+                remoteCalls: remoteCalls,
+                abort: function () {},
+                respond: function () {
+                    invoke( function () {
+                        request.fire( 'io:success', {
+                            status: 200,
+                            data: server.handleCalls( remoteCalls )
+                        }).fire( 'io:end' );
+                    });
+                }
+            });
+            requests.push( request );
+            return request;
+        }
+    });
+    return requests;
+};
+
+var getMailbox = function ( id ) {
+    return invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {
+            ids: [ id ]
+        });
+    });
+};
+
+var getIds = function ( request ) {
+    return request.remoteCalls[0][1].ids;
+};
+
+test( 'Only one request is in flight at once by default', function () {
+    var requests = useManualTransport();
+    var first = getMailbox( 'm1' );
+    getMailbox( 'm2' );
+    getMailbox( 'm3' );
+    assert.strictEqual( requests.length, 1 );
+    assert.strictEqual( JMAP.mail.get( 'inFlightRequest' ), requests[0] );
+
+    // The calls made meanwhile go together in the next request.
+    requests[0].respond();
+    assert.strictEqual( requests.length, 2 );
+    assert.deepStrictEqual( requests[1].remoteCalls.map( function ( call ) {
+        return call[1].ids[0];
+    }), [ 'm2', 'm3' ] );
+    return first.then( function ( responses ) {
+        assert.deepStrictEqual( responses[0][1].notFound, [ 'm1' ] );
+    });
+});
+
+test( 'A slow request does not hold up others if more may be in flight',
+function () {
+    var requests = useManualTransport();
+    var finished = [];
+    var done;
+    JMAP.mail.set( 'maxConcurrentRequests', 2 );
+    done = [ 'm1', 'm2', 'm3' ].map( function ( id ) {
+        return getMailbox( id ).then( function () {
+            finished.push( id );
+        });
+    });
+    assert.deepStrictEqual( requests.map( getIds ), [ [ 'm1' ], [ 'm2' ] ] );
+    assert.strictEqual( JMAP.mail.get( 'inFlightRequest' ), requests[1] );
+
+    // The second returns first; the third is sent in its place.
+    requests[1].respond();
+    assert.deepStrictEqual(
+        requests.map( getIds ), [ [ 'm1' ], [ 'm2' ], [ 'm3' ] ] );
+    assert.strictEqual( JMAP.mail.get( 'inFlightRequest' ), requests[2] );
+    requests[2].respond();
+    assert.strictEqual( JMAP.mail.get( 'inFlightRequest' ), requests[0] );
+    requests[0].respond();
+    assert.strictEqual( JMAP.mail.get( 'inFlightRequest' ), null );
+    assert.strictEqual( JMAP.mail.hasRequests(), false );
+    return Promise.all( done ).then( function () {
+        JMAP.mail.set( 'maxConcurrentRequests', 1 );
+        assert.deepStrictEqual( finished, [ 'm2', 'm3', 'm1' ] );
+    });
+});
@@ -0,0 +1,249 @@
+/*global require, O, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var auth = JMAP.auth;
+
+// Errors the default handlers pass on to the run loop.
+var logged = [];
+O.RunLoop.didError = function ( error ) {
+    if ( error.name === 'JMAP.errors' ) {
+        logged.push( error );
+    }
+};
+
+/*
+    Listens for errors of the given type on JMAP.errors. Returns the list
+    each error is added to as it is reported, with a `stop` method to stop
+    listening. If isPrevented, the default handler is not run.
+*/
+var listen = function ( type, isPrevented ) {
+    var reported = [];
+    var listener = {
+        didError: function ( event ) {
+            reported.push( event.error );
+            if ( isPrevented ) {
+                event.preventDefault();
+            }
+        }
+    };
+    JMAP.errors.on( type, listener, 'didError' );
+    reported.stop = function () {
+        JMAP.errors.off( type, listener, 'didError' );
+    };
+    return reported;
+};
+
+var getName = function ( call ) {
+    return call[0];
+};
+
+test( 'A call to an unknown method is reported, and logged unless prevented',
+function () {
+    var reported;
+    setup.useMockServer();
+    logged.length = 0;
+    reported = listen( 'method' );
+    return invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getWidgets', {} );
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function () {
+        reported.stop();
+        assert.strictEqual( reported.length, 1 );
+        assert.ok( reported[0] instanceof JMAP.RequestError );
+        assert.strictEqual( JMAP.errors.get( 'lastError' ), reported[0] );
+        assert.strictEqual( reported[0].method, 'getWidgets' );
+        assert.strictEqual( reported[0].error.type, 'unknownMethod' );
+        assert.strictEqual( reported[0].connection, JMAP.mail );
+        assert.deepStrictEqual(
+            reported[0].request.map( getName ), [ 'getWidgets' ] );
+        assert.strictEqual( logged.length, 1 );
+        assert.strictEqual( logged[0].message, reported[0].toString() );
+
+        reported = listen( 'method', true );
+        return invoke( function () {
+            return JMAP.mail.callMethodAsync( 'getWidgets', {} );
+        });
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function () {
+        reported.stop();
+        assert.strictEqual( reported.length, 1 );
+        assert.strictEqual( logged.length, 1 );
+    });
+});
+
+test( 'A failed request is reported, and retried if it may succeed later',
+function () {
+    var server = setup.useMockServer();
+    var httpStatus = listen( 'httpStatus' );
+    var transport = listen( 'transport' );
+    var stop = function () {
+        httpStatus.stop();
+        transport.stop();
+    };
+    var done;
+    logged.length = 0;
+
+    // The server is unavailable: try again later.
+    server.failNextRequest( 503 );
+    done = invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+    });
+    return waitFor( function () {
+        return httpStatus.length;
+    }).then( function () {
+        var error = httpStatus[0];
+        assert.strictEqual( error.status, 503 );
+        assert.strictEqual( error.willRetry, true );
+        assert.strictEqual(
+            error.description, 'Server responded with status 503.' );
+        assert.strictEqual( error.connection, JMAP.mail );
+        assert.deepStrictEqual(
+            error.request.map( getName ), [ 'getMailboxes' ] );
+        assert.strictEqual( logged.length, 1 );
+        assert.strictEqual( auth.get( 'isDisconnected' ), true );
+        invoke( function () {
+            auth.retryConnections();
+        });
+        return done;
+    }).then( function ( responses ) {
+        assert.deepStrictEqual( responses.map( getName ), [ 'mailboxes' ] );
+        assert.strictEqual( auth.get( 'isDisconnected' ), false );
+
+        // Any other server error will not go away by itself.
+        server.failNextRequest( 500 );
+        return invoke( function () {
+            return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+        });
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function ( error ) {
+        assert.strictEqual( error.type, 'transport' );
+        assert.strictEqual( httpStatus.length, 2 );
+        assert.strictEqual( httpStatus[1].status, 500 );
+        assert.strictEqual( httpStatus[1].willRetry, false );
+
+        // Nor could the server be reached; try again when it can be.
+        server.failNextRequest( 0 );
+        done = invoke( function () {
+            return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+        });
+        return waitFor( function () {
+            return transport.length;
+        });
+    }).then( function () {
+        assert.strictEqual(
+            transport[0].description, 'Could not connect to server.' );
+        assert.strictEqual( transport[0].willRetry, true );
+        assert.strictEqual( logged.length, 3 );
+        invoke( function () {
+            auth.retryConnections();
+        });
+        return done;
+    }).then( function ( responses ) {
+        stop();
+        assert.deepStrictEqual( responses.map( getName ), [ 'mailboxes' ] );
+    }, function ( error ) {
+        stop();
+        throw error;
+    });
+});
+
+test( 'A rejected change is reported and set as its commitError until it ' +
+        'is committed', function () {
+    var server = setup.useMockServer();
+    var reported = listen( 'set' );
+    var handleCalls = server.handleCalls;
+    var isNameTaken = true;
+    var inbox, archive;
+    // The server already has a mailbox with the new name.
+    server.handleCalls = function ( calls ) {
+        var update, responses;
+        if ( !isNameTaken ) {
+            return handleCalls.call( this, calls );
+        }
+        calls = JSON.parse( JSON.stringify( calls ) );
+        calls.forEach( function ( call ) {
+            if ( call[0] === 'setMailboxes' && call[1].update ) {
+                update = call[1].update;
+                delete update.m1;
+            }
+        });
+        responses = handleCalls.call( this, calls );
+        responses.forEach( function ( response ) {
+            var args = response[1];
+            if ( response[0] === 'mailboxesSet' && update ) {
+                ( args.notUpdated || ( args.notUpdated = {} ) ).m1 = {
+                    type: 'invalidProperties',
+                    description: 'A mailbox with this name already exists',
+                    properties: [ 'name' ]
+                };
+            }
+        });
+        return responses;
+    };
+    server.addRecords( 'Mailbox', [
+        { id: 'm1', name: 'Inbox', role: 'inbox' },
+        { id: 'm2', name: 'Archive', role: 'archive' }
+    ]);
+    return invoke( function () {
+        return Promise.all([
+            JMAP.getRecord( JMAP.Mailbox, 'm1' ),
+            JMAP.getRecord( JMAP.Mailbox, 'm2' )
+        ]);
+    }).then( function ( mailboxes ) {
+        inbox = mailboxes[0];
+        archive = mailboxes[1];
+        // Gone from the server, so it cannot be destroyed.
+        server.removeRecords( 'Mailbox', [ 'm2' ] );
+        return invoke( function () {
+            inbox.set( 'name', 'Archive' );
+            archive.destroy();
+            return JMAP.commitChanges([ inbox, archive ]);
+        });
+    }).then( function ( outcomes ) {
+        reported.stop();
+        assert.deepStrictEqual( outcomes[0].error, {
+            type: 'invalidProperties',
+            description: 'A mailbox with this name already exists',
+            properties: [ 'name' ]
+        });
+        assert.strictEqual( inbox.get( 'commitError' ), outcomes[0].error );
+        assert.strictEqual( inbox.get( 'name' ), 'Inbox' );
+        assert.deepStrictEqual( archive.get( 'commitError' ), {
+            type: 'notFound',
+            description: '',
+            properties: []
+        });
+
+        assert.deepStrictEqual( reported.map( function ( error ) {
+            return [ error.action, error.Type, error.id, error.method,
+                error.error.type ];
+        }), [
+            [ 'update', JMAP.Mailbox, 'm1', 'setMailboxes',
+                'invalidProperties' ],
+            [ 'destroy', JMAP.Mailbox, 'm2', 'setMailboxes', 'notFound' ]
+        ]);
+
+        // Trying again with another name works, and clears the error.
+        isNameTaken = false;
+        return invoke( function () {
+            inbox.set( 'name', 'Receipts' );
+            return JMAP.commitChanges([ inbox ]);
+        });
+    }).then( function ( outcomes ) {
+        assert.strictEqual( outcomes[0].error, null );
+        assert.strictEqual( inbox.get( 'commitError' ), null );
+        assert.strictEqual(
+            server.getRecord( 'Mailbox', 'm1' ).name, 'Receipts' );
+    });
+});
@@ -0,0 +1,160 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+var CORE = 'urn:ietf:params:jmap:core';
+
+var setLimits = function ( limits ) {
+    var capabilities = {};
+    capabilities[ CORE ] = limits;
+    JMAP.auth.set( 'capabilities', capabilities );
+};
+
+var addMailboxes = function ( server ) {
+    return server.addRecords( 'Mailbox', [
+        { name: 'Inbox', role: 'inbox' },
+        { name: 'Sent', role: 'sent' },
+        { name: 'Archive', role: 'archive' }
+    ]);
+};
+
+var getMailboxes = function ( ids ) {
+    return invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {
+            ids: ids
+        });
+    });
+};
+
+test( 'A get with more ids than maxObjectsInGet is split', function () {
+    var requests = [];
+    var server = setup.useMockServer( function ( calls ) {
+        requests.push( calls );
+    });
+    var ids = addMailboxes( server );
+    setLimits({ maxObjectsInGet: 2 });
+    return getMailboxes( ids ).then( function ( responses ) {
+        assert.strictEqual( requests.length, 1 );
+        assert.deepStrictEqual( requests[0].map( function ( call ) {
+            return call[1].ids;
+        }), [ ids.slice( 0, 2 ), ids.slice( 2 ) ] );
+        // The callback gets the responses to all the calls.
+        assert.deepStrictEqual( responses.map( function ( response ) {
+            return response[0];
+        }), [ 'mailboxes', 'mailboxes' ] );
+        assert.deepStrictEqual( responses.reduce( function ( found, item ) {
+            return found.concat( item[1].list.map( function ( mailbox ) {
+                return mailbox.id;
+            }) );
+        }, [] ).sort(), ids.slice().sort() );
+    });
+});
+
+test( 'A request with more calls than maxCallsInRequest is split',
+function () {
+    var requests = [];
+    var server = setup.useMockServer( function ( calls ) {
+        requests.push( calls );
+    });
+    var ids = addMailboxes( server );
+    setLimits({ maxObjectsInGet: 2, maxCallsInRequest: 1 });
+    return getMailboxes( ids ).then( function ( responses ) {
+        assert.deepStrictEqual( requests.map( function ( calls ) {
+            return calls.length;
+        }), [ 1, 1 ] );
+        assert.strictEqual( responses.length, 2 );
+    });
+});
+
+test( 'The account\'s limits are used before the core limits', function () {
+    var capabilities = {};
+    capabilities[ JMAP.mail.get( 'capability' ) ] = { maxObjectsInGet: 1 };
+    setup.useMockServer();
+    JMAP.auth.set( 'accounts', {
+        a1: { accountCapabilities: capabilities },
+        a2: { accountCapabilities: {} }
+    });
+    setLimits({ maxObjectsInGet: 2 });
+    assert.strictEqual( JMAP.mail.getLimit( 'maxObjectsInGet', 'a1' ), 1 );
+    assert.strictEqual( JMAP.mail.getLimit( 'maxObjectsInGet', 'a2' ), 2 );
+    assert.strictEqual( JMAP.mail.getLimit( 'maxObjectsInSet', 'a1' ), 0 );
+});
+
+var getThreadsOfMessages = function ( ids ) {
+    return invoke( function () {
+        JMAP.mail.callMethod( 'getMessages', {
+            ids: ids,
+            properties: [ 'threadId' ]
+        });
+        return JMAP.mail.callMethodAsync( 'getThreads', {
+            ids: {
+                resultOf: JMAP.mail.getPreviousMethodId(),
+                name: 'messages',
+                path: '/list/*/threadId'
+            }
+        });
+    });
+};
+
+var addMessages = function ( server ) {
+    return server.addRecords( 'Message', [
+        { id: 'e1', threadId: 't1' },
+        { id: 'e2', threadId: 't2' },
+        { id: 'e3', threadId: 't3' }
+    ]);
+};
+
+test( 'A reference to a get that was split is to every part', function () {
+    var requests = [];
+    var server = setup.useMockServer( function ( calls ) {
+        requests.push( calls );
+    });
+    var ids = addMessages( server );
+    setLimits({ maxObjectsInGet: 2 });
+    JMAP.mail.set( 'supportsResultReferences', true );
+    return getThreadsOfMessages( ids ).then( function () {
+        assert.strictEqual( requests.length, 1 );
+        assert.deepStrictEqual( requests[0].map( function ( call ) {
+            return [ call[0], call[2], call[1][ '#ids' ] &&
+                call[1][ '#ids' ].resultOf ];
+        }), [
+            [ 'getMessages', '0', undefined ],
+            [ 'getMessages', '1', undefined ],
+            [ 'getThreads', '2', '0' ],
+            [ 'getThreads', '3', '1' ]
+        ]);
+    });
+});
+
+test( 'A reference to a get that was split is resolved against every part',
+function () {
+    var requests = [];
+    var server = setup.useMockServer( function ( calls ) {
+        requests.push( calls );
+    });
+    var ids = addMessages( server );
+    setLimits({ maxObjectsInGet: 2 });
+    JMAP.mail.set( 'supportsResultReferences', false );
+    return getThreadsOfMessages( ids ).then( function ( responses ) {
+        assert.deepStrictEqual( requests.map( function ( calls ) {
+            return calls.map( function ( call ) {
+                return [ call[0], call[1].ids ];
+            });
+        }), [
+            [[ 'getMessages', [ 'e1', 'e2' ] ], [ 'getMessages', [ 'e3' ] ]],
+            [[ 'getThreads', [ 't1', 't2' ] ], [ 'getThreads', [ 't3' ] ]]
+        ]);
+        // The callback gets the threads for all the messages.
+        assert.deepStrictEqual( responses.reduce( function ( found, item ) {
+            return found.concat( item[1].list.map( function ( thread ) {
+                return thread.id;
+            }) );
+        }, [] ), [ 't1', 't2', 't3' ] );
+    });
+});
@@ -0,0 +1,327 @@
+/*global require, O, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var store = JMAP.store;
+var READY = O.Status.READY;
+
+var toId = function ( data ) {
+    return data.id;
+};
+
+var byLastName = function ( a, b ) {
+    return a.lastName < b.lastName ? -1 : a.lastName > b.lastName ? 1 : 0;
+};
+
+var addContacts = function ( server, lastNames ) {
+    return server.addRecords( 'Contact',
+        lastNames.map( function ( lastName ) {
+            return {
+                id: 'c-' + lastName.toLowerCase(),
+                firstName: 'Jo',
+                lastName: lastName
+            };
+        }) );
+};
+
+/*
+    The mock server does not implement getContactList or
+    getContactListUpdates, so handle them here: the list is every contact,
+    sorted by last name. The list calls are added to the given list.
+*/
+var useContactLists = function ( calls ) {
+    var server = setup.useMockServer();
+    var handleCalls = server.handleCalls;
+    var listAtState = {};
+    var getList = function () {
+        var ids = handleCalls.call( server, [[ 'getContacts', {}, '' ]] )[0][1]
+                .list.sort( byLastName ).map( toId );
+        listAtState[ server.getState( 'Contact' ) ] = ids;
+        return ids;
+    };
+    var methods = {
+        getContactList: function ( args, tag ) {
+            var ids = getList(),
+                position = args.position || 0,
+                contactIds = ids.slice( position, position + args.limit );
+            return [[ 'contactList', {
+                accountId: server.get( 'accountId' ),
+                filter: args.filter,
+                sort: args.sort,
+                state: server.getState( 'Contact' ),
+                canCalculateUpdates: true,
+                position: position,
+                total: ids.length,
+                contactIds: contactIds
+            }, tag ]].concat( args.fetchContacts ?
+                handleCalls.call( server, [[ 'getContacts', {
+                    ids: contactIds,
+                    properties: args.fetchContactProperties
+                }, tag ]] ) : [] );
+        },
+        getContactListUpdates: function ( args, tag ) {
+            var oldIds = listAtState[ args.sinceState ],
+                newIds, removed, added;
+            if ( !oldIds ) {
+                return [[ 'error', { type: 'cannotCalculateChanges' }, tag ]];
+            }
+            newIds = getList();
+            removed = oldIds.filter( function ( id ) {
+                return newIds.indexOf( id ) < 0;
+            });
+            added = newIds.reduce( function ( added, id, index ) {
+                if ( oldIds.indexOf( id ) < 0 ) {
+                    added.push({ index: index, contactId: id });
+                }
+                return added;
+            }, [] );
+            if ( args.maxChanges &&
+                    removed.length + added.length > args.maxChanges ) {
+                return [[ 'error', { type: 'tooManyChanges' }, tag ]];
+            }
+            return [[ 'contactListUpdates', {
+                accountId: server.get( 'accountId' ),
+                filter: args.filter,
+                sort: args.sort,
+                oldState: args.sinceState,
+                newState: server.getState( 'Contact' ),
+                uptoContactId: args.uptoContactId || null,
+                removed: removed.map( function ( id ) {
+                    return { contactId: id };
+                }),
+                added: added,
+                total: newIds.length
+            }, tag ]];
+        }
+    };
+    server.handleCalls = function ( requestCalls ) {
+        return requestCalls.reduce( function ( responses, call ) {
+            var method = methods[ call[0] ];
+            if ( method ) {
+                calls.push( call );
+            }
+            return responses.concat( method ?
+                method( JSON.parse( JSON.stringify( call[1] ) ), call[2] ) :
+                handleCalls.call( server, [ call ] ) );
+        }, [] );
+    };
+    return server;
+};
+
+var getContactList = function ( args ) {
+    var list;
+    invoke( function () {
+        list = store.getQuery(
+            JMAP.ContactList.getId( args ), JMAP.ContactList, args );
+        list.refresh();
+    });
+    return list;
+};
+
+// Gets the ids in the list, asking for any windows not yet fetched.
+var getIds = function ( list ) {
+    var ids = [],
+        i, l, record;
+    invoke( function () {
+        for ( i = 0, l = list.get( 'length' ) || 0; i < l; i += 1 ) {
+            record = list.getObjectAt( i );
+            ids.push( record ? record.get( 'id' ) : null );
+        }
+    });
+    return ids;
+};
+
+var hasIds = function ( list, ids ) {
+    return function () {
+        return ( list.get( 'status' ) & READY ) &&
+            JSON.stringify( getIds( list ) ) === JSON.stringify( ids );
+    };
+};
+
+test( 'A contact list is fetched a window at a time', function () {
+    var calls = [];
+    var server = useContactLists( calls );
+    var list;
+    addContacts( server, [ 'Adams', 'Brown', 'Clark', 'Davis', 'Evans' ] );
+    list = getContactList({
+        sort: [ 'lastName asc' ],
+        windowSize: 2
+    });
+    return waitFor( function () {
+        return list.get( 'status' ) & READY;
+    }).then( function () {
+        assert.strictEqual( list.get( 'length' ), 5 );
+        assert.ok( store.getRecord( JMAP.Contact, 'c-brown' ).is( READY ) );
+        assert.ok( !( store.getRecordStatus( JMAP.Contact, 'c-clark' ) &
+            READY ) );
+        invoke( function () {
+            list.getObjectAt( 4 );
+        });
+        return waitFor( function () {
+            return store.getRecordStatus( JMAP.Contact, 'c-evans' ) & READY;
+        });
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( function ( call ) {
+            return [ call[0], call[1].position, call[1].limit,
+                call[1].fetchContacts ];
+        }), [
+            [ 'getContactList', 0, 2, true ],
+            [ 'getContactList', 4, 2, true ]
+        ]);
+        assert.deepStrictEqual( calls[0][1].sort, [ 'lastName asc' ] );
+        assert.ok( !( store.getRecordStatus( JMAP.Contact, 'c-clark' ) &
+            READY ) );
+    });
+});
+
+test( 'A contact list fetches just the changes since its state',
+function () {
+    var calls = [];
+    var server = useContactLists( calls );
+    var list, state;
+    addContacts( server, [ 'Brown', 'Clark', 'Davis' ] );
+    list = getContactList({ sort: [ 'lastName asc' ] });
+    return waitFor(
+        hasIds( list, [ 'c-brown', 'c-clark', 'c-davis' ] )
+    ).then( function () {
+        state = list.get( 'state' );
+        calls.length = 0;
+        addContacts( server, [ 'Adams' ] );
+        server.removeRecords( 'Contact', [ 'c-clark' ] );
+        invoke( function () {
+            list.refresh();
+        });
+        return waitFor( hasIds( list, [ 'c-adams', 'c-brown', 'c-davis' ] ) );
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( function ( call ) {
+            return [ call[0], call[1].sinceState, call[1].maxChanges ];
+        }), [[ 'getContactListUpdates', state, 250 ]] );
+        assert.strictEqual( list.get( 'state' ), server.getState( 'Contact' ) );
+    });
+});
+
+test( 'A contact list with too many changes is fetched again', function () {
+    var calls = [];
+    var server = useContactLists( calls );
+    var list;
+    addContacts( server, [ 'Brown', 'Clark' ] );
+    list = getContactList({ sort: [ 'lastName asc' ], maxChanges: 1 });
+    return waitFor( hasIds( list, [ 'c-brown', 'c-clark' ] ) ).then(
+    function () {
+        calls.length = 0;
+        addContacts( server, [ 'Adams', 'Davis' ] );
+        invoke( function () {
+            list.refresh();
+        });
+        return waitFor(
+            hasIds( list, [ 'c-adams', 'c-brown', 'c-clark', 'c-davis' ] ) );
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( function ( call ) {
+            return call[0];
+        }), [ 'getContactListUpdates', 'getContactList' ] );
+        assert.strictEqual( calls[0][1].maxChanges, 1 );
+        assert.strictEqual( calls[1][1].position, 0 );
+    });
+});
+
+test( 'A calendar event list without updates is fetched again to refresh',
+function () {
+    var calls = [];
+    var server = setup.useMockServer( function ( requestCalls ) {
+        calls.push.apply( calls, requestCalls );
+    });
+    var args = { filter: {} };
+    var list;
+    server.addRecords( 'CalendarEvent', [
+        { id: 'ev1', calendarId: 'cal1', title: 'Standup',
+            start: '2016-01-04T09:00:00' }
+    ]);
+    invoke( function () {
+        list = store.getQuery( JMAP.CalendarEventList.getId( args ),
+            JMAP.CalendarEventList, args );
+        list.refresh();
+    });
+    return waitFor( hasIds( list, [ 'ev1' ] ) ).then( function () {
+        assert.ok( store.getRecord( JMAP.CalendarEvent, 'ev1' ).is( READY ) );
+        server.addRecords( 'CalendarEvent', [
+            { id: 'ev2', calendarId: 'cal1', title: 'Review',
+                start: '2016-01-05T09:00:00' }
+        ]);
+        calls.length = 0;
+        invoke( function () {
+            list.refresh();
+        });
+        return waitFor( hasIds( list, [ 'ev1', 'ev2' ] ) );
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( function ( call ) {
+            return [ call[0], call[1].fetchCalendarEvents ];
+        }), [[ 'getCalendarEventList', true ]] );
+    });
+});
+
+test( 'A message list is shown from the cache, then brought up to date',
+function () {
+    var storage = new JMAP.MemoryStorage();
+    var calls = [];
+    var args = { filter: {}, collapseThreads: false };
+    var messages = [
+        { id: 'e1', threadId: 't1', date: '2016-01-01T09:00:00Z' },
+        { id: 'e2', threadId: 't2', date: '2016-01-02T09:00:00Z' }
+    ];
+    var server = setup.useMockServer();
+    var list, snapshot, state;
+    server.addRecords( 'Message', messages );
+    JMAP.cache.set( 'storage', storage );
+    invoke( function () {
+        list = store.getQuery(
+            JMAP.MessageList.getId( args ), JMAP.MessageList, args );
+        list.refresh();
+    });
+    return waitFor( hasIds( list, [ 'e2', 'e1' ] ) ).then( function () {
+        state = list.get( 'state' );
+        invoke( function () {
+            JMAP.cache.save();
+        });
+        return new Promise( function ( resolve ) {
+            storage.read( JMAP.cache.getKey( 'test' ), resolve );
+        });
+    }).then( function ( data ) {
+        snapshot = data;
+        // The next time the app starts, there is a new message.
+        server = setup.useMockServer( function ( requestCalls ) {
+            calls.push.apply( calls, requestCalls );
+        });
+        server.addRecords( 'Message', messages.concat({
+            id: 'e3', threadId: 't3', date: '2016-01-03T09:00:00Z'
+        }) );
+        storage.write( JMAP.cache.getKey( 'test' ), snapshot );
+        return new Promise( function ( resolve ) {
+            JMAP.cache.load( 'test', resolve );
+        });
+    }).then( function () {
+        invoke( function () {
+            list = store.getQuery(
+                JMAP.MessageList.getId( args ), JMAP.MessageList, args );
+            list.refresh();
+        });
+        // Shown straight away.
+        assert.strictEqual( list.get( 'length' ), 2 );
+        assert.strictEqual( list.messageToThreadId.e2, 't2' );
+        return waitFor( hasIds( list, [ 'e3', 'e2', 'e1' ] ) );
+    }).then( function () {
+        var updates = calls.filter( function ( call ) {
+            return call[0] === 'getMessageListUpdates';
+        });
+        assert.strictEqual( updates.length, 1 );
+        assert.strictEqual( updates[0][1].sinceState, state );
+        assert.strictEqual( updates[0][1].collapseThreads, false );
+        assert.strictEqual( list.messageToThreadId.e3, 't3' );
+    });
+});
@@ -0,0 +1,185 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+var auth = JMAP.auth;
+var login = auth.login;
+
+var AUTH_URL = 'https://jmap.example.com/auth';
+
+/*
+    Logs out and replaces JMAP.HttpRequest with a fake, so each test starts
+    from the "username" state. Returns the list of requests made.
+*/
+var start = function () {
+    var requests = setup.useFakeHttp();
+    invoke( function () {
+        auth.logout();
+        login.set( 'authenticationUrl', AUTH_URL )
+             .set( 'clientName', 'test' );
+    });
+    return requests;
+};
+
+var getData = function ( request ) {
+    return JSON.parse( request.get( 'data' ) );
+};
+
+var getState = function () {
+    return [ login.get( 'state' ), login.get( 'error' ) ];
+};
+
+// Submits the username, and gets to the "method" state.
+var chooseMethod = function ( requests ) {
+    invoke( function () {
+        login.submitUsername( 'joe@example.com' );
+    });
+    invoke( function () {
+        requests[ requests.length - 1 ].respond( 200, {
+            loginId: 'l1',
+            methods: [{ type: 'password' }, { type: 'totp' }],
+            prompt: 'Password'
+        });
+    });
+};
+
+var submitPassword = function ( requests, status, data ) {
+    invoke( function () {
+        login.submitMethod( 'password', 'secret' );
+    });
+    assert.deepStrictEqual( getState(), [ 'loading', '' ] );
+    invoke( function () {
+        requests[ requests.length - 1 ].respond( status, data || '' );
+    });
+};
+
+test( 'Logging in goes from the username to a method to authenticated',
+function () {
+    var requests = start();
+    assert.deepStrictEqual( getState(), [ 'username', '' ] );
+    invoke( function () {
+        login.submitUsername( 'joe@example.com' );
+    });
+    assert.deepStrictEqual( getState(), [ 'loading', '' ] );
+    assert.strictEqual( requests.length, 1 );
+    assert.strictEqual( requests[0].get( 'method' ), 'POST' );
+    assert.strictEqual( requests[0].get( 'url' ), AUTH_URL );
+    assert.deepStrictEqual( getData( requests[0] ), {
+        username: 'joe@example.com',
+        clientName: 'test',
+        clientVersion: '',
+        deviceName: ''
+    });
+
+    invoke( function () {
+        requests[0].respond( 200, {
+            loginId: 'l1',
+            methods: [{ type: 'password' }, { type: 'totp' }],
+            prompt: 'Password'
+        });
+    });
+    assert.deepStrictEqual( getState(), [ 'method', '' ] );
+    assert.strictEqual( login.get( 'loginId' ), 'l1' );
+    assert.deepStrictEqual( login.get( 'methods' ), [ 'password', 'totp' ] );
+    assert.strictEqual( login.get( 'prompt' ), 'Password' );
+
+    submitPassword( requests, 201, {
+        username: 'joe@example.com',
+        accessToken: 'token1',
+        apiUrl: 'https://jmap.example.com/api',
+        downloadUrl: 'https://jmap.example.com/download/{blobId}'
+    });
+    assert.deepStrictEqual( getData( requests[1] ), {
+        loginId: 'l1',
+        type: 'password',
+        value: 'secret'
+    });
+    assert.deepStrictEqual( getState(), [ 'authenticated', '' ] );
+    assert.strictEqual( login.get( 'loginId' ), '' );
+    assert.strictEqual( auth.get( 'isAuthenticated' ), true );
+    assert.strictEqual( auth.get( 'username' ), 'joe@example.com' );
+    assert.strictEqual( auth.get( 'accessToken' ), 'token1' );
+    assert.strictEqual( auth.get( 'apiUrl' ), 'https://jmap.example.com/api' );
+    assert.strictEqual( auth.get( 'authenticationUrl' ), AUTH_URL );
+
+    // Logging out starts again.
+    invoke( function () {
+        auth.logout();
+    });
+    assert.deepStrictEqual( getState(), [ 'username', '' ] );
+    assert.strictEqual( login.get( 'username' ), '' );
+});
+
+test( 'A failed step sets the error and the state to go back to',
+function () {
+    var requests = start();
+    chooseMethod( requests );
+
+    // A wrong password can be tried again.
+    submitPassword( requests, 401 );
+    assert.deepStrictEqual( getState(), [ 'method', 'unauthorized' ] );
+    assert.strictEqual( login.get( 'loginId' ), 'l1' );
+
+    submitPassword( requests, 429 );
+    assert.deepStrictEqual( getState(), [ 'method', 'rateLimited' ] );
+
+    submitPassword( requests, 503 );
+    assert.deepStrictEqual( getState(), [ 'method', 'network' ] );
+
+    submitPassword( requests, 200, 'Not JSON' );
+    assert.deepStrictEqual( getState(), [ 'method', 'invalid' ] );
+
+    // The user may not log in at all.
+    submitPassword( requests, 403 );
+    assert.deepStrictEqual( getState(), [ 'username', 'forbidden' ] );
+    assert.strictEqual( auth.get( 'isAuthenticated' ), false );
+
+    // Without a loginId, there is no method to go back to.
+    requests = start();
+    invoke( function () {
+        login.submitUsername( 'joe@example.com' );
+    });
+    invoke( function () {
+        requests[0].respond( 401, '' );
+    });
+    assert.deepStrictEqual( getState(), [ 'username', 'unauthorized' ] );
+});
+
+test( 'Resetting during a step aborts it without an error', function () {
+    var requests = start();
+    chooseMethod( requests );
+    invoke( function () {
+        login.submitMethod( 'password', 'secret' );
+        // Only one step at a time.
+        login.submitMethod( 'password', 'secret' );
+    });
+    assert.strictEqual( requests.length, 2 );
+    invoke( function () {
+        login.reset();
+    });
+    assert.ok( requests[1].isAborted );
+    assert.deepStrictEqual( getState(), [ 'username', '' ] );
+    assert.strictEqual( login.get( 'loginId' ), '' );
+    assert.deepStrictEqual( login.get( 'methods' ), [] );
+    assert.strictEqual( login._request, null );
+
+    // A new step can start straight away.
+    invoke( function () {
+        login.submitUsername( 'joe@example.com' );
+    });
+    assert.strictEqual( requests.length, 3 );
+    assert.deepStrictEqual( getState(), [ 'loading', '' ] );
+
+    // Whereas a request aborted by its timeout is a network error.
+    invoke( function () {
+        requests[2].abort();
+    });
+    assert.deepStrictEqual( getState(), [ 'username', 'network' ] );
+    assert.strictEqual( login._request, null );
+});
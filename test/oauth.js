@@ -0,0 +1,174 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var auth = JMAP.auth;
+
+var TOKEN_URL = 'https://auth.example.com/token';
+
+/*
+    Uses the mock server for API requests and fake HTTP requests for the
+    token endpoint, with an OAuth token provider given the tokens. Returns
+    the provider and the token requests made.
+*/
+var start = function ( tokens ) {
+    var server = setup.useMockServer();
+    var provider = new JMAP.OAuthTokenProvider({
+        tokenUrl: TOKEN_URL,
+        clientId: 'app'
+    });
+    var requests = setup.useFakeHttp();
+    auth.set( 'tokenProvider', provider );
+    invoke( function () {
+        provider.didReceiveTokens( tokens );
+    });
+    return {
+        server: server,
+        provider: provider,
+        requests: requests
+    };
+};
+
+// Logs out, so the provider's timer does not keep the process running.
+var stop = function () {
+    invoke( function () {
+        auth.logout();
+    });
+};
+
+// Stops errors of the given types being logged; returns those reported.
+var listen = function ( types ) {
+    var reported = [];
+    var listener = {
+        didError: function ( event ) {
+            reported.push( event.error );
+            event.preventDefault();
+        }
+    };
+    types.forEach( function ( type ) {
+        JMAP.errors.on( type, listener, 'didError' );
+    });
+    reported.stop = function () {
+        types.forEach( function ( type ) {
+            JMAP.errors.off( type, listener, 'didError' );
+        });
+    };
+    return reported;
+};
+
+test( 'A rejected access token is refreshed and the request sent again',
+function () {
+    var reported = listen([ 'httpStatus' ]);
+    var state = start({
+        access_token: 'a1',
+        refresh_token: 'r1',
+        expires_in: 3600
+    });
+    var requests = state.requests;
+    var done;
+    assert.strictEqual( auth.get( 'accessToken' ), 'Bearer a1' );
+    assert.strictEqual( requests.length, 0 );
+
+    state.server.failNextRequest( 401 );
+    done = invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+    });
+    return waitFor( function () {
+        return requests.length;
+    }).then( function () {
+        assert.strictEqual( auth.get( 'isAuthenticated' ), false );
+        assert.strictEqual( state.provider.get( 'isRefreshing' ), true );
+        assert.strictEqual( requests[0].get( 'method' ), 'POST' );
+        assert.strictEqual( requests[0].get( 'url' ), TOKEN_URL );
+        assert.strictEqual( requests[0].get( 'data' ),
+            'grant_type=refresh_token&refresh_token=r1&client_id=app' );
+        invoke( function () {
+            requests[0].respond( 200, {
+                access_token: 'a2',
+                expires_in: 3600
+            });
+        });
+        return done;
+    }).then( function ( responses ) {
+        reported.stop();
+        assert.strictEqual( responses[0][0], 'mailboxes' );
+        assert.strictEqual( reported.length, 1 );
+        assert.strictEqual( reported[0].status, 401 );
+        assert.strictEqual( auth.get( 'isAuthenticated' ), true );
+        assert.strictEqual( auth.get( 'accessToken' ), 'Bearer a2' );
+        assert.strictEqual(
+            JMAP.mail.get( 'headers' ).Authorization, 'Bearer a2' );
+        // The old refresh token is kept if no new one is given.
+        assert.strictEqual( state.provider.get( 'refreshToken' ), 'r1' );
+        assert.strictEqual( state.provider.get( 'isRefreshing' ), false );
+        stop();
+    });
+});
+
+test( 'A failed refresh is retried, until the refresh token is rejected',
+function () {
+    var reported = listen([ 'transport' ]);
+    var refreshFailed = 0;
+    var listener = {
+        didFailToRefresh: function () {
+            refreshFailed += 1;
+        }
+    };
+    // Expires within the refresh margin, so it is refreshed straight away.
+    var state = start({
+        access_token: 'a1',
+        refresh_token: 'r1',
+        expires_in: 30
+    });
+    var provider = state.provider;
+    var requests = state.requests;
+    auth.on( 'tokenRefreshFailed', listener, 'didFailToRefresh' );
+    return waitFor( function () {
+        return requests.length;
+    }).then( function () {
+        // The server is down; try again later.
+        invoke( function () {
+            requests[0].respond( 503, '' );
+        });
+        assert.strictEqual( provider.get( 'isRefreshing' ), false );
+        assert.ok( provider._timer );
+        invoke( function () {
+            provider.refresh();
+        });
+        assert.strictEqual( requests.length, 2 );
+
+        // Nonsense from the server is reported, and tried again later.
+        invoke( function () {
+            requests[1].respond( 200, 'Not JSON' );
+        });
+        assert.strictEqual( reported.length, 1 );
+        assert.strictEqual(
+            reported[0].description, 'Token response is not valid.' );
+        assert.ok( provider._timer );
+        invoke( function () {
+            provider.refresh();
+        });
+        assert.strictEqual( requests.length, 3 );
+
+        // The refresh token is no good: the user must log in again.
+        invoke( function () {
+            requests[2].respond( 400, { error: 'invalid_grant' } );
+        });
+        auth.off( 'tokenRefreshFailed', listener, 'didFailToRefresh' );
+        reported.stop();
+        assert.strictEqual( refreshFailed, 1 );
+        assert.strictEqual( provider._timer, null );
+        assert.strictEqual( provider.get( 'refreshToken' ), '' );
+        assert.strictEqual( provider.get( 'canRefresh' ), false );
+        assert.strictEqual( auth.get( 'isAuthenticated' ), false );
+        assert.strictEqual( auth.get( 'accessToken' ), 'Bearer a1' );
+        stop();
+    });
+});
@@ -0,0 +1,188 @@
+/*global require, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var outbox = JMAP.outbox;
+
+var useStorage = function ( entries ) {
+    var storage = new JMAP.MemoryStorage();
+    if ( entries ) {
+        storage.write( outbox.getKey( 'test' ), entries );
+    }
+    outbox.set( 'storage', storage );
+    return storage;
+};
+
+var load = function () {
+    return new Promise( function ( resolve ) {
+        outbox.load( 'test', resolve );
+    });
+};
+
+var countMailboxes = function ( server ) {
+    return server.handleCalls([
+        [ 'getMailboxes', {}, '0' ]
+    ])[0][1].list.length;
+};
+
+var createEntry = function ( state ) {
+    return {
+        typeName: 'Mailbox',
+        action: 'create',
+        accountId: null,
+        recordId: 'k1',
+        data: { name: 'Receipts' },
+        state: state,
+        status: 'waiting',
+        error: null
+    };
+};
+
+test( 'A committed change is kept until the server confirms it',
+function () {
+    var server = setup.useMockServer();
+    var storage = useStorage();
+    var entries;
+    invoke( function () {
+        new JMAP.Mailbox( JMAP.store )
+            .set( 'name', 'Receipts' )
+            .saveToStore();
+        JMAP.store.commitChanges();
+    });
+    entries = outbox.get( 'entries' );
+    assert.strictEqual( entries.length, 1 );
+    assert.strictEqual( entries[0].typeName, 'Mailbox' );
+    assert.strictEqual( entries[0].action, 'create' );
+    assert.strictEqual( entries[0].accountId, null );
+    assert.strictEqual( entries[0].status, 'waiting' );
+    assert.deepStrictEqual(
+        storage._data[ outbox.getKey( 'test' ) ], JSON.stringify( entries ) );
+    return waitFor( function () {
+        return !outbox.get( 'entries' ).length;
+    }).then( function () {
+        assert.strictEqual( countMailboxes( server ), 1 );
+        assert.strictEqual(
+            storage._data[ outbox.getKey( 'test' ) ], '[]' );
+    });
+});
+
+test( 'A create the server made before the page closed is not made again',
+function () {
+    var server = setup.useMockServer();
+    var state = server.getState( 'Mailbox' );
+    // The create reached the server, but the response never came back.
+    server.addRecords( 'Mailbox', [{ name: 'Receipts' }] );
+    useStorage([ createEntry( state ) ]);
+    return load().then( function () {
+        assert.strictEqual( countMailboxes( server ), 1 );
+        assert.strictEqual( outbox.get( 'entries' ).length, 0 );
+    });
+});
+
+test( 'A create the server made is found in a later batch of updates',
+function () {
+    var sinceStates = [];
+    var server = setup.useMockServer( function ( calls ) {
+        calls.forEach( function ( call ) {
+            if ( call[0] === 'getMailboxUpdates' ) {
+                sinceStates.push( call[1].sinceState );
+                // Only return one change at a time.
+                call[1].maxChanges = 1;
+            }
+        });
+    });
+    var state = server.getState( 'Mailbox' );
+    server.addRecords( 'Mailbox', [
+        { name: 'Bills' },
+        { name: 'Travel' },
+        { name: 'Receipts' }
+    ]);
+    useStorage([ createEntry( state ) ]);
+    return load().then( function () {
+        assert.strictEqual( countMailboxes( server ), 3 );
+        assert.strictEqual( outbox.get( 'entries' ).length, 0 );
+        assert.deepStrictEqual( sinceStates, [
+            state, String( +state + 1 ), String( +state + 2 )
+        ]);
+    });
+});
+
+test( 'A create the server did not make is made again', function () {
+    var server = setup.useMockServer();
+    useStorage([ createEntry( server.getState( 'Mailbox' ) ) ]);
+    return load().then( function () {
+        return waitFor( function () {
+            return countMailboxes( server ) &&
+                !outbox.get( 'pendingCount' );
+        });
+    }).then( function () {
+        assert.strictEqual( countMailboxes( server ), 1 );
+        assert.strictEqual( outbox.get( 'entries' ).length, 0 );
+    });
+});
+
+test( 'A create is left in conflict if the server cannot say if it was made',
+function () {
+    var server = setup.useMockServer();
+    var conflicts = [];
+    var listener = {
+        didConflict: function ( event ) {
+            conflicts.push( event.entry );
+        }
+    };
+    server.failNextCall( 'getMailboxUpdates', 'cannotCalculateChanges' );
+    useStorage([ createEntry( server.getState( 'Mailbox' ) ) ]);
+    outbox.on( 'conflict', listener, 'didConflict' );
+    return load().then( function () {
+        var entries = outbox.get( 'entries' );
+        outbox.off( 'conflict', listener, 'didConflict' );
+        assert.strictEqual( countMailboxes( server ), 0 );
+        assert.strictEqual( entries.length, 1 );
+        assert.strictEqual( entries[0].status, 'conflict' );
+        assert.strictEqual( entries[0].error.type, 'unknownIfCreated' );
+        assert.deepStrictEqual( conflicts, entries );
+    });
+});
+
+test( 'An update is made again, except for properties changed since',
+function () {
+    var server = setup.useMockServer();
+    var id = server.addRecords( 'Mailbox', [
+        { name: 'Receipts', sortOrder: 5 }
+    ])[0];
+    // Someone else renamed it since the change was made.
+    server.updateRecord( 'Mailbox', id, { name: 'Bills' } );
+    useStorage([{
+        typeName: 'Mailbox',
+        action: 'update',
+        accountId: null,
+        recordId: id,
+        changes: { name: 'Invoices', sortOrder: 10 },
+        committed: { name: 'Receipts', sortOrder: 5 },
+        status: 'waiting',
+        error: null
+    }]);
+    return load().then( function () {
+        return waitFor( function () {
+            return server.getRecord( 'Mailbox', id ).sortOrder === 10 &&
+                !outbox.get( 'pendingCount' );
+        });
+    }).then( function () {
+        var entries = outbox.get( 'entries' ),
+            mailbox = server.getRecord( 'Mailbox', id );
+        assert.strictEqual( entries.length, 1 );
+        assert.strictEqual( entries[0].action, 'update' );
+        assert.strictEqual( entries[0].status, 'conflict' );
+        assert.deepStrictEqual( entries[0].properties, [ 'name' ] );
+        assert.strictEqual( entries[0].server.name, 'Bills' );
+        assert.strictEqual( mailbox.name, 'Bills' );
+        assert.strictEqual( mailbox.sortOrder, 10 );
+    });
+});
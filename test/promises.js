@@ -0,0 +1,144 @@
+/*global require, O, Promise */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+test( 'getRecord resolves with the record once it is loaded', function () {
+    var server = setup.useMockServer();
+    var id = server.addRecords( 'Mailbox', [
+        { name: 'Inbox', role: 'inbox' }
+    ])[0];
+    return invoke( function () {
+        return JMAP.getRecord( JMAP.Mailbox, id );
+    }).then( function ( mailbox ) {
+        assert.strictEqual( mailbox.get( 'status' ), O.Status.READY );
+        assert.strictEqual( mailbox.get( 'name' ), 'Inbox' );
+    });
+});
+
+test( 'callMethodAsync is rejected if the call returns an error',
+function () {
+    var server = setup.useMockServer();
+    server.failNextCall( 'getMailboxes', 'serverError', 'Oops' );
+    return invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function ( error ) {
+        assert.ok( error instanceof JMAP.RequestError );
+        assert.strictEqual( error.type, 'method' );
+        assert.strictEqual( error.method, 'getMailboxes' );
+        assert.strictEqual( error.error.type, 'serverError' );
+    });
+});
+
+test( 'commitChanges resolves with the outcome for each record',
+function () {
+    var server = setup.useMockServer();
+    var id = server.addRecords( 'Mailbox', [
+        { name: 'Inbox', role: 'inbox' }
+    ])[0];
+    return invoke( function () {
+        return JMAP.getRecord( JMAP.Mailbox, id );
+    }).then( function ( inbox ) {
+        // Gone from the server, so the update will be rejected.
+        server.removeRecords( 'Mailbox', [ id ] );
+        return invoke( function () {
+            var created = new JMAP.Mailbox( JMAP.store )
+                .set( 'name', 'Receipts' )
+                .saveToStore();
+            inbox.set( 'name', 'Renamed' );
+            return JMAP.commitChanges([ created, inbox ]);
+        });
+    }).then( function ( outcomes ) {
+        var created = outcomes[0];
+        assert.strictEqual( created.error, null );
+        assert.strictEqual( server.getRecord(
+            'Mailbox', created.record.get( 'id' ) ).name, 'Receipts' );
+        assert.strictEqual( outcomes[1].error.type, 'notFound' );
+    });
+});
+
+test( 'A sequence resolves with the data from the last step', function () {
+    var sequence = new JMAP.Sequence()
+        .then( function ( next ) {
+            next( 1 );
+        })
+        .then( function ( next, data ) {
+            return Promise.resolve( data + 1 );
+        });
+    sequence.go();
+    return sequence.promise().then( function ( data ) {
+        assert.strictEqual( data, 2 );
+    });
+});
+
+test( 'A sequence is rejected with the reason its last step failed',
+function () {
+    var reason = new Error( 'Step failed' );
+    var sequence = new JMAP.Sequence()
+        .then( function ( next ) {
+            next();
+        })
+        .then( function () {
+            return Promise.reject( reason );
+        });
+    sequence.go();
+    return sequence.promise().then( function () {
+        assert.fail( 'The sequence should have been rejected' );
+    }, function ( error ) {
+        assert.strictEqual( error, reason );
+    });
+});
+
+test( 'A sequence stops at the step that failed', function () {
+    var reason = new Error( 'Step failed' );
+    var ran = false;
+    var sequence = new JMAP.Sequence()
+        .then( function () {
+            return Promise.reject( reason );
+        })
+        .then( function ( next ) {
+            ran = true;
+            next();
+        });
+    sequence.go();
+    return sequence.promise().then( function () {
+        assert.fail( 'The sequence should have been rejected' );
+    }, function ( error ) {
+        assert.strictEqual( error, reason );
+        assert.strictEqual( ran, false );
+        assert.strictEqual( sequence.get( 'progress' ), 100 );
+    });
+});
+
+test( 'A sequence with no steps resolves once it is started', function () {
+    var sequence = new JMAP.Sequence();
+    var promise = sequence.promise();
+    sequence.go( 'data' );
+    return Promise.all([ promise, sequence.promise() ]).then(
+    function ( results ) {
+        assert.deepStrictEqual( results, [ 'data', 'data' ] );
+    });
+});
+
+test( 'A sequence is not a promise', function () {
+    var first = function ( next ) {
+        next();
+    };
+    var second = function ( next ) {
+        next();
+    };
+    var sequence = new JMAP.Sequence();
+    // With two functions, they are both still just steps to add.
+    assert.strictEqual( sequence.then( first, second ), sequence );
+    assert.strictEqual( sequence.get( 'length' ), 1 );
+    assert.deepStrictEqual( sequence.queue, [ first ] );
+    sequence.go();
+    return sequence.promise();
+});
@@ -0,0 +1,402 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+
+var rfc8620 = JMAP.protocols.rfc8620;
+
+var CORE = 'urn:ietf:params:jmap:core';
+var MAIL = 'urn:ietf:params:jmap:mail';
+
+// Only the default account id is read from the connection.
+var connection = {
+    get: function ( key ) {
+        return key === 'accountId' ? 'a1' : null;
+    }
+};
+
+// Drops any properties that are undefined, as they would be when sent.
+var json = function ( value ) {
+    return JSON.parse( JSON.stringify( value ) );
+};
+
+var encode = function ( remoteCalls ) {
+    return json( rfc8620.encodeRequest( remoteCalls, connection ) );
+};
+
+var decode = function ( methodResponses, remoteCalls ) {
+    return json( rfc8620.decodeResponse( {
+        methodResponses: methodResponses,
+        sessionState: 'session1'
+    }, remoteCalls ) );
+};
+
+test( 'An updates call with fetchRecords gets the changed records too',
+function () {
+    var calls = [[ 'getMailboxUpdates', {
+        sinceState: 's1',
+        fetchRecords: true
+    }, '0' ]];
+    assert.deepStrictEqual( encode( calls ), {
+        using: [ CORE, MAIL ],
+        methodCalls: [[ 'Mailbox/changes', {
+            accountId: 'a1',
+            sinceState: 's1'
+        }, '0' ], [ 'Mailbox/get', {
+            accountId: 'a1',
+            '#ids': {
+                resultOf: '0',
+                name: 'Mailbox/changes',
+                path: '/created'
+            }
+        }, '0.1' ], [ 'Mailbox/get', {
+            accountId: 'a1',
+            '#ids': {
+                resultOf: '0',
+                name: 'Mailbox/changes',
+                path: '/updated'
+            }
+        }, '0.2' ]]
+    });
+    assert.deepStrictEqual( decode([[ 'Mailbox/changes', {
+        accountId: 'a1',
+        oldState: 's1',
+        newState: 's2',
+        hasMoreChanges: false,
+        created: [ 'm1' ],
+        updated: [ 'm2' ],
+        destroyed: [ 'm3' ]
+    }, '0' ], [ 'Mailbox/get', {
+        accountId: 'a1',
+        state: 's2',
+        list: [{
+            id: 'm1',
+            name: 'Inbox',
+            totalEmails: 3,
+            unreadEmails: 1,
+            myRights: { mayRename: false, mayDelete: false }
+        }],
+        notFound: []
+    }, '0.1' ], [ 'Mailbox/get', {
+        accountId: 'a1',
+        state: 's2',
+        list: [{ id: 'm2', name: 'Archive' }],
+        notFound: []
+    }, '0.2' ]], calls ), [[ 'mailboxUpdates', {
+        accountId: 'a1',
+        oldState: 's1',
+        newState: 's2',
+        hasMoreUpdates: false,
+        changed: [ 'm1', 'm2' ],
+        removed: [ 'm3' ]
+    }, '0' ], [ 'mailboxes', {
+        accountId: 'a1',
+        state: 's2',
+        list: [{
+            id: 'm1',
+            name: 'Inbox',
+            totalMessages: 3,
+            unreadMessages: 1,
+            mayRename: false,
+            mayDelete: false
+        }],
+        notFound: []
+    }, '0' ], [ 'mailboxes', {
+        accountId: 'a1',
+        state: 's2',
+        list: [{ id: 'm2', name: 'Archive' }],
+        notFound: []
+    }, '0' ]]);
+});
+
+test( 'A set call sends the state as ifInState and maps the results',
+function () {
+    var calls = [[ 'setMessages', {
+        accountId: 'a2',
+        state: 's1',
+        create: {
+            k1: {
+                mailboxIds: [ 'm1' ],
+                isUnread: true,
+                isFlagged: true,
+                subject: 'Hello'
+            }
+        },
+        update: {
+            e1: { isUnread: false, mailboxIds: [ 'm2' ] }
+        },
+        destroy: [ 'e2' ]
+    }, '0' ]];
+    assert.deepStrictEqual( encode( calls ).methodCalls, [[ 'Email/set', {
+        accountId: 'a2',
+        ifInState: 's1',
+        create: {
+            k1: {
+                mailboxIds: { m1: true },
+                keywords: { $flagged: true },
+                subject: 'Hello'
+            }
+        },
+        update: {
+            e1: {
+                'keywords/$seen': true,
+                mailboxIds: { m2: true }
+            }
+        },
+        destroy: [ 'e2' ]
+    }, '0' ]]);
+    assert.deepStrictEqual( decode([[ 'Email/set', {
+        accountId: 'a2',
+        oldState: 's1',
+        newState: 's2',
+        created: {
+            k1: {
+                id: 'e3',
+                threadId: 't1',
+                keywords: { $flagged: true }
+            }
+        },
+        updated: { e1: null },
+        destroyed: [ 'e2' ]
+    }, '0' ]], calls ), [[ 'messagesSet', {
+        accountId: 'a2',
+        oldState: 's1',
+        newState: 's2',
+        created: {
+            k1: {
+                id: 'e3',
+                threadId: 't1',
+                isUnread: true,
+                isFlagged: true,
+                isAnswered: false,
+                isDraft: false
+            }
+        },
+        updated: [ 'e1' ],
+        destroyed: [ 'e2' ]
+    }, '0' ]]);
+});
+
+test( 'A reference to a message list is sent as a reference to the query',
+function () {
+    var calls = [[ 'getMessageList', {
+        filter: { inMailboxes: [ 'm1' ] },
+        sort: [ 'date desc' ],
+        position: 0,
+        limit: 10
+    }, '0' ], [ 'getMessages', {
+        '#ids': {
+            resultOf: '0',
+            name: 'messageList',
+            path: '/messageIds'
+        },
+        properties: [ 'subject', 'isUnread' ]
+    }, '1' ]];
+    assert.deepStrictEqual( encode( calls ).methodCalls, [[ 'Email/query', {
+        accountId: 'a1',
+        filter: { inMailbox: 'm1' },
+        sort: [{ property: 'receivedAt', isAscending: false }],
+        calculateTotal: true,
+        position: 0,
+        limit: 10
+    }, '0' ], [ 'Email/get', {
+        accountId: 'a1',
+        '#ids': {
+            resultOf: '0',
+            name: 'Email/query',
+            path: '/ids'
+        },
+        properties: [ 'threadId' ]
+    }, '0.1' ], [ 'Email/get', {
+        accountId: 'a1',
+        '#ids': {
+            resultOf: '0',
+            name: 'Email/query',
+            path: '/ids'
+        },
+        properties: [ 'subject', 'keywords' ]
+    }, '1' ]]);
+    assert.deepStrictEqual( decode([[ 'Email/query', {
+        accountId: 'a1',
+        queryState: 'q1',
+        canCalculateChanges: true,
+        position: 0,
+        total: 2,
+        ids: [ 'e1', 'e2' ]
+    }, '0' ], [ 'Email/get', {
+        accountId: 'a1',
+        list: [
+            { id: 'e1', threadId: 't1' },
+            { id: 'e2', threadId: 't2' }
+        ]
+    }, '0.1' ], [ 'Email/get', {
+        accountId: 'a1',
+        list: [
+            { id: 'e1', subject: 'First', keywords: { $seen: true } },
+            { id: 'e2', subject: 'Second', keywords: {} }
+        ]
+    }, '1' ]], calls ), [[ 'messageList', {
+        accountId: 'a1',
+        filter: { inMailboxes: [ 'm1' ] },
+        sort: [ 'date desc' ],
+        state: 'q1',
+        canCalculateUpdates: true,
+        position: 0,
+        total: 2,
+        messageIds: [ 'e1', 'e2' ],
+        threadIds: [ 't1', 't2' ]
+    }, '0' ], [ 'messages', {
+        accountId: 'a1',
+        list: [{
+            id: 'e1',
+            subject: 'First',
+            isUnread: false,
+            isFlagged: false,
+            isAnswered: false,
+            isDraft: false
+        }, {
+            id: 'e2',
+            subject: 'Second',
+            isUnread: true,
+            isFlagged: false,
+            isAnswered: false,
+            isDraft: false
+        }]
+    }, '1' ]]);
+});
+
+test( 'Errors are returned for the draft call, with the draft type',
+function () {
+    var calls = [
+        [ 'getMessages', { ids: [ 'e1' ] }, '0' ],
+        [ 'getContactUpdates', { sinceState: 's1' }, '1' ],
+        [ 'getMailboxes', { accountId: 'a2' }, '2' ]
+    ];
+    assert.deepStrictEqual( decode([
+        [ 'error', { type: 'accountNotSupportedByMethod' }, '0' ],
+        [ 'error', { type: 'accountNotSupportedByMethod' }, '1' ],
+        [ 'error', { type: 'accountNotFound' }, '2' ]
+    ], calls ), [
+        [ 'error', { type: 'accountNoMail' }, '0' ],
+        [ 'error', { type: 'accountNoContacts' }, '1' ],
+        [ 'error', { type: 'accountNotFound' }, '2' ]
+    ]);
+});
+
+test( 'An error for any of the calls made for a draft call is returned',
+function () {
+    var calls = [[ 'getMailboxUpdates', {
+        sinceState: 's1',
+        fetchRecords: true
+    }, '0' ]];
+    assert.deepStrictEqual( decode([
+        [ 'error', { type: 'cannotCalculateChanges' }, '0' ],
+        [ 'error', { type: 'invalidResultReference' }, '0.1' ],
+        [ 'error', { type: 'invalidResultReference' }, '0.2' ]
+    ], calls ), [
+        [ 'error', { type: 'cannotCalculateChanges' }, '0' ]
+    ]);
+});
+
+test( 'Calls to methods it does not know are passed through unchanged',
+function () {
+    var calls = [[ 'Foo/echo', { hello: 'world' }, '0' ]];
+    assert.deepStrictEqual( encode( calls ), {
+        using: [ CORE ],
+        methodCalls: [[ 'Foo/echo', { hello: 'world' }, '0' ]]
+    });
+    assert.deepStrictEqual( decode([
+        [ 'Foo/echo', { hello: 'world' }, '0' ]
+    ], calls ), [
+        [ 'Foo/echo', { hello: 'world' }, '0' ]
+    ]);
+    assert.strictEqual( rfc8620.decodeResponse( [], calls ), null );
+});
+
+test( 'A type added with addType has its calls translated', function () {
+    var SUBMISSION = 'urn:ietf:params:jmap:submission';
+    var calls = [[ 'getIdentityUpdates', {
+        sinceState: 's1',
+        maxChanges: 50,
+        fetchRecords: true,
+        fetchRecordProperties: [ 'name' ]
+    }, '0' ], [ 'setIdentities', {
+        state: 's2',
+        create: { k1: { name: 'Work' } }
+    }, '1' ]];
+    rfc8620.addType( 'Identity', 'Identities', 'Identity', SUBMISSION );
+    assert.deepStrictEqual( encode( calls ), {
+        using: [ CORE, SUBMISSION ],
+        methodCalls: [[ 'Identity/changes', {
+            accountId: 'a1',
+            sinceState: 's1',
+            maxChanges: 50
+        }, '0' ], [ 'Identity/get', {
+            accountId: 'a1',
+            '#ids': {
+                resultOf: '0',
+                name: 'Identity/changes',
+                path: '/created'
+            },
+            properties: [ 'name' ]
+        }, '0.1' ], [ 'Identity/get', {
+            accountId: 'a1',
+            '#ids': {
+                resultOf: '0',
+                name: 'Identity/changes',
+                path: '/updated'
+            },
+            properties: [ 'name' ]
+        }, '0.2' ], [ 'Identity/set', {
+            accountId: 'a1',
+            ifInState: 's2',
+            create: { k1: { name: 'Work' } }
+        }, '1' ]]
+    });
+    assert.deepStrictEqual( decode([[ 'Identity/changes', {
+        accountId: 'a1',
+        oldState: 's1',
+        newState: 's2',
+        hasMoreChanges: true,
+        created: [],
+        updated: [ 'i1' ],
+        destroyed: []
+    }, '0' ], [ 'Identity/get', {
+        accountId: 'a1',
+        list: []
+    }, '0.1' ], [ 'Identity/get', {
+        accountId: 'a1',
+        list: [{ id: 'i1', name: 'Home' }]
+    }, '0.2' ], [ 'Identity/set', {
+        accountId: 'a1',
+        oldState: 's2',
+        newState: 's3',
+        created: { k1: { id: 'i2' } },
+        notCreated: null
+    }, '1' ]], calls ), [[ 'identityUpdates', {
+        accountId: 'a1',
+        oldState: 's1',
+        newState: 's2',
+        hasMoreUpdates: true,
+        changed: [ 'i1' ],
+        removed: []
+    }, '0' ], [ 'identities', {
+        accountId: 'a1',
+        list: []
+    }, '0' ], [ 'identities', {
+        accountId: 'a1',
+        list: [{ id: 'i1', name: 'Home' }]
+    }, '0' ], [ 'identitiesSet', {
+        accountId: 'a1',
+        oldState: 's2',
+        newState: 's3',
+        created: { k1: { id: 'i2' } },
+        notCreated: null,
+        updated: [],
+        destroyed: []
+    }, '1' ]]);
+});
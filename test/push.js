@@ -0,0 +1,162 @@
+/*global require, O, Promise, setTimeout */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var auth = JMAP.auth;
+var push = JMAP.push;
+var store = JMAP.store;
+
+var wait = function ( ms ) {
+    return new Promise( function ( resolve ) {
+        setTimeout( resolve, ms );
+    });
+};
+
+// Node has no EventSource, so stand in for one; each made is added here.
+var eventSources = [];
+var FakeEventSource = O.Class({
+
+    Extends: O.Object,
+
+    readyState: 2,
+
+    init: function ( mixin ) {
+        FakeEventSource.parent.init.call( this, mixin );
+        eventSources.push( this );
+    },
+
+    open: function () {
+        return this.set( 'readyState', 1 );
+    },
+
+    close: function () {
+        return this.set( 'readyState', 2 );
+    }
+});
+FakeEventSource.CLOSED = 2;
+O.EventSource = FakeEventSource;
+
+/*
+    Uses a mock server with one mailbox, fetched into the store. Resolves
+    with the server; the method calls it gets are added to the given list.
+*/
+var useMailbox = function ( calls ) {
+    var server = setup.useMockServer( function ( requestCalls ) {
+        calls.push.apply( calls, requestCalls );
+    });
+    server.addRecords( 'Mailbox', [{ id: 'm1', name: 'Inbox' }] );
+    invoke( function () {
+        store.fetchAll( JMAP.Mailbox, true );
+    });
+    return waitFor( function () {
+        return store.getTypeState( JMAP.Mailbox );
+    }).then( function () {
+        calls.length = 0;
+        return server;
+    });
+};
+
+var getMethods = function ( calls ) {
+    return calls.map( function ( call ) {
+        return call[0];
+    });
+};
+
+test( 'Push is off by default in Node', function () {
+    setup.useMockServer();
+    invoke( function () {
+        auth.set( 'eventSourceUrl', 'https://jmap.example.com/events' );
+    });
+    assert.strictEqual( push.get( 'isEnabled' ), false );
+    assert.strictEqual( push._eventSource, null );
+    assert.strictEqual( eventSources.length, 0 );
+});
+
+test( 'A state change fetches the updates for the types that changed',
+function () {
+    var calls = [];
+    var server;
+    return useMailbox( calls ).then( function ( mockServer ) {
+        server = mockServer;
+        server.updateRecord( 'Mailbox', 'm1', { name: 'Received' } );
+        invoke( function () {
+            push.didReceiveState( JSON.stringify({
+                Mailbox: server.getState( 'Mailbox' ),
+                // Never fetched, so nothing to update.
+                Contact: 'c1'
+            }) );
+        });
+        return waitFor( function () {
+            return store.getRecord( JMAP.Mailbox, 'm1' )
+                .get( 'name' ) === 'Received';
+        });
+    }).then( function () {
+        assert.deepStrictEqual(
+            getMethods( calls ), [ 'getMailboxUpdates' ] );
+        calls.length = 0;
+        // We already have this state.
+        invoke( function () {
+            push.didReceiveState( JSON.stringify({
+                Mailbox: server.getState( 'Mailbox' )
+            }) );
+        });
+        return wait( 20 );
+    }).then( function () {
+        assert.deepStrictEqual( calls, [] );
+    });
+});
+
+test( 'The event source reconnects with the others, then refreshes',
+function () {
+    var calls = [];
+    var eventSource;
+    return useMailbox( calls ).then( function ( server ) {
+        invoke( function () {
+            auth.set( 'eventSourceUrl', 'https://jmap.example.com/events' );
+            push.set( 'isEnabled', true );
+        });
+        assert.strictEqual( eventSources.length, 1 );
+        eventSource = eventSources[0];
+        assert.strictEqual(
+            eventSource.get( 'url' ), 'https://jmap.example.com/events' );
+        assert.strictEqual( eventSource.get( 'readyState' ), 1 );
+        invoke( function () {
+            eventSource.fire( 'open' );
+            eventSource.fire( 'error' );
+        });
+        assert.strictEqual( eventSource.get( 'readyState' ), 2 );
+        assert.strictEqual( auth.get( 'isDisconnected' ), true );
+
+        // Missed while disconnected.
+        server.updateRecord( 'Mailbox', 'm1', { name: 'Received' } );
+        invoke( function () {
+            auth.retryConnections();
+        });
+        assert.strictEqual( eventSources.length, 1 );
+        assert.strictEqual( eventSource.get( 'readyState' ), 1 );
+        invoke( function () {
+            eventSource.fire( 'open' );
+        });
+        assert.strictEqual( auth.get( 'isDisconnected' ), false );
+        return waitFor( function () {
+            return store.getRecord( JMAP.Mailbox, 'm1' )
+                .get( 'name' ) === 'Received';
+        });
+    }).then( function () {
+        assert.deepStrictEqual(
+            getMethods( calls ), [ 'getMailboxUpdates' ] );
+        invoke( function () {
+            auth.logout();
+        });
+        assert.strictEqual( push._eventSource, null );
+        assert.strictEqual( eventSource.get( 'readyState' ), 2 );
+        push.set( 'isEnabled', false );
+    });
+});
@@ -0,0 +1,159 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var store = JMAP.store;
+
+/*
+    Uses a mock server with one mailbox, fetched into the store (so the
+    store has the current state). Resolves with the server; the method calls
+    it gets are added to the given list.
+*/
+var useMailbox = function ( calls ) {
+    var server = setup.useMockServer( function ( requestCalls ) {
+        calls.push.apply( calls, requestCalls );
+    });
+    server.addRecords( 'Mailbox', [
+        { id: 'm1', name: 'Receipts', sortOrder: 5 }
+    ]);
+    invoke( function () {
+        store.fetchAll( JMAP.Mailbox, true );
+    });
+    return waitFor( function () {
+        return store.getTypeState( JMAP.Mailbox ) ===
+            server.getState( 'Mailbox' );
+    }).then( function () {
+        calls.length = 0;
+        return server;
+    });
+};
+
+var rename = function ( name ) {
+    return invoke( function () {
+        var mailbox = store.getRecord( JMAP.Mailbox, 'm1' );
+        mailbox.set( 'name', name );
+        return JMAP.commitChanges([ mailbox ]);
+    });
+};
+
+var getSetCalls = function ( calls ) {
+    return calls.filter( function ( call ) {
+        return call[0] === 'setMailboxes';
+    });
+};
+
+var listenForConflicts = function () {
+    var conflicts = [];
+    var listener = {
+        didConflict: function ( event ) {
+            conflicts.push( event );
+        },
+        stop: function () {
+            JMAP.mail.off( 'conflict', this, 'didConflict' );
+        }
+    };
+    JMAP.mail.on( 'conflict', listener, 'didConflict' );
+    listener.conflicts = conflicts;
+    return listener;
+};
+
+test( 'A commit made at an old state is rebased and sent again', function () {
+    var calls = [];
+    var listener = listenForConflicts();
+    var server;
+    return useMailbox( calls ).then( function ( mockServer ) {
+        server = mockServer;
+        // Someone else changes a property we are not changing.
+        server.updateRecord( 'Mailbox', 'm1', { sortOrder: 10 } );
+        return rename( 'Invoices' );
+    }).then( function ( outcomes ) {
+        var setCalls = getSetCalls( calls );
+        listener.stop();
+        assert.strictEqual( outcomes[0].error, null );
+        assert.deepStrictEqual( listener.conflicts, [] );
+        assert.strictEqual( setCalls.length, 2 );
+        assert.notStrictEqual( setCalls[0][1].state, setCalls[1][1].state );
+        assert.deepStrictEqual( setCalls[1][1].update, {
+            m1: { name: 'Invoices' }
+        });
+        assert.deepStrictEqual( server.getRecord( 'Mailbox', 'm1' ), {
+            id: 'm1',
+            name: 'Invoices',
+            sortOrder: 10
+        });
+        assert.deepStrictEqual( JMAP.mail._rebaseAttempts, {} );
+        return waitFor( function () {
+            return store.getRecord( JMAP.Mailbox, 'm1' )
+                .get( 'sortOrder' ) === 10;
+        });
+    });
+});
+
+test( 'A change made on the server to the same property is a conflict',
+function () {
+    var calls = [];
+    var listener = listenForConflicts();
+    var server;
+    return useMailbox( calls ).then( function ( mockServer ) {
+        server = mockServer;
+        server.updateRecord( 'Mailbox', 'm1', { name: 'Bills' } );
+        return rename( 'Invoices' );
+    }).then( function ( outcomes ) {
+        var conflict;
+        listener.stop();
+        assert.strictEqual( outcomes[0].error.type, 'stateMismatch' );
+        assert.deepStrictEqual( outcomes[0].error.properties, [ 'name' ] );
+        // Nothing left to send again.
+        assert.strictEqual( getSetCalls( calls ).length, 1 );
+        assert.strictEqual( server.getRecord( 'Mailbox', 'm1' ).name,
+            'Bills' );
+        assert.strictEqual( listener.conflicts.length, 1 );
+        assert.strictEqual( listener.conflicts[0].Type, JMAP.Mailbox );
+        assert.strictEqual( listener.conflicts[0].accountId, null );
+        conflict = listener.conflicts[0].conflicts[0];
+        assert.strictEqual( conflict.id, 'm1' );
+        assert.strictEqual(
+            conflict.storeKey, store.getStoreKey( JMAP.Mailbox, 'm1' ) );
+        assert.deepStrictEqual( conflict.properties, [ 'name' ] );
+        assert.strictEqual( conflict.local.name, 'Invoices' );
+        assert.strictEqual( conflict.server.name, 'Bills' );
+        assert.strictEqual( conflict.server.sortOrder, 5 );
+        return waitFor( function () {
+            return store.getRecord( JMAP.Mailbox, 'm1' )
+                .get( 'name' ) === 'Bills';
+        });
+    });
+});
+
+test( 'A commit is rejected once it has been rebased maxRebaseAttempts times',
+function () {
+    var calls = [];
+    var server;
+    return useMailbox( calls ).then( function ( mockServer ) {
+        var handleCalls;
+        server = mockServer;
+        handleCalls = server.handleCalls;
+        // The state changes again before every set call arrives.
+        server.handleCalls = function ( requestCalls ) {
+            if ( getSetCalls( requestCalls ).length ) {
+                server.addRecords( 'Mailbox', [{ name: 'Another' }] );
+            }
+            return handleCalls.call( this, requestCalls );
+        };
+        return rename( 'Invoices' );
+    }).then( function ( outcomes ) {
+        assert.strictEqual( outcomes[0].error.type, 'stateMismatch' );
+        assert.strictEqual( getSetCalls( calls ).length,
+            JMAP.mail.maxRebaseAttempts + 1 );
+        assert.strictEqual( server.getRecord( 'Mailbox', 'm1' ).name,
+            'Receipts' );
+        assert.deepStrictEqual( JMAP.mail._rebaseAttempts, {} );
+    });
+});
@@ -0,0 +1,114 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+var getName = function ( call ) {
+    return call[0];
+};
+
+var addMessages = function ( server ) {
+    var inboxId = server.addRecords( 'Mailbox', [
+        { name: 'Inbox', role: 'inbox' }
+    ])[0];
+    server.addRecords( 'Message', [{
+        mailboxIds: [ inboxId ],
+        subject: 'First',
+        date: '2016-01-01T09:00:00'
+    }, {
+        mailboxIds: [ inboxId ],
+        subject: 'Second',
+        date: '2016-01-02T09:00:00'
+    }]);
+    return inboxId;
+};
+
+var callWithReference = function ( inboxId ) {
+    return invoke( function () {
+        JMAP.mail.callMethod( 'getMessageList', {
+            filter: { inMailboxes: [ inboxId ] },
+            sort: [ 'date desc' ],
+            position: 0,
+            limit: 10
+        });
+        return JMAP.mail.callMethodAsync( 'getMessages', {
+            ids: {
+                resultOf: JMAP.mail.getPreviousMethodId(),
+                name: 'messageList',
+                path: '/messageIds'
+            },
+            properties: [ 'subject' ]
+        });
+    });
+};
+
+test( 'References are resolved by the client if the server cannot',
+function () {
+    var requests = [];
+    var server = setup.useMockServer( function ( calls ) {
+        requests.push( calls );
+    });
+    var inboxId = addMessages( server );
+    JMAP.mail.set( 'supportsResultReferences', false );
+    return callWithReference( inboxId ).then( function ( responses ) {
+        assert.deepStrictEqual( requests.map( function ( calls ) {
+            return calls.map( getName );
+        }), [ [ 'getMessageList' ], [ 'getMessages' ] ] );
+        assert.strictEqual( requests[1][0][1].ids.length, 2 );
+        assert.ok( !( '#ids' in requests[1][0][1] ) );
+        assert.strictEqual( responses[0][0], 'messages' );
+        assert.deepStrictEqual( responses[0][1].list.map( function ( item ) {
+            return item.subject;
+        }), [ 'Second', 'First' ] );
+    });
+});
+
+test( 'References are sent in the same request if the server can',
+function () {
+    var requests = [];
+    var server = setup.useMockServer( function ( calls ) {
+        requests.push( calls );
+    });
+    var inboxId = addMessages( server );
+    JMAP.mail.set( 'supportsResultReferences', true );
+    return callWithReference( inboxId ).then( function () {
+        var args = requests[0][1][1];
+        assert.strictEqual( requests.length, 1 );
+        assert.deepStrictEqual( requests[0].map( getName ),
+            [ 'getMessageList', 'getMessages' ] );
+        assert.deepStrictEqual( args[ '#ids' ], {
+            resultOf: requests[0][0][2],
+            name: 'messageList',
+            path: '/messageIds'
+        });
+    });
+});
+
+test( 'A call whose reference cannot be resolved gets an error',
+function () {
+    var server = setup.useMockServer();
+    var inboxId = addMessages( server );
+    JMAP.mail.set( 'supportsResultReferences', false );
+    return invoke( function () {
+        JMAP.mail.callMethod( 'getMessageList', {
+            filter: { inMailboxes: [ inboxId ] }
+        });
+        return JMAP.mail.callMethodAsync( 'getMessages', {
+            ids: {
+                resultOf: JMAP.mail.getPreviousMethodId(),
+                name: 'messageList',
+                path: '/noSuchProperty'
+            }
+        });
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function ( error ) {
+        assert.strictEqual( error.type, 'method' );
+        assert.strictEqual( error.error.type, 'invalidResultReference' );
+    });
+});
@@ -0,0 +1,33 @@
+/*global require, process, console, __dirname */
+
+"use strict";
+
+// Runs each test file in its own Node process, as the JMAP namespace (with
+// its store and connections) is shared by everything loaded in a process.
+
+var fs = require( 'fs' );
+var path = require( 'path' );
+var spawnSync = require( 'child_process' ).spawnSync;
+
+var files = process.argv.length > 2 ?
+    process.argv.slice( 2 ) :
+    fs.readdirSync( __dirname ).filter( function ( file ) {
+        return /\.js$/.test( file ) &&
+            file !== 'run.js' && file !== 'setup.js';
+    }).map( function ( file ) {
+        return path.join( __dirname, file );
+    });
+
+var failed = files.filter( function ( file ) {
+    console.log( '# ' + path.basename( file ) );
+    return spawnSync( process.execPath, [ file ], {
+        stdio: 'inherit'
+    }).status !== 0;
+});
+
+if ( failed.length ) {
+    console.log( '\nFailed: ' + failed.map( function ( file ) {
+        return path.basename( file );
+    }).join( ', ' ) );
+    process.exitCode = 1;
+}
@@ -0,0 +1,155 @@
+/*global require, O */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+var auth = JMAP.auth;
+var store = JMAP.store;
+
+var CORE = 'urn:ietf:params:jmap:core';
+var MAIL = 'urn:ietf:params:jmap:mail';
+var CONTACTS = 'urn:ietf:params:jmap:contacts';
+var SESSION_URL = 'https://jmap.example.com/.well-known/jmap';
+
+var getSession = function ( state ) {
+    var capabilities = {},
+        mailCapabilities = {},
+        contactsCapabilities = {},
+        primaryAccounts = {};
+    capabilities[ CORE ] = { maxObjectsInGet: 50 };
+    capabilities[ MAIL ] = {};
+    capabilities[ CONTACTS ] = {};
+    mailCapabilities[ MAIL ] = {};
+    contactsCapabilities[ CONTACTS ] = {};
+    primaryAccounts[ MAIL ] = 'a1';
+    primaryAccounts[ CONTACTS ] = 'a2';
+    return {
+        username: 'joe@example.com',
+        apiUrl: 'https://jmap.example.com/api/',
+        downloadUrl: 'https://jmap.example.com/download/' +
+            '{accountId}/{blobId}/{name}?type={type}',
+        uploadUrl: 'https://jmap.example.com/upload/{accountId}/',
+        eventSourceUrl: 'https://jmap.example.com/events/' +
+            '?types={types}&closeafter={closeafter}&ping={ping}',
+        capabilities: capabilities,
+        accounts: {
+            a1: {
+                name: 'joe@example.com',
+                isPersonal: true,
+                isReadOnly: false,
+                accountCapabilities: mailCapabilities
+            },
+            a2: {
+                name: 'Team contacts',
+                isPersonal: false,
+                isReadOnly: true,
+                accountCapabilities: contactsCapabilities
+            }
+        },
+        primaryAccounts: primaryAccounts,
+        state: state
+    };
+};
+
+// Authenticates with a session URL; returns the requests made.
+var authenticate = function () {
+    var requests = setup.useFakeHttp();
+    invoke( function () {
+        auth.logout();
+        auth.didAuthenticate( 'joe', 'token', {
+            sessionUrl: SESSION_URL
+        });
+    });
+    return requests;
+};
+
+test( 'The session is fetched to find the URLs and accounts', function () {
+    var requests = authenticate();
+    var account;
+    assert.strictEqual( requests.length, 1 );
+    assert.strictEqual( requests[0].get( 'method' ), 'GET' );
+    assert.strictEqual( requests[0].get( 'url' ), SESSION_URL );
+    assert.strictEqual(
+        requests[0].get( 'headers' ).Authorization, 'token' );
+    assert.strictEqual( auth.get( 'isAuthenticated' ), false );
+
+    invoke( function () {
+        requests[0].respond( 200, getSession( 's1' ) );
+    });
+    assert.strictEqual( auth.get( 'isAuthenticated' ), true );
+    assert.strictEqual( auth.get( 'username' ), 'joe@example.com' );
+    assert.strictEqual( auth.get( 'sessionState' ), 's1' );
+    assert.strictEqual(
+        auth.get( 'apiUrl' ), 'https://jmap.example.com/api/' );
+    assert.strictEqual( auth.getUrlForBlob( 'b1', 'a.eml', 'message/rfc822' ),
+        'https://jmap.example.com/download/a1/b1/a.eml?type=message%2Frfc822' );
+    assert.strictEqual( auth.getUploadUrl( 'a2' ),
+        'https://jmap.example.com/upload/a2/' );
+    assert.strictEqual( auth.get( 'eventSourceUrl' ),
+        'https://jmap.example.com/events/?types=*&closeafter=no&ping=300' );
+
+    // Each connection uses the primary account for its capability.
+    assert.strictEqual( JMAP.mail.get( 'accountId' ), 'a1' );
+    assert.strictEqual( JMAP.mail.get( 'protocol' ), 'rfc8620' );
+    assert.strictEqual( JMAP.contacts.get( 'accountId' ), 'a2' );
+    assert.strictEqual( JMAP.mail.getLimit( 'maxObjectsInGet' ), 50 );
+
+    account = store.getRecord( JMAP.Account, 'a2' );
+    assert.strictEqual( account.get( 'name' ), 'Team contacts' );
+    assert.strictEqual( account.get( 'isPrimary' ), true );
+    assert.strictEqual( account.get( 'isReadOnly' ), true );
+    assert.strictEqual( account.get( 'hasContacts' ), true );
+    assert.strictEqual( account.get( 'hasMail' ), false );
+});
+
+test( 'The session is fetched again when its state changes', function () {
+    var requests = authenticate();
+    invoke( function () {
+        requests[0].respond( 200, getSession( 's1' ) );
+    });
+    invoke( function () {
+        auth.sessionStateDidChange( 's1' );
+    });
+    assert.strictEqual( requests.length, 1 );
+
+    invoke( function () {
+        auth.sessionStateDidChange( 's2' );
+    });
+    assert.strictEqual( requests.length, 2 );
+    assert.strictEqual( requests[1].get( 'url' ), SESSION_URL );
+    invoke( function () {
+        var session = getSession( 's2' );
+        delete session.accounts.a2;
+        delete session.primaryAccounts[ CONTACTS ];
+        requests[1].respond( 200, session );
+    });
+    assert.strictEqual( auth.get( 'sessionState' ), 's2' );
+    assert.deepStrictEqual( Object.keys( auth.get( 'accounts' ) ), [ 'a1' ] );
+    assert.ok( !store.getRecord( JMAP.Account, 'a2' ).is( O.Status.READY ) );
+});
+
+test( 'A session that is not valid is reported and not used', function () {
+    var requests = authenticate();
+    var reported = [];
+    var listener = {
+        didError: function ( event ) {
+            reported.push( event.error );
+            event.preventDefault();
+        }
+    };
+    JMAP.errors.on( 'transport', listener, 'didError' );
+    invoke( function () {
+        requests[0].respond( 200, { capabilities: {} } );
+    });
+    JMAP.errors.off( 'transport', listener, 'didError' );
+    assert.strictEqual( auth.get( 'isAuthenticated' ), false );
+    assert.strictEqual( auth.get( 'apiUrl' ), '' );
+    assert.strictEqual( reported.length, 1 );
+    assert.strictEqual(
+        reported[0].description, 'Session from server is not valid.' );
+});
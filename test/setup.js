@@ -0,0 +1,147 @@
+/*global require, module, process, console, global, setTimeout, Promise,
+    __dirname */
+
+"use strict";
+
+var path = require( 'path' );
+
+global.O = require( path.join( __dirname, '..', 'overture.js' ) )();
+var O = global.O;
+var JMAP = require( path.join( __dirname, '..', 'build', 'JMAP.js' ) );
+
+var tests = [];
+
+/*
+    Adds a test to run. The function may return a promise, in which case the
+    test passes once it resolves. The tests in a file run one after the
+    other, once the file has been loaded.
+*/
+var test = function ( name, fn ) {
+    tests.push([ name, fn ]);
+};
+
+setTimeout( function () {
+    var failures = 0;
+    tests.reduce( function ( promise, item ) {
+        return promise.then( function () {
+            return item[1]();
+        }).then( function () {
+            console.log( 'ok - ' + item[0] );
+        }, function ( error ) {
+            failures += 1;
+            console.log( 'not ok - ' + item[0] + '\n' +
+                ( error && error.stack || error ) );
+        });
+    }, Promise.resolve() ).then( function () {
+        process.exitCode = failures ? 1 : 0;
+    });
+}, 0 );
+
+/*
+    Calls the function inside a run loop, so anything it queues (such as
+    sending the method calls it makes) happens before this returns.
+*/
+var invoke = function ( fn ) {
+    var result;
+    O.RunLoop.invoke( function () {
+        result = fn();
+    });
+    return result;
+};
+
+/*
+    Resolves once the check function returns true, or rejects if it has not
+    after the given number of ms (1000 by default).
+*/
+var waitFor = function ( check, timeout ) {
+    var giveUpAt = Date.now() + ( timeout || 1000 );
+    return new Promise( function ( resolve, reject ) {
+        var poll = function () {
+            if ( check() ) {
+                resolve();
+            } else if ( Date.now() > giveUpAt ) {
+                reject( new Error( 'Timed out waiting for ' + check ) );
+            } else {
+                setTimeout( poll, 5 );
+            }
+        };
+        poll();
+    });
+};
+
+/*
+    Logs out, so nothing is left from the previous test, then makes a new
+    JMAP.MockServer the transport for all the connections and authenticates.
+    If given, the onCalls function is called with the method calls in each
+    request the server gets.
+*/
+var useMockServer = function ( onCalls ) {
+    var server = new JMAP.MockServer();
+    var handleCalls = server.handleCalls;
+    server.handleCalls = function ( calls ) {
+        if ( onCalls ) {
+            onCalls( calls );
+        }
+        return handleCalls.call( this, calls );
+    };
+    invoke( function () {
+        JMAP.auth.logout();
+    });
+    JMAP.source.get( 'sources' ).forEach( function ( connection ) {
+        connection.set( 'transport', server );
+    });
+    JMAP.auth.didAuthenticate( 'test', 'token', {} );
+    return server;
+};
+
+/*
+    Replaces JMAP.HttpRequest with a class that sends nothing, so tests can
+    check the requests made and choose the responses. Returns the list each
+    request is added to when created. Call `respond( status, data )` on one
+    to finish it (data that is not a string is sent as JSON).
+*/
+var useFakeHttp = function () {
+    var requests = [];
+    var FakeRequest = O.Class({
+
+        Extends: O.Object,
+
+        init: function ( mixin ) {
+            this.isSent = false;
+            this.isAborted = false;
+            FakeRequest.parent.init.call( this, mixin );
+            requests.push( this );
+        },
+
+        send: function () {
+            this.isSent = true;
+            return this;
+        },
+
+        abort: function () {
+            this.isAborted = true;
+            return this.fire( 'io:abort', {
+                status: 0
+            }).fire( 'io:end' );
+        },
+
+        respond: function ( status, data ) {
+            return this.fire( status >= 200 && status < 300 ?
+                'io:success' : 'io:failure', {
+                status: status,
+                data: typeof data === 'string' ? data : JSON.stringify( data )
+            }).fire( 'io:end' );
+        }
+    });
+    JMAP.HttpRequest = FakeRequest;
+    return requests;
+};
+
+module.exports = {
+    JMAP: JMAP,
+    test: test,
+    invoke: invoke,
+    waitFor: waitFor,
+    useMockServer: useMockServer,
+    useFakeHttp: useFakeHttp
+};
@@ -0,0 +1,145 @@
+/*global require */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+// Only the id and request encoding are needed from the connection.
+var connection = {
+    get: function ( key ) {
+        return key === 'id' ? 'mail' : null;
+    },
+    encodeRequest: function ( remoteCalls ) {
+        return JSON.stringify( remoteCalls );
+    }
+};
+
+var getId = function ( exchange ) {
+    return exchange.id;
+};
+
+test( 'The oldest exchanges are dropped once maxExchanges are kept',
+function () {
+    var tracer = new JMAP.Tracer({ maxExchanges: 3 });
+    var exchange;
+    [ 'getMailboxes', 'getMessages', 'getThreads', 'getMessages',
+            'getMailboxes' ].forEach( function ( name, i ) {
+        tracer.connectionWillSend( connection, [[ name, {}, i + '' ]] );
+    });
+    assert.deepStrictEqual( tracer.getExchanges().map( getId ), [ 3, 4, 5 ] );
+    assert.deepStrictEqual(
+        tracer.getExchanges( 'getMessages' ).map( getId ), [ 4 ] );
+    assert.deepStrictEqual( tracer.getExchanges( function ( exchange ) {
+        return exchange.id % 2;
+    }).map( getId ), [ 3, 5 ] );
+
+    // And it keeps going round.
+    tracer.connectionWillSend( connection, [[ 'getThreads', {}, '5' ]] );
+    exchange = tracer.connectionWillSend(
+        connection, [[ 'getThreads', {}, '6' ]] );
+    assert.deepStrictEqual( tracer.getExchanges().map( getId ), [ 5, 6, 7 ] );
+    assert.strictEqual( exchange.result, 'pending' );
+    assert.strictEqual( exchange.connection, 'mail' );
+    assert.strictEqual(
+        exchange.requestSize, '[["getThreads",{},"6"]]'.length );
+
+    tracer.connectionDidReceive( exchange, {
+        type: 'io:success',
+        status: 200,
+        data: '{"methodResponses":[]}',
+        headers: { 'server-timing': 'db;dur=12.5, total;dur=40' }
+    });
+    tracer.connectionDidHandle( exchange, [ 'threads', {}, '6' ], 2 );
+    assert.deepStrictEqual( tracer.getSummary().pop(), {
+        id: 7,
+        connection: 'mail',
+        calls: 'getThreads#6',
+        result: 'success',
+        status: 200,
+        requestSize: 23,
+        responseSize: 22,
+        roundTripTime: exchange.roundTripTime,
+        serverTime: 40,
+        handlers: 'threads#6 (2ms)'
+    });
+
+    tracer.clear();
+    assert.deepStrictEqual( tracer.getExchanges(), [] );
+    tracer.connectionWillSend( connection, [[ 'getThreads', {}, '0' ]] );
+    assert.deepStrictEqual( tracer.getExchanges().map( getId ), [ 8 ] );
+});
+
+test( 'The server time is the total, or else the sum, of the timings',
+function () {
+    var tracer = new JMAP.Tracer();
+    var getServerTime = function ( header ) {
+        return tracer.getServerTime({
+            headers: header === undefined ? {} : {
+                'Server-Timing': header
+            }
+        });
+    };
+    assert.strictEqual( getServerTime( 'db;dur=12.5, total;dur=40' ), 40 );
+    assert.strictEqual( getServerTime( 'db;dur=1.5, app;desc="x";dur=2' ),
+        3.5 );
+    assert.strictEqual( getServerTime( 'miss, cache;desc="hit"' ), null );
+    assert.strictEqual( getServerTime(), null );
+});
+
+test( 'The requests a connection sends are traced once enabled', function () {
+    var server = setup.useMockServer();
+    var tracer = new JMAP.Tracer();
+    var listener = {
+        didError: function ( event ) {
+            event.preventDefault();
+        }
+    };
+    tracer.enable();
+    assert.strictEqual( JMAP.mail.get( 'tracer' ), tracer );
+    return invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+    }).then( function () {
+        var exchange = tracer.getExchanges()[0];
+        assert.strictEqual( tracer.getExchanges().length, 1 );
+        assert.strictEqual( exchange.connection, JMAP.mail.get( 'id' ) );
+        assert.deepStrictEqual( exchange.calls, [{
+            name: 'getMailboxes',
+            tag: '0',
+            args: {}
+        }]);
+        assert.strictEqual( exchange.result, 'success' );
+        assert.strictEqual( exchange.status, 200 );
+        assert.ok( exchange.responseSize > 0 );
+        assert.ok( exchange.roundTripTime >= 0 );
+        assert.deepStrictEqual( exchange.handlers.map( function ( handler ) {
+            return [ handler.name, handler.tag ];
+        }), [[ 'mailboxes', '0' ]] );
+
+        // Failures are traced too.
+        JMAP.errors.on( 'httpStatus', listener, 'didError' );
+        server.failNextRequest( 500 );
+        return invoke( function () {
+            return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+        });
+    }).then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function () {
+        var exchange = tracer.getExchanges()[1];
+        JMAP.errors.off( 'httpStatus', listener, 'didError' );
+        assert.strictEqual( exchange.result, 'failure' );
+        assert.strictEqual( exchange.status, 500 );
+        assert.deepStrictEqual( exchange.handlers, [] );
+
+        tracer.disable();
+        assert.strictEqual( JMAP.mail.get( 'tracer' ), null );
+        return invoke( function () {
+            return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+        });
+    }).then( function () {
+        assert.strictEqual( tracer.getExchanges().length, 2 );
+    });
+});
@@ -0,0 +1,203 @@
+/*global require, global */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+
+var auth = JMAP.auth;
+
+var CORE = 'urn:ietf:params:jmap:core';
+var MAIL = 'urn:ietf:params:jmap:mail';
+var WEBSOCKET = 'urn:ietf:params:jmap:websocket';
+var SOCKET_URL = 'wss://jmap.example.com/socket/';
+
+// A WebSocket that sends nothing; the tests open it and send it messages.
+var sockets = [];
+var FakeSocket = function ( url, protocol ) {
+    this.url = url;
+    this.protocol = protocol;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push( this );
+};
+FakeSocket.prototype.send = function ( message ) {
+    this.sent.push( JSON.parse( message ) );
+};
+FakeSocket.prototype.close = function () {
+    this.readyState = 3;
+};
+FakeSocket.prototype.didOpen = function () {
+    this.readyState = 1;
+    this.onopen();
+};
+FakeSocket.prototype.receive = function ( message ) {
+    this.onmessage({
+        data: JSON.stringify( message )
+    });
+};
+// Responds to a request with an empty Mailbox/get for each call in it.
+FakeSocket.prototype.respond = function ( request ) {
+    this.receive({
+        '@type': 'Response',
+        requestId: request.id,
+        methodResponses: request.methodCalls.map( function ( call ) {
+            return [ 'Mailbox/get', {
+                accountId: 'a1',
+                state: 's1',
+                list: [],
+                notFound: []
+            }, call[2] ];
+        }),
+        sessionState: 'session1'
+    });
+};
+global.WebSocket = FakeSocket;
+
+var getName = function ( call ) {
+    return call[0];
+};
+
+// Authenticates with a session that has a WebSocket, and uses it for mail.
+var useWebSocket = function () {
+    var capabilities = {},
+        mailCapabilities = {},
+        primaryAccounts = {},
+        transport = new JMAP.WebSocketTransport();
+    capabilities[ CORE ] = {};
+    capabilities[ MAIL ] = {};
+    capabilities[ WEBSOCKET ] = {
+        url: SOCKET_URL,
+        supportsPush: true
+    };
+    mailCapabilities[ MAIL ] = {};
+    primaryAccounts[ MAIL ] = 'a1';
+    sockets.length = 0;
+    invoke( function () {
+        auth.logout();
+        auth.didAuthenticate( 'joe', 'token', {} );
+        auth.didFetchSession({
+            apiUrl: 'https://jmap.example.com/api/',
+            capabilities: capabilities,
+            accounts: {
+                a1: {
+                    name: 'joe@example.com',
+                    isPersonal: true,
+                    accountCapabilities: mailCapabilities
+                }
+            },
+            primaryAccounts: primaryAccounts,
+            state: 'session1'
+        });
+    });
+    JMAP.mail.set( 'transport', transport );
+    return transport;
+};
+
+test( 'Requests wait for the socket to open, then match responses by id',
+function () {
+    var done, socket, request;
+    useWebSocket();
+    done = invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+    });
+    assert.strictEqual( sockets.length, 1 );
+    socket = sockets[0];
+    assert.strictEqual( socket.url, SOCKET_URL );
+    assert.strictEqual( socket.protocol, 'jmap' );
+    assert.deepStrictEqual( socket.sent, [] );
+
+    socket.didOpen();
+    assert.deepStrictEqual( socket.sent.map( function ( message ) {
+        return message[ '@type' ];
+    }), [ 'WebSocketPushEnable', 'Request' ] );
+    request = socket.sent[1];
+    assert.deepStrictEqual( request.using, [ CORE, MAIL ] );
+    assert.deepStrictEqual(
+        request.methodCalls.map( getName ), [ 'Mailbox/get' ] );
+    assert.strictEqual( request.methodCalls[0][1].accountId, 'a1' );
+
+    // A response to some other request is ignored.
+    socket.respond({
+        id: 'other',
+        methodCalls: request.methodCalls
+    });
+    socket.respond( request );
+    return done.then( function ( responses ) {
+        assert.deepStrictEqual( responses.map( getName ), [ 'mailboxes' ] );
+        assert.strictEqual( sockets.length, 1 );
+    });
+});
+
+test( 'State changes are pushed, and a closed socket fails its requests',
+function () {
+    var pushed = [];
+    var reported = [];
+    var listener = {
+        didError: function ( event ) {
+            reported.push( event.error );
+            event.preventDefault();
+        }
+    };
+    var didReceiveStateChange = JMAP.push.didReceiveStateChange;
+    var done, socket;
+    useWebSocket();
+    JMAP.push.didReceiveStateChange = function ( data ) {
+        pushed.push( data );
+    };
+    JMAP.errors.on( 'httpStatus', listener, 'didError' )
+               .on( 'transport', listener, 'didError' );
+
+    done = invoke( function () {
+        return JMAP.mail.callMethodAsync( 'getMailboxes', {} );
+    });
+    socket = sockets[0];
+    socket.didOpen();
+    socket.receive({
+        '@type': 'StateChange',
+        changed: { a1: { Mailbox: 's2' } }
+    });
+    assert.deepStrictEqual( pushed, [{
+        '@type': 'StateChange',
+        changed: { a1: { Mailbox: 's2' } }
+    }]);
+
+    // The request is retried on a new socket.
+    socket.onclose();
+    assert.strictEqual( reported.length, 1 );
+    assert.strictEqual( reported[0].type, 'transport' );
+    assert.strictEqual( reported[0].willRetry, true );
+    invoke( function () {
+        auth.retryConnections();
+    });
+    assert.strictEqual( sockets.length, 2 );
+    socket = sockets[1];
+    socket.didOpen();
+    assert.deepStrictEqual(
+        socket.sent[1].methodCalls.map( getName ), [ 'Mailbox/get' ] );
+    assert.notStrictEqual( socket.sent[1].id, sockets[0].sent[1].id );
+
+    // An error for the request as a whole is an HTTP status error.
+    socket.receive({
+        '@type': 'RequestError',
+        requestId: socket.sent[1].id,
+        type: 'about:blank',
+        status: 500,
+        detail: 'Internal error'
+    });
+    JMAP.push.didReceiveStateChange = didReceiveStateChange;
+    JMAP.errors.off( 'httpStatus', listener, 'didError' )
+               .off( 'transport', listener, 'didError' );
+    assert.strictEqual( reported.length, 2 );
+    assert.strictEqual( reported[1].type, 'httpStatus' );
+    assert.strictEqual( reported[1].status, 500 );
+    assert.strictEqual( reported[1].willRetry, false );
+    return done.then( function () {
+        assert.fail( 'The call should have been rejected' );
+    }, function ( error ) {
+        assert.strictEqual( error.type, 'transport' );
+    });
+});
@@ -0,0 +1,123 @@
+/*global require, O */
+
+"use strict";
+
+var assert = require( 'assert' );
+var setup = require( './setup' );
+var JMAP = setup.JMAP;
+var test = setup.test;
+var invoke = setup.invoke;
+var waitFor = setup.waitFor;
+
+var store = JMAP.store;
+
+var Identity = O.Class({
+    Extends: O.Record,
+    name: O.Record.attr( String ),
+    email: O.Record.attr( String )
+});
+JMAP.defineType( Identity, JMAP.mail, 'Identity' );
+JMAP.MockServer.addType( 'Identity' );
+
+var getName = function ( call ) {
+    return call[0];
+};
+
+var getIdentity = function () {
+    return store.getRecord( Identity, 'i1' );
+};
+
+test( 'A type defined with defineType is fetched, refreshed and saved',
+function () {
+    var calls = [];
+    var responses = [];
+    var server = setup.useMockServer( function ( requestCalls ) {
+        calls.push.apply( calls, requestCalls );
+    });
+    var handleCalls = server.handleCalls;
+    server.handleCalls = function ( requestCalls ) {
+        var result = handleCalls.call( this, requestCalls );
+        responses.push.apply( responses, result );
+        return result;
+    };
+    server.addRecords( 'Identity', [
+        { id: 'i1', name: 'Joe', email: 'joe@example.com' }
+    ]);
+    invoke( function () {
+        store.fetchAll( Identity, true );
+    });
+    return waitFor( function () {
+        return store.getTypeState( Identity ) === server.getState( 'Identity' );
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( getName ), [ 'getIdentities' ] );
+        assert.deepStrictEqual( responses.map( getName ), [ 'identities' ] );
+        assert.strictEqual( getIdentity().get( 'email' ), 'joe@example.com' );
+
+        calls.length = responses.length = 0;
+        server.updateRecord( 'Identity', 'i1', { name: 'Joe Bloggs' } );
+        invoke( function () {
+            store.fetchAll( Identity, true );
+        });
+        return waitFor( function () {
+            return getIdentity().get( 'name' ) === 'Joe Bloggs';
+        });
+    }).then( function () {
+        assert.deepStrictEqual( calls.map( getName ),
+            [ 'getIdentityUpdates' ] );
+        assert.strictEqual( calls[0][1].fetchRecords, true );
+        assert.deepStrictEqual( responses.map( getName ),
+            [ 'identityUpdates', 'identities' ] );
+        assert.deepStrictEqual( responses[0][1].changed, [ 'i1' ] );
+
+        calls.length = responses.length = 0;
+        return invoke( function () {
+            getIdentity().set( 'email', 'joe@example.org' );
+            return JMAP.commitChanges([ getIdentity() ]);
+        });
+    }).then( function ( outcomes ) {
+        assert.strictEqual( outcomes[0].error, null );
+        assert.deepStrictEqual( calls.map( getName ), [ 'setIdentities' ] );
+        assert.deepStrictEqual( calls[0][1].update, {
+            i1: { email: 'joe@example.org' }
+        });
+        assert.deepStrictEqual( responses.map( getName ),
+            [ 'identitiesSet' ] );
+        assert.deepStrictEqual( responses[0][1].updated, [ 'i1' ] );
+        assert.strictEqual(
+            server.getRecord( 'Identity', 'i1' ).email, 'joe@example.org' );
+        return waitFor( function () {
+            return !getIdentity().is( O.Status.DIRTY ) &&
+                store.getTypeState( Identity ) ===
+                    server.getState( 'Identity' );
+        });
+    });
+});
+
+test( 'A defined type is fetched again if its changes cannot be calculated',
+function () {
+    var calls = [];
+    var server = setup.useMockServer( function ( requestCalls ) {
+        calls.push.apply( calls, requestCalls.map( getName ) );
+    });
+    server.addRecords( 'Identity', [
+        { id: 'i1', name: 'Joe', email: 'joe@example.com' }
+    ]);
+    invoke( function () {
+        store.fetchAll( Identity, true );
+    });
+    return waitFor( function () {
+        return store.getTypeState( Identity );
+    }).then( function () {
+        server.updateRecord( 'Identity', 'i1', { name: 'Joe Bloggs' } );
+        server.failNextCall( 'getIdentityUpdates', 'cannotCalculateChanges' );
+        invoke( function () {
+            store.fetchAll( Identity, true );
+        });
+        return waitFor( function () {
+            return getIdentity().get( 'name' ) === 'Joe Bloggs';
+        });
+    }).then( function () {
+        assert.deepStrictEqual( calls,
+            [ 'getIdentities', 'getIdentityUpdates', 'getIdentities' ] );
+    });
+});